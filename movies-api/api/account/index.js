@@ -0,0 +1,237 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import User from '../users/userModel';
+import Review from '../reviews/reviewModel';
+import List from '../lists/listModel';
+import DiaryEntry from '../diary/diaryEntryModel';
+import Session from '../sessions/sessionModel';
+import Notification from '../notifications/notificationModel';
+import Webhook from '../webhooks/webhookModel';
+import WebhookDelivery from '../webhooks/deliveryModel';
+import SyncEvent from '../events/syncEventModel';
+import authenticate from '../../authenticate';
+import { clientOf, startSession, revokeAllSessions } from '../../authenticate/tokens';
+import { assertCanAttemptLogin, recordFailedLogin, clearFailedLogins } from '../../authenticate/loginGuard';
+import { BadRequestError, ConflictError, ForbiddenError } from '../../errors';
+import { validate } from '../../validation';
+import { CHANGE_PASSWORD, CHANGE_USERNAME, DELETE_ACCOUNT } from '../../validation/schemas';
+import { feedStatus, createFeedLink, removeFeedLink } from '../calendar/feedLinks';
+
+const router = express.Router();
+
+/**
+ * Account Router
+ *
+ * Mounted at /api/users/account. Lets users change their password or
+ * username, delete their account and manage their calendar feed link.
+ *
+ * Every password, username or deletion change needs the current password
+ * as well as a valid access token. Wrong passwords count towards the same lockout as logins
+ * (authenticate/loginGuard.js), so these routes can't be used to guess it.
+ *
+ * Changing the password or username signs out every session - the
+ * username is inside every access token, and a password change should
+ * lock out whoever else might know the old one - and returns a fresh
+ * token pair for the device that made the change.
+ */
+router.use(authenticate);
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Checks the password the user re-entered, like a login would.
+ * A wrong one is a 403, not a 401: the access token is fine, and clients
+ * treat a 401 as "session over".
+ *
+ * @throws {ForbiddenError|TooManyRequestsError|LockedError} On a wrong password or while locked out
+ */
+const confirmPassword = async (user, password) => {
+    assertCanAttemptLogin(user);
+
+    if (!(await user.comparePassword(password))) {
+        const retryAfter = await recordFailedLogin(user);
+        throw new ForbiddenError('Current password is incorrect.', retryAfter ? { retryAfter, details: { retryAfter } } : undefined);
+    }
+
+    await clearFailedLogins(user);
+};
+
+/**
+ * Signs every session out and starts a new one for this device.
+ *
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const restartSessions = async (user, req) => {
+    await revokeAllSessions(user);
+    return startSession(user, clientOf(req));
+};
+
+// ============================================
+// ACCOUNT ROUTES
+// ============================================
+
+/**
+ * GET /api/users/account
+ *
+ * Returns the account's basic details.
+ *
+ * @returns {Object} { success: true, account: { username, createdAt } }
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    res.status(200).json({
+        success: true,
+        account: { username: req.user.username, createdAt: req.user.createdAt }
+    });
+}));
+
+/**
+ * PUT /api/users/account/password
+ *
+ * Changes the password. Every session is signed out; the response
+ * carries new tokens for this device.
+ *
+ * @body {string} currentPassword - The password now
+ * @body {string} newPassword - The new password (same rules as at signup)
+ * @returns {Object} { success: true, msg: string, token, refreshToken, refreshTokenExpiresAt }
+ */
+router.put('/password', validate(CHANGE_PASSWORD), asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.valid.body;
+    const user = req.user;
+
+    await confirmPassword(user, currentPassword);
+
+    if (newPassword === currentPassword) {
+        throw new BadRequestError('The new password must be different from the current one.');
+    }
+
+    // The pre-save hook hashes it
+    user.password = newPassword;
+    await user.save();
+
+    const tokens = await restartSessions(user, req);
+    res.status(200).json({ success: true, msg: 'Password changed.', ...tokens });
+}));
+
+/**
+ * PUT /api/users/account/username
+ *
+ * Renames the account. The user's reviews are shown under the new name.
+ * Every session is signed out (their tokens carry the old username); the
+ * response carries new tokens for this device.
+ *
+ * @body {string} username - The new username (same rules as at signup)
+ * @body {string} currentPassword - The password, to confirm
+ * @returns {Object} { success: true, msg: string, username, token, refreshToken, refreshTokenExpiresAt }
+ */
+router.put('/username', validate(CHANGE_USERNAME), asyncHandler(async (req, res) => {
+    const { username, currentPassword } = req.valid.body;
+    const user = req.user;
+
+    await confirmPassword(user, currentPassword);
+
+    if (username === user.username) {
+        throw new BadRequestError('That is already your username.');
+    }
+    if (await User.findByUserName(username)) {
+        throw new ConflictError('That username is already taken.');
+    }
+
+    // Someone taking the name between the check and the save is a 409 too (errors/index.js)
+    user.username = username;
+    await user.save();
+
+    // Reviews store their author's name, which would otherwise pass to whoever takes the old one
+    await Review.updateMany({ user: user._id }, { author: username });
+
+    const tokens = await restartSessions(user, req);
+    res.status(200).json({ success: true, msg: 'Username changed.', username, ...tokens });
+}));
+
+/**
+ * DELETE /api/users/account
+ *
+ * Deletes the account together with everything it owns: reviews,
+ * custom lists, diary entries, sessions, notifications and webhooks. This
+ * can't be undone.
+ *
+ * The user document goes last, so if a step fails the account still
+ * exists and the request can simply be repeated.
+ *
+ * @body {string} currentPassword - The password, to confirm
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/', validate(DELETE_ACCOUNT), asyncHandler(async (req, res) => {
+    const user = req.user;
+
+    await confirmPassword(user, req.valid.body.currentPassword);
+
+    const owned = { user: user._id };
+    await Review.deleteMany(owned);
+    await List.deleteMany(owned);
+    await DiaryEntry.deleteMany(owned);
+    await Session.deleteMany(owned);
+    await Notification.deleteMany(owned);
+    await WebhookDelivery.deleteMany(owned);
+    await Webhook.deleteMany(owned);
+    await SyncEvent.deleteMany(owned);
+    await user.deleteOne();
+
+    res.status(200).json({ success: true, msg: 'Account deleted.' });
+}));
+
+// ============================================
+// CALENDAR FEED ROUTES
+// The feed itself is served by api/calendar
+// ============================================
+
+/**
+ * Builds the feed's full URL as this request reached us (TRUST_PROXY
+ * makes req.protocol right behind a proxy).
+ */
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+/**
+ * GET /api/users/account/calendar
+ *
+ * Whether the calendar feed is on. The link itself can't be shown again.
+ *
+ * @returns {Object} { success: true, calendar: { enabled, createdAt } }
+ */
+router.get('/calendar', asyncHandler(async (req, res) => {
+    res.status(200).json({ success: true, calendar: feedStatus(req.user) });
+}));
+
+/**
+ * POST /api/users/account/calendar
+ *
+ * Turns the calendar feed on with a new secret link. An earlier link
+ * stops working. Add ?region=GB (any two-letter country code) to the
+ * link for release dates in that country.
+ *
+ * @returns {Object} { success: true, msg: string, url, calendar: { enabled, createdAt } }
+ */
+router.post('/calendar', asyncHandler(async (req, res) => {
+    const token = await createFeedLink(req.user);
+    res.status(201).json({
+        success: true,
+        msg: 'Calendar link created.',
+        url: feedUrl(req, token),
+        calendar: feedStatus(req.user),
+    });
+}));
+
+/**
+ * DELETE /api/users/account/calendar
+ *
+ * Turns the calendar feed off; its link stops working.
+ *
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/calendar', asyncHandler(async (req, res) => {
+    await removeFeedLink(req.user);
+    res.status(200).json({ success: true, msg: 'Calendar feed turned off.' });
+}));
+
+export default router;
@@ -0,0 +1,91 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import authenticate, { requireAdmin } from '../../authenticate';
+import { getCacheStats, purgeCache } from '../../cache';
+import { getTmdbClientStatus } from '../tmdb-client';
+import { listJobs, triggerJob } from '../../jobs';
+import { validate } from '../../validation';
+import { ADMIN_PURGE_CACHE, JOB_NAME } from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Admin Router
+ *
+ * Maintenance endpoints for the API. Every route requires a valid JWT
+ * for a user whose role is 'admin'.
+ *
+ * Params and query are declared with validate() (see validation/schemas.js);
+ * handlers read the checked values from req.valid.
+ */
+router.use(authenticate, requireAdmin);
+
+// ============================================
+// CACHE ROUTES
+// ============================================
+
+/**
+ * GET /api/admin/cache
+ * Returns hit/miss counters and the size of each cache tier
+ */
+router.get('/cache', asyncHandler(async (req, res) => {
+    const stats = await getCacheStats();
+    res.status(200).json({ success: true, stats });
+}));
+
+/**
+ * DELETE /api/admin/cache?prefix=movie:
+ * Purges cached TMDB responses from memory and MongoDB
+ * Query parameter: prefix (optional) - only purge keys starting with it, e.g. 'movie:["550"]'
+ * Without a prefix the whole cache is purged
+ */
+router.delete('/cache', validate(ADMIN_PURGE_CACHE), asyncHandler(async (req, res) => {
+    const { prefix } = req.valid.query;
+    const removed = await purgeCache(prefix);
+
+    res.status(200).json({
+        success: true,
+        msg: prefix ? `Purged cache entries starting with "${prefix}".` : 'Purged the whole cache.',
+        removed
+    });
+}));
+
+// ============================================
+// TMDB CLIENT ROUTES
+// ============================================
+
+/**
+ * GET /api/admin/tmdb
+ * Returns the TMDB circuit breaker state and the number of in-flight requests
+ */
+router.get('/tmdb', (req, res) => {
+    res.status(200).json({ success: true, status: getTmdbClientStatus() });
+});
+
+// ============================================
+// JOB ROUTES
+// ============================================
+
+/**
+ * GET /api/admin/jobs
+ * Lists the background jobs with their schedule, whether they're running,
+ * the next run and how the last run went
+ */
+router.get('/jobs', asyncHandler(async (req, res) => {
+    const jobs = await listJobs();
+    res.status(200).json({ success: true, jobs });
+}));
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Starts a job now instead of waiting for its next scheduled run
+ * Answers 202 straight away; GET /api/admin/jobs shows how the run went
+ * Returns 404 for an unknown job and 409 if it's already running
+ */
+router.post('/jobs/:name/run', validate(JOB_NAME), asyncHandler(async (req, res) => {
+    const { name } = req.valid.params;
+    await triggerJob(name);
+    res.status(202).json({ success: true, msg: `Started job "${name}".` });
+}));
+
+export default router;
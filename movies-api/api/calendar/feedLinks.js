@@ -0,0 +1,65 @@
+import User from '../users/userModel';
+import { hashSecret, isSameHash, newSecret } from '../../authenticate/tokens';
+import { NotFoundError } from '../../errors';
+
+/**
+ * Calendar Feed Links
+ *
+ * Calendar apps can't log in, so a user's feed is read through a secret
+ * link instead: /api/calendar/<userId>.<secret>.ics. Like refresh tokens,
+ * only a hash of the secret is stored (user.calendarFeed), so the link
+ * can be shown once, when it's created. Creating a new link or turning the
+ * feed off stops the old link working.
+ */
+
+const FEED_NOT_FOUND = 'Calendar feed not found.';
+
+/**
+ * Whether the feed is on, for the account settings.
+ *
+ * @returns {Object} { enabled, createdAt }
+ */
+export const feedStatus = (user) => ({
+    enabled: Boolean(user.calendarFeed?.secretHash),
+    createdAt: user.calendarFeed?.createdAt || null,
+});
+
+/**
+ * Turns the feed on with a new secret, replacing any earlier link.
+ *
+ * @param {Object} user - The User document
+ * @returns {Promise<string>} The token for the link: "<userId>.<secret>"
+ */
+export const createFeedLink = async (user) => {
+    const secret = newSecret();
+    user.calendarFeed = { secretHash: hashSecret(secret), createdAt: new Date() };
+    await user.save();
+    return `${user.id}.${secret}`;
+};
+
+/**
+ * Turns the feed off.
+ *
+ * @param {Object} user - The User document
+ */
+export const removeFeedLink = async (user) => {
+    user.calendarFeed = { secretHash: null, createdAt: null };
+    await user.save();
+};
+
+/**
+ * Finds whose feed a link belongs to.
+ * Unknown users, wrong secrets and feeds that were turned off all look the same.
+ *
+ * @param {string} token - "<userId>.<secret>" (already format-checked by the CALENDAR_FEED schema)
+ * @returns {Promise<Object>} The User document
+ * @throws {NotFoundError} If the link doesn't work (anymore)
+ */
+export const findFeedOwner = async (token) => {
+    const [userId, secret] = token.split('.');
+    const user = await User.findById(userId);
+    if (!user || !isSameHash(user.calendarFeed?.secretHash, hashSecret(secret))) {
+        throw new NotFoundError(FEED_NOT_FOUND);
+    }
+    return user;
+};
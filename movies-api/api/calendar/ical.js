@@ -0,0 +1,92 @@
+/**
+ * iCalendar Writer
+ *
+ * Writes the small part of RFC 5545 the calendar feed needs: a published
+ * VCALENDAR of all-day VEVENTs. Text values are escaped and long lines are
+ * folded at 75 octets, which some calendar apps insist on.
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+// How often calendar apps should fetch the feed again
+const REFRESH_INTERVAL = 'PT12H';
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Splits a content line into pieces of at most 75 octets, never inside a
+ * UTF-8 character. Continuation lines start with a space, which counts.
+ */
+const foldLine = (line) => {
+    const pieces = [];
+    let piece = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            pieces.push(piece);
+            piece = '';
+            octets = 0;
+        }
+        piece += char;
+        octets += size;
+    }
+    pieces.push(piece);
+    return pieces.join('\r\n ');
+};
+
+// '2025-03-14' -> '20250314'
+const toDateValue = (day) => day.replace(/-/g, '');
+
+const nextDay = (day) => new Date(Date.parse(`${day}T00:00:00.000Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// A UTC timestamp like '20250314T093000Z'
+const toTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Writes a calendar.
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown by calendar apps as the calendar's name
+ * @param {string} [calendar.description] - The calendar's description
+ * @param {Array<Object>} calendar.events - { uid, date (YYYY-MM-DD), summary, description?, url? };
+ *   uid must stay the same for the same event so apps update it instead of adding a copy
+ * @returns {string} The .ics file, with CRLF line endings
+ */
+export const toICalendar = ({ name, description, events }) => {
+    const stamp = toTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Moodvy//Release Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ];
+    if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toDateValue(event.date)}`,
+            `DTEND;VALUE=DATE:${toDateValue(nextDay(event.date))}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        // All-day releases shouldn't show the user as busy
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
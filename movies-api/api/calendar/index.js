@@ -0,0 +1,56 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { createRateLimiter, rateLimit } from '../../rateLimit';
+import { validate } from '../../validation';
+import { CALENDAR_FEED } from '../../validation/schemas';
+import { findFeedOwner } from './feedLinks';
+import { buildReleaseEvents } from './releases';
+import { toICalendar } from './ical';
+
+const router = express.Router();
+
+/**
+ * Calendar Feed Router
+ *
+ * Mounted at /api/calendar. Serves each user's release calendar as an
+ * iCalendar (.ics) feed that any calendar app can subscribe to: their
+ * must-watch movies and upcoming movies in their favorite genres, on
+ * their release dates (see releases.js).
+ *
+ * There's no login here - calendar apps can't send one. The secret link
+ * is the credential (see feedLinks.js); users create and turn it off in
+ * their account settings (/api/users/account/calendar).
+ */
+
+// Calendar apps poll every few hours; anything much faster is someone guessing links
+const feedsByIp = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 60,
+    message: 'Too many calendar requests. Please try again later.',
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ *
+ * The user's release calendar.
+ *
+ * @param {string} token - "<userId>.<secret>" from the feed link
+ * @query {string} [region] - Two-letter country code (e.g. GB) to use release dates in that country
+ * @returns {string} text/calendar
+ * @throws {NotFoundError} If the link is wrong or the feed was turned off
+ */
+router.get('/:token.ics', rateLimit(feedsByIp, (req) => req.ip), validate(CALENDAR_FEED), asyncHandler(async (req, res) => {
+    const user = await findFeedOwner(req.valid.params.token);
+    const region = req.valid.query.region?.toUpperCase();
+
+    const events = await buildReleaseEvents(user, { region });
+
+    res.type('text/calendar; charset=utf-8');
+    res.status(200).send(toICalendar({
+        name: 'Moodvy releases',
+        description: `Release dates of ${user.username}'s must-watch movies and upcoming movies in their favorite genres`,
+        events,
+    }));
+}));
+
+export default router;
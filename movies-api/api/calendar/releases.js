@@ -0,0 +1,218 @@
+import { getMovie, getMovieReleaseDates, getUpcomingMovies, getGenres } from '../tmdb-api';
+import { mapConcurrently } from '../tmdb-client';
+
+/**
+ * Release Calendar
+ *
+ * Works out the events in a user's calendar feed:
+ *
+ * - every must-watch movie, on its release date
+ * - movies from TMDB's upcoming list in the user's favorite genres (the
+ *   genres that come up most among their favorites), unless already on
+ *   one of their lists
+ *
+ * Without a region a movie's date is TMDB's primary release date. With one
+ * (e.g. GB) it's the first cinema release there, else the first digital
+ * release, else the first release of any kind; movies with no release in
+ * that region fall back to the primary date.
+ *
+ * Must-watch releases up to a month old stay in the feed, so a film
+ * doesn't vanish from the calendar the day it opens; older ones are left
+ * out.
+ *
+ * Must-watch movies TMDB no longer has are skipped. Any other TMDB failure
+ * fails the whole feed: calendar apps keep what they had after an error,
+ * while a feed with events missing would delete them.
+ */
+
+// TMDB release types: 2 = limited cinema, 3 = cinema, 4 = digital
+const CINEMA_RELEASE_TYPES = [2, 3];
+const DIGITAL_RELEASE_TYPES = [4];
+
+const PAST_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FAVORITE_GENRES = 3;
+// Genres are worked out from the most recently added favorites
+const MAX_FAVORITES_SAMPLED = 50;
+const UPCOMING_PAGES = 3;
+
+const toDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const tmdbUrl = (movieId) => `https://www.themoviedb.org/movie/${movieId}`;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Looks a movie up, or returns null when TMDB says it doesn't exist.
+ * The release watcher uses it too.
+ */
+export const findMovie = async (movieId) => {
+    try {
+        return await getMovie(movieId);
+    } catch (err) {
+        if (err.status === 404) return null;
+        throw err;
+    }
+};
+
+/**
+ * Finds a movie's first release of each kind in a region.
+ * Shared with the release notifications (api/notifications/releaseWatcher.js).
+ *
+ * @param {number} movieId - The TMDB movie ID
+ * @param {string} region - ISO 3166-1 country code, e.g. 'GB'
+ * @returns {Promise<{ cinema?: string, digital?: string, first?: string }>} YYYY-MM-DD dates;
+ *   first is the earliest release of any kind
+ */
+export const findReleaseDates = async (movieId, region) => {
+    const { results = [] } = await getMovieReleaseDates(movieId);
+    const releases = results.find((country) => country.iso_3166_1 === region)?.release_dates || [];
+
+    const earliest = (types) => releases
+        .filter((release) => !types || types.includes(release.type))
+        .map((release) => toDay(release.release_date))
+        .sort()[0];
+
+    return {
+        cinema: earliest(CINEMA_RELEASE_TYPES),
+        digital: earliest(DIGITAL_RELEASE_TYPES),
+        first: earliest(),
+    };
+};
+
+/**
+ * Picks a movie's release in a region: cinema, else digital, else any.
+ *
+ * @returns {Promise<{ date: string, label: string }|null>} null when it has no release there
+ */
+const regionalRelease = async (movieId, region) => {
+    const { cinema, digital, first } = await findReleaseDates(movieId, region);
+    if (cinema) return { date: cinema, label: `In cinemas in ${region}` };
+    if (digital) return { date: digital, label: `Digital release in ${region}` };
+    return first ? { date: first, label: `Released in ${region}` } : null;
+};
+
+/**
+ * A movie's release: in the region when asked for and known, else its primary release.
+ *
+ * @returns {Promise<{ date: string, label: string|null }|null>} label says which release a
+ *   regional date is; null when TMDB has no date at all
+ */
+const releaseOf = async (movie, region) => {
+    if (region) {
+        const regional = await regionalRelease(movie.id, region);
+        if (regional) return regional;
+    }
+    return movie.release_date ? { date: movie.release_date, label: null } : null;
+};
+
+/**
+ * The genre IDs that come up most among the user's favorites, most common first.
+ */
+const favoriteGenres = async (user) => {
+    const movies = await mapConcurrently(user.favorites.slice(-MAX_FAVORITES_SAMPLED), findMovie);
+
+    const counts = new Map();
+    for (const movie of movies.filter(Boolean)) {
+        for (const genre of movie.genres || []) {
+            counts.set(genre.id, (counts.get(genre.id) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, FAVORITE_GENRES)
+        .map(([genreId]) => genreId);
+};
+
+/**
+ * Upcoming movies in any of the genres, leaving out the excluded IDs.
+ */
+const upcomingInGenres = async (genreIds, excluded) => {
+    const movies = new Map();
+    for (let page = 1; page <= UPCOMING_PAGES; page++) {
+        const data = await getUpcomingMovies(page);
+        for (const movie of data.results || []) {
+            if (!excluded.has(movie.id) && (movie.genre_ids || []).some((genreId) => genreIds.includes(genreId))) {
+                movies.set(movie.id, movie);
+            }
+        }
+        if (page >= (data.total_pages || 1)) break;
+    }
+    return [...movies.values()];
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+// Why the movie is in the calendar, which release it is and its overview
+const describe = (reason, release, movie) => [reason, release.label && `${release.label}.`, movie.overview && `\n${movie.overview}`]
+    .filter(Boolean)
+    .join('\n');
+
+const mustWatchEvents = async (user, region) => {
+    const from = toDay(Date.now() - PAST_DAYS * DAY_MS);
+    const movies = (await mapConcurrently(user.mustWatch, findMovie)).filter(Boolean);
+    const releases = await mapConcurrently(movies, (movie) => releaseOf(movie, region));
+
+    return movies.flatMap((movie, index) => {
+        const release = releases[index];
+        if (!release || release.date < from) return [];
+        return [{
+            uid: `must-watch-${movie.id}@moodvy`,
+            date: release.date,
+            summary: movie.title,
+            description: describe('On your must-watch list.', release, movie),
+            url: tmdbUrl(movie.id),
+        }];
+    });
+};
+
+const upcomingEvents = async (user, region) => {
+    const genreIds = await favoriteGenres(user);
+    if (genreIds.length === 0) return [];
+
+    const today = toDay(Date.now());
+    const { genres = [] } = await getGenres();
+    const genreNames = new Map(genres.map((genre) => [genre.id, genre.name]));
+
+    const movies = await upcomingInGenres(genreIds, new Set([...user.mustWatch, ...user.favorites]));
+    const releases = await mapConcurrently(movies, (movie) => releaseOf(movie, region));
+
+    return movies.flatMap((movie, index) => {
+        const release = releases[index];
+        if (!release || release.date < today) return [];
+        const matched = movie.genre_ids
+            .filter((genreId) => genreIds.includes(genreId))
+            .map((genreId) => genreNames.get(genreId))
+            .filter(Boolean);
+        return [{
+            uid: `upcoming-${movie.id}@moodvy`,
+            date: release.date,
+            summary: movie.title,
+            description: describe(`New ${matched.join(', ')} movie, like your favorites.`, release, movie),
+            url: tmdbUrl(movie.id),
+        }];
+    });
+};
+
+/**
+ * Builds the events of a user's calendar feed, in date order.
+ *
+ * @param {Object} user - The User document
+ * @param {Object} [options]
+ * @param {string} [options.region] - ISO 3166-1 country code (e.g. 'GB') for regional release dates
+ * @returns {Promise<Array<Object>>} Events for toICalendar (ical.js)
+ * @throws {TmdbError} When TMDB fails (other than a must-watch movie it no longer has)
+ */
+export const buildReleaseEvents = async (user, { region } = {}) => {
+    const events = [
+        ...(await mustWatchEvents(user, region)),
+        ...(await upcomingEvents(user, region)),
+    ];
+    return events.sort((a, b) => a.date.localeCompare(b.date));
+};
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+/**
+ * Diary Entry Schema for MongoDB
+ *
+ * One entry per viewing: watching the same movie twice makes two entries,
+ * the later one flagged as a rewatch. A movie counts as "watched" once it
+ * has at least one entry.
+ *
+ * Fields:
+ * - user: The owner's User _id
+ * - movieId: TMDB movie ID
+ * - movieTitle: Movie title (stored to avoid extra API calls when displaying)
+ * - watchedOn: The day the movie was watched, stored as midnight UTC
+ * - rating: Optional 1-5 stars for this viewing
+ * - rewatch: Whether the user had seen the movie before
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const DiaryEntrySchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  movieId: { type: Number, required: true },
+  movieTitle: { type: String, required: true },
+  watchedOn: { type: Date, required: true },
+  rating: { type: Number, min: 1, max: 5 },
+  rewatch: { type: Boolean, default: false },
+}, {
+  timestamps: true,
+});
+
+// The diary by date (month/year views, heatmap), and a user's viewings of a movie
+DiaryEntrySchema.index({ user: 1, watchedOn: -1 });
+DiaryEntrySchema.index({ user: 1, movieId: 1 });
+
+export default mongoose.model("DiaryEntry", DiaryEntrySchema);
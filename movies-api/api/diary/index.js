@@ -0,0 +1,261 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import DiaryEntry from './diaryEntryModel';
+import authenticate from '../../authenticate';
+import { publishChange } from '../events/changes';
+import { emitEvent } from '../webhooks/events';
+import { BadRequestError, NotFoundError } from '../../errors';
+import { validate } from '../../validation';
+import {
+    DIARY_PERIOD,
+    DIARY_ACTIVITY,
+    CREATE_DIARY_ENTRY,
+    UPDATE_DIARY_ENTRY,
+    ENTRY_ID_PARAM
+} from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Watch Diary Router
+ *
+ * Mounted at /api/users/diary. Records what the user actually watched and
+ * when. Logging a watch also takes the movie off the user's must-watch
+ * list, since it has now been watched.
+ *
+ * All routes require authentication.
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Turns a YYYY-MM-DD day (already checked by WATCHED_ON) into a Date at midnight UTC.
+ */
+const toDay = (value) => new Date(`${value}T00:00:00.000Z`);
+
+/**
+ * Today's date (YYYY-MM-DD) in UTC.
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Turns the (already checked) year and month into a watchedOn date range.
+ * A month needs a year; neither means "the whole diary".
+ *
+ * @returns {Object} { range: { $gte, $lt } | null } or { error: string }
+ */
+const toPeriodRange = ({ year, month }) => {
+    if (year === undefined) {
+        if (month !== undefined) return { error: 'A month needs a year.' };
+        return { range: null };
+    }
+    if (month === undefined) {
+        return { range: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) } };
+    }
+    return { range: { $gte: new Date(Date.UTC(year, month - 1, 1)), $lt: new Date(Date.UTC(year, month, 1)) } };
+};
+
+/**
+ * Finds one of the user's own diary entries (the ID is already checked by ENTRY_ID_PARAM).
+ * Resolves to null for unknown IDs and for other users' entries.
+ */
+const findOwnEntry = async (user, entryId) => {
+    return DiaryEntry.findOne({ _id: entryId, user: user._id });
+};
+
+/**
+ * Tells the user's other tabs and devices the diary changed, with the
+ * watched movie IDs they show on movie cards.
+ */
+const publishDiaryChange = async (user) => {
+    const watched = await DiaryEntry.distinct('movieId', { user: user._id });
+    await publishChange(user, 'diary', { watched });
+};
+
+// ============================================
+// DIARY ROUTES
+// ============================================
+
+/**
+ * GET /api/users/diary
+ *
+ * Returns diary entries, most recent viewing first.
+ * Filter by year, or by year and month.
+ *
+ * @query {number} [year] - e.g. 2025
+ * @query {number} [month] - 1-12 (requires year)
+ * @returns {Object} { success: true, entries: [{ _id, movieId, movieTitle, watchedOn, rating, rewatch, ... }] }
+ */
+router.get('/', authenticate, validate(DIARY_PERIOD), asyncHandler(async (req, res) => {
+    const period = toPeriodRange(req.valid.query);
+    if (period.error) {
+        throw new BadRequestError(period.error);
+    }
+
+    const filter = { user: req.user._id };
+    if (period.range) filter.watchedOn = period.range;
+
+    const entries = await DiaryEntry.find(filter).sort({ watchedOn: -1, createdAt: -1 });
+
+    res.status(200).json({
+        success: true,
+        entries
+    });
+}));
+
+/**
+ * GET /api/users/diary/activity
+ *
+ * Returns how many movies were watched on each day of a year,
+ * for the viewing activity heatmap. Days with no viewings are left out.
+ *
+ * @query {number} [year] - Defaults to the current year
+ * @returns {Object} { success: true, year: number, total: number, days: { 'YYYY-MM-DD': count } }
+ */
+router.get('/activity', authenticate, validate(DIARY_ACTIVITY), asyncHandler(async (req, res) => {
+    const year = req.valid.query.year ?? new Date().getUTCFullYear();
+    const period = toPeriodRange({ year });
+
+    const counts = await DiaryEntry.aggregate([
+        { $match: { user: req.user._id, watchedOn: period.range } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$watchedOn' } }, count: { $sum: 1 } } }
+    ]);
+
+    const days = {};
+    let total = 0;
+    for (const { _id, count } of counts) {
+        days[_id] = count;
+        total += count;
+    }
+
+    res.status(200).json({
+        success: true,
+        year,
+        total,
+        days
+    });
+}));
+
+/**
+ * GET /api/users/diary/watched
+ *
+ * Returns the IDs of every movie the user has logged at least once.
+ *
+ * @returns {Object} { success: true, watched: [movieId1, movieId2, ...] }
+ */
+router.get('/watched', authenticate, asyncHandler(async (req, res) => {
+    const watched = await DiaryEntry.distinct('movieId', { user: req.user._id });
+
+    res.status(200).json({
+        success: true,
+        watched
+    });
+}));
+
+/**
+ * POST /api/users/diary
+ *
+ * Logs a watch. The movie is removed from the user's must-watch list.
+ * If rewatch is not given, it is worked out from earlier entries for the movie.
+ *
+ * @body {number} movieId - TMDB movie ID
+ * @body {string} movieTitle - Movie title
+ * @body {string} [watchedOn] - YYYY-MM-DD (defaults to today)
+ * @body {number} [rating] - 1-5 stars
+ * @body {boolean} [rewatch] - Whether this is a rewatch
+ * @returns {Object} { success: true, msg: string, entry: {...}, mustWatch: [...] }
+ */
+router.post('/', authenticate, validate(CREATE_DIARY_ENTRY), asyncHandler(async (req, res) => {
+    const { movieId, movieTitle, watchedOn = today(), rating, rewatch } = req.valid.body;
+
+    const user = req.user;
+
+    const entry = await DiaryEntry.create({
+        user: user._id,
+        movieId,
+        movieTitle,
+        watchedOn: toDay(watchedOn),
+        rating: rating ?? undefined,
+        rewatch: rewatch ?? Boolean(await DiaryEntry.exists({ user: user._id, movieId }))
+    });
+
+    // Once it's been watched it no longer belongs on must-watch
+    const index = user.mustWatch.indexOf(movieId);
+    if (index !== -1) {
+        user.mustWatch.splice(index, 1);
+        await user.save();
+        await publishChange(user, 'mustWatch', { mustWatch: user.mustWatch });
+        await emitEvent(user, 'mustwatch.removed', { movieId });
+    }
+    await publishDiaryChange(user);
+
+    res.status(201).json({
+        success: true,
+        msg: 'Watch logged.',
+        entry,
+        mustWatch: user.mustWatch
+    });
+}));
+
+/**
+ * PATCH /api/users/diary/:entryId
+ *
+ * Changes an entry's date, rating or rewatch flag.
+ *
+ * @param {string} entryId - The entry's _id (from URL parameter)
+ * @body {string} [watchedOn] - YYYY-MM-DD
+ * @body {number|null} [rating] - 1-5 stars, or null to clear it
+ * @body {boolean} [rewatch] - Whether this is a rewatch
+ * @returns {Object} { success: true, msg: string, entry: {...} }
+ */
+router.patch('/:entryId', authenticate, validate(UPDATE_DIARY_ENTRY), asyncHandler(async (req, res) => {
+    const { watchedOn, rating, rewatch } = req.valid.body;
+
+    if (watchedOn === undefined && rating === undefined && rewatch === undefined) {
+        throw new BadRequestError('Nothing to update: provide watchedOn, rating or rewatch.');
+    }
+
+    const entry = await findOwnEntry(req.user, req.valid.params.entryId);
+    if (!entry) {
+        throw new NotFoundError('Diary entry not found.');
+    }
+
+    if (watchedOn !== undefined) entry.watchedOn = toDay(watchedOn);
+    if (rating !== undefined) entry.rating = rating ?? undefined;
+    if (rewatch !== undefined) entry.rewatch = rewatch;
+    await entry.save();
+    await publishDiaryChange(req.user);
+
+    res.status(200).json({
+        success: true,
+        msg: 'Diary entry updated.',
+        entry
+    });
+}));
+
+/**
+ * DELETE /api/users/diary/:entryId
+ *
+ * Deletes a diary entry. The movie is not put back on must-watch.
+ *
+ * @param {string} entryId - The entry's _id (from URL parameter)
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/:entryId', authenticate, validate(ENTRY_ID_PARAM), asyncHandler(async (req, res) => {
+    const entry = await findOwnEntry(req.user, req.valid.params.entryId);
+    if (!entry) {
+        throw new NotFoundError('Diary entry not found.');
+    }
+
+    await entry.deleteOne();
+    await publishDiaryChange(req.user);
+
+    res.status(200).json({
+        success: true,
+        msg: 'Diary entry deleted.'
+    });
+}));
+
+export default router;
@@ -0,0 +1,105 @@
+import { EventEmitter } from 'events';
+import User from '../users/userModel';
+import SyncEvent from './syncEventModel';
+
+/**
+ * User Changes
+ *
+ * The routers call publishChange after every change to a user's
+ * collections, and the event stream (index.js) sends the changes on to
+ * the user's open tabs and devices. Each change says what the collection
+ * looks like now rather than what was done to it, so applying it twice, or
+ * after the client's own optimistic update, is harmless:
+ *
+ * - favorites: { favorites } and mustWatch: { mustWatch } - the whole list of IDs
+ * - review.saved: { review } - a created or edited review
+ * - review.deleted: { reviewId, movieId }
+ * - list.saved: { list } - a created or changed custom list, with its items
+ * - list.deleted: { listId }
+ * - diary: { watched } - the diary changed; watched is the IDs of movies in it
+ * - resync: {} - too much changed at once (an import); reload everything
+ *
+ * Every change gets the next number in the user's sequence (user.syncSeq)
+ * and is kept in MongoDB for a day, so a stream that reconnects with the
+ * last number it saw gets everything it missed, in order, whichever
+ * instance the change was made on.
+ */
+
+// Streams on this instance wait for these instead of polling MongoDB
+const published = new EventEmitter();
+// One listener per open stream
+published.setMaxListeners(0);
+
+// ============================================
+// PUBLISHING
+// ============================================
+
+/**
+ * Records a change to a user's collections and wakes their streams.
+ * Never fails the request that made the change: errors are logged, and
+ * the user's other tabs catch up when they next reload.
+ *
+ * @param {Object} user - The User document (or anything with its _id)
+ * @param {string} type - One of SYNC_EVENT_TYPES (syncEventModel.js)
+ * @param {Object} [data] - The change, as described above
+ */
+export const publishChange = async (user, type, data = {}) => {
+    try {
+        const { syncSeq: seq } = await User.findByIdAndUpdate(
+            user._id,
+            { $inc: { syncSeq: 1 } },
+            { returnDocument: 'after', projection: { syncSeq: 1 } }
+        );
+        await SyncEvent.create({ user: user._id, seq, type, data });
+        published.emit(user._id.toString());
+    } catch (err) {
+        console.error(`change ${type} was not published: ${err.message}`);
+    }
+};
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Calls listener whenever a change is published for the user on this instance.
+ *
+ * @returns {Function} Unsubscribes
+ */
+export const onChange = (userId, listener) => {
+    const key = userId.toString();
+    published.on(key, listener);
+    return () => published.off(key, listener);
+};
+
+/**
+ * The number of the user's latest change.
+ */
+export const latestSeq = async (userId) => {
+    const user = await User.findById(userId, { syncSeq: 1 }).lean();
+    return user?.syncSeq || 0;
+};
+
+/**
+ * The user's changes after a given number, oldest first.
+ *
+ * @param {ObjectId} userId - The user's _id
+ * @param {number} afterSeq - The last change the client has
+ * @param {number} [limit] - At most this many
+ * @returns {Promise<Array<Object>>} SyncEvent documents (lean)
+ */
+export const changesSince = (userId, afterSeq, limit = 100) => SyncEvent.find({ user: userId, seq: { $gt: afterSeq } })
+    .sort({ seq: 1 })
+    .limit(limit)
+    .lean();
+
+/**
+ * Whether every change after a given number up to another is still kept,
+ * i.e. a client that has afterSeq can catch up on the events alone.
+ */
+export const canCatchUp = async (userId, afterSeq, uptoSeq) => {
+    if (afterSeq > uptoSeq) return false;
+    if (afterSeq === uptoSeq) return true;
+    const kept = await SyncEvent.countDocuments({ user: userId, seq: { $gt: afterSeq, $lte: uptoSeq } });
+    return kept === uptoSeq - afterSeq;
+};
@@ -0,0 +1,212 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import Session from '../sessions/sessionModel';
+import authenticate from '../../authenticate';
+import { onChange, latestSeq, changesSince, canCatchUp } from './changes';
+import { ServiceUnavailableError, TooManyRequestsError } from '../../errors';
+import { validate } from '../../validation';
+import { EVENT_STREAM } from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Events Router
+ *
+ * Mounted at /api/users/events. A Server-Sent Events stream of changes to
+ * the user's favorites, must-watch list, reviews, custom lists and diary
+ * (see changes.js for the events), so every open tab and device stays in
+ * step with the others.
+ *
+ * The stream opens with a 'ready' event carrying the number of the latest
+ * change. A client that reconnects sends the last number it got, as the
+ * Last-Event-ID header (or ?lastEventId=), and first receives what it
+ * missed - or a single 'resync' when that's more than is still kept.
+ *
+ * Every 25 seconds a comment line keeps proxies from closing the stream,
+ * and the stream checks that its session hasn't been logged out (ending if
+ * it has) and picks up changes made through other API instances.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long clients wait before reconnecting after the stream drops
+const RECONNECT_MS = 5 * 1000;
+
+// A change with a lower number may still be being saved (on another instance);
+// a gap older than this is a change that was never saved, and is skipped
+const GAP_WAIT_MS = 5 * 1000;
+
+// Changes read from MongoDB at a time
+const BATCH = 100;
+
+// Tabs and devices streaming at once per user, on this instance
+const MAX_STREAMS_PER_USER = 10;
+const openStreams = new Map();
+
+// Every open stream's response, so shutdown can end them
+const openResponses = new Set();
+let closing = false;
+
+/**
+ * Reads the client's last event number: the Last-Event-ID header first (as
+ * EventSource sends it), else the lastEventId query parameter.
+ */
+const lastEventIdOf = (req) => {
+    const header = req.get('Last-Event-ID');
+    return header && /^\d+$/.test(header) ? Number(header) : req.valid.query.lastEventId;
+};
+
+const isSessionActive = (sessionId) => Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+});
+
+// ============================================
+// EVENT STREAM
+// ============================================
+
+/**
+ * GET /api/users/events
+ *
+ * Opens the user's event stream (text/event-stream). Each event has the
+ * change's number as its id, the change's type as its event name and the
+ * change as JSON data.
+ *
+ * @header {string} [Last-Event-ID] - The last event number the client received
+ * @query {number} [lastEventId] - The same, for clients that can't set headers
+ * @throws {TooManyRequestsError} If the user already has too many streams open
+ * @throws {ServiceUnavailableError} While the server is shutting down
+ */
+router.get('/', authenticate, validate(EVENT_STREAM), asyncHandler(async (req, res) => {
+    if (closing) {
+        throw new ServiceUnavailableError('The server is restarting. Please reconnect shortly.', { retryAfter: RECONNECT_MS / 1000 });
+    }
+
+    const user = req.user;
+    const userKey = user._id.toString();
+    const streams = openStreams.get(userKey) || 0;
+    if (streams >= MAX_STREAMS_PER_USER) {
+        throw new TooManyRequestsError(`At most ${MAX_STREAMS_PER_USER} tabs and devices can stay in sync at once.`);
+    }
+
+    const lastEventId = lastEventIdOf(req);
+    const current = await latestSeq(user._id);
+
+    openStreams.set(userKey, streams + 1);
+    openResponses.add(res);
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stops nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    const send = (type, data, seq) => {
+        res.write(`id: ${seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let closed = false;
+    let sentSeq = current;
+    let flushing = false;
+    let flushAgain = false;
+
+    // Sends every change after sentSeq, in order
+    const sendNewChanges = async () => {
+        for (;;) {
+            const changes = await changesSince(user._id, sentSeq, BATCH);
+            for (const change of changes) {
+                if (closed) return;
+                const isNext = change.seq === sentSeq + 1;
+                if (!isNext && Date.now() - new Date(change.createdAt).getTime() < GAP_WAIT_MS) return;
+                send(change.type, change.data, change.seq);
+                sentSeq = change.seq;
+            }
+            if (changes.length < BATCH) return;
+        }
+    };
+
+    // One read at a time; a change published meanwhile triggers another
+    const flush = () => {
+        if (closed) return;
+        if (flushing) {
+            flushAgain = true;
+            return;
+        }
+        flushing = true;
+        sendNewChanges()
+            .catch((err) => console.error(`event stream for ${user.username} failed to read changes: ${err.message}`))
+            .finally(() => {
+                flushing = false;
+                if (flushAgain) {
+                    flushAgain = false;
+                    flush();
+                }
+            });
+    };
+
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    // res, not req: req's close fires as soon as the request has been read
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        openResponses.delete(res);
+        const left = (openStreams.get(userKey) || 1) - 1;
+        if (left > 0) openStreams.set(userKey, left);
+        else openStreams.delete(userKey);
+    });
+
+    // The response has started, so from here errors end the stream and the client reconnects
+    try {
+        if (lastEventId === undefined) {
+            // A new client has just loaded everything; it only needs what comes next
+            send('ready', { seq: current }, current);
+        } else if (await canCatchUp(user._id, lastEventId, current)) {
+            sentSeq = lastEventId;
+            await sendNewChanges();
+            send('ready', { seq: sentSeq }, sentSeq);
+        } else {
+            send('resync', {}, current);
+            send('ready', { seq: current }, current);
+        }
+    } catch (err) {
+        console.error(`event stream for ${user.username} failed to catch up: ${err.message}`);
+        res.end();
+        return;
+    }
+    if (closed) return;
+
+    unsubscribe = onChange(user._id, flush);
+    heartbeat = setInterval(async () => {
+        res.write(': keep-alive\n\n');
+        try {
+            if (!(await isSessionActive(req.authSession._id))) {
+                res.end();
+                return;
+            }
+        } catch (err) {
+            console.error(`event stream for ${user.username} could not check its session: ${err.message}`);
+        }
+        flush();
+    }, HEARTBEAT_MS);
+
+    // Anything published while catching up
+    flush();
+}));
+
+/**
+ * Ends every open stream and refuses new ones, for a graceful shutdown.
+ * Clients reconnect (to another instance, or to this one once it's back)
+ * and catch up from their last event.
+ */
+export const closeStreams = () => {
+    closing = true;
+    for (const res of openResponses) res.end();
+};
+
+export default router;
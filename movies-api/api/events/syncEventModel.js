@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+// What a change can be about; each type's data is described in changes.js
+export const SYNC_EVENT_TYPES = [
+  'favorites',
+  'mustWatch',
+  'review.saved',
+  'review.deleted',
+  'list.saved',
+  'list.deleted',
+  'diary',
+  'resync',
+];
+
+/**
+ * Sync Event Schema for MongoDB
+ *
+ * One change to a user's collections, kept so an event stream that
+ * dropped can catch up on what it missed (see changes.js).
+ *
+ * Fields:
+ * - user: The User _id whose data changed
+ * - seq: The change's number - 1, 2, 3... per user (the SSE event id)
+ * - type: One of SYNC_EVENT_TYPES
+ * - data: The change itself, sent as the event's data
+ * - createdAt: Auto-managed timestamp
+ */
+const SyncEventSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  seq: { type: Number, required: true },
+  type: { type: String, enum: SYNC_EVENT_TYPES, required: true },
+  data: { type: Schema.Types.Mixed, default: {} },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  // data is stored as given, empty objects included
+  minimize: false,
+});
+
+// Catching up: a user's changes after a given seq, in order
+SyncEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+
+// A client offline for longer than a day reloads everything instead
+SyncEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model("SyncEvent", SyncEventSchema);
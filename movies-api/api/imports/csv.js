@@ -0,0 +1,105 @@
+/**
+ * CSV Parsing and Writing
+ *
+ * A small RFC 4180 reader for the export files users upload: quoted fields
+ * (with "" for a quote, and commas and line breaks inside), CRLF or LF line
+ * endings and a leading byte order mark. Letterboxd and IMDb both write
+ * this dialect; nothing else is needed.
+ *
+ * toCsv writes the same dialect for our own exports (api/lists/exportLists.js).
+ */
+
+/**
+ * Splits CSV text into rows of fields. Blank lines are dropped.
+ *
+ * @param {string} text - The file content
+ * @returns {Array<{ line: number, fields: string[] }>} Each row with the line it starts on (1-based)
+ */
+export const parseCsv = (text) => {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // \r\n is one line break
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || fields.length > 0) endRow();
+
+    return rows;
+};
+
+/**
+ * Reads CSV text whose first row holds the column names.
+ *
+ * @param {string} text - The file content
+ * @returns {{ headers: string[], records: Array<{ line: number, values: Object<string, string> }> }}
+ *          Values keyed by column name, trimmed
+ */
+export const readCsvRecords = (text) => {
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) return { headers: [], records: [] };
+
+    const headers = headerRow.fields.map((name) => name.trim());
+    const records = rows.map(({ line, fields }) => ({
+        line,
+        values: Object.fromEntries(headers.map((name, index) => [name, (fields[index] || '').trim()])),
+    }));
+
+    return { headers, records };
+};
+
+/**
+ * Quotes a field when it holds a comma, quote or line break.
+ */
+const csvField = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows as CSV text with a header row and CRLF line endings.
+ *
+ * @param {string[]} headers - Column names, also the keys read from each row
+ * @param {Object[]} rows - Values keyed by column name; missing ones are left empty
+ * @returns {string} The CSV text
+ */
+export const toCsv = (headers, rows) => [headers, ...rows.map((row) => headers.map((name) => row[name]))]
+    .map((fields) => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,119 @@
+import { readCsvRecords } from './csv';
+
+/**
+ * Export Formats
+ *
+ * Recognizes the CSV files Letterboxd and IMDb let users download and turns
+ * their rows into one shape:
+ *
+ *   { file, line, title, year, imdbId, stars, review, date }
+ *
+ * stars is out of 5 in half stars (IMDb's 1-10 is halved) and date is a
+ * YYYY-MM-DD string; any of them may be missing.
+ *
+ * Letterboxd (Settings → Data → Export):
+ * - watched.csv    Date, Name, Year, Letterboxd URI
+ * - watchlist.csv  the same columns, so the file name (or kind) tells them apart
+ * - ratings.csv    ... Rating
+ * - reviews.csv    ... Rating, Rewatch, Review, Tags, Watched Date
+ *
+ * IMDb (Your ratings / Your watchlist → Export):
+ * - ratings.csv    Const, Your Rating, Date Rated, Title, Year, Title Type, ...
+ * - watchlist.csv  Position, Const, Created, ..., Title, Year, Title Type, ...
+ */
+
+// IMDb lists series and episodes alongside movies; TMDB keeps those apart
+const NOT_MOVIES = /series|episode|game|podcast/i;
+
+const IMDB_ID = /^tt\d{5,10}$/;
+const YEAR = /^\d{4}$/;
+
+const includesAll = (headers, names) => names.every((name) => headers.includes(name));
+
+/**
+ * Works out where a file came from and what it holds.
+ *
+ * @returns {{ source: string, kind: string }|{ error: string }}
+ */
+const detectFormat = (headers, file) => {
+    const name = file.name.toLowerCase();
+
+    if (includesAll(headers, ['Letterboxd URI', 'Name'])) {
+        if (headers.includes('Review')) return { source: 'letterboxd', kind: 'reviews' };
+        if (headers.includes('Rating')) return { source: 'letterboxd', kind: 'ratings' };
+
+        const kind = file.kind || (name.includes('watchlist') ? 'watchlist' : name.includes('watched') ? 'watched' : null);
+        if (kind === 'watched' || kind === 'watchlist') return { source: 'letterboxd', kind };
+        return { error: `${file.name}: can't tell whether this is a Letterboxd watched or watchlist file. Keep the original file name.` };
+    }
+
+    if (includesAll(headers, ['Const', 'Title'])) {
+        if (headers.includes('Position')) return { source: 'imdb', kind: 'watchlist' };
+        if (headers.includes('Your Rating')) return { source: 'imdb', kind: 'ratings' };
+    }
+
+    return { error: `${file.name} is not a Letterboxd or IMDb export file.` };
+};
+
+const toYear = (value) => (YEAR.test(value) ? Number(value) : undefined);
+
+const toDay = (value) => (/^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : undefined);
+
+const toStars = (value, scale) => {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) && number > 0 ? (number * 5) / scale : undefined;
+};
+
+const readLetterboxdRow = ({ values }) => ({
+    title: values['Name'],
+    year: toYear(values['Year']),
+    stars: toStars(values['Rating'] || '', 5),
+    review: values['Review'] || undefined,
+    // Watched Date is when it was seen; Date is when it was logged
+    date: toDay(values['Watched Date'] || '') || toDay(values['Date']),
+});
+
+const readImdbRow = ({ values }) => {
+    if (NOT_MOVIES.test(values['Title Type'] || '')) {
+        return { skip: `Not a movie (${values['Title Type']}).` };
+    }
+    return {
+        title: values['Title'],
+        year: toYear(values['Year']),
+        imdbId: IMDB_ID.test(values['Const']) ? values['Const'] : undefined,
+        stars: toStars(values['Your Rating'] || '', 10),
+        date: toDay(values['Date Rated'] || '') || toDay(values['Created'] || ''),
+    };
+};
+
+/**
+ * Reads one uploaded export file.
+ *
+ * @param {Object} file - { name, content, kind? } (checked against CSV_FILE)
+ * @returns {Object} { source, kind, rows, skipped: [{ file, line, title, reason }] },
+ *          or { error } when the file isn't an export we know
+ */
+export const readExportFile = (file) => {
+    const { headers, records } = readCsvRecords(file.content);
+    const format = detectFormat(headers, file);
+    if (format.error) return format;
+
+    const readRow = format.source === 'letterboxd' ? readLetterboxdRow : readImdbRow;
+    const rows = [];
+    const skipped = [];
+
+    for (const record of records) {
+        const { skip, ...row } = readRow(record);
+        const where = { file: file.name, line: record.line, title: row.title || record.values['Title'] || '' };
+
+        if (skip) {
+            skipped.push({ ...where, reason: skip });
+        } else if (!row.title && !row.imdbId) {
+            skipped.push({ ...where, reason: 'No title.' });
+        } else {
+            rows.push({ ...where, ...row, kind: format.kind });
+        }
+    }
+
+    return { ...format, rows, skipped };
+};
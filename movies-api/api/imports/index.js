@@ -0,0 +1,209 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import authenticate from '../../authenticate';
+import { createRateLimiter, rateLimit } from '../../rateLimit';
+import { BadRequestError } from '../../errors';
+import { validate, VALIDATION_FAILED } from '../../validation';
+import { checkField, checkSchema } from '../../validation/validator';
+import { IMPORT_CSV, CSV_FILE, MOVIE_ID, BUNDLE_REVIEW } from '../../validation/schemas';
+import { planImport, summarizeImport, applyImport } from '../users/dataBundle';
+import { publishChange } from '../events/changes';
+import { readExportFile } from './formats';
+import { matchRows } from './matchMovies';
+
+const router = express.Router();
+
+/**
+ * Letterboxd and IMDb Import Router
+ *
+ * Mounted at /api/users/import/csv. Reads the CSV exports of Letterboxd
+ * (watched, ratings, watchlist, reviews) and IMDb (ratings, watchlist),
+ * matches each row to a TMDB movie (matchMovies.js) and merges the result
+ * into the account:
+ *
+ * - watchlists fill mustWatch
+ * - movies rated at least favoriteMinRating stars go to favorites
+ * - Letterboxd reviews with a rating become reviews (or edit the user's review of that movie)
+ * - anything watched, rated or reviewed is taken off mustWatch
+ *
+ * The account is changed through the same planner as a JSON bundle import
+ * (api/users/dataBundle.js), always in merge mode, so dryRun reports
+ * exactly what the import would do. Rows that couldn't be matched are
+ * listed with a key; sending { matches: { [key]: movieId } } settles them.
+ */
+router.use(authenticate);
+
+// Each upload can mean hundreds of TMDB lookups; dry runs of the same files hit the cache
+const importsByUser = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: 'Too many imports. Please try again later.',
+});
+
+const MAX_FILES = 10;
+const MAX_ROWS = 5000;
+const MAX_MATCHES = 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+const failValidation = (fields) => {
+    throw new BadRequestError(fields.map((field) => field.message).join(' '), {
+        code: VALIDATION_FAILED,
+        details: { fields },
+    });
+};
+
+/**
+ * Checks the body: { files: [{ name, content, kind? }], matches?: { [key]: movieId } }.
+ *
+ * @returns {{ files: Object[], matches: Object<string, number> }}
+ * @throws {BadRequestError} VALIDATION_FAILED listing the problems
+ */
+const readUpload = (body) => {
+    const fields = [];
+    const problem = (field, message) => fields.push({ location: 'body', field, message });
+
+    const files = [];
+    if (!Array.isArray(body.files) || body.files.length === 0) {
+        problem('files', 'Choose at least one CSV file.');
+    } else if (body.files.length > MAX_FILES) {
+        problem('files', `Upload at most ${MAX_FILES} files at once.`);
+    } else {
+        body.files.forEach((file, index) => {
+            const { values, errors } = checkSchema(file, CSV_FILE);
+            Object.entries(errors).forEach(([name, message]) => problem(`files[${index}].${name}`, message));
+            files.push(values);
+        });
+    }
+
+    const matches = {};
+    const given = body.matches === undefined ? {} : body.matches;
+    if (given === null || typeof given !== 'object' || Array.isArray(given)) {
+        problem('matches', 'matches must map movie keys to TMDB movie IDs.');
+    } else if (Object.keys(given).length > MAX_MATCHES) {
+        problem('matches', `Send at most ${MAX_MATCHES} matches at once.`);
+    } else {
+        for (const [key, movieId] of Object.entries(given)) {
+            const { value, error } = checkField(movieId, MOVIE_ID);
+            if (error) problem(`matches.${key}`, `${key}: ${error}`);
+            else matches[key] = value;
+        }
+    }
+
+    if (fields.length > 0) failValidation(fields);
+    return { files, matches };
+};
+
+/**
+ * Turns matched rows into the lists the planner takes. Reviews that
+ * wouldn't pass the usual review rules are skipped, with the reason.
+ */
+const buildImport = (rows, favoriteMinRating) => {
+    const favorites = new Set();
+    const mustWatch = new Set();
+    const watched = new Set();
+    const reviews = [];
+    const skipped = [];
+
+    for (const row of rows) {
+        if (row.movieId === undefined) continue;
+
+        if (row.kind === 'watchlist') {
+            mustWatch.add(row.movieId);
+            continue;
+        }
+
+        watched.add(row.movieId);
+        if (row.stars !== undefined && row.stars >= favoriteMinRating) favorites.add(row.movieId);
+
+        if (row.kind === 'reviews') {
+            if (row.stars === undefined) {
+                skipped.push({ file: row.file, line: row.line, title: row.title, reason: 'Reviews need a rating.' });
+                continue;
+            }
+
+            const { values, errors } = checkSchema({
+                movieId: row.movieId,
+                movieTitle: row.title,
+                // Reviews take whole stars; halves round up
+                rating: Math.round(row.stars),
+                content: row.review,
+                createdAt: row.date,
+            }, BUNDLE_REVIEW);
+
+            const [error] = Object.values(errors);
+            if (error) {
+                skipped.push({ file: row.file, line: row.line, title: row.title, reason: error });
+            } else {
+                reviews.push({ ...values, createdAt: values.createdAt && new Date(values.createdAt) });
+            }
+        }
+    }
+
+    return {
+        bundle: {
+            favorites: [...favorites],
+            mustWatch: [...mustWatch].filter((movieId) => !watched.has(movieId)),
+            reviews: reviews.length > 0 ? reviews : undefined,
+        },
+        watched: [...watched],
+        skipped,
+    };
+};
+
+// ============================================
+// IMPORT ROUTE
+// ============================================
+
+/**
+ * POST /api/users/import/csv
+ *
+ * Imports Letterboxd and IMDb CSV exports into the authenticated user's account.
+ * With dryRun nothing is saved; the response says what the import would change.
+ *
+ * @query {boolean} [dryRun=false] - Only report the changes
+ * @query {number} [favoriteMinRating=4.5] - Stars (out of 5) from which a rated movie becomes a favorite
+ * @body {Array} files - [{ name, content, kind? }]: each file's name and CSV text
+ * @body {Object} [matches] - { [key]: movieId } for rows the user matched by hand
+ * @returns {Object} { success: true, msg, dryRun, files: [{ name, source, kind, rows }], changes,
+ *          unmatched: [{ file, line, title, year, imdbId, key }], skipped: [{ file, line, title, reason }] }
+ *          changes is the same report as POST /api/users/import
+ */
+router.post('/', validate(IMPORT_CSV), rateLimit(importsByUser, (req) => req.user.id), asyncHandler(async (req, res) => {
+    const { dryRun, favoriteMinRating } = req.valid.query;
+    const { files, matches } = readUpload(req.body || {});
+
+    const read = files.map(readExportFile);
+    const unreadable = read
+        .map((file, index) => file.error && { location: 'body', field: `files[${index}]`, message: file.error })
+        .filter(Boolean);
+    if (unreadable.length > 0) failValidation(unreadable);
+
+    const rows = read.flatMap((file) => file.rows);
+    if (rows.length > MAX_ROWS) {
+        throw new BadRequestError(`These files have ${rows.length} rows; import at most ${MAX_ROWS} at once.`);
+    }
+
+    const unmatched = await matchRows(rows, matches);
+    const { bundle, watched, skipped } = buildImport(rows, favoriteMinRating);
+
+    const plan = await planImport(req.user, bundle, 'merge', { watched });
+    if (!dryRun) {
+        await applyImport(req.user, plan);
+        await publishChange(req.user, 'resync');
+    }
+
+    res.status(200).json({
+        success: true,
+        msg: dryRun ? 'Nothing was changed (dry run).' : 'Import complete.',
+        dryRun,
+        files: read.map((file, index) => ({ name: files[index].name, source: file.source, kind: file.kind, rows: file.rows.length })),
+        changes: summarizeImport(plan),
+        unmatched,
+        skipped: [...read.flatMap((file) => file.skipped), ...skipped]
+    });
+}));
+
+export default router;
@@ -0,0 +1,104 @@
+import { searchMovies, searchMoviesByYear, findByImdbId } from '../tmdb-api';
+import { mapConcurrently } from '../tmdb-client';
+
+/**
+ * Movie Matching
+ *
+ * Finds the TMDB movie for each imported row. Rows with an IMDb ID are
+ * looked up by it; the rest are searched by title and year, and only a
+ * confident match is taken:
+ *
+ * 1. the same title (ignoring case, accents and punctuation) released that year
+ * 2. the same title released a year either side - festival premieres and
+ *    local releases often put a movie in a different year on each site
+ * 3. the only result of a search limited to that year
+ *
+ * Anything else is left unmatched, and the user can match it by hand: each
+ * row comes with a key, and a { [key]: movieId } map sent with the next
+ * request settles those rows without a search.
+ *
+ * The lookups go through tmdb-api.js, so they are cached and repeated
+ * dry runs of the same file are quick.
+ */
+
+const normalizeTitle = (title) => title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const releaseYear = (movie) => Number((movie.release_date || '').slice(0, 4)) || undefined;
+
+/**
+ * The key that identifies a row's movie, in the unmatched report and in
+ * the matches map: the IMDb ID, or the title and year.
+ *
+ * @param {Object} row - { title, year, imdbId }
+ * @returns {string} e.g. 'tt0137523' or 'fight club (1999)'
+ */
+export const movieKey = (row) => row.imdbId || (row.year ? `${normalizeTitle(row.title)} (${row.year})` : normalizeTitle(row.title));
+
+const pickSearchResult = (results, title, year) => {
+    const wanted = normalizeTitle(title);
+    const sameTitle = results.filter((movie) =>
+        [movie.title, movie.original_title].some((candidate) => candidate && normalizeTitle(candidate) === wanted));
+
+    if (!year) return sameTitle[0];
+
+    return sameTitle.find((movie) => releaseYear(movie) === year)
+        || sameTitle.find((movie) => Math.abs((releaseYear(movie) || 0) - year) === 1)
+        || (results.length === 1 ? results[0] : undefined);
+};
+
+/**
+ * Looks one movie up on TMDB.
+ *
+ * @returns {Promise<number|undefined>} The TMDB movie ID, if one matched
+ */
+const lookUp = async (row) => {
+    if (row.imdbId) {
+        const found = await findByImdbId(row.imdbId);
+        if (found.movie_results && found.movie_results.length > 0) return found.movie_results[0].id;
+        if (!row.title) return undefined;
+    }
+
+    const data = row.year ? await searchMoviesByYear(row.title, row.year) : await searchMovies(row.title, 1);
+    const movie = pickSearchResult(data.results || [], row.title, row.year);
+    return movie && movie.id;
+};
+
+/**
+ * Sets movieId on every row that can be matched. Each distinct movie is
+ * looked up once, however many files it appears in.
+ * TMDB failures (TmdbError) are not caught: a half-matched import is worse than a retry.
+ *
+ * @param {Object[]} rows - From readExportFile
+ * @param {Object<string, number>} [matches] - Movie IDs chosen by the user, by movieKey
+ * @returns {Promise<Object[]>} The rows left unmatched: [{ file, line, title, year, imdbId, key }]
+ */
+export const matchRows = async (rows, matches = {}) => {
+    const byKey = new Map();
+    for (const row of rows) {
+        const key = movieKey(row);
+        if (!byKey.has(key)) byKey.set(key, row);
+    }
+
+    const toLookUp = [...byKey.keys()].filter((key) => !Object.hasOwn(matches, key));
+    const found = await mapConcurrently(toLookUp, (key) => lookUp(byKey.get(key)));
+
+    const movieIds = new Map(toLookUp.map((key, index) => [key, found[index]]));
+    for (const [key, movieId] of Object.entries(matches)) movieIds.set(key, movieId);
+
+    const unmatched = [];
+    for (const row of rows) {
+        const key = movieKey(row);
+        row.movieId = movieIds.get(key);
+        if (row.movieId === undefined) {
+            unmatched.push({ file: row.file, line: row.line, title: row.title, year: row.year, imdbId: row.imdbId, key });
+        }
+    }
+
+    return unmatched;
+};
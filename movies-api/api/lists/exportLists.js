@@ -0,0 +1,197 @@
+import List from './listModel';
+import Review from '../reviews/reviewModel';
+import { getMovie } from '../tmdb-api';
+import { mapConcurrently } from '../tmdb-client';
+import { toCsv } from '../imports/csv';
+
+/**
+ * List Exports
+ *
+ * Builds the files behind GET /api/users/lists/export: a user's favorites,
+ * must-watch list, reviews and (for 'all') custom lists, with every movie
+ * filled in from TMDB (title, year, IMDb ID, runtime, genres).
+ *
+ * - json: { exportedAt, lists: [{ name, items: [...] }] }
+ * - csv: one row per movie per list
+ * - letterboxd: one row per movie in the columns Letterboxd's importer reads
+ *   (tmdbID, imdbID, Title, Year, Rating, WatchedDate, Review, Tags); the
+ *   lists a movie is in become its tags
+ *
+ * Letterboxd treats every imported row as watched, so its export of 'all'
+ * leaves must-watch out; export mustWatch on its own and import it into
+ * the Letterboxd watchlist instead.
+ *
+ * Movies TMDB can't return (removed, or TMDB is down) are still exported,
+ * with the details we have.
+ */
+
+const CSV_HEADERS = ['List', 'TMDB ID', 'Title', 'Year', 'IMDb ID', 'Runtime', 'Genres', 'Rating', 'Review', 'Note', 'Date'];
+
+const LETTERBOXD_HEADERS = ['tmdbID', 'imdbID', 'Title', 'Year', 'Rating', 'WatchedDate', 'Review', 'Tags'];
+
+const LIST_NAMES = { favorites: 'Favorites', mustWatch: 'Must Watch', reviews: 'Reviews' };
+
+const toDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+/**
+ * Collects the entries to export: one per movie per list.
+ *
+ * @returns {Promise<Array<{ key: string, name: string, entries: Object[] }>>} key is the list kind, or 'custom'
+ */
+const collectLists = async (user, which) => {
+    const lists = [];
+    const wants = (name) => which === 'all' || which === name;
+
+    if (wants('favorites')) {
+        lists.push({ key: 'favorites', name: LIST_NAMES.favorites, entries: user.favorites.map((movieId) => ({ movieId })) });
+    }
+    if (wants('mustWatch')) {
+        lists.push({ key: 'mustWatch', name: LIST_NAMES.mustWatch, entries: user.mustWatch.map((movieId) => ({ movieId })) });
+    }
+    if (wants('reviews')) {
+        const reviews = await Review.find({ user: user._id }).sort({ createdAt: 1 });
+        lists.push({
+            key: 'reviews',
+            name: LIST_NAMES.reviews,
+            entries: reviews.map((review) => ({
+                movieId: review.movieId,
+                title: review.movieTitle,
+                rating: review.rating,
+                review: review.content,
+                date: toDay(review.createdAt),
+            })),
+        });
+    }
+    if (which === 'all') {
+        const customLists = await List.find({ user: user._id }).sort({ createdAt: 1 });
+        for (const list of customLists) {
+            lists.push({
+                key: 'custom',
+                name: list.name,
+                entries: list.items.map((item) => ({ movieId: item.movieId, note: item.note, date: toDay(item.addedAt) })),
+            });
+        }
+    }
+
+    return lists;
+};
+
+/**
+ * Fetches each movie's details once, a few at a time.
+ *
+ * @returns {Promise<Map<number, Object>>} { title, year, imdbId, runtime, genres } by movie ID
+ */
+const fetchDetails = async (lists) => {
+    const movieIds = [...new Set(lists.flatMap((list) => list.entries.map((entry) => entry.movieId)))];
+
+    const details = await mapConcurrently(movieIds, async (movieId) => {
+        try {
+            const movie = await getMovie(movieId);
+            return {
+                title: movie.title,
+                year: Number((movie.release_date || '').slice(0, 4)) || undefined,
+                imdbId: movie.imdb_id || undefined,
+                runtime: movie.runtime || undefined,
+                genres: (movie.genres || []).map((genre) => genre.name),
+            };
+        } catch {
+            return {};
+        }
+    });
+
+    const byId = new Map(movieIds.map((movieId, index) => [movieId, details[index]]));
+
+    // Reviews store the title, which covers movies TMDB didn't return
+    for (const entry of lists.flatMap((list) => list.entries)) {
+        const movie = byId.get(entry.movieId);
+        if (entry.title && !movie.title) movie.title = entry.title;
+    }
+
+    return byId;
+};
+
+/**
+ * An entry with its movie's details.
+ */
+const describe = (entry, details) => {
+    const movie = details.get(entry.movieId);
+    return { ...entry, ...movie, genres: movie.genres || [] };
+};
+
+const toJson = (lists, details) => ({
+    exportedAt: new Date(),
+    lists: lists.map((list) => ({
+        name: list.name,
+        items: list.entries.map((entry) => describe(entry, details)),
+    })),
+});
+
+const toPlainCsv = (lists, details) => toCsv(CSV_HEADERS, lists.flatMap((list) => list.entries.map((entry) => {
+    const item = describe(entry, details);
+    return {
+        'List': list.name,
+        'TMDB ID': item.movieId,
+        'Title': item.title,
+        'Year': item.year,
+        'IMDb ID': item.imdbId,
+        'Runtime': item.runtime,
+        'Genres': item.genres.join(', '),
+        'Rating': item.rating,
+        'Review': item.review,
+        'Note': item.note,
+        'Date': item.date,
+    };
+})));
+
+const toLetterboxdCsv = (lists, details) => {
+    // One row per movie: the review supplies rating, text and date; the other lists become tags
+    const rows = new Map();
+    for (const list of lists) {
+        for (const entry of list.entries) {
+            const item = describe(entry, details);
+            const row = rows.get(entry.movieId) || {
+                'tmdbID': item.movieId,
+                'imdbID': item.imdbId,
+                'Title': item.title,
+                'Year': item.year,
+                tags: [],
+            };
+            if (list.key === 'reviews') {
+                row['Rating'] = item.rating;
+                row['WatchedDate'] = item.date;
+                row['Review'] = item.review;
+            } else {
+                row.tags.push(list.name.toLowerCase());
+            }
+            rows.set(entry.movieId, row);
+        }
+    }
+
+    return toCsv(LETTERBOXD_HEADERS, [...rows.values()].map((row) => ({ ...row, 'Tags': row.tags.join(', ') })));
+};
+
+/**
+ * Builds an export file.
+ *
+ * @param {Object} user - The User document
+ * @param {Object} options
+ * @param {string} options.format - 'csv', 'json' or 'letterboxd'
+ * @param {string} options.list - 'all', 'favorites', 'mustWatch' or 'reviews'
+ * @returns {Promise<{ filename: string, body: string|Object }>} CSV text, or the object to send as JSON
+ */
+export const buildListExport = async (user, { format, list }) => {
+    let lists = await collectLists(user, list);
+    if (format === 'letterboxd' && list === 'all') {
+        lists = lists.filter((collected) => collected.key !== 'mustWatch');
+    }
+    const details = await fetchDetails(lists);
+    const day = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+        return { filename: `moodvy-${list}-${day}.json`, body: toJson(lists, details) };
+    }
+    if (format === 'letterboxd') {
+        return { filename: `moodvy-${list}-letterboxd-${day}.csv`, body: toLetterboxdCsv(lists, details) };
+    }
+    return { filename: `moodvy-${list}-${day}.csv`, body: toPlainCsv(lists, details) };
+};
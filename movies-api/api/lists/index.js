@@ -0,0 +1,358 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import List from './listModel';
+import { buildListExport } from './exportLists';
+import authenticate, { optionalAuthenticate } from '../../authenticate';
+import { publishChange } from '../events/changes';
+import { BadRequestError, ConflictError, NotFoundError } from '../../errors';
+import { validate } from '../../validation';
+import {
+    CREATE_LIST,
+    UPDATE_LIST,
+    LIST_ID_PARAM,
+    ADD_LIST_ITEM,
+    LIST_ITEM_PARAMS,
+    UPDATE_LIST_ITEM,
+    EXPORT_LISTS
+} from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Custom Lists Router
+ *
+ * Mounted at /api/users/lists. Users can keep any number of named movie
+ * lists next to their favorites and must-watch lists. Items are ordered
+ * (array order) and each can carry a short note.
+ *
+ * Every route needs a logged-in owner, except GET /:listId, which also
+ * serves public lists to anyone. GET /export is defined before /:listId
+ * so 'export' isn't taken for a list ID.
+ */
+
+// Keep a single user from creating unbounded data
+const MAX_LISTS = 50;
+const MAX_ITEMS = 500;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Checks whether the user already has another list with this name (case-insensitive).
+ */
+const isNameTaken = async (user, name, exceptListId) => {
+    const lists = await List.find({ user: user._id }, { name: 1 });
+    const wanted = name.trim().toLowerCase();
+    return lists.some((list) => list.name.toLowerCase() === wanted && !list._id.equals(exceptListId));
+};
+
+/**
+ * Finds one of the user's own lists (the ID is already checked by LIST_ID_PARAM).
+ * Resolves to null for unknown IDs and for other users' lists.
+ */
+const findOwnList = async (user, listId) => {
+    return List.findOne({ _id: listId, user: user._id });
+};
+
+// ============================================
+// LIST ROUTES
+// ============================================
+
+/**
+ * GET /api/users/lists
+ *
+ * Returns all of the authenticated user's lists, oldest first.
+ *
+ * @returns {Object} { success: true, lists: [{ _id, name, description, visibility, items, createdAt, updatedAt }, ...] }
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const lists = await List.find({ user: req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        lists
+    });
+}));
+
+/**
+ * POST /api/users/lists
+ *
+ * Creates a new, empty list.
+ *
+ * @body {string} name - List name (1-60 characters, unique per user)
+ * @body {string} [description] - Optional description
+ * @body {string} [visibility] - 'private' (default) or 'public'
+ * @returns {Object} { success: true, msg: string, list: {...} }
+ */
+router.post('/', authenticate, validate(CREATE_LIST), asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.valid.body;
+
+    const user = req.user;
+
+    if (await List.countDocuments({ user: user._id }) >= MAX_LISTS) {
+        throw new BadRequestError(`You can have at most ${MAX_LISTS} lists.`);
+    }
+
+    if (await isNameTaken(user, name)) {
+        throw new ConflictError('You already have a list with that name.');
+    }
+
+    const list = await List.create({ user: user._id, name, description, visibility });
+    await publishChange(user, 'list.saved', { list: list.toJSON() });
+
+    res.status(201).json({
+        success: true,
+        msg: 'List created.',
+        list
+    });
+}));
+
+/**
+ * GET /api/users/lists/export
+ *
+ * Downloads the authenticated user's favorites, must-watch list and reviews
+ * (and with list=all, their custom lists) with each movie's title, year,
+ * IMDb ID, runtime and genres from TMDB. See exportLists.js for the formats.
+ *
+ * @query {string} [format=csv] - 'csv', 'json' or 'letterboxd' (a CSV for Letterboxd's importer)
+ * @query {string} [list=all] - 'all', 'favorites', 'mustWatch' or 'reviews'
+ * @returns {string|Object} The file, sent as an attachment
+ */
+router.get('/export', authenticate, validate(EXPORT_LISTS), asyncHandler(async (req, res) => {
+    const { filename, body } = await buildListExport(req.user, req.valid.query);
+
+    res.attachment(filename);
+    if (typeof body === 'string') {
+        res.status(200).send(body);
+    } else {
+        res.status(200).json(body);
+    }
+}));
+
+/**
+ * GET /api/users/lists/:listId
+ *
+ * Returns a single list. Owners can read any of their lists; anyone
+ * (logged in or not) can read a public list. A list whose owner was
+ * deleted is not found.
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @returns {Object} { success: true, list: {...}, owner: username, isOwner: boolean }
+ */
+router.get('/:listId', optionalAuthenticate, validate(LIST_ID_PARAM), asyncHandler(async (req, res) => {
+    const list = await List.findById(req.valid.params.listId).populate('user', 'username');
+
+    // user is null when the owner's account is gone (a deletion that stopped halfway)
+    const isOwner = Boolean(list?.user && req.user && list.user._id.equals(req.user._id));
+
+    // Private lists look exactly like missing ones to everyone but the owner
+    if (!list || !list.user || (!isOwner && list.visibility !== 'public')) {
+        throw new NotFoundError('List not found.');
+    }
+
+    const { user, ...rest } = list.toObject();
+    res.status(200).json({
+        success: true,
+        list: { ...rest, user: user._id },
+        owner: user.username,
+        isOwner
+    });
+}));
+
+/**
+ * PATCH /api/users/lists/:listId
+ *
+ * Renames a list or changes its description or visibility.
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @body {string} [name] - New name
+ * @body {string} [description] - New description
+ * @body {string} [visibility] - 'private' or 'public'
+ * @returns {Object} { success: true, msg: string, list: {...} }
+ */
+router.patch('/:listId', authenticate, validate(UPDATE_LIST), asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.valid.body;
+
+    if (name === undefined && description === undefined && visibility === undefined) {
+        throw new BadRequestError('Nothing to update: provide a name, description or visibility.');
+    }
+
+    const list = await findOwnList(req.user, req.valid.params.listId);
+    if (!list) {
+        throw new NotFoundError('List not found.');
+    }
+
+    if (name !== undefined && await isNameTaken(req.user, name, list._id)) {
+        throw new ConflictError('You already have a list with that name.');
+    }
+
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (visibility !== undefined) list.visibility = visibility;
+    await list.save();
+    await publishChange(req.user, 'list.saved', { list: list.toJSON() });
+
+    res.status(200).json({
+        success: true,
+        msg: 'List updated.',
+        list
+    });
+}));
+
+/**
+ * DELETE /api/users/lists/:listId
+ *
+ * Deletes a list and all of its items.
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/:listId', authenticate, validate(LIST_ID_PARAM), asyncHandler(async (req, res) => {
+    const list = await findOwnList(req.user, req.valid.params.listId);
+    if (!list) {
+        throw new NotFoundError('List not found.');
+    }
+
+    await list.deleteOne();
+    await publishChange(req.user, 'list.deleted', { listId: list._id });
+
+    res.status(200).json({
+        success: true,
+        msg: 'List deleted.'
+    });
+}));
+
+// ============================================
+// LIST ITEM ROUTES
+// ============================================
+
+/**
+ * POST /api/users/lists/:listId/items
+ *
+ * Adds a movie to the end of a list.
+ * If the movie is already in the list, returns success without duplicating.
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @body {number} movieId - TMDB movie ID
+ * @body {string} [note] - Optional note for this movie
+ * @returns {Object} { success: true, msg: string, list: {...} }
+ */
+router.post('/:listId/items', authenticate, validate(ADD_LIST_ITEM), asyncHandler(async (req, res) => {
+    const { movieId, note } = req.valid.body;
+
+    const list = await findOwnList(req.user, req.valid.params.listId);
+    if (!list) {
+        throw new NotFoundError('List not found.');
+    }
+
+    if (list.items.some((item) => item.movieId === movieId)) {
+        return res.status(200).json({
+            success: true,
+            msg: 'Movie is already in this list.',
+            list
+        });
+    }
+
+    if (list.items.length >= MAX_ITEMS) {
+        throw new BadRequestError(`A list can hold at most ${MAX_ITEMS} movies.`);
+    }
+
+    list.items.push({ movieId, note });
+    await list.save();
+    await publishChange(req.user, 'list.saved', { list: list.toJSON() });
+
+    res.status(201).json({
+        success: true,
+        msg: 'Movie added to list.',
+        list
+    });
+}));
+
+/**
+ * PATCH /api/users/lists/:listId/items/:movieId
+ *
+ * Changes a list item's note and/or moves it to a new position.
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @param {number} movieId - TMDB movie ID (from URL parameter)
+ * @body {string} [note] - New note (empty string clears it)
+ * @body {number} [position] - New 0-based position in the list
+ * @returns {Object} { success: true, msg: string, list: {...} }
+ */
+router.patch('/:listId/items/:movieId', authenticate, validate(UPDATE_LIST_ITEM), asyncHandler(async (req, res) => {
+    const { listId, movieId } = req.valid.params;
+    const { note, position } = req.valid.body;
+
+    if (note === undefined && position === undefined) {
+        throw new BadRequestError('Nothing to update: provide a note, a position, or both.');
+    }
+
+    const list = await findOwnList(req.user, listId);
+    if (!list) {
+        throw new NotFoundError('List not found.');
+    }
+
+    const index = list.items.findIndex((item) => item.movieId === movieId);
+    if (index === -1) {
+        throw new NotFoundError('Movie is not in this list.');
+    }
+
+    if (position !== undefined && position >= list.items.length) {
+        throw new BadRequestError(`Invalid position. Must be a whole number between 0 and ${list.items.length - 1}.`);
+    }
+
+    if (note !== undefined) list.items[index].note = note;
+    if (position !== undefined && position !== index) {
+        const [item] = list.items.splice(index, 1);
+        list.items.splice(position, 0, item);
+    }
+    await list.save();
+    await publishChange(req.user, 'list.saved', { list: list.toJSON() });
+
+    res.status(200).json({
+        success: true,
+        msg: 'List item updated.',
+        list
+    });
+}));
+
+/**
+ * DELETE /api/users/lists/:listId/items/:movieId
+ *
+ * Removes a movie from a list.
+ * If the movie is not in the list, returns success (idempotent).
+ *
+ * @param {string} listId - The list's _id (from URL parameter)
+ * @param {number} movieId - TMDB movie ID (from URL parameter)
+ * @returns {Object} { success: true, msg: string, list: {...} }
+ */
+router.delete('/:listId/items/:movieId', authenticate, validate(LIST_ITEM_PARAMS), asyncHandler(async (req, res) => {
+    const { listId, movieId } = req.valid.params;
+
+    const list = await findOwnList(req.user, listId);
+    if (!list) {
+        throw new NotFoundError('List not found.');
+    }
+
+    const index = list.items.findIndex((item) => item.movieId === movieId);
+    if (index === -1) {
+        return res.status(200).json({
+            success: true,
+            msg: 'Movie was not in this list.',
+            list
+        });
+    }
+
+    list.items.splice(index, 1);
+    await list.save();
+    await publishChange(req.user, 'list.saved', { list: list.toJSON() });
+
+    res.status(200).json({
+        success: true,
+        msg: 'Movie removed from list.',
+        list
+    });
+}));
+
+export default router;
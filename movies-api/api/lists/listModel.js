@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+/**
+ * List Schema for MongoDB
+ *
+ * User-defined movie lists ("Halloween marathon", "Films for Dad") that sit
+ * alongside the built-in favorites and must-watch arrays on the user.
+ *
+ * Fields:
+ * - user: The owner's User _id
+ * - name: List name, unique per user
+ * - description: Optional short description
+ * - visibility: 'private' (owner only) or 'public' (anyone with the link)
+ * - items: Ordered movies - array order is the list order
+ *   - movieId: TMDB movie ID
+ *   - note: Optional per-item note ("watch this one first")
+ *   - addedAt: When the movie was added
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const ListSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, minlength: 1, maxlength: 60 },
+  description: { type: String, trim: true, maxlength: 500, default: '' },
+  visibility: { type: String, enum: ['private', 'public'], default: 'private' },
+  items: {
+    type: [{
+      _id: false,
+      movieId: { type: Number, required: true },
+      note: { type: String, trim: true, maxlength: 500, default: '' },
+      addedAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+}, {
+  timestamps: true,
+});
+
+// List names are unique per user
+ListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("List", ListSchema);
@@ -0,0 +1,76 @@
+import { BadRequestError } from '../../errors';
+import { VALIDATION_FAILED } from '../../validation';
+import { DEFAULT_DISCOVER_SORT } from '../../validation/schemas';
+
+/**
+ * Discover Filters
+ *
+ * Translates the filters of GET /api/movies/discover (already checked
+ * against DISCOVER_QUERY in validation/schemas.js) into TMDB
+ * /discover/movie parameters. Our API uses short, friendly names and
+ * TMDB's dotted names never leak to the frontend:
+ *
+ *   genres=27,53        -> with_genres=27,53 (movies must have every genre)
+ *   yearFrom=1990       -> primary_release_date.gte=1990-01-01
+ *   yearTo=1999         -> primary_release_date.lte=1999-12-31
+ *   ratingMin/ratingMax -> vote_average.gte / vote_average.lte (0-10)
+ *   minVotes=100        -> vote_count.gte=100
+ *   runtimeMin/Max      -> with_runtime.gte / with_runtime.lte (minutes)
+ *   language=fr         -> with_original_language=fr
+ *   sortBy=...          -> sort_by (see DISCOVER_SORT_OPTIONS)
+ */
+
+// Each numeric filter: our query name, TMDB name, and how to format the value
+const NUMERIC_FILTERS = [
+    { name: 'yearFrom', tmdb: 'primary_release_date.gte', format: (year) => `${year}-01-01` },
+    { name: 'yearTo', tmdb: 'primary_release_date.lte', format: (year) => `${year}-12-31` },
+    { name: 'ratingMin', tmdb: 'vote_average.gte' },
+    { name: 'ratingMax', tmdb: 'vote_average.lte' },
+    { name: 'minVotes', tmdb: 'vote_count.gte' },
+    { name: 'runtimeMin', tmdb: 'with_runtime.gte' },
+    { name: 'runtimeMax', tmdb: 'with_runtime.lte' },
+];
+
+// Ranges whose ends can only be compared once both have been checked: [from, to, message]
+const RANGES = [
+    ['yearFrom', 'yearTo', 'yearFrom cannot be later than yearTo.'],
+    ['ratingMin', 'ratingMax', 'ratingMin cannot be greater than ratingMax.'],
+    ['runtimeMin', 'runtimeMax', 'runtimeMin cannot be greater than runtimeMax.'],
+];
+
+/**
+ * Builds the TMDB discover params from checked filters.
+ *
+ * The params object is always built in the same key order, so identical
+ * filter sets share a cache entry in tmdb-api.js.
+ *
+ * @param {Object} filters - req.valid.query ({} gives the unfiltered homepage list)
+ * @returns {Object} TMDB discover params
+ * @throws {BadRequestError} VALIDATION_FAILED if a range's ends are the wrong way round
+ */
+export const toDiscoverParams = (filters) => {
+    const fields = RANGES
+        .filter(([from, to]) => filters[from] !== undefined && filters[to] !== undefined && filters[from] > filters[to])
+        .map(([, to, message]) => ({ location: 'query', field: to, message }));
+
+    if (fields.length > 0) {
+        throw new BadRequestError(fields.map((field) => field.message).join(' '), {
+            code: VALIDATION_FAILED,
+            details: { fields },
+        });
+    }
+
+    const params = {};
+    if (filters.genres) params.with_genres = filters.genres;
+
+    for (const filter of NUMERIC_FILTERS) {
+        const value = filters[filter.name];
+        if (value === undefined) continue;
+        params[filter.tmdb] = filter.format ? filter.format(value) : value;
+    }
+
+    if (filters.language) params.with_original_language = filters.language;
+    params.sort_by = filters.sortBy || DEFAULT_DISCOVER_SORT;
+
+    return params;
+};
@@ -10,12 +10,16 @@ import {
     getGenres,
     getMovie,
     getMovieImages,
-    getMovieReviews,
     getMovieCredits,
     getMovieRecommendations,
     getMovieSimilar,
     searchMovies
 } from '../tmdb-api';
+import { paginate, toPage, pageList } from '../pagination';
+import { toDiscoverParams } from './discoverFilters';
+import { getMergedMovieReviews } from './movieReviews';
+import { validate } from '../../validation';
+import { SEARCH, TMDB_ID_PARAM, MOVIE_REVIEWS, DISCOVER_QUERY } from '../../validation/schemas';
 
 const router = express.Router();
 
@@ -27,6 +31,12 @@ const router = express.Router();
  * 
  * Route naming convention: Clean, lowercase, hyphenated
  * Example: /top-rated instead of /top_rated
+ *
+ * List routes accept ?page= and all return the same envelope:
+ * { results, page, totalPages, totalResults }
+ *
+ * Params and query are declared with validate() (see validation/schemas.js);
+ * handlers read the checked values from req.valid.
  */
 
 // ============================================
@@ -36,58 +46,72 @@ const router = express.Router();
 
 /**
  * GET /api/movies/discover
- * Returns a curated list of discover movies for the homepage
+ * Returns a curated list of discover movies for the homepage, filtered by TMDB
+ * Query parameter: page (optional) - page of results, 1-500
+ * Query parameters (all optional):
+ * - genres - comma-separated genre IDs, movies must match all of them
+ * - yearFrom, yearTo - release year range
+ * - ratingMin, ratingMax - vote average range (0-10)
+ * - minVotes - minimum number of votes
+ * - runtimeMin, runtimeMax - runtime range in minutes
+ * - language - original language (ISO 639-1, e.g. "fr")
+ * - sortBy - e.g. popularity.desc, vote_average.desc, primary_release_date.desc
  */
-router.get('/discover', asyncHandler(async (req, res) => {
-    const movies = await getMovies();
-    res.status(200).json(movies);
+router.get('/discover', paginate, validate({ query: DISCOVER_QUERY }), asyncHandler(async (req, res) => {
+    const movies = await getMovies(toDiscoverParams(req.valid.query), req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
  * GET /api/movies/upcoming
  * Returns movies coming soon to theaters
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/upcoming', asyncHandler(async (req, res) => {
-    const movies = await getUpcomingMovies();
-    res.status(200).json(movies);
+router.get('/upcoming', paginate, asyncHandler(async (req, res) => {
+    const movies = await getUpcomingMovies(req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
  * GET /api/movies/popular
  * Returns currently popular movies
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/popular', asyncHandler(async (req, res) => {
-    const movies = await getPopularMovies();
-    res.status(200).json(movies);
+router.get('/popular', paginate, asyncHandler(async (req, res) => {
+    const movies = await getPopularMovies(req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
  * GET /api/movies/top-rated
  * Returns highest rated movies of all time
  * Note: Using clean URL (top-rated) instead of TMDB's (top_rated)
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/top-rated', asyncHandler(async (req, res) => {
-    const movies = await getTopRatedMovies();
-    res.status(200).json(movies);
+router.get('/top-rated', paginate, asyncHandler(async (req, res) => {
+    const movies = await getTopRatedMovies(req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
  * GET /api/movies/now-playing
  * Returns movies currently in theaters
  * Note: Using clean URL (now-playing) instead of TMDB's (now_playing)
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/now-playing', asyncHandler(async (req, res) => {
-    const movies = await getNowPlayingMovies();
-    res.status(200).json(movies);
+router.get('/now-playing', paginate, asyncHandler(async (req, res) => {
+    const movies = await getNowPlayingMovies(req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
  * GET /api/movies/trending
  * Returns trending movies this week
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/trending', asyncHandler(async (req, res) => {
-    const movies = await getTrendingMovies();
-    res.status(200).json(movies);
+router.get('/trending', paginate, asyncHandler(async (req, res) => {
+    const movies = await getTrendingMovies(req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 /**
@@ -103,16 +127,12 @@ router.get('/genres', asyncHandler(async (req, res) => {
  * GET /api/movies/search?query=xxx
  * Search for movies by title
  * Query parameter: query (required) - the search term
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/search', asyncHandler(async (req, res) => {
-    const { query } = req.query;
-    
-    if (!query) {
-        return res.status(400).json({ message: 'Query parameter is required' });
-    }
-    
-    const movies = await searchMovies(query);
-    res.status(200).json(movies);
+router.get('/search', paginate, validate(SEARCH), asyncHandler(async (req, res) => {
+    const { query } = req.valid.query;
+    const movies = await searchMovies(query, req.page);
+    res.status(200).json(toPage(movies));
 }));
 
 // ============================================
@@ -125,8 +145,8 @@ router.get('/search', asyncHandler(async (req, res) => {
  * Returns detailed information about a specific movie
  * URL parameter: id (required) - the TMDB movie ID
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/:id', validate(TMDB_ID_PARAM), asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
     const movie = await getMovie(id);
     res.status(200).json(movie);
 }));
@@ -135,28 +155,34 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * GET /api/movies/:id/images
  * Returns images (posters, backdrops) for a specific movie
  */
-router.get('/:id/images', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/:id/images', validate(TMDB_ID_PARAM), asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
     const images = await getMovieImages(id);
     res.status(200).json(images);
 }));
 
 /**
  * GET /api/movies/:id/reviews
- * Returns user reviews for a specific movie
+ * Returns TMDB reviews and our own users' reviews for a specific movie, merged
+ * Each review is tagged with source: 'tmdb' or 'local' (see movieReviews.js)
+ * Query parameters:
+ *   page (optional) - page of results, 1-500
+ *   sortBy (optional) - date.desc (default), date.asc, rating.desc or rating.asc
+ * Response adds communityRating: { average, count, histogram } from local reviews
  */
-router.get('/:id/reviews', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const reviews = await getMovieReviews(id);
-    res.status(200).json(reviews);
+router.get('/:id/reviews', validate(MOVIE_REVIEWS), paginate, asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
+    const { sortBy } = req.valid.query;
+    const { reviews, communityRating } = await getMergedMovieReviews(id, sortBy);
+    res.status(200).json({ ...pageList(reviews, req.page), communityRating });
 }));
 
 /**
  * GET /api/movies/:id/credits
  * Returns cast and crew for a specific movie
  */
-router.get('/:id/credits', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/:id/credits', validate(TMDB_ID_PARAM), asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
     const credits = await getMovieCredits(id);
     res.status(200).json(credits);
 }));
@@ -164,21 +190,23 @@ router.get('/:id/credits', asyncHandler(async (req, res) => {
 /**
  * GET /api/movies/:id/recommendations
  * Returns recommended movies based on a specific movie
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/:id/recommendations', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const recommendations = await getMovieRecommendations(id);
-    res.status(200).json(recommendations);
+router.get('/:id/recommendations', validate(TMDB_ID_PARAM), paginate, asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
+    const recommendations = await getMovieRecommendations(id, req.page);
+    res.status(200).json(toPage(recommendations));
 }));
 
 /**
  * GET /api/movies/:id/similar
  * Returns movies similar to a specific movie
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/:id/similar', asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const similar = await getMovieSimilar(id);
-    res.status(200).json(similar);
+router.get('/:id/similar', validate(TMDB_ID_PARAM), paginate, asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
+    const similar = await getMovieSimilar(id, req.page);
+    res.status(200).json(toPage(similar));
 }));
 
 export default router;
@@ -0,0 +1,131 @@
+import Review from '../reviews/reviewModel';
+import { getMovieReviews } from '../tmdb-api';
+import { DEFAULT_REVIEW_SORT } from '../../validation/schemas';
+
+/**
+ * Movie Reviews
+ *
+ * Builds the review list for GET /api/movies/:id/reviews by merging
+ * TMDB reviews with the reviews our own users wrote. Both sources are
+ * converted to one shape so the frontend doesn't need to care where a
+ * review came from:
+ *
+ *   { id, source: 'tmdb' | 'local', author, content,
+ *     rating (out of 10, or null), createdAt, updatedAt, url }
+ *
+ * Local ratings are 1-5 stars, TMDB ratings are out of 10, so local
+ * ratings are doubled to make sorting by rating fair across sources.
+ */
+
+// TMDB rarely has more than a handful of review pages per movie; this caps the work
+// for the few films that do
+const MAX_TMDB_REVIEW_PAGES = 5;
+
+/**
+ * Fetches every TMDB review page for a movie (up to MAX_TMDB_REVIEW_PAGES).
+ * Each page goes through the TMDB cache, so repeat requests are cheap.
+ */
+const getAllTmdbReviews = async (movieId) => {
+    const firstPage = await getMovieReviews(movieId, 1);
+    const lastPage = Math.min(firstPage.total_pages || 1, MAX_TMDB_REVIEW_PAGES);
+
+    const otherPages = await Promise.all(
+        Array.from({ length: lastPage - 1 }, (_, i) => getMovieReviews(movieId, i + 2))
+    );
+
+    return [firstPage, ...otherPages].flatMap((page) => page.results || []);
+};
+
+/**
+ * Finds every local review of a movie across all users (uses the movieId index).
+ */
+const getLocalReviews = async (movieId) => {
+    // Non-numeric IDs can't match a review (TMDB answers those with a 404 anyway)
+    if (!Number.isInteger(movieId)) return [];
+    return Review.find({ movieId }).lean();
+};
+
+const fromTmdb = (review) => ({
+    id: review.id,
+    source: 'tmdb',
+    author: review.author,
+    content: review.content,
+    rating: typeof review.author_details?.rating === 'number' ? review.author_details.rating : null,
+    createdAt: review.created_at,
+    updatedAt: review.updated_at || null,
+    url: review.url || null,
+});
+
+const fromLocal = (review) => ({
+    id: String(review._id),
+    source: 'local',
+    author: review.author,
+    content: review.content,
+    rating: review.rating * 2,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt || null,
+    url: null,
+});
+
+/**
+ * Sorts reviews in place. Reviews without a rating always go last when sorting by rating.
+ */
+const sortReviews = (reviews, sortBy) => {
+    const [field, direction] = sortBy.split('.');
+    const sign = direction === 'asc' ? 1 : -1;
+
+    return reviews.sort((a, b) => {
+        if (field === 'rating') {
+            if (a.rating === null || b.rating === null) {
+                return (a.rating === null) - (b.rating === null);
+            }
+            return sign * (a.rating - b.rating);
+        }
+        return sign * (new Date(a.createdAt) - new Date(b.createdAt));
+    });
+};
+
+/**
+ * Summarises how our own users rate a movie.
+ *
+ * @param {Array} localReviews - Local reviews (1-5 stars)
+ * @returns {Object} { average (1-5, one decimal, or null), count, histogram: { 1: n, ..., 5: n } }
+ */
+export const getCommunityRating = (localReviews) => {
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let total = 0;
+
+    for (const review of localReviews) {
+        histogram[review.rating] += 1;
+        total += review.rating;
+    }
+
+    const count = localReviews.length;
+    return {
+        average: count ? Math.round((total / count) * 10) / 10 : null,
+        count,
+        histogram,
+    };
+};
+
+/**
+ * Returns TMDB and local reviews for a movie, merged and sorted,
+ * plus the community rating summary.
+ *
+ * @param {string|number} movieId - TMDB movie ID
+ * @param {string} sortBy - One of REVIEW_SORT_OPTIONS (validation/schemas.js)
+ * @returns {Promise<{ reviews: Array, communityRating: Object }>}
+ */
+export const getMergedMovieReviews = async (movieId, sortBy = DEFAULT_REVIEW_SORT) => {
+    const [tmdbReviews, localReviews] = await Promise.all([
+        getAllTmdbReviews(movieId),
+        getLocalReviews(Number(movieId)),
+    ]);
+
+    const reviews = sortReviews(
+        [...tmdbReviews.map(fromTmdb), ...localReviews.map(fromLocal)],
+        sortBy
+    );
+
+    return { reviews, communityRating: getCommunityRating(localReviews) };
+};
@@ -0,0 +1,103 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import Notification from './notificationModel';
+import authenticate from '../../authenticate';
+import { PAGE_SIZE } from '../pagination';
+import { NotFoundError } from '../../errors';
+import { validate } from '../../validation';
+import { NOTIFICATION_LIST, UPDATE_NOTIFICATIONS, UPDATE_NOTIFICATION } from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Notifications Router
+ *
+ * Mounted at /api/users/notifications. Lists the user's notifications
+ * (created by releaseWatcher.js when a must-watch movie comes out) and
+ * marks them read.
+ *
+ * Every route needs a logged-in user, and users only ever see their own
+ * notifications.
+ */
+router.use(authenticate);
+
+// ============================================
+// NOTIFICATION ROUTES
+// ============================================
+
+/**
+ * GET /api/users/notifications
+ *
+ * Returns the user's notifications, newest first, 20 per page, with the
+ * number still unread.
+ *
+ * @query {boolean} [unread=false] - Only unread notifications
+ * @query {number} [page=1]
+ * @returns {Object} { success: true, notifications: [{ _id, type, movieId, movieTitle, posterPath,
+ *   releaseDate, region, readAt, createdAt }, ...], unreadCount, page, totalPages }
+ */
+router.get('/', validate(NOTIFICATION_LIST), asyncHandler(async (req, res) => {
+    const { unread, page } = req.valid.query;
+    const filter = { user: req.user._id };
+    if (unread) filter.readAt = null;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter).sort({ createdAt: -1 }).skip((page - 1) * PAGE_SIZE).limit(PAGE_SIZE),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        notifications,
+        unreadCount,
+        page,
+        totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    });
+}));
+
+/**
+ * PATCH /api/users/notifications
+ *
+ * Marks every notification read (or unread).
+ *
+ * @body {boolean} read
+ * @returns {Object} { success: true, updated: number, unreadCount }
+ */
+router.patch('/', validate(UPDATE_NOTIFICATIONS), asyncHandler(async (req, res) => {
+    const { read } = req.valid.body;
+    const filter = read ? { user: req.user._id, readAt: null } : { user: req.user._id, readAt: { $ne: null } };
+
+    const result = await Notification.updateMany(filter, { readAt: read ? new Date() : null });
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({ success: true, updated: result.modifiedCount, unreadCount });
+}));
+
+/**
+ * PATCH /api/users/notifications/:notificationId
+ *
+ * Marks one notification read or unread.
+ *
+ * @body {boolean} read
+ * @returns {Object} { success: true, notification, unreadCount }
+ * @throws {NotFoundError} If the notification doesn't exist or isn't the user's
+ */
+router.patch('/:notificationId', validate(UPDATE_NOTIFICATION), asyncHandler(async (req, res) => {
+    const notification = await Notification.findOne({ _id: req.valid.params.notificationId, user: req.user._id });
+    if (!notification) {
+        throw new NotFoundError('Notification not found.');
+    }
+
+    // Reading it again keeps the first readAt
+    const read = req.valid.body.read;
+    if (read !== Boolean(notification.readAt)) {
+        notification.readAt = read ? new Date() : null;
+        await notification.save();
+    }
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+    res.status(200).json({ success: true, notification, unreadCount });
+}));
+
+export default router;
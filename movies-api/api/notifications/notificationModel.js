@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+/**
+ * Notification Schema for MongoDB
+ *
+ * One in-app notification for one user. For now every notification is
+ * about a release of a movie on the user's must-watch list, created by the
+ * release watcher (releaseWatcher.js).
+ *
+ * Fields:
+ * - user: The recipient's User _id
+ * - type: What happened - 'cinema_release' (the movie is out in cinemas) or
+ *   'digital_release' (it has a digital release date, new or changed)
+ * - movieId, movieTitle, posterPath: The movie, as TMDB had it then
+ * - releaseDate: The release's date (YYYY-MM-DD)
+ * - region: The country the date is for (ISO 3166-1)
+ * - readAt: When the user read it; null while unread
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const NotificationSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['cinema_release', 'digital_release'], required: true },
+  movieId: { type: Number, required: true },
+  movieTitle: { type: String, required: true },
+  posterPath: { type: String, default: null },
+  releaseDate: { type: String, required: true },
+  region: { type: String, required: true },
+  readAt: { type: Date, default: null },
+}, {
+  timestamps: true,
+});
+
+// The feed (newest first) and the unread count
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+
+// The watcher runs again and again; each release is only announced once
+// (users remember which in notifiedReleases, as notifications expire).
+// A changed digital release date is a new release, so it's announced too.
+NotificationSchema.index({ user: 1, movieId: 1, type: 1, releaseDate: 1 }, { unique: true });
+
+// Old notifications aren't worth keeping: MongoDB deletes them after 90 days
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("Notification", NotificationSchema);
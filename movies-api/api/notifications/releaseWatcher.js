@@ -0,0 +1,136 @@
+import User from '../users/userModel';
+import Notification from './notificationModel';
+import { mapConcurrently } from '../tmdb-client';
+import { findMovie, findReleaseDates } from '../calendar/releases';
+
+/**
+ * Release Watcher
+ *
+ * Notices when movies on someone's must-watch list come out, and creates
+ * a notification for every user with the movie on their list:
+ *
+ * - cinema_release: the movie opened in cinemas within the last two weeks
+ * - digital_release: the movie has a digital release date that's still
+ *   ahead or within the last two weeks. TMDB usually adds these weeks in
+ *   advance, so users hear about it when it's announced; if the date
+ *   changes, they hear about the new one
+ *
+ * Dates are for RELEASE_REGION (a country code, default US). When TMDB has
+ * no cinema date there, the movie's primary release date is used.
+ *
+ * checkReleases can run as often as you like: each release reaches each
+ * user once. Users keep the releases they were told about in
+ * notifiedReleases, which unlike the notifications never expires - a
+ * digital release can come months after the cinema one. The job
+ * scheduler runs it every six hours as the release-check job (see
+ * jobs/definitions.js), and admins can start it by hand through
+ * /api/admin/jobs. The region is read on each run because dotenv is
+ * configured after this module is imported.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after a release it's still news
+const RECENT_DAYS = 14;
+
+// Movies out for longer than this are past both kinds of release, so their release dates aren't fetched
+const SETTLED_DAYS = 365;
+
+const releaseRegion = () => (process.env.RELEASE_REGION || 'US').toUpperCase();
+
+const toDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// An entry of User.notifiedReleases
+const releaseKey = (movieId, type, releaseDate) => `${movieId}:${type}:${releaseDate}`;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Works out which of a movie's releases are news right now.
+ *
+ * @returns {Promise<Array<{ type: string, releaseDate: string }>>}
+ */
+const newsworthyReleases = async (movie, region, now) => {
+    const today = toDay(now);
+    const since = toDay(now - RECENT_DAYS * DAY_MS);
+    if (movie.release_date && movie.release_date < toDay(now - SETTLED_DAYS * DAY_MS)) return [];
+
+    const { cinema, digital } = await findReleaseDates(movie.id, region);
+    const releases = [];
+
+    const cinemaDate = cinema || movie.release_date;
+    if (cinemaDate && cinemaDate >= since && cinemaDate <= today) {
+        releases.push({ type: 'cinema_release', releaseDate: cinemaDate });
+    }
+    if (digital && digital >= since) {
+        releases.push({ type: 'digital_release', releaseDate: digital });
+    }
+
+    return releases;
+};
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Checks every must-watch movie once and notifies about new releases.
+ * A TMDB failure other than a missing movie stops the run; the next run
+ * picks up where this one couldn't.
+ *
+ * @returns {Promise<{ movies: number, created: number }>} Movies checked and notifications created
+ * @throws {TmdbError} When TMDB fails
+ */
+export const checkReleases = async () => {
+    const region = releaseRegion();
+    const now = Date.now();
+
+    const movieIds = await User.distinct('mustWatch');
+    const checked = await mapConcurrently(movieIds, async (movieId) => {
+        const movie = await findMovie(movieId);
+        return movie ? { movie, releases: await newsworthyReleases(movie, region, now) } : null;
+    });
+    const news = new Map(checked.filter((entry) => entry?.releases.length > 0).map((entry) => [entry.movie.id, entry]));
+    if (news.size === 0) return { movies: movieIds.length, created: 0 };
+
+    const users = await User.find({ mustWatch: { $in: [...news.keys()] } }, { mustWatch: 1, notifiedReleases: 1 });
+
+    // Each user's releases they haven't been told about yet
+    const unannounced = users.map((user) => {
+        const notified = new Set(user.notifiedReleases);
+        const releases = user.mustWatch
+            .filter((movieId) => news.has(movieId))
+            .flatMap((movieId) => news.get(movieId).releases.map((release) => ({ movieId, ...release })))
+            .filter(({ movieId, type, releaseDate }) => !notified.has(releaseKey(movieId, type, releaseDate)));
+        return { user, releases };
+    }).filter(({ releases }) => releases.length > 0);
+    if (unannounced.length === 0) return { movies: movieIds.length, created: 0 };
+
+    // Upserts only insert: a notification a run that stopped halfway already created is left alone
+    const operations = unannounced.flatMap(({ user, releases }) => releases.map(({ movieId, type, releaseDate }) => {
+        const { movie } = news.get(movieId);
+        return {
+            updateOne: {
+                filter: { user: user._id, movieId, type, releaseDate },
+                update: { $setOnInsert: { movieTitle: movie.title, posterPath: movie.poster_path || null, region } },
+                upsert: true,
+            },
+        };
+    }));
+    const result = await Notification.bulkWrite(operations, { ordered: false });
+
+    await User.bulkWrite(unannounced.map(({ user, releases }) => ({
+        updateOne: {
+            filter: { _id: user._id },
+            update: {
+                $addToSet: {
+                    notifiedReleases: { $each: releases.map(({ movieId, type, releaseDate }) => releaseKey(movieId, type, releaseDate)) },
+                },
+            },
+        },
+    })), { ordered: false });
+
+    return { movies: movieIds.length, created: result.upsertedCount };
+};
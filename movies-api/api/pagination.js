@@ -0,0 +1,58 @@
+/**
+ * Pagination Helpers
+ *
+ * Shared by every list route in api/movies and api/people so they all
+ * accept the same ?page= parameter and return the same response shape.
+ */
+
+import { validate } from '../validation';
+import { PAGE, MAX_PAGE } from '../validation/schemas';
+
+export { MAX_PAGE };
+
+const validatePage = validate({ query: { page: PAGE } });
+
+/**
+ * Middleware that validates the optional ?page= query parameter.
+ * On success the page number is stored on req.page (defaults to 1).
+ */
+export const paginate = (req, res, next) => {
+    validatePage(req, res, (err) => {
+        if (err) return next(err);
+        req.page = req.valid.query.page;
+        next();
+    });
+};
+paginate.schema = validatePage.schema;
+
+/**
+ * Converts a paged TMDB response into our response envelope.
+ *
+ * @param {Object} data - TMDB response with results, page, total_pages and total_results
+ * @returns {Object} { results, page, totalPages, totalResults }
+ */
+export const toPage = (data) => ({
+    results: data.results || [],
+    page: data.page || 1,
+    // TMDB reports more pages than it will actually serve, so I cap it here
+    totalPages: Math.min(data.total_pages || 1, MAX_PAGE),
+    totalResults: data.total_results || 0,
+});
+
+// Page size for lists we page ourselves, matching TMDB's 20 results per page
+export const PAGE_SIZE = 20;
+
+/**
+ * Pages a list that is already fully in memory (e.g. merged from several
+ * sources) into the same envelope as toPage.
+ *
+ * @param {Array} items - The complete, sorted list
+ * @param {number} page - Page to return (1-based)
+ * @returns {Object} { results, page, totalPages, totalResults }
+ */
+export const pageList = (items, page) => ({
+    results: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+    page,
+    totalPages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+    totalResults: items.length,
+});
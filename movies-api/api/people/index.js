@@ -5,6 +5,9 @@ import {
     getPersonMovieCredits,
     searchPeople
 } from '../tmdb-api';
+import { paginate, toPage } from '../pagination';
+import { validate } from '../../validation';
+import { SEARCH, TMDB_ID_PARAM } from '../../validation/schemas';
 
 const router = express.Router();
 
@@ -13,6 +16,8 @@ const router = express.Router();
  * 
  * This router handles all people-related API endpoints (actors, directors, etc.)
  * Each route calls the corresponding function from tmdb-api.js
+ *
+ * The search route accepts ?page= and returns { results, page, totalPages, totalResults }
  */
 
 // ============================================
@@ -23,16 +28,12 @@ const router = express.Router();
  * GET /api/people/search?query=xxx
  * Search for people (actors, directors) by name
  * Query parameter: query (required) - the search term
+ * Query parameter: page (optional) - page of results, 1-500
  */
-router.get('/search', asyncHandler(async (req, res) => {
-    const { query } = req.query;
-    
-    if (!query) {
-        return res.status(400).json({ message: 'Query parameter is required' });
-    }
-    
-    const people = await searchPeople(query);
-    res.status(200).json(people);
+router.get('/search', paginate, validate(SEARCH), asyncHandler(async (req, res) => {
+    const { query } = req.valid.query;
+    const people = await searchPeople(query, req.page);
+    res.status(200).json(toPage(people));
 }));
 
 // ============================================
@@ -44,8 +45,8 @@ router.get('/search', asyncHandler(async (req, res) => {
  * Returns detailed information about a specific person
  * URL parameter: id (required) - the TMDB person ID
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/:id', validate(TMDB_ID_PARAM), asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
     const person = await getPersonDetails(id);
     res.status(200).json(person);
 }));
@@ -55,8 +56,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * Returns a person's filmography (movies they've appeared in)
  * Note: Using clean URL (movie-credits) instead of TMDB's (movie_credits)
  */
-router.get('/:id/movie-credits', asyncHandler(async (req, res) => {
-    const { id } = req.params;
+router.get('/:id/movie-credits', validate(TMDB_ID_PARAM), asyncHandler(async (req, res) => {
+    const { id } = req.valid.params;
     const credits = await getPersonMovieCredits(id);
     res.status(200).json(credits);
 }));
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+/**
+ * Review Schema for MongoDB
+ *
+ * Reviews used to be embedded in each user document. They live in their own
+ * collection so per-movie listings and moderation can use indexes instead of
+ * scanning every user, and user documents stay small.
+ * (db/migrations/migrateEmbeddedReviews.js moves old embedded reviews here.)
+ *
+ * Fields:
+ * - user: The author's User _id
+ * - movieId: TMDB movie ID
+ * - movieTitle: Movie title (stored to avoid extra API calls when displaying)
+ * - author: The author's username (renaming the account updates it)
+ * - rating: 1-5 stars
+ * - content: Review text
+ * - revisions: Earlier versions of the review, pushed on every edit (oldest first)
+ * - createdAt: When the review was first written
+ * - updatedAt: Set when the review is edited
+ */
+const ReviewSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  movieId: { type: Number, required: true, index: true },
+  movieTitle: { type: String, required: true },
+  author: { type: String, required: true, index: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  content: { type: String, required: true },
+
+  // createdAt is when that version was written
+  revisions: {
+    type: [{
+      rating: { type: Number, required: true },
+      content: { type: String, required: true },
+      createdAt: { type: Date, required: true }
+    }],
+    default: []
+  },
+
+  // Not using the timestamps option: updatedAt is only set by an edit,
+  // so the frontend can tell edited reviews apart
+  createdAt: { type: Date, default: Date.now, index: true },
+  updatedAt: { type: Date },
+});
+
+// A user's reviews, and their review of a given movie (one review per movie)
+ReviewSchema.index({ user: 1, movieId: 1 });
+
+// Older versions kept per review - enough to see how it changed without letting one review grow forever
+const MAX_REVISIONS = 20;
+
+/**
+ * One active review per user per movie is enforced unless
+ * REVIEWS_ONE_PER_MOVIE is set to 'false'. Read on each call
+ * because dotenv is configured after this module is imported.
+ */
+ReviewSchema.statics.isOnePerMovie = function () {
+  return process.env.REVIEWS_ONE_PER_MOVIE !== 'false';
+};
+
+/**
+ * Applies an edit, saving the current version to the revision history first.
+ * Nothing is recorded when the edit doesn't change anything. Doesn't save.
+ *
+ * @returns {boolean} true if the review changed
+ */
+ReviewSchema.methods.applyEdit = function ({ rating, content }) {
+  const newRating = rating !== undefined ? rating : this.rating;
+  const newContent = content !== undefined ? content : this.content;
+
+  if (newRating === this.rating && newContent === this.content) {
+    return false;
+  }
+
+  this.revisions.push({
+    rating: this.rating,
+    content: this.content,
+    createdAt: this.updatedAt || this.createdAt
+  });
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  this.rating = newRating;
+  this.content = newContent;
+  this.updatedAt = new Date();
+  return true;
+};
+
+export default mongoose.model("Review", ReviewSchema);
@@ -0,0 +1,103 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import Session from './sessionModel';
+import { describeUserAgent } from './userAgent';
+import authenticate from '../../authenticate';
+import { revokeSession, revokeOtherSessions } from '../../authenticate/tokens';
+import { NotFoundError } from '../../errors';
+import { validate } from '../../validation';
+import { SESSION_ID_PARAM } from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Sessions Router
+ *
+ * Mounted at /api/users/sessions. Every login is a session (see
+ * sessionModel.js); these routes let a user see where they are signed in
+ * and sign other devices out. Revoking a session stops its access and
+ * refresh tokens straight away.
+ *
+ * Every route needs a logged-in user. The session the request's access
+ * token belongs to is the "current" one.
+ */
+router.use(authenticate);
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Shapes a session for the response. Token hashes never leave the server.
+ */
+const toSessionSummary = (session, currentSession) => ({
+    _id: session._id,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session._id.equals(currentSession._id),
+});
+
+// ============================================
+// SESSION ROUTES
+// ============================================
+
+/**
+ * GET /api/users/sessions
+ *
+ * Lists the user's active sessions, most recently used first.
+ *
+ * @returns {Object} { success: true, sessions: [{ _id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }, ...] }
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.status(200).json({
+        success: true,
+        sessions: sessions.map((session) => toSessionSummary(session, req.authSession))
+    });
+}));
+
+/**
+ * DELETE /api/users/sessions/others
+ *
+ * Signs out every session except the current one.
+ * (Defined before /:sessionId so "others" isn't taken for an id.)
+ *
+ * @returns {Object} { success: true, msg: string, revoked: number }
+ */
+router.delete('/others', asyncHandler(async (req, res) => {
+    const revoked = await revokeOtherSessions(req.user, req.authSession._id);
+
+    res.status(200).json({
+        success: true,
+        msg: revoked === 1 ? 'Signed out 1 other session.' : `Signed out ${revoked} other sessions.`,
+        revoked
+    });
+}));
+
+/**
+ * DELETE /api/users/sessions/:sessionId
+ *
+ * Signs out one session. Revoking the current session works too; it is
+ * the same as logging out.
+ *
+ * @param {string} sessionId - The session's _id (from URL parameter)
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/:sessionId', validate(SESSION_ID_PARAM), asyncHandler(async (req, res) => {
+    const revoked = await revokeSession(req.user, req.valid.params.sessionId);
+    if (!revoked) {
+        throw new NotFoundError('Session not found.');
+    }
+
+    res.status(200).json({
+        success: true,
+        msg: 'Session signed out.'
+    });
+}));
+
+export default router;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+const Schema = mongoose.Schema;
+
+/**
+ * Session Schema for MongoDB
+ *
+ * One session per login. A session holds the hash of its current refresh
+ * token; every refresh swaps in a new token (rotation), so a refresh token
+ * works exactly once. Access tokens carry the session's _id (as sid), which
+ * lets authenticate reject them as soon as the session is revoked.
+ *
+ * Only SHA-256 hashes are stored, so a database leak doesn't hand out
+ * working refresh tokens.
+ *
+ * Fields:
+ * - user: The owner's User _id
+ * - tokenHash: Hash of the current refresh token
+ * - previousTokenHash: Hash of the token it replaced - seeing that one again
+ *   means a copy of the token is in someone else's hands (unless it's within
+ *   a few seconds of rotatedAt: then it's a parallel refresh)
+ * - rotatedAt: When the refresh token was last swapped
+ * - expiresAt: When the refresh token stops working (pushed back on every refresh)
+ * - revokedAt: Set on logout, on revocation from another device, or on suspected token theft
+ * - userAgent: The User-Agent header of the last request seen (shown as the device)
+ * - ip: The client IP of the last request seen
+ * - lastSeenAt: When the session was last used (updated at most once a minute)
+ * - createdAt/updatedAt: Auto-managed timestamps (createdAt is the login time)
+ */
+const SessionSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  userAgent: { type: String, default: '' },
+  ip: { type: String, default: '' },
+  lastSeenAt: { type: Date, default: Date.now },
+}, {
+  timestamps: true,
+});
+
+// MongoDB deletes sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used (not revoked, not expired).
+ */
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Finds a user's usable sessions, most recently used first.
+ */
+SessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+};
+
+export default mongoose.model("Session", SessionSchema);
@@ -0,0 +1,45 @@
+/**
+ * User-Agent Descriptions
+ *
+ * Turns a raw User-Agent header into something a person recognises on the
+ * sessions screen, e.g. "Firefox on Windows". It only knows the common
+ * browsers and systems; anything else falls back to "Unknown browser" /
+ * "unknown device", and the raw header is returned alongside it anyway.
+ */
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+];
+
+// Android before Linux, and iOS devices before macOS (iPads can say "Macintosh")
+const SYSTEMS = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/],
+];
+
+const firstMatch = (list, userAgent) => {
+    const match = list.find(([, pattern]) => pattern.test(userAgent));
+    return match ? match[0] : null;
+};
+
+/**
+ * Describes the browser and operating system in a User-Agent header.
+ *
+ * @param {string} userAgent - The raw header (may be empty)
+ * @returns {string} e.g. "Chrome on Android"
+ */
+export const describeUserAgent = (userAgent = '') => {
+    const browser = firstMatch(BROWSERS, userAgent) || 'Unknown browser';
+    const system = firstMatch(SYSTEMS, userAgent) || 'unknown device';
+    return `${browser} on ${system}`;
+};
@@ -1,4 +1,5 @@
-import fetch from 'node-fetch';
+import { cached, TTL } from '../cache';
+import { tmdbFetch } from './tmdb-client';
 
 /**
  * TMDB API Module - Backend
@@ -12,14 +13,27 @@ import fetch from 'node-fetch';
  * - Can add caching, rate limiting, or data transformation here
  * 
  * All functions follow the same pattern:
- * 1. Build the TMDB URL with API key
- * 2. Make the fetch request
- * 3. Check for errors
- * 4. Return the JSON data
+ * 1. Pick the TMDB endpoint and query parameters
+ * 2. Hand them to tmdbFetch (see tmdb-client.js), which adds the API key
+ *    and takes care of timeouts, retries, request coalescing and the circuit breaker
+ * 3. Return the JSON data
+ *
+ * Every exported function is wrapped with cached() (see cache/index.js),
+ * so identical calls within the TTL below never reach TMDB.
  */
 
-// Base URL for all TMDB API calls
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+// How long each kind of TMDB response stays cached
+// Data that rarely changes (genres, movie details) is kept much longer than lists and searches
+const CACHE_TTL = {
+    GENRES: TTL.DAY,
+    TRENDING: TTL.HOUR,
+    LIST: TTL.HOUR,
+    MOVIE_DETAILS: 6 * TTL.HOUR,
+    RELATED: 6 * TTL.HOUR,
+    REVIEWS: TTL.HOUR,
+    SEARCH: 15 * TTL.MINUTE,
+    PERSON: 6 * TTL.HOUR,
+};
 
 // ============================================
 // MOVIE LIST ENDPOINTS
@@ -28,115 +42,88 @@ const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 
 /**
  * Get discover movies - a curated list for the homepage
+ * Each filter set is cached separately because the filters are part of the cache key.
+ * @param {Object} filters - TMDB discover parameters (see movies/discoverFilters.js)
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/discover/movie?api_key=${process.env.TMDB_KEY}&language=en-US&include_adult=false&include_video=false&page=1`
+export const getMovies = cached('discover', CACHE_TTL.LIST, async (filters = {}, page = 1) => {
+    return tmdbFetch(
+        '/discover/movie',
+        { language: 'en-US', include_adult: false, include_video: false, ...filters, page },
+        'Failed to fetch movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get upcoming movies - movies coming soon to theaters
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getUpcomingMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/upcoming?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getUpcomingMovies = cached('upcoming', CACHE_TTL.LIST, async (page = 1) => {
+    return tmdbFetch(
+        '/movie/upcoming',
+        { language: 'en-US', page },
+        'Failed to fetch upcoming movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch upcoming movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get popular movies - currently trending based on user activity
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getPopularMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/popular?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getPopularMovies = cached('popular', CACHE_TTL.LIST, async (page = 1) => {
+    return tmdbFetch(
+        '/movie/popular',
+        { language: 'en-US', page },
+        'Failed to fetch popular movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch popular movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get top rated movies - highest rated movies of all time
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getTopRatedMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/top_rated?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getTopRatedMovies = cached('topRated', CACHE_TTL.LIST, async (page = 1) => {
+    return tmdbFetch(
+        '/movie/top_rated',
+        { language: 'en-US', page },
+        'Failed to fetch top rated movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch top rated movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get now playing movies - currently in theaters
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getNowPlayingMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/now_playing?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getNowPlayingMovies = cached('nowPlaying', CACHE_TTL.LIST, async (page = 1) => {
+    return tmdbFetch(
+        '/movie/now_playing',
+        { language: 'en-US', page },
+        'Failed to fetch now playing movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch now playing movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get trending movies - what's hot this week
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getTrendingMovies = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/trending/movie/week?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getTrendingMovies = cached('trending', CACHE_TTL.TRENDING, async (page = 1) => {
+    return tmdbFetch(
+        '/trending/movie/week',
+        { language: 'en-US', page },
+        'Failed to fetch trending movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch trending movies');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get all movie genres - for filtering/categorization
  */
-export const getGenres = async () => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/genre/movie/list?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getGenres = cached('genres', CACHE_TTL.GENRES, async () => {
+    return tmdbFetch(
+        '/genre/movie/list',
+        { language: 'en-US' },
+        'Failed to fetch genres'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch genres');
-    }
-
-    return await response.json();
-};
+});
 
 // ============================================
 // SINGLE MOVIE ENDPOINTS
@@ -147,103 +134,88 @@ export const getGenres = async () => {
  * Get movie details by ID
  * @param {string|number} id - The TMDB movie ID
  */
-export const getMovie = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getMovie = cached('movie', CACHE_TTL.MOVIE_DETAILS, async (id) => {
+    return tmdbFetch(
+        `/movie/${id}`,
+        { language: 'en-US' },
+        'Failed to fetch movie details'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movie details');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get movie images (posters, backdrops)
  * @param {string|number} id - The TMDB movie ID
  */
-export const getMovieImages = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}/images?api_key=${process.env.TMDB_KEY}`
+export const getMovieImages = cached('movieImages', CACHE_TTL.MOVIE_DETAILS, async (id) => {
+    return tmdbFetch(
+        `/movie/${id}/images`,
+        {},
+        'Failed to fetch movie images'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movie images');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get movie reviews from users
  * @param {string|number} id - The TMDB movie ID
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getMovieReviews = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}/reviews?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getMovieReviews = cached('movieReviews', CACHE_TTL.REVIEWS, async (id, page = 1) => {
+    return tmdbFetch(
+        `/movie/${id}/reviews`,
+        { language: 'en-US', page },
+        'Failed to fetch movie reviews'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movie reviews');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get movie credits (cast and crew)
  * @param {string|number} id - The TMDB movie ID
  */
-export const getMovieCredits = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}/credits?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getMovieCredits = cached('movieCredits', CACHE_TTL.MOVIE_DETAILS, async (id) => {
+    return tmdbFetch(
+        `/movie/${id}/credits`,
+        { language: 'en-US' },
+        'Failed to fetch movie credits'
     );
+});
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movie credits');
-    }
-
-    return await response.json();
-};
+/**
+ * Get a movie's release dates in every country (premiere, theatrical, digital...)
+ * @param {string|number} id - The TMDB movie ID
+ */
+export const getMovieReleaseDates = cached('movieReleaseDates', CACHE_TTL.MOVIE_DETAILS, async (id) => {
+    return tmdbFetch(
+        `/movie/${id}/release_dates`,
+        {},
+        'Failed to fetch movie release dates'
+    );
+});
 
 /**
  * Get recommended movies based on a movie
  * @param {string|number} id - The TMDB movie ID
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getMovieRecommendations = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}/recommendations?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getMovieRecommendations = cached('movieRecommendations', CACHE_TTL.RELATED, async (id, page = 1) => {
+    return tmdbFetch(
+        `/movie/${id}/recommendations`,
+        { language: 'en-US', page },
+        'Failed to fetch movie recommendations'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch movie recommendations');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get similar movies
  * @param {string|number} id - The TMDB movie ID
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getMovieSimilar = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/movie/${id}/similar?api_key=${process.env.TMDB_KEY}&language=en-US&page=1`
+export const getMovieSimilar = cached('movieSimilar', CACHE_TTL.RELATED, async (id, page = 1) => {
+    return tmdbFetch(
+        `/movie/${id}/similar`,
+        { language: 'en-US', page },
+        'Failed to fetch similar movies'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch similar movies');
-    }
-
-    return await response.json();
-};
+});
 
 // ============================================
 // SEARCH ENDPOINTS
@@ -252,19 +224,41 @@ export const getMovieSimilar = async (id) => {
 /**
  * Search for movies by query string
  * @param {string} query - The search term
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const searchMovies = async (query) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/search/movie?api_key=${process.env.TMDB_KEY}&language=en-US&query=${encodeURIComponent(query)}&page=1&include_adult=false`
+export const searchMovies = cached('searchMovies', CACHE_TTL.SEARCH, async (query, page = 1) => {
+    return tmdbFetch(
+        '/search/movie',
+        { language: 'en-US', query, page, include_adult: false },
+        'Failed to search movies'
     );
+});
 
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to search movies');
-    }
+/**
+ * Search for movies released in a given year, e.g. to match a title from another site
+ * @param {string} query - The title
+ * @param {number} year - Release year
+ */
+export const searchMoviesByYear = cached('searchMoviesByYear', CACHE_TTL.SEARCH, async (query, year) => {
+    return tmdbFetch(
+        '/search/movie',
+        { language: 'en-US', query, year, page: 1, include_adult: false },
+        'Failed to search movies'
+    );
+});
 
-    return await response.json();
-};
+/**
+ * Find a movie by its IMDb ID
+ * The result's movie_results is empty when TMDB doesn't know the ID (or it isn't a movie).
+ * @param {string} imdbId - IMDb title ID (tt0137523)
+ */
+export const findByImdbId = cached('findByImdbId', CACHE_TTL.MOVIE_DETAILS, async (imdbId) => {
+    return tmdbFetch(
+        `/find/${imdbId}`,
+        { language: 'en-US', external_source: 'imdb_id' },
+        'Failed to look up IMDb ID'
+    );
+});
 
 // ============================================
 // PEOPLE ENDPOINTS
@@ -275,49 +269,35 @@ export const searchMovies = async (query) => {
  * Get person details by ID
  * @param {string|number} id - The TMDB person ID
  */
-export const getPersonDetails = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/person/${id}?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getPersonDetails = cached('person', CACHE_TTL.PERSON, async (id) => {
+    return tmdbFetch(
+        `/person/${id}`,
+        { language: 'en-US' },
+        'Failed to fetch person details'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch person details');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Get a person's movie credits (filmography)
  * @param {string|number} id - The TMDB person ID
  */
-export const getPersonMovieCredits = async (id) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/person/${id}/movie_credits?api_key=${process.env.TMDB_KEY}&language=en-US`
+export const getPersonMovieCredits = cached('personMovieCredits', CACHE_TTL.PERSON, async (id) => {
+    return tmdbFetch(
+        `/person/${id}/movie_credits`,
+        { language: 'en-US' },
+        'Failed to fetch person movie credits'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to fetch person movie credits');
-    }
-
-    return await response.json();
-};
+});
 
 /**
  * Search for people by query string
  * @param {string} query - The search term
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const searchPeople = async (query) => {
-    const response = await fetch(
-        `${TMDB_BASE_URL}/search/person?api_key=${process.env.TMDB_KEY}&language=en-US&query=${encodeURIComponent(query)}&page=1&include_adult=false`
+export const searchPeople = cached('searchPeople', CACHE_TTL.SEARCH, async (query, page = 1) => {
+    return tmdbFetch(
+        '/search/person',
+        { language: 'en-US', query, page, include_adult: false },
+        'Failed to search people'
     );
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.status_message || 'Failed to search people');
-    }
-
-    return await response.json();
-};
+});
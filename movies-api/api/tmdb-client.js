@@ -0,0 +1,273 @@
+import fetch from 'node-fetch';
+import { HttpError } from '../errors';
+
+/**
+ * TMDB HTTP Client
+ *
+ * The shared transport underneath every function in tmdb-api.js.
+ * tmdb-api.js decides WHAT to ask TMDB; this module decides HOW:
+ *
+ * 1. Timeouts - every attempt is aborted after TMDB_TIMEOUT_MS
+ * 2. Retries - network errors, timeouts, 429 and 5xx responses are retried
+ *    with exponential backoff. A Retry-After header from TMDB wins over the backoff.
+ * 3. Request coalescing - concurrent calls for the same URL share one upstream request
+ * 4. Circuit breaker - after several failed requests in a row, calls fail fast with
+ *    a 503 for a cool-down period instead of piling onto a TMDB that is down
+ * 5. Batches - mapConcurrently keeps features that look up many movies at once
+ *    (imports, exports) to a few requests in flight
+ */
+
+// Base URL for all TMDB API calls
+const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+
+// Status codes worth another attempt - everything else is a final answer from TMDB
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Env vars are read on each call because dotenv is configured after this module is imported
+const config = () => ({
+    timeoutMs: parseInt(process.env.TMDB_TIMEOUT_MS) || 8000,
+    maxRetries: parseInt(process.env.TMDB_MAX_RETRIES) || 2,
+    backoffMs: 300,
+    maxRetryAfterMs: 10000,
+    breakerThreshold: parseInt(process.env.TMDB_BREAKER_THRESHOLD) || 5,
+    breakerCooldownMs: parseInt(process.env.TMDB_BREAKER_COOLDOWN_MS) || 30000,
+});
+
+/**
+ * Error thrown for any failed TMDB call.
+ * status is the HTTP status our API should answer with:
+ * - 404 when TMDB says the resource doesn't exist
+ * - 502 when TMDB answered with another error
+ * - 503 when TMDB is unreachable, rate limiting us, or the circuit is open
+ */
+export class TmdbError extends HttpError {
+    constructor(message, status, retryAfter) {
+        // retryAfter: seconds the caller should wait before trying again (503 only)
+        super(status, message, { retryAfter });
+        this.name = 'TmdbError';
+    }
+}
+
+// ============================================
+// CIRCUIT BREAKER
+// ============================================
+
+const breaker = {
+    state: 'closed', // closed -> open -> half-open -> closed
+    consecutiveFailures: 0,
+    openedAt: null,
+};
+
+const secondsUntilClose = () =>
+    Math.max(1, Math.ceil((breaker.openedAt + config().breakerCooldownMs - Date.now()) / 1000));
+
+/**
+ * Throws a 503 while the circuit is open.
+ * Once the cool-down has passed the circuit goes half-open and lets one request through.
+ */
+const checkBreaker = () => {
+    if (breaker.state === 'closed') return;
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= config().breakerCooldownMs) {
+        breaker.state = 'half-open';
+        return;
+    }
+
+    throw new TmdbError('TMDB is currently unavailable. Please try again shortly.', 503, secondsUntilClose());
+};
+
+const recordSuccess = () => {
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.openedAt = null;
+};
+
+const recordFailure = () => {
+    breaker.consecutiveFailures++;
+
+    // A failed trial request re-opens the circuit straight away
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= config().breakerThreshold) {
+        if (breaker.state !== 'open') {
+            console.error(`TMDB circuit opened after ${breaker.consecutiveFailures} failed requests`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+};
+
+// ============================================
+// RETRY HELPERS
+// ============================================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds.
+ * Returns null when the header is missing or unreadable.
+ */
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with a little jitter so retries don't line up: ~300ms, ~600ms, ~1200ms...
+const backoffDelay = (attempt) => config().backoffMs * 2 ** attempt + Math.random() * 100;
+
+/**
+ * Makes one request with a timeout.
+ * Resolves with the response, or rejects with a TmdbError for timeouts/network errors.
+ */
+const fetchWithTimeout = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config().timeoutMs);
+
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } catch (err) {
+        const reason = err.name === 'AbortError' ? 'timed out' : `failed (${err.message})`;
+        const error = new TmdbError(`TMDB request ${reason}`, 503);
+        error.retryable = true;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Requests a URL, retrying transient failures, and returns the parsed JSON.
+ */
+const requestWithRetries = async (url, errorMessage) => {
+    const { maxRetries, maxRetryAfterMs } = config();
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetchWithTimeout(url);
+        } catch (err) {
+            if (attempt < maxRetries) {
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+            throw err;
+        }
+
+        if (response.ok) {
+            return await response.json();
+        }
+
+        const body = await response.json().catch(() => ({}));
+        const message = body.status_message || errorMessage;
+
+        if (RETRYABLE_STATUSES.includes(response.status)) {
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+
+            // Only wait for Retry-After if it is short enough to keep the request responsive
+            if (attempt < maxRetries && (retryAfterMs === null || retryAfterMs <= maxRetryAfterMs)) {
+                await sleep(retryAfterMs ?? backoffDelay(attempt));
+                continue;
+            }
+
+            const error = new TmdbError(
+                response.status === 429 ? 'TMDB rate limit reached. Please try again shortly.' : message,
+                503,
+                retryAfterMs !== null ? Math.ceil(retryAfterMs / 1000) : undefined
+            );
+            error.retryable = true;
+            throw error;
+        }
+
+        // A definite answer from TMDB - not retried and not a sign TMDB is down
+        throw new TmdbError(message, response.status === 404 ? 404 : 502);
+    }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+// URL -> pending promise, so identical concurrent requests share one upstream call
+const inFlight = new Map();
+
+/**
+ * Fetches a TMDB endpoint and returns the parsed JSON.
+ *
+ * @param {string} endpoint - TMDB path, e.g. '/movie/550'
+ * @param {Object} params - Query parameters (the API key is added automatically)
+ * @param {string} errorMessage - Message used when TMDB doesn't provide one
+ * @returns {Promise<Object>} The JSON response
+ * @throws {TmdbError} With a status of 404, 502 or 503
+ *
+ * @example
+ * const movie = await tmdbFetch('/movie/550', { language: 'en-US' }, 'Failed to fetch movie details');
+ */
+export const tmdbFetch = (endpoint, params = {}, errorMessage = 'TMDB request failed') => {
+    const url = new URL(`${TMDB_BASE_URL}${endpoint}`);
+    url.searchParams.append('api_key', process.env.TMDB_KEY);
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) url.searchParams.append(key, value);
+    });
+    const key = url.toString();
+
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const request = (async () => {
+        checkBreaker();
+        try {
+            const data = await requestWithRetries(key, errorMessage);
+            recordSuccess();
+            return data;
+        } catch (err) {
+            // Only transient failures count against TMDB's health
+            if (err.retryable) recordFailure();
+            else recordSuccess();
+            throw err;
+        }
+    })();
+
+    inFlight.set(key, request);
+    request.finally(() => inFlight.delete(key)).catch(() => {});
+    return request;
+};
+
+/**
+ * Returns the circuit breaker state and in-flight request count, for monitoring.
+ */
+export const getTmdbClientStatus = () => ({
+    circuit: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    retryAfter: breaker.state === 'open' ? secondsUntilClose() : null,
+    inFlightRequests: inFlight.size,
+});
+
+// Requests in flight per batch: enough to get through a few hundred movies quickly without flooding TMDB
+const BATCH_CONCURRENCY = 4;
+
+/**
+ * Runs an async function over many items with at most a few calls in flight.
+ *
+ * @param {Array} items - The items
+ * @param {Function} fn - async (item) => result, usually a tmdb-api.js call
+ * @param {number} [limit] - Calls in flight at once
+ * @returns {Promise<Array>} The results, in the items' order
+ */
+export const mapConcurrently = async (items, fn, limit = BATCH_CONCURRENCY) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
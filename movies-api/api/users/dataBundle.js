@@ -0,0 +1,311 @@
+import Review from '../reviews/reviewModel';
+import { BadRequestError } from '../../errors';
+import { VALIDATION_FAILED } from '../../validation';
+import { checkField, checkSchema } from '../../validation/validator';
+import { BUNDLE_FORMAT, BUNDLE_VERSION, MOVIE_ID, BUNDLE_REVIEW } from '../../validation/schemas';
+
+/**
+ * Data Bundles
+ *
+ * A bundle is a JSON backup of what a user keeps on their account:
+ * favorites, mustWatch and reviews (reviews moved out of the User
+ * document, but they are still the user's own data). GET /api/users/export
+ * builds one and POST /api/users/import reads it back.
+ *
+ *   {
+ *     format: 'moodvy-account-export', version: 1, exportedAt,
+ *     account: { username, createdAt },
+ *     favorites: [movieId, ...],
+ *     mustWatch: [movieId, ...],
+ *     reviews: [{ movieId, movieTitle, rating, content, createdAt, updatedAt }, ...]
+ *   }
+ *
+ * Importing is planned first and applied second, so a dry run can report
+ * exactly what the real import would do:
+ *
+ * - merge adds what the account doesn't have and updates matching reviews
+ * - replace also removes what isn't in the bundle
+ *
+ * A list missing from the bundle is left alone in both modes. Account
+ * details and review revision histories are exported for reference only;
+ * an import never changes the username or rewrites history.
+ *
+ * Letterboxd and IMDb imports (api/imports) go through the same planner.
+ */
+
+// Far above any real account, low enough to keep one request bounded
+const MAX_MOVIE_IDS = 10000;
+const MAX_REVIEWS = 5000;
+
+// Reporting every bad item of a large file would only bury the first few
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Builds the export bundle for a user.
+ *
+ * @param {Object} user - The User document
+ * @returns {Promise<Object>} The bundle
+ */
+export const buildBundle = async (user) => {
+    const reviews = await Review.find({ user: user._id }).sort({ createdAt: 1 });
+
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date(),
+        account: { username: user.username, createdAt: user.createdAt },
+        favorites: [...user.favorites],
+        mustWatch: [...user.mustWatch],
+        reviews: reviews.map((review) => ({
+            movieId: review.movieId,
+            movieTitle: review.movieTitle,
+            rating: review.rating,
+            content: review.content,
+            createdAt: review.createdAt,
+            updatedAt: review.updatedAt,
+        })),
+    };
+};
+
+// ============================================
+// READING A BUNDLE
+// ============================================
+
+/**
+ * Checks one of the bundle's arrays, item by item.
+ * Problems are added to fields as 'name[index]' or 'name[index].field'.
+ *
+ * @returns {Array|undefined} The checked items, or undefined if the array is missing
+ */
+const readArray = (body, name, max, readItem, fields) => {
+    const items = body[name];
+    if (items === undefined) return undefined;
+
+    if (!Array.isArray(items)) {
+        fields.push({ location: 'body', field: name, message: `${name} must be a list.` });
+        return undefined;
+    }
+    if (items.length > max) {
+        fields.push({ location: 'body', field: name, message: `${name} can hold at most ${max} items.` });
+        return undefined;
+    }
+
+    return items.map((item, index) => readItem(item, `${name}[${index}]`, fields));
+};
+
+const readMovieId = (item, field, fields) => {
+    const { value, error } = checkField(item, MOVIE_ID);
+    if (error) fields.push({ location: 'body', field, message: `${field}: ${error}` });
+    return value;
+};
+
+const readReview = (item, field, fields) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+        fields.push({ location: 'body', field, message: `${field} must be an object.` });
+        return undefined;
+    }
+
+    const { values, errors } = checkSchema(item, BUNDLE_REVIEW);
+    for (const [name, message] of Object.entries(errors)) {
+        fields.push({ location: 'body', field: `${field}.${name}`, message: `${field}: ${message}` });
+    }
+    if (values.createdAt) values.createdAt = new Date(values.createdAt);
+    return values;
+};
+
+/**
+ * Reads the lists out of a bundle whose format and version have already
+ * been checked (IMPORT_DATA). Duplicate movie IDs are dropped.
+ *
+ * @param {Object} body - The uploaded bundle
+ * @returns {{ favorites?: number[], mustWatch?: number[], reviews?: Object[] }}
+ * @throws {BadRequestError} VALIDATION_FAILED listing the bad items
+ */
+export const parseBundle = (body) => {
+    const fields = [];
+
+    const favorites = readArray(body, 'favorites', MAX_MOVIE_IDS, readMovieId, fields);
+    const mustWatch = readArray(body, 'mustWatch', MAX_MOVIE_IDS, readMovieId, fields);
+    const reviews = readArray(body, 'reviews', MAX_REVIEWS, readReview, fields);
+
+    if (fields.length > 0) {
+        const reported = fields.slice(0, MAX_REPORTED_ERRORS);
+        const more = fields.length - reported.length;
+        throw new BadRequestError(
+            reported.map((field) => field.message).join(' ') + (more > 0 ? ` (and ${more} more problems)` : ''),
+            { code: VALIDATION_FAILED, details: { fields: reported } }
+        );
+    }
+
+    return {
+        favorites: favorites && [...new Set(favorites)],
+        mustWatch: mustWatch && [...new Set(mustWatch)],
+        reviews,
+    };
+};
+
+// ============================================
+// PLANNING AND APPLYING AN IMPORT
+// ============================================
+
+/**
+ * Works out the new contents of a movie ID list.
+ */
+const planMovieIds = (current, incoming, mode) => {
+    if (incoming === undefined) {
+        return { result: current, added: [], removed: [] };
+    }
+
+    const added = incoming.filter((movieId) => !current.includes(movieId));
+    if (mode === 'merge') {
+        return { result: [...current, ...added], added, removed: [] };
+    }
+
+    const removed = current.filter((movieId) => !incoming.includes(movieId));
+    return { result: incoming, added, removed };
+};
+
+/**
+ * The key that says two reviews are the same one: the movie when the
+ * user can only have one review per movie, otherwise the movie and when
+ * the review was first written.
+ */
+const reviewKey = (movieId, createdAt, onePerMovie) => {
+    if (onePerMovie) return String(movieId);
+    return createdAt ? `${movieId}@${createdAt.toISOString()}` : null;
+};
+
+/**
+ * Works out which reviews to add, update and remove.
+ */
+const planReviews = async (user, incoming, mode) => {
+    const plan = { add: [], update: [], remove: [], unchanged: 0 };
+    if (incoming === undefined) return plan;
+
+    const onePerMovie = Review.isOnePerMovie();
+    const existing = await Review.find({ user: user._id }).sort({ createdAt: 1 });
+
+    // Later reviews win when the key is shared, like later posts edit earlier ones
+    const byKey = new Map();
+    for (const review of existing) {
+        byKey.set(reviewKey(review.movieId, review.createdAt, onePerMovie), { review });
+    }
+
+    const kept = new Set();
+    for (const item of incoming) {
+        const key = reviewKey(item.movieId, item.createdAt, onePerMovie);
+        const target = key !== null ? byKey.get(key) : undefined;
+
+        if (!target) {
+            const addition = { item };
+            plan.add.push(addition);
+            if (key !== null) byKey.set(key, addition);
+        } else if (target.item) {
+            // The bundle repeats a review it also adds; the later copy wins
+            target.item = { ...target.item, rating: item.rating, content: item.content };
+        } else {
+            kept.add(target.review);
+            if (target.review.rating === item.rating && target.review.content === item.content) {
+                target.edit = undefined;
+            } else {
+                target.edit = { rating: item.rating, content: item.content };
+            }
+        }
+    }
+
+    for (const target of byKey.values()) {
+        if (target.review && target.edit) plan.update.push(target);
+    }
+    plan.unchanged = kept.size - plan.update.length;
+    plan.add = plan.add.map((addition) => addition.item);
+
+    if (mode === 'replace') {
+        plan.remove = existing.filter((review) => !kept.has(review));
+    }
+
+    return plan;
+};
+
+/**
+ * Takes movies off a list plan, as logging a watch takes a movie off must-watch.
+ */
+const takeOff = (plan, movieIds) => {
+    const gone = new Set(movieIds);
+    if (gone.size === 0) return plan;
+
+    return {
+        result: plan.result.filter((movieId) => !gone.has(movieId)),
+        added: plan.added.filter((movieId) => !gone.has(movieId)),
+        removed: [...plan.removed, ...plan.result.filter((movieId) => gone.has(movieId) && !plan.added.includes(movieId))],
+    };
+};
+
+/**
+ * Plans an import without changing anything.
+ *
+ * @param {Object} user - The User document
+ * @param {Object} bundle - The lists returned by parseBundle
+ * @param {string} mode - 'merge' or 'replace'
+ * @param {Object} [options]
+ * @param {number[]} [options.watched] - Movies the user has seen, to take off must-watch (Letterboxd and IMDb imports)
+ * @returns {Promise<Object>} The plan, for applyImport and summarizeImport
+ */
+export const planImport = async (user, bundle, mode, { watched = [] } = {}) => ({
+    favorites: planMovieIds(user.favorites, bundle.favorites, mode),
+    mustWatch: takeOff(planMovieIds(user.mustWatch, bundle.mustWatch, mode), watched),
+    reviews: await planReviews(user, bundle.reviews, mode),
+});
+
+/**
+ * Describes a plan the way the import endpoint reports it.
+ *
+ * @param {Object} plan - From planImport
+ * @returns {Object} { favorites: { added, removed }, mustWatch: { added, removed },
+ *                     reviews: { added, updated, removed, unchanged } } - movie IDs for the lists, counts for reviews
+ */
+export const summarizeImport = (plan) => ({
+    favorites: { added: plan.favorites.added, removed: plan.favorites.removed },
+    mustWatch: { added: plan.mustWatch.added, removed: plan.mustWatch.removed },
+    reviews: {
+        added: plan.reviews.add.length,
+        updated: plan.reviews.update.length,
+        removed: plan.reviews.remove.length,
+        unchanged: plan.reviews.unchanged,
+    },
+});
+
+/**
+ * Carries out a plan. Edited reviews keep their earlier version in the
+ * revision history, like any other edit. The steps aren't one
+ * transaction; running the same import again finishes a partial one.
+ *
+ * @param {Object} user - The User document
+ * @param {Object} plan - From planImport
+ */
+export const applyImport = async (user, plan) => {
+    const { favorites, mustWatch, reviews } = plan;
+
+    if (reviews.remove.length > 0) {
+        await Review.deleteMany({ _id: { $in: reviews.remove.map((review) => review._id) }, user: user._id });
+    }
+
+    for (const { review, edit } of reviews.update) {
+        review.applyEdit(edit);
+        await review.save();
+    }
+
+    if (reviews.add.length > 0) {
+        await Review.insertMany(reviews.add.map((item) => ({
+            ...item,
+            user: user._id,
+            author: user.username,
+        })));
+    }
+
+    const listsChanged = [favorites, mustWatch].some((list) => list.added.length > 0 || list.removed.length > 0);
+    if (listsChanged) {
+        user.favorites = favorites.result;
+        user.mustWatch = mustWatch.result;
+        await user.save();
+    }
+};
@@ -1,69 +1,153 @@
 import express from 'express';
 import User from './userModel';
+import Review from '../reviews/reviewModel';
 import asyncHandler from 'express-async-handler';
-import jwt from 'jsonwebtoken';
 import authenticate from '../../authenticate';
+import { clientOf, startSession, rotateSession, endSession } from '../../authenticate/tokens';
+import { assertCanAttemptLogin, recordFailedLogin, clearFailedLogins } from '../../authenticate/loginGuard';
+import { createRateLimiter, rateLimit } from '../../rateLimit';
+import { buildBundle, parseBundle, planImport, summarizeImport, applyImport } from './dataBundle';
+import { emitEvent } from '../webhooks/events';
+import { publishChange } from '../events/changes';
+import { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } from '../../errors';
+import { validate, assertValid } from '../../validation';
+import {
+    LOGIN,
+    SIGNUP,
+    REFRESH,
+    MOVIE_ID_PARAM,
+    CREATE_REVIEW,
+    REVIEW_ID_PARAM,
+    UPDATE_REVIEW,
+    IMPORT_DATA
+} from '../../validation/schemas';
 
 const router = express.Router();
 
-// register(Create)/Authenticate User
-router.post('/', asyncHandler(async (req, res) => {
-    try {
-        if (!req.body.username || !req.body.password) {
-            return res.status(400).json({ success: false, msg: 'Username and password are required.' });
-        }
-        if (req.query.action === 'register') {
-            await registerUser(req, res);
-        } else {
-            await authenticateUser(req, res);
-        }
-    } catch (error) {
-        // Log the error and return a generic error message
-        console.error(error);
-        res.status(500).json({ success: false, msg: 'Internal server error.' });
+// ============================================
+// BRUTE-FORCE LIMITS
+// Per-IP and per-username caps on login and registration. Accounts that
+// exist also get progressive delays and a lockout (authenticate/loginGuard.js).
+// ============================================
+
+const MINUTE_MS = 60 * 1000;
+
+const attemptsByIp = createRateLimiter({
+    windowMs: 15 * MINUTE_MS,
+    max: 50,
+    message: 'Too many login attempts from this network. Please try again later.',
+});
+
+const loginsByUsername = createRateLimiter({
+    windowMs: 15 * MINUTE_MS,
+    max: 20,
+    message: 'Too many login attempts for this username. Please try again later.',
+});
+
+const signupsByIp = createRateLimiter({
+    windowMs: 60 * MINUTE_MS,
+    max: 10,
+    message: 'Too many accounts created from this network. Please try again later.',
+});
+
+/**
+ * POST /api/users
+ *
+ * Logs in, or with ?action=register creates an account.
+ * Logging in starts a session; registering doesn't log the new user in.
+ *
+ * @query {string} [action] - 'register' to create the account
+ * @body {string} username - Username
+ * @body {string} password - Password
+ * @returns {Object} Login: { success: true, token, refreshToken, refreshTokenExpiresAt }
+ *          Register (201): { success: true, msg: string }
+ * @throws {UnauthorizedError} Unknown username or wrong password
+ * @throws {LockedError} Too many wrong passwords for the account
+ * @throws {ConflictError} When registering a username that is taken
+ */
+router.post('/', rateLimit(attemptsByIp, (req) => req.ip), validate(LOGIN), asyncHandler(async (req, res) => {
+    if (req.valid.query.action === 'register') {
+        await registerUser(req, res);
+    } else {
+        await authenticateUser(req, res);
     }
 }));
 
 async function registerUser(req, res) {
-    // Username validation regex: 3-20 characters, alphanumeric and underscore only
-    const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
-    
-    if (!usernameRegex.test(req.body.username)) {
-        return res.status(400).json({ 
-            success: false, 
-            msg: 'Username must be 3-20 characters long and contain only letters, numbers, and underscores.' 
-        });
-    }
+    // Registering applies the username and password format rules that login doesn't
+    const { username, password } = assertValid(req, SIGNUP).body;
+    signupsByIp.hit(req.ip);
 
-    // Password validation regex
-    const passwordRegex = /^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/;
-    
-    if (!passwordRegex.test(req.body.password)) {
-        return res.status(400).json({ 
-            success: false, 
-            msg: 'Password must be at least 8 characters long and contain at least one letter, one digit, and one special character (@$!%*#?&).' 
-        });
+    if (await User.findByUserName(username)) {
+        throw new ConflictError('That username is already taken.');
     }
     
-    await User.create(req.body);
+    await User.create({ username, password });
     res.status(201).json({ success: true, msg: 'User successfully created.' });
 }
 
 async function authenticateUser(req, res) {
-    const user = await User.findByUserName(req.body.username);
+    const { username, password } = req.valid.body;
+
+    // Counted before the lookup, so guessing at unknown usernames is capped too.
+    // Usernames are case-sensitive: "Alice" and "alice" are different accounts with separate limits
+    loginsByUsername.hit(username);
+
+    const user = await User.findByUserName(username);
     if (!user) {
-        return res.status(401).json({ success: false, msg: 'Authentication failed. User not found.' });
+        throw new UnauthorizedError('Authentication failed. User not found.');
     }
 
-    const isMatch = await user.comparePassword(req.body.password);
-    if (isMatch) {
-        const token = jwt.sign({ username: user.username }, process.env.SECRET, { expiresIn: '7d' });
-        res.status(200).json({ success: true, token: token });
-    } else {
-        res.status(401).json({ success: false, msg: 'Wrong password.' });
+    // A locked account's password isn't even checked
+    assertCanAttemptLogin(user);
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+        const retryAfter = await recordFailedLogin(user);
+        throw new UnauthorizedError('Wrong password.', retryAfter ? { retryAfter, details: { retryAfter } } : undefined);
     }
+
+    await clearFailedLogins(user);
+
+    // token is the short-lived access token; refreshToken gets a new pair from POST /refresh
+    const tokens = await startSession(user, clientOf(req));
+    res.status(200).json({ success: true, ...tokens });
 }
 
+// ============================================
+// SESSION ENDPOINTS
+// These take the refresh token, not the access token, so they
+// still work after the access token has expired
+// ============================================
+
+/**
+ * POST /api/users/refresh
+ * 
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The refresh token sent here stops working; sending it again signs the session out.
+ * 
+ * @body {string} refreshToken - The current refresh token
+ * @returns {Object} { success: true, token: string, refreshToken: string, refreshTokenExpiresAt: Date }
+ */
+router.post('/refresh', validate(REFRESH), asyncHandler(async (req, res) => {
+    const tokens = await rotateSession(req.valid.body.refreshToken, clientOf(req));
+    res.status(200).json({ success: true, ...tokens });
+}));
+
+/**
+ * POST /api/users/logout
+ * 
+ * Ends the session the refresh token belongs to. Its access tokens stop
+ * working straight away, not when they expire. Logging out twice is fine.
+ * 
+ * @body {string} refreshToken - The session's current refresh token
+ * @returns {Object} { success: true, msg: string }
+ */
+router.post('/logout', validate(REFRESH), asyncHandler(async (req, res) => {
+    await endSession(req.valid.body.refreshToken);
+    res.status(200).json({ success: true, msg: 'Logged out.' });
+}));
+
 // ============================================
 // FAVORITES ENDPOINTS
 // All endpoints require authentication
@@ -97,16 +181,8 @@ router.get('/favorites', authenticate, asyncHandler(async (req, res) => {
  * @param {number} movieId - TMDB movie ID (from URL parameter)
  * @returns {Object} { success: true, msg: string, favorites: [...] }
  */
-router.post('/favorites/:movieId', authenticate, asyncHandler(async (req, res) => {
-    const movieId = parseInt(req.params.movieId);
-    
-    // Validate that movieId is a valid number
-    if (isNaN(movieId)) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid movie ID. Must be a number.'
-        });
-    }
+router.post('/favorites/:movieId', authenticate, validate(MOVIE_ID_PARAM), asyncHandler(async (req, res) => {
+    const { movieId } = req.valid.params;
     
     const user = req.user;
     
@@ -122,6 +198,8 @@ router.post('/favorites/:movieId', authenticate, asyncHandler(async (req, res) =
     // Add movie to favorites and save
     user.favorites.push(movieId);
     await user.save();
+    await publishChange(user, 'favorites', { favorites: user.favorites });
+    await emitEvent(user, 'favorite.added', { movieId });
     
     res.status(201).json({
         success: true,
@@ -139,16 +217,8 @@ router.post('/favorites/:movieId', authenticate, asyncHandler(async (req, res) =
  * @param {number} movieId - TMDB movie ID (from URL parameter)
  * @returns {Object} { success: true, msg: string, favorites: [...] }
  */
-router.delete('/favorites/:movieId', authenticate, asyncHandler(async (req, res) => {
-    const movieId = parseInt(req.params.movieId);
-    
-    // Validate that movieId is a valid number
-    if (isNaN(movieId)) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid movie ID. Must be a number.'
-        });
-    }
+router.delete('/favorites/:movieId', authenticate, validate(MOVIE_ID_PARAM), asyncHandler(async (req, res) => {
+    const { movieId } = req.valid.params;
     
     const user = req.user;
     
@@ -167,6 +237,8 @@ router.delete('/favorites/:movieId', authenticate, asyncHandler(async (req, res)
     // Remove movie from favorites and save
     user.favorites.splice(index, 1);
     await user.save();
+    await publishChange(user, 'favorites', { favorites: user.favorites });
+    await emitEvent(user, 'favorite.removed', { movieId });
     
     res.status(200).json({
         success: true,
@@ -206,16 +278,8 @@ router.get('/mustwatch', authenticate, asyncHandler(async (req, res) => {
  * @param {number} movieId - TMDB movie ID (from URL parameter)
  * @returns {Object} { success: true, msg: string, mustWatch: [...] }
  */
-router.post('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res) => {
-    const movieId = parseInt(req.params.movieId);
-    
-    // Validate that movieId is a valid number
-    if (isNaN(movieId)) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid movie ID. Must be a number.'
-        });
-    }
+router.post('/mustwatch/:movieId', authenticate, validate(MOVIE_ID_PARAM), asyncHandler(async (req, res) => {
+    const { movieId } = req.valid.params;
     
     const user = req.user;
     
@@ -231,6 +295,8 @@ router.post('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res) =
     // Add movie to must-watch and save
     user.mustWatch.push(movieId);
     await user.save();
+    await publishChange(user, 'mustWatch', { mustWatch: user.mustWatch });
+    await emitEvent(user, 'mustwatch.added', { movieId });
     
     res.status(201).json({
         success: true,
@@ -248,16 +314,8 @@ router.post('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res) =
  * @param {number} movieId - TMDB movie ID (from URL parameter)
  * @returns {Object} { success: true, msg: string, mustWatch: [...] }
  */
-router.delete('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res) => {
-    const movieId = parseInt(req.params.movieId);
-    
-    // Validate that movieId is a valid number
-    if (isNaN(movieId)) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid movie ID. Must be a number.'
-        });
-    }
+router.delete('/mustwatch/:movieId', authenticate, validate(MOVIE_ID_PARAM), asyncHandler(async (req, res) => {
+    const { movieId } = req.valid.params;
     
     const user = req.user;
     
@@ -276,6 +334,8 @@ router.delete('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res)
     // Remove movie from must-watch and save
     user.mustWatch.splice(index, 1);
     await user.save();
+    await publishChange(user, 'mustWatch', { mustWatch: user.mustWatch });
+    await emitEvent(user, 'mustwatch.removed', { movieId });
     
     res.status(200).json({
         success: true,
@@ -292,79 +352,219 @@ router.delete('/mustwatch/:movieId', authenticate, asyncHandler(async (req, res)
 /**
  * GET /api/users/reviews
  * 
- * Returns the authenticated user's list of movie reviews.
+ * Returns the authenticated user's list of movie reviews, oldest first.
  * Requires valid JWT token in Authorization header.
  * 
- * @returns {Object} { success: true, reviews: [{ movieId, movieTitle, author, rating, content, createdAt }, ...] }
+ * @returns {Object} { success: true, reviews: [{ _id, movieId, movieTitle, author, rating, content, createdAt, updatedAt, revisions }, ...] }
  */
 router.get('/reviews', authenticate, asyncHandler(async (req, res) => {
-    const user = req.user;
+    const reviews = await Review.find({ user: req.user._id }).sort({ createdAt: 1 });
     
     res.status(200).json({
         success: true,
-        reviews: user.reviews || []
+        reviews
     });
 }));
 
+/**
+ * Finds one of the user's reviews by its ID (already checked by REVIEW_ID_PARAM).
+ * Resolves to null for unknown IDs and for other users' reviews.
+ */
+const findUserReview = async (user, reviewId) => {
+    return Review.findOne({ _id: reviewId, user: user._id });
+};
+
+/**
+ * A review as webhook events carry it: no revision history.
+ */
+const toEventReview = (review) => ({
+    id: review._id.toString(),
+    movieId: review.movieId,
+    movieTitle: review.movieTitle,
+    rating: review.rating,
+    content: review.content,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt,
+});
+
 /**
  * POST /api/users/reviews
  * 
  * Adds a new movie review for the authenticated user.
- * Duplicate reviews for the same movie are allowed.
+ * With one review per movie enforced (the default), posting again for a movie
+ * the user already reviewed edits that review instead of adding a duplicate.
  * 
  * @body {number} movieId - TMDB movie ID
  * @body {string} movieTitle - Movie title (stored to avoid extra API calls)
  * @body {number} rating - Rating from 1-5
  * @body {string} content - Review text content
- * @returns {Object} { success: true, msg: string, review: {...} }
+ * @returns {Object} { success: true, msg: string, review: {...}, updated: boolean }
+ *          201 for a new review, 200 when an existing review was edited
  */
-router.post('/reviews', authenticate, asyncHandler(async (req, res) => {
-    const { movieId, movieTitle, rating, content } = req.body;
-    
-    // Validate required fields
-    if (!movieId || !movieTitle || !rating || !content) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Missing required fields: movieId, movieTitle, rating, and content are required.'
-        });
-    }
-    
-    // Validate movieId is a number
-    if (typeof movieId !== 'number' || isNaN(movieId)) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid movie ID. Must be a number.'
-        });
-    }
-    
-    // Validate rating is between 1 and 5
-    if (typeof rating !== 'number' || rating < 1 || rating > 5) {
-        return res.status(400).json({
-            success: false,
-            msg: 'Invalid rating. Must be a number between 1 and 5.'
-        });
-    }
+router.post('/reviews', authenticate, validate(CREATE_REVIEW), asyncHandler(async (req, res) => {
+    const { movieId, movieTitle, rating, content } = req.valid.body;
     
     const user = req.user;
+
+    // Later posts for the same movie become edits of the existing review
+    if (Review.isOnePerMovie()) {
+        const existing = await Review.findOne({ user: user._id, movieId }).sort({ createdAt: -1 });
+        if (existing) {
+            const changed = existing.applyEdit({ rating, content });
+            if (changed) {
+                await existing.save();
+                await publishChange(user, 'review.saved', { review: existing.toJSON() });
+                await emitEvent(user, 'review.updated', { review: toEventReview(existing) });
+            }
+
+            return res.status(200).json({
+                success: true,
+                msg: changed ? 'Review updated successfully.' : 'Review is unchanged.',
+                review: existing,
+                updated: true
+            });
+        }
+    }
     
-    // Create the review object
-    const newReview = {
+    const review = await Review.create({
+        user: user._id,
         movieId,
         movieTitle,
         author: user.username,  // Auto-populate from logged-in user
         rating,
-        content,
-        createdAt: new Date()
-    };
-    
-    // Add review to user's reviews array and save
-    user.reviews.push(newReview);
-    await user.save();
+        content
+    });
+    await publishChange(user, 'review.saved', { review: review.toJSON() });
+    await emitEvent(user, 'review.created', { review: toEventReview(review) });
     
     res.status(201).json({
         success: true,
         msg: 'Review added successfully.',
-        review: newReview
+        review,
+        updated: false
+    });
+}));
+
+/**
+ * PUT /api/users/reviews/:reviewId
+ * 
+ * Edits one of the authenticated user's reviews.
+ * The previous version is kept in the review's revisions array.
+ * 
+ * @param {string} reviewId - The review's _id (from URL parameter)
+ * @body {number} [rating] - New rating from 1-5
+ * @body {string} [content] - New review text
+ * @returns {Object} { success: true, msg: string, review: {...} }
+ */
+router.put('/reviews/:reviewId', authenticate, validate(UPDATE_REVIEW), asyncHandler(async (req, res) => {
+    const { rating, content } = req.valid.body;
+
+    if (rating === undefined && content === undefined) {
+        throw new BadRequestError('Nothing to update: provide a rating, content, or both.');
+    }
+
+    const review = await findUserReview(req.user, req.valid.params.reviewId);
+
+    if (!review) {
+        throw new NotFoundError('Review not found.');
+    }
+
+    const changed = review.applyEdit({ rating, content });
+    if (changed) {
+        await review.save();
+        await publishChange(req.user, 'review.saved', { review: review.toJSON() });
+        await emitEvent(req.user, 'review.updated', { review: toEventReview(review) });
+    }
+
+    res.status(200).json({
+        success: true,
+        msg: changed ? 'Review updated successfully.' : 'Review is unchanged.',
+        review
+    });
+}));
+
+/**
+ * DELETE /api/users/reviews/:reviewId
+ * 
+ * Deletes one of the authenticated user's reviews, including its revision history.
+ * 
+ * @param {string} reviewId - The review's _id (from URL parameter)
+ * @returns {Object} { success: true, msg: string, reviews: [...] }
+ */
+router.delete('/reviews/:reviewId', authenticate, validate(REVIEW_ID_PARAM), asyncHandler(async (req, res) => {
+    const user = req.user;
+    const review = await findUserReview(user, req.valid.params.reviewId);
+
+    if (!review) {
+        throw new NotFoundError('Review not found.');
+    }
+
+    await review.deleteOne();
+    await publishChange(user, 'review.deleted', { reviewId: review._id, movieId: review.movieId });
+    await emitEvent(user, 'review.deleted', { review: toEventReview(review) });
+    const reviews = await Review.find({ user: user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+        success: true,
+        msg: 'Review deleted.',
+        reviews
+    });
+}));
+
+// ============================================
+// DATA EXPORT AND IMPORT
+// Favorites, must-watch and reviews as one JSON file (see dataBundle.js)
+// ============================================
+
+/**
+ * GET /api/users/export
+ * 
+ * Downloads the authenticated user's favorites, must-watch list and reviews
+ * as a versioned JSON bundle that POST /api/users/import accepts.
+ * 
+ * @returns {Object} The bundle itself (no success wrapper), sent as an attachment
+ */
+router.get('/export', authenticate, asyncHandler(async (req, res) => {
+    const bundle = await buildBundle(req.user);
+    const day = bundle.exportedAt.toISOString().slice(0, 10);
+
+    res.attachment(`moodvy-${req.user.username}-${day}.json`);
+    res.status(200).json(bundle);
+}));
+
+/**
+ * POST /api/users/import
+ * 
+ * Loads a bundle from GET /api/users/export into the authenticated user's account.
+ * With dryRun nothing is saved; the response says what the import would change.
+ * 
+ * Reviews are matched to the user's own by movie (or, when several reviews per
+ * movie are allowed, by movie and createdAt). A matching review with a different
+ * rating or text is edited, keeping the old version in its history.
+ * 
+ * @query {string} [mode=merge] - 'merge' adds to the account; 'replace' also removes what the bundle doesn't have
+ * @query {boolean} [dryRun=false] - Only report the changes
+ * @body {Object} The bundle
+ * @returns {Object} { success: true, msg: string, mode, dryRun, changes: {
+ *          favorites: { added: [movieId], removed: [movieId] }, mustWatch: { added, removed },
+ *          reviews: { added, updated, removed, unchanged } } }
+ */
+router.post('/import', authenticate, validate(IMPORT_DATA), asyncHandler(async (req, res) => {
+    const { mode, dryRun } = req.valid.query;
+
+    const bundle = parseBundle(req.body);
+    const plan = await planImport(req.user, bundle, mode);
+    if (!dryRun) {
+        await applyImport(req.user, plan);
+        await publishChange(req.user, 'resync');
+    }
+
+    res.status(200).json({
+        success: true,
+        msg: dryRun ? 'Nothing was changed (dry run).' : 'Import complete.',
+        mode,
+        dryRun,
+        changes: summarizeImport(plan)
     });
 }));
 
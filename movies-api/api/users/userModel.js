@@ -6,38 +6,53 @@ const Schema = mongoose.Schema;
 /**
  * User Schema for MongoDB
  * 
- * Stores user authentication data, movie lists, and reviews.
+ * Stores user authentication data and movie lists.
+ * Reviews live in their own collection (see api/reviews/reviewModel.js).
  * 
  * Fields:
  * - username: Unique identifier for the user (3-20 chars, alphanumeric + underscore)
  * - password: Hashed password (bcrypt)
+ * - role: 'user' or 'admin' (admins can use /api/admin routes)
  * - favorites: Array of TMDB movie IDs the user has favorited
  * - mustWatch: Array of TMDB movie IDs the user wants to watch
- * - reviews: Array of user's movie reviews (embedded subdocuments)
+ * - failedLogins: Wrong passwords in a row (see authenticate/loginGuard.js)
+ * - lastFailedLoginAt: When the last wrong password was tried
+ * - lockedUntil: Logins are refused until then after too many failures
+ * - calendarFeed: The secret calendar feed link, if turned on (see api/calendar)
+ * - syncSeq: Number of the user's latest change to their collections (see api/events)
+ * - notifiedReleases: The must-watch releases the user has been notified about,
+ *   as "<movieId>:<type>:<releaseDate>" (see api/notifications/releaseWatcher.js)
  * - createdAt/updatedAt: Auto-managed timestamps
  */
 const UserSchema = new Schema({
   username: { type: String, unique: true, required: true },
   password: { type: String, required: true },
+
+  // Admin role is granted manually in the database, never through the API
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
   
   // Movie lists - store TMDB movie IDs as numbers
   // Default to empty arrays so new users start with no movies
   favorites: { type: [Number], default: [] },
   mustWatch: { type: [Number], default: [] },
-  
-  // User reviews - embedded subdocuments with review details
-  // Each review stores movie info to avoid extra API calls when displaying
-  reviews: {
-    type: [{
-      movieId: { type: Number, required: true },
-      movieTitle: { type: String, required: true },
-      author: { type: String, required: true },
-      rating: { type: Number, required: true, min: 1, max: 5 },
-      content: { type: String, required: true },
-      createdAt: { type: Date, default: Date.now }
-    }],
-    default: []
+
+  // Brute-force protection - reset by a successful login
+  failedLogins: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  // Only a hash of the feed link's secret is stored, like refresh tokens
+  calendarFeed: {
+    secretHash: { type: String, default: null },
+    createdAt: { type: Date, default: null },
   },
+
+  // Only ever moved on with $inc, so concurrent changes get distinct numbers
+  syncSeq: { type: Number, default: 0 },
+
+  // Outlives the notifications themselves (deleted after 90 days), so a release is never announced twice.
+  // Only the release watcher reads it
+  notifiedReleases: { type: [String], default: [], select: false },
 }, {
   timestamps: true,  // Adds createdAt and updatedAt automatically
 });
@@ -0,0 +1,311 @@
+import { createHmac } from 'crypto';
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { isIP } from 'net';
+import fetch from 'node-fetch';
+import Webhook from './webhookModel';
+import Delivery from './deliveryModel';
+import { mapConcurrently } from '../tmdb-client';
+import { BadRequestError } from '../../errors';
+
+/**
+ * Webhook Delivery
+ *
+ * Sends deliveries (see deliveryModel.js) to their webhook's URL as a JSON
+ * POST with these headers:
+ *
+ * - X-Moodvy-Event: The event, e.g. review.created
+ * - X-Moodvy-Delivery: The delivery's _id (the same on every attempt)
+ * - X-Moodvy-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *   keyed with the webhook's secret. Receivers should recompute it, compare
+ *   in constant time and reject old timestamps, so a captured request
+ *   can't be played back to them later
+ *
+ * Any 2xx answer within 10 seconds is a success. Anything else is retried
+ * after 1 minute, 5 minutes, 30 minutes, 2 hours and 6 hours (the
+ * webhook-retries job, jobs/definitions.js, sends the due ones); after the
+ * sixth attempt the delivery is marked failed. Owners can replay any
+ * delivery from its log.
+ *
+ * URLs that resolve to loopback or private addresses are refused, so
+ * webhooks can't be used to reach the server's own network. Deliveries
+ * connect to the address that was checked rather than looking the host up
+ * again, so a DNS answer that changes in between (DNS rebinding) can't
+ * send them elsewhere. Set
+ * WEBHOOKS_ALLOW_PRIVATE=true to allow them, e.g. for a dashboard on a
+ * home network.
+ */
+
+const TIMEOUT_MS = 10 * 1000;
+
+// Waits before each retry; one attempt more than there are waits
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 360].map((minutes) => minutes * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// A claimed delivery is left alone by other attempts for this long (well beyond the timeout)
+const CLAIM_MS = 2 * 60 * 1000;
+
+// Due retries sent per run of the webhook-retries job, and how many at once
+const RETRY_BATCH = 100;
+const RETRY_CONCURRENCY = 4;
+
+// How much of the receiver's answer is kept in the log
+const RESPONSE_EXCERPT_LENGTH = 1000;
+
+const allowPrivateTargets = () => process.env.WEBHOOKS_ALLOW_PRIVATE === 'true';
+
+// ============================================
+// TARGETS
+// ============================================
+
+// Loopback, private, link-local (cloud metadata lives there), carrier-grade NAT, "this network",
+// benchmarking, multicast and reserved (which takes in the broadcast address 255.255.255.255)
+const PRIVATE_IPV4_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16',
+    '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((value, octet) => value * 256 + Number(octet), 0);
+
+const inIpv4Range = (address, range) => {
+    const [base, bits] = range.split('/');
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(ipv4ToNumber(address) / size) === Math.floor(ipv4ToNumber(base) / size);
+};
+
+/**
+ * Splits a valid IPv6 address into its eight 16-bit groups, filling in
+ * "::" and turning a dotted IPv4 tail (::ffff:10.0.0.1) into two groups.
+ */
+const ipv6Groups = (address) => {
+    let text = address.toLowerCase().replace(/%.*$/, '');
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+    }
+
+    const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+    const [head, tail] = text.split('::');
+    if (tail === undefined) return parse(head);
+
+    const start = parse(head);
+    const end = parse(tail);
+    return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+};
+
+// The IPv4 address carried in two IPv6 groups
+const groupsToIpv4 = (high, low) => [high >> 8, high & 255, low >> 8, low & 255].join('.');
+
+/**
+ * Whether an address is loopback, link-local, private or otherwise not on the public internet.
+ * IPv6 addresses that carry an IPv4 address are judged by that address.
+ */
+const isPrivateAddress = (address) => {
+    if (isIP(address) !== 6) {
+        return PRIVATE_IPV4_RANGES.some((range) => inIpv4Range(address, range));
+    }
+
+    const groups = ipv6Groups(address);
+    const [first, second, third] = groups;
+
+    // IPv4-mapped (::ffff:0:0/96) and IPv4-compatible (::/96, which takes in :: and ::1)
+    if (groups.slice(0, 5).every((group) => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+        return isPrivateAddress(groupsToIpv4(groups[6], groups[7]));
+    }
+    // NAT64 (64:ff9b::/96): a gateway passes it on to the IPv4 address in the last 32 bits
+    if (first === 0x64 && second === 0xff9b && groups.slice(2, 6).every((group) => group === 0)) {
+        return isPrivateAddress(groupsToIpv4(groups[6], groups[7]));
+    }
+    // 6to4 (2002::/16): the IPv4 address follows the prefix
+    if (first === 0x2002) {
+        return isPrivateAddress(groupsToIpv4(second, third));
+    }
+
+    // Local-use NAT64 (64:ff9b:1::/48), unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+    return (first === 0x64 && second === 0xff9b && third === 1)
+        || (first & 0xfe00) === 0xfc00
+        || (first & 0xffc0) === 0xfe80
+        || (first & 0xff00) === 0xff00;
+};
+
+/**
+ * Resolves a webhook URL's host and checks that every address it has is public.
+ *
+ * @param {string} url - An http(s) URL (already checked by the WEBHOOK schemas)
+ * @returns {Promise<Array<{ address: string, family: number }>>} The host's addresses
+ * @throws {BadRequestError} If the host doesn't resolve, or resolves to a private address
+ */
+const resolvePublicAddresses = async (url) => {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+    } catch {
+        throw new BadRequestError(`Could not resolve ${host}.`);
+    }
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new BadRequestError('Webhook URLs must point to a public address.');
+    }
+    return addresses;
+};
+
+/**
+ * Checks that a webhook URL points at a public address.
+ *
+ * @param {string} url - An http(s) URL (already checked by the WEBHOOK schemas)
+ * @throws {BadRequestError} If the host doesn't resolve, or resolves to a private address
+ */
+export const assertDeliverableUrl = async (url) => {
+    if (allowPrivateTargets()) return;
+    await resolvePublicAddresses(url);
+};
+
+/**
+ * The agent a delivery connects through: one whose lookup answers with the
+ * checked address, whatever the host resolves to by the time the request
+ * goes out. TLS still checks the certificate against the URL's host name.
+ *
+ * @param {string} url - The webhook's URL
+ * @returns {Promise<http.Agent|undefined>} undefined (a normal lookup) when private targets are allowed
+ * @throws {BadRequestError} As assertDeliverableUrl
+ */
+const pinnedAgent = async (url) => {
+    if (allowPrivateTargets()) return undefined;
+
+    const [{ address, family }] = await resolvePublicAddresses(url);
+    const Agent = new URL(url).protocol === 'https:' ? https.Agent : http.Agent;
+    return new Agent({
+        lookup: (hostname, options, callback) => {
+            if (options.all) callback(null, [{ address, family }]);
+            else callback(null, address, family);
+        },
+    });
+};
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Signs a delivery body the way X-Moodvy-Signature carries it.
+ *
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - The exact JSON body
+ * @returns {string} 't=<timestamp>,v1=<hex signature>'
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * POSTs a delivery once.
+ *
+ * @returns {Promise<{ ok: boolean, statusCode: number|null, error: string|null, response: string|null }>}
+ */
+const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        const agent = await pinnedAgent(webhook.url);
+        const res = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Moodvy-Webhooks/1.0',
+                'X-Moodvy-Event': delivery.event,
+                'X-Moodvy-Delivery': delivery._id.toString(),
+                'X-Moodvy-Signature': signPayload(webhook.secret, Math.floor(Date.now() / 1000), body),
+            },
+            body,
+            // A redirect could lead anywhere, including a private address
+            redirect: 'manual',
+            agent,
+            signal: controller.signal,
+        });
+        const response = (await res.text().catch(() => '')).slice(0, RESPONSE_EXCERPT_LENGTH);
+        return {
+            ok: res.ok,
+            statusCode: res.status,
+            error: res.ok ? null : `The receiver answered ${res.status}.`,
+            response,
+        };
+    } catch (err) {
+        const error = err.name === 'AbortError' ? `No answer within ${TIMEOUT_MS / 1000} seconds.` : err.message;
+        return { ok: false, statusCode: null, error, response: null };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Makes the next attempt at a delivery, if it's due and nobody else is
+ * making it, and records the outcome.
+ *
+ * @param {string|ObjectId} deliveryId - The delivery's _id
+ * @returns {Promise<Object|null>} The updated delivery, or null if it wasn't due
+ */
+export const attemptDelivery = async (deliveryId) => {
+    const now = new Date();
+    const delivery = await Delivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+        { returnDocument: 'after' }
+    );
+    if (!delivery) return null;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const startedAt = Date.now();
+    const result = webhook
+        ? await send(webhook, delivery)
+        : { ok: false, statusCode: null, error: 'The webhook was deleted.', response: null };
+
+    const attempts = delivery.attempts + 1;
+    const retry = !result.ok && webhook && attempts < MAX_ATTEMPTS;
+
+    delivery.set({
+        attempts,
+        status: result.ok ? 'succeeded' : retry ? 'pending' : 'failed',
+        nextAttemptAt: retry ? new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]) : null,
+        lastAttemptAt: new Date(startedAt),
+        lastStatusCode: result.statusCode,
+        lastError: result.error,
+        lastResponse: result.response,
+        lastDurationMs: Date.now() - startedAt,
+        deliveredAt: result.ok ? new Date() : null,
+    });
+    await delivery.save();
+    return delivery;
+};
+
+/**
+ * Starts the first attempt at new deliveries in the background. An
+ * attempt that can't even be recorded is left for the retry job.
+ */
+export const sendInBackground = (deliveries) => {
+    for (const delivery of deliveries) {
+        attemptDelivery(delivery._id).catch((err) => {
+            console.error(`webhook delivery ${delivery._id} failed to send: ${err.message}`);
+        });
+    }
+};
+
+/**
+ * Sends the deliveries whose retry is due. Run by the webhook-retries job.
+ *
+ * @returns {Promise<{ attempted: number, succeeded: number }>}
+ */
+export const retryDueDeliveries = async () => {
+    const due = await Delivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }, { _id: 1 })
+        .sort({ nextAttemptAt: 1 })
+        .limit(RETRY_BATCH);
+
+    const results = await mapConcurrently(due, (delivery) => attemptDelivery(delivery._id), RETRY_CONCURRENCY);
+    const attempted = results.filter(Boolean);
+    return { attempted: attempted.length, succeeded: attempted.filter((delivery) => delivery.status === 'succeeded').length };
+};
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { WEBHOOK_DELIVERY_STATUSES } from '../../validation/schemas';
+
+const Schema = mongoose.Schema;
+
+/**
+ * Webhook Delivery Schema for MongoDB
+ *
+ * One event sent (or being sent) to one webhook: the delivery log. The
+ * payload is stored exactly as sent, so a replay sends the same body.
+ *
+ * Fields:
+ * - webhook: The Webhook's _id
+ * - user: The webhook owner's User _id
+ * - event: The event's name (e.g. 'review.created'), or 'ping'
+ * - payload: The JSON body
+ * - status: 'pending' until it succeeds or runs out of attempts ('failed')
+ * - attempts: Attempts made so far
+ * - nextAttemptAt: When the next attempt is due; null once it's settled
+ * - replayOf: The delivery this one replays, if any
+ * - lastAttemptAt, lastStatusCode, lastError, lastResponse, lastDurationMs:
+ *   How the latest attempt went (lastResponse is the start of the body)
+ * - deliveredAt: When an attempt succeeded
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const DeliverySchema = new Schema({
+  webhook: { type: Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  payload: { type: Schema.Types.Mixed, required: true },
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  replayOf: { type: Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+  lastAttemptAt: { type: Date, default: null },
+  lastStatusCode: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  lastResponse: { type: String, default: null },
+  lastDurationMs: { type: Number, default: null },
+  deliveredAt: { type: Date, default: null },
+}, {
+  timestamps: true,
+});
+
+// A webhook's delivery log, newest first
+DeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Deliveries waiting for a retry
+DeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// The log covers the last 30 days
+DeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model("WebhookDelivery", DeliverySchema);
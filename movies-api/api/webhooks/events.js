@@ -0,0 +1,101 @@
+import { randomUUID } from 'crypto';
+import Webhook from './webhookModel';
+import Delivery from './deliveryModel';
+import { sendInBackground } from './delivery';
+
+/**
+ * Webhook Events
+ *
+ * api/users/index.js calls emitEvent after each change to a user's
+ * favorites, must-watch list or reviews, and api/diary after logging a
+ * watch takes the movie off must-watch (WEBHOOK_EVENTS in
+ * validation/schemas.js). Every active webhook subscribed to the event -
+ * the user's own, and admins' allUsers webhooks - gets a delivery with this
+ * body:
+ *
+ *   { id, event, createdAt, user: { id, username }, data }
+ *
+ * id is the event's, shared by its deliveries to different webhooks and by
+ * replays, so receivers can tell when they've seen it before. data is
+ * { movieId } for list events and { review } for review events.
+ *
+ * Emitting never fails the request that caused it: errors are logged, and
+ * sending happens after the response (see delivery.js).
+ */
+
+/**
+ * Builds the body of a delivery.
+ */
+const buildPayload = (event, user, data) => ({
+    id: randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    user: { id: user._id.toString(), username: user.username },
+    data,
+});
+
+/**
+ * Stores one delivery per webhook and starts sending them.
+ */
+const deliver = async (webhooks, event, payload) => {
+    if (webhooks.length === 0) return [];
+    const deliveries = await Delivery.insertMany(webhooks.map((webhook) => ({
+        webhook: webhook._id,
+        user: webhook.user,
+        event,
+        payload,
+    })));
+    sendInBackground(deliveries);
+    return deliveries;
+};
+
+/**
+ * Sends an event to every webhook subscribed to it.
+ *
+ * @param {Object} user - The User document whose activity it is
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - The event's data
+ */
+export const emitEvent = async (user, event, data) => {
+    try {
+        const webhooks = await Webhook.find({
+            events: event,
+            active: true,
+            $or: [{ user: user._id }, { allUsers: true }],
+        });
+        await deliver(webhooks, event, buildPayload(event, user, data));
+    } catch (err) {
+        console.error(`webhook event ${event} was not delivered: ${err.message}`);
+    }
+};
+
+/**
+ * Sends a 'ping' to one webhook, so its owner can check their receiver.
+ *
+ * @param {Object} webhook - The Webhook document
+ * @param {Object} user - Its owner
+ * @returns {Promise<Object>} The delivery
+ */
+export const sendPing = async (webhook, user) => {
+    const payload = buildPayload('ping', user, { webhookId: webhook._id.toString(), events: webhook.events });
+    const [delivery] = await deliver([webhook], 'ping', payload);
+    return delivery;
+};
+
+/**
+ * Sends a delivery's payload again, as a new delivery with a fresh set of attempts.
+ *
+ * @param {Object} delivery - The Delivery document to replay
+ * @returns {Promise<Object>} The new delivery
+ */
+export const replayDelivery = async (delivery) => {
+    const replay = await Delivery.create({
+        webhook: delivery.webhook,
+        user: delivery.user,
+        event: delivery.event,
+        payload: delivery.payload,
+        replayOf: delivery._id,
+    });
+    sendInBackground([replay]);
+    return replay;
+};
@@ -0,0 +1,267 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import Webhook from './webhookModel';
+import Delivery from './deliveryModel';
+import authenticate from '../../authenticate';
+import { newSecret } from '../../authenticate/tokens';
+import { assertDeliverableUrl } from './delivery';
+import { sendPing, replayDelivery } from './events';
+import { PAGE_SIZE } from '../pagination';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../../errors';
+import { validate } from '../../validation';
+import {
+    WEBHOOK_ID_PARAM,
+    CREATE_WEBHOOK,
+    UPDATE_WEBHOOK,
+    WEBHOOK_DELIVERY_LIST,
+    WEBHOOK_DELIVERY_PARAMS,
+} from '../../validation/schemas';
+
+const router = express.Router();
+
+/**
+ * Webhooks Router
+ *
+ * Mounted at /api/users/webhooks. Users register URLs to be told about
+ * their own activity (events.js), look through each webhook's delivery log
+ * and replay deliveries. Admins can also register allUsers webhooks, which
+ * receive every user's events.
+ *
+ * The secret that signs deliveries is only returned when a webhook is
+ * created or its secret rotated.
+ */
+router.use(authenticate);
+
+const MAX_WEBHOOKS = 10;
+
+/**
+ * Finds one of the user's webhooks, or throws a 404.
+ */
+const findUserWebhook = async (user, webhookId) => {
+    const webhook = await Webhook.findOne({ _id: webhookId, user: user._id });
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found.');
+    }
+    return webhook;
+};
+
+/**
+ * Finds one of a webhook's deliveries, or throws a 404.
+ */
+const findDelivery = async (webhook, deliveryId) => {
+    const delivery = await Delivery.findOne({ _id: deliveryId, webhook: webhook._id });
+    if (!delivery) {
+        throw new NotFoundError('Delivery not found.');
+    }
+    return delivery;
+};
+
+// Delivery log entries without their payload
+const DELIVERY_SUMMARY = { payload: 0 };
+
+// ============================================
+// WEBHOOK ROUTES
+// ============================================
+
+/**
+ * GET /api/users/webhooks
+ *
+ * Returns the user's webhooks, oldest first.
+ *
+ * @returns {Object} { success: true, webhooks: [{ _id, url, events, description, allUsers, active, createdAt, updatedAt }, ...] }
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: 1 });
+    res.status(200).json({ success: true, webhooks });
+}));
+
+/**
+ * POST /api/users/webhooks
+ *
+ * Registers a webhook. Its secret is in the response, and only this once.
+ *
+ * @body {string} url - http(s) URL on a public address
+ * @body {Array<string>} events - The events to receive (WEBHOOK_EVENTS)
+ * @body {string} [description]
+ * @body {boolean} [allUsers=false] - Admins only: receive every user's events
+ * @returns {Object} { success: true, msg: string, webhook, secret } (201)
+ * @throws {ForbiddenError} If a non-admin asks for allUsers
+ */
+router.post('/', validate(CREATE_WEBHOOK), asyncHandler(async (req, res) => {
+    const { url, events, description, allUsers } = req.valid.body;
+
+    if (allUsers && req.user.role !== 'admin') {
+        throw new ForbiddenError("Only admins can receive every user's events.");
+    }
+    if (await Webhook.countDocuments({ user: req.user._id }) >= MAX_WEBHOOKS) {
+        throw new BadRequestError(`You can have at most ${MAX_WEBHOOKS} webhooks.`);
+    }
+    await assertDeliverableUrl(url);
+
+    const secret = newSecret();
+    const webhook = await Webhook.create({
+        user: req.user._id,
+        url,
+        events: [...new Set(events)],
+        description,
+        allUsers,
+        secret,
+    });
+    webhook.secret = undefined;
+
+    res.status(201).json({
+        success: true,
+        msg: 'Webhook created. Keep the secret: it will not be shown again.',
+        webhook,
+        secret,
+    });
+}));
+
+/**
+ * PATCH /api/users/webhooks/:webhookId
+ *
+ * Changes a webhook's URL, events or description, or turns it off and on.
+ *
+ * @body {string} [url]
+ * @body {Array<string>} [events]
+ * @body {string} [description]
+ * @body {boolean} [active]
+ * @returns {Object} { success: true, msg: string, webhook }
+ */
+router.patch('/:webhookId', validate(UPDATE_WEBHOOK), asyncHandler(async (req, res) => {
+    const changes = req.valid.body;
+    if (Object.keys(changes).length === 0) {
+        throw new BadRequestError('Nothing to update: provide a url, events, description or active.');
+    }
+
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+    if (changes.url !== undefined) await assertDeliverableUrl(changes.url);
+    if (changes.events !== undefined) changes.events = [...new Set(changes.events)];
+
+    webhook.set(changes);
+    await webhook.save();
+
+    res.status(200).json({ success: true, msg: 'Webhook updated.', webhook });
+}));
+
+/**
+ * DELETE /api/users/webhooks/:webhookId
+ *
+ * Deletes a webhook and its delivery log. Pending retries are dropped.
+ *
+ * @returns {Object} { success: true, msg: string }
+ */
+router.delete('/:webhookId', validate(WEBHOOK_ID_PARAM), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+
+    await Delivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.status(200).json({ success: true, msg: 'Webhook deleted.' });
+}));
+
+/**
+ * POST /api/users/webhooks/:webhookId/secret
+ *
+ * Replaces a webhook's secret. Deliveries from now on - retries included -
+ * are signed with the new one.
+ *
+ * @returns {Object} { success: true, msg: string, secret }
+ */
+router.post('/:webhookId/secret', validate(WEBHOOK_ID_PARAM), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+
+    const secret = newSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.status(200).json({
+        success: true,
+        msg: 'Secret replaced. Keep it: it will not be shown again.',
+        secret,
+    });
+}));
+
+/**
+ * POST /api/users/webhooks/:webhookId/ping
+ *
+ * Sends a 'ping' event to the webhook, to check the receiver. The delivery
+ * goes out in the background; its log entry shows how it went.
+ *
+ * @returns {Object} { success: true, msg: string, delivery } (202)
+ */
+router.post('/:webhookId/ping', validate(WEBHOOK_ID_PARAM), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+    const delivery = await sendPing(webhook, req.user);
+
+    res.status(202).json({ success: true, msg: 'Ping sent.', delivery });
+}));
+
+// ============================================
+// DELIVERY LOG ROUTES
+// ============================================
+
+/**
+ * GET /api/users/webhooks/:webhookId/deliveries
+ *
+ * Returns a webhook's deliveries from the last 30 days, newest first, 20
+ * per page, without their payloads.
+ *
+ * @query {string} [status] - Only 'pending', 'succeeded' or 'failed' deliveries
+ * @query {number} [page=1]
+ * @returns {Object} { success: true, deliveries: [{ _id, event, status, attempts, nextAttemptAt, replayOf,
+ *   lastAttemptAt, lastStatusCode, lastError, lastResponse, lastDurationMs, deliveredAt, createdAt }, ...],
+ *   page, totalPages }
+ */
+router.get('/:webhookId/deliveries', validate(WEBHOOK_DELIVERY_LIST), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+    const { status, page } = req.valid.query;
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+        Delivery.find(filter, DELIVERY_SUMMARY).sort({ createdAt: -1 }).skip((page - 1) * PAGE_SIZE).limit(PAGE_SIZE),
+        Delivery.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+        success: true,
+        deliveries,
+        page,
+        totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+    });
+}));
+
+/**
+ * GET /api/users/webhooks/:webhookId/deliveries/:deliveryId
+ *
+ * Returns one delivery with the payload that was sent.
+ *
+ * @returns {Object} { success: true, delivery }
+ */
+router.get('/:webhookId/deliveries/:deliveryId', validate(WEBHOOK_DELIVERY_PARAMS), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+    const delivery = await findDelivery(webhook, req.valid.params.deliveryId);
+
+    res.status(200).json({ success: true, delivery });
+}));
+
+/**
+ * POST /api/users/webhooks/:webhookId/deliveries/:deliveryId/replay
+ *
+ * Sends a delivery's payload again as a new delivery, with its own
+ * attempts and retries. The payload keeps its event id, so receivers can
+ * recognise a replay of something they already handled.
+ *
+ * @returns {Object} { success: true, msg: string, delivery } (202) - the new delivery
+ */
+router.post('/:webhookId/deliveries/:deliveryId/replay', validate(WEBHOOK_DELIVERY_PARAMS), asyncHandler(async (req, res) => {
+    const webhook = await findUserWebhook(req.user, req.valid.params.webhookId);
+    const delivery = await findDelivery(webhook, req.valid.params.deliveryId);
+
+    const replay = await replayDelivery(delivery);
+
+    res.status(202).json({ success: true, msg: 'Delivery replayed.', delivery: replay });
+}));
+
+export default router;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { WEBHOOK_EVENTS } from '../../validation/schemas';
+
+const Schema = mongoose.Schema;
+
+/**
+ * Webhook Schema for MongoDB
+ *
+ * A URL that receives a signed POST whenever one of the chosen events
+ * happens (see events.js and delivery.js).
+ *
+ * The secret signs every delivery, so it's stored as is: unlike refresh
+ * tokens it has to be used, not just compared. It's only ever sent to the
+ * owner once, when the webhook is created or its secret rotated.
+ *
+ * Fields:
+ * - user: The owner's User _id
+ * - url: Where deliveries are POSTed
+ * - events: The events it subscribes to
+ * - description: The owner's note (e.g. "Discord bot")
+ * - allUsers: Receives every user's events, not just the owner's (admins only)
+ * - secret: The HMAC-SHA256 key deliveries are signed with
+ * - active: Inactive webhooks get no new deliveries
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const WebhookSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  url: { type: String, required: true },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  description: { type: String, default: '' },
+  allUsers: { type: Boolean, default: false },
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+}, {
+  timestamps: true,
+});
+
+// Finding the webhooks for an event
+WebhookSchema.index({ events: 1, active: 1 });
+
+export default mongoose.model("Webhook", WebhookSchema);
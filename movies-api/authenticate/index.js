@@ -1,27 +1,72 @@
 import jwt from 'jsonwebtoken';
 import User from '../api/users/userModel';
+import { ForbiddenError, UnauthorizedError } from '../errors';
+import { clientOf, findActiveSession, touchSession } from './tokens';
 
 const authenticate = async (request, response, next) => {
     try { 
         const authHeader = request.headers.authorization;
-        if (!authHeader) throw new Error('No authorization header');
+        if (!authHeader) throw new UnauthorizedError('No authorization header.');
 
         const token = authHeader.split(" ")[1];
-        if (!token) throw new Error('Bearer token not found');
+        if (!token) throw new UnauthorizedError('Bearer token not found.');
 
-        const decoded = await jwt.verify(token, process.env.SECRET); 
+        let decoded;
+        try {
+            decoded = await jwt.verify(token, process.env.SECRET);
+        } catch (err) {
+            throw new UnauthorizedError(err.name === 'TokenExpiredError'
+                ? 'Your session has expired. Please log in again.'
+                : 'Invalid token. Please log in again.');
+        }
+
+        // Tokens issued before sessions existed can't be revoked, so they're not accepted
+        if (!decoded.sid) {
+            throw new UnauthorizedError('Invalid token. Please log in again.');
+        }
 
         // Assuming decoded contains a username field
         const user = await User.findByUserName(decoded.username); 
         if (!user) {
-            throw new Error('User not found');
+            throw new UnauthorizedError('User not found. Please log in again.');
         }
+
+        // A valid signature isn't enough: the session may have been logged out or revoked
+        request.authSession = await findActiveSession(decoded.sid, user);
+        await touchSession(request.authSession, clientOf(request));
+
         // Optionally attach the user to the request for further use
         request.user = user; 
         next();
     } catch(err) {
-        next(new Error(`Verification Failed: ${err.message}`));
+        // Anything that isn't an UnauthorizedError (e.g. MongoDB is down) stays a server error
+        next(err);
+    }
+};
+
+/**
+ * Like authenticate, but lets anonymous requests through.
+ * A valid token attaches request.user; a missing or invalid one leaves it unset.
+ * Used by routes that anyone may call but owners see more of (e.g. public lists).
+ */
+export const optionalAuthenticate = async (request, response, next) => {
+    if (!request.headers.authorization) return next();
+
+    authenticate(request, response, (err) => {
+        if (err) request.user = undefined;
+        next();
+    });
+};
+
+/**
+ * Admin guard - use after authenticate.
+ * Only users with role 'admin' may continue.
+ */
+export const requireAdmin = (request, response, next) => {
+    if (!request.user || request.user.role !== 'admin') {
+        return next(new ForbiddenError('Admin access required.'));
     }
+    next();
 };
 
 export default authenticate;
\ No newline at end of file
@@ -0,0 +1,134 @@
+import User from '../api/users/userModel';
+import { LockedError, TooManyRequestsError } from '../errors';
+
+/**
+ * Login Guard
+ *
+ * Slows down password guessing against a single account. The count of
+ * wrong passwords in a row is kept on the User document, so it holds
+ * across restarts and server instances:
+ *
+ * - the first few failures cost nothing (people mistype)
+ * - after that, each failure makes the next attempt wait longer
+ *   (2s, 4s, 8s... up to a minute)
+ * - LOGIN_MAX_FAILURES failures lock the account for LOGIN_LOCKOUT_MINUTES
+ *
+ * A successful login, or a quiet spell as long as the lockout, starts the
+ * count again. Waits are answered with a 429, locks with a 423; both carry
+ * a Retry-After (and details.retryAfter) so the login page can count down.
+ *
+ * Per-IP and per-username request limits live in the users router
+ * (see rateLimit/index.js); this module only handles known accounts.
+ */
+
+// Failures allowed before attempts have to wait
+const FREE_FAILURES = 3;
+
+// Longest wait between attempts before the lockout kicks in
+const MAX_DELAY_SECONDS = 60;
+
+const maxFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const lockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Seconds an attempt has to wait after this many failures in a row.
+ */
+const delayAfter = (failures) => {
+    if (failures <= FREE_FAILURES) return 0;
+    return Math.min(2 ** (failures - FREE_FAILURES), MAX_DELAY_SECONDS);
+};
+
+/**
+ * Failures that still count: old ones are forgotten after a quiet spell.
+ */
+const recentFailures = (user, now) => {
+    if (!user.failedLogins || !user.lastFailedLoginAt) return 0;
+    return now - user.lastFailedLoginAt < lockoutMs() ? user.failedLogins : 0;
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+const lockedError = (lockedUntil, now) => {
+    const retryAfter = secondsUntil(lockedUntil, now);
+    const minutes = Math.ceil(retryAfter / 60);
+    return new LockedError(
+        `Too many failed login attempts. This account is locked for ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        { retryAfter, details: { retryAfter, lockedUntil } }
+    );
+};
+
+// ============================================
+// GUARD
+// ============================================
+
+/**
+ * Refuses the attempt while the account is locked or still waiting out
+ * its delay. Call before checking the password, so a locked account's
+ * password can't be tested at all.
+ *
+ * @param {Object} user - The User document
+ * @throws {LockedError} 423 while locked
+ * @throws {TooManyRequestsError} 429 while the delay after the last failure runs
+ */
+export const assertCanAttemptLogin = (user) => {
+    const now = new Date();
+
+    if (user.lockedUntil && user.lockedUntil > now) {
+        throw lockedError(user.lockedUntil, now);
+    }
+
+    const delay = delayAfter(recentFailures(user, now));
+    const nextAttemptAt = delay && new Date(user.lastFailedLoginAt.getTime() + delay * 1000);
+    if (delay && nextAttemptAt > now) {
+        const retryAfter = secondsUntil(nextAttemptAt, now);
+        throw new TooManyRequestsError(
+            `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+            { retryAfter, details: { retryAfter } }
+        );
+    }
+};
+
+/**
+ * Counts a wrong password. The failure that reaches LOGIN_MAX_FAILURES
+ * locks the account and is answered with the lock straight away.
+ *
+ * @param {Object} user - The User document
+ * @returns {Promise<number>} Seconds the next attempt has to wait (0 if none)
+ * @throws {LockedError} If this failure locked the account
+ */
+export const recordFailedLogin = async (user) => {
+    const now = new Date();
+
+    // $inc keeps concurrent guesses from overwriting each other's count
+    const update = recentFailures(user, now) > 0
+        ? { $inc: { failedLogins: 1 }, $set: { lastFailedLoginAt: now } }
+        : { $set: { failedLogins: 1, lastFailedLoginAt: now } };
+    const updated = await User.findOneAndUpdate({ _id: user._id }, update, {
+        returnDocument: 'after',
+        projection: { failedLogins: 1 },
+    });
+    const failures = updated ? updated.failedLogins : 1;
+
+    if (failures >= maxFailures()) {
+        const lockedUntil = new Date(now.getTime() + lockoutMs());
+        await User.updateOne({ _id: user._id }, { lockedUntil, failedLogins: 0 });
+        throw lockedError(lockedUntil, now);
+    }
+
+    return delayAfter(failures);
+};
+
+/**
+ * Forgets earlier failures after a successful login.
+ *
+ * @param {Object} user - The User document
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async (user) => {
+    if (!user.failedLogins && !user.lockedUntil) return;
+    await User.updateOne({ _id: user._id }, { failedLogins: 0, lastFailedLoginAt: null, lockedUntil: null });
+};
@@ -0,0 +1,282 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../api/sessions/sessionModel';
+import { UnauthorizedError } from '../errors';
+
+/**
+ * Access and Refresh Tokens
+ *
+ * Logging in starts a session (api/sessions/sessionModel.js) and returns two tokens:
+ *
+ * - an access token: a short-lived JWT ({ username, sid }) sent as
+ *   "Authorization: Bearer ..." on every request
+ * - a refresh token: "<sessionId>.<random secret>", exchanged at
+ *   POST /api/users/refresh for a new pair when the access token expires
+ *
+ * Refresh tokens rotate: each one works once. If an already-used token
+ * comes back, someone copied it, so the whole session is revoked and
+ * whoever holds it - the user or the thief - has to log in again.
+ *
+ * Except just after a refresh: two tabs whose access tokens expire together
+ * both send the same refresh token. For a few seconds after a rotation, the
+ * token it replaced gets the current pair back instead of ending the
+ * session. Each new secret is derived from the one it replaces (keyed with
+ * SECRET), so that pair can be rebuilt without storing any secret.
+ *
+ * Lifetimes are read on each call because dotenv is configured after this
+ * module is imported.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived: a leaked one is only useful briefly
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+// A session ends after this long without a refresh
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+
+const SESSION_ENDED = 'Your session has ended. Please log in again.';
+
+// lastSeenAt only needs to be roughly right, so a busy session isn't written on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// How long after a refresh the token it replaced still gets the current pair
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// Browsers send a few hundred characters at most; anything longer isn't worth storing
+const MAX_USER_AGENT_LENGTH = 512;
+
+// ============================================
+// HELPERS
+// The secret helpers are shared with other secret links (api/calendar)
+// ============================================
+
+export const hashSecret = (secret) => createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Compares two hex hashes in constant time, so response timing doesn't leak how much matched.
+ */
+export const isSameHash = (a, b) => {
+    if (!a || !b || a.length !== b.length) return false;
+    return timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+export const newSecret = () => randomBytes(32).toString('base64url');
+
+/**
+ * The refresh token secret that replaces the given one. Only the server can
+ * work it out, and only from the secret it replaces.
+ */
+const nextSecret = (secret) => createHmac('sha256', process.env.SECRET).update(secret).digest('base64url');
+
+/**
+ * Splits a refresh token (already format-checked by the REFRESH schema) into its parts.
+ */
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = refreshToken.split('.');
+    return { sessionId, secret, secretHash: hashSecret(secret) };
+};
+
+/**
+ * Builds the response pair for a session.
+ *
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const toTokens = (user, session, secret) => ({
+    token: jwt.sign({ username: user.username, sid: session.id }, process.env.SECRET, { expiresIn: accessTokenTtl() }),
+    refreshToken: `${session.id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+});
+
+/**
+ * Reads the device details recorded on a session from a request.
+ * req.ip is the proxy's address unless Express is told to trust it (TRUST_PROXY).
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+export const clientOf = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH),
+    ip: req.ip || '',
+});
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Starts a new session for a user who just proved who they are (logged in).
+ *
+ * @param {Object} user - The User document
+ * @param {Object} client - { userAgent, ip } of the logging-in device (see clientOf)
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+export const startSession = async (user, client) => {
+    const secret = newSecret();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashSecret(secret),
+        expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+        ...client,
+        lastSeenAt: new Date(),
+    });
+    return toTokens(user, session, secret);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token stops working, except that for
+ * ROTATION_GRACE_MS it gets back the pair it was exchanged for (a
+ * concurrent refresh from another tab).
+ *
+ * @param {string} refreshToken - The current refresh token
+ * @param {Object} client - { userAgent, ip } of the refreshing device (see clientOf)
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ * @throws {UnauthorizedError} If the token is unknown, used, expired or revoked
+ */
+export const rotateSession = async (refreshToken, client) => {
+    const { sessionId, secret: presented, secretHash } = parseRefreshToken(refreshToken);
+    const session = await Session.findById(sessionId).populate('user', 'username');
+
+    if (!session || !session.isActive() || !session.user) {
+        throw new UnauthorizedError(SESSION_ENDED);
+    }
+
+    if (isSameHash(secretHash, session.previousTokenHash)) {
+        // Exchanged moments ago, and the session hasn't moved on since: the same
+        // client refreshing in parallel, so it gets the pair it was exchanged for
+        const current = nextSecret(presented);
+        const inGrace = session.rotatedAt && Date.now() - session.rotatedAt < ROTATION_GRACE_MS;
+        if (inGrace && isSameHash(hashSecret(current), session.tokenHash)) {
+            return toTokens(session.user, session, current);
+        }
+
+        // The token was already exchanged once - a copy exists somewhere
+        session.revokedAt = new Date();
+        await session.save();
+        throw new UnauthorizedError('This session was signed out because its refresh token was used twice. Please log in again.');
+    }
+
+    if (!isSameHash(secretHash, session.tokenHash)) {
+        throw new UnauthorizedError(SESSION_ENDED);
+    }
+
+    // Matching on the old hash makes the swap atomic: of two concurrent refreshes, one wins
+    const secret = nextSecret(presented);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: secretHash, revokedAt: null },
+        {
+            tokenHash: hashSecret(secret),
+            previousTokenHash: secretHash,
+            rotatedAt: new Date(),
+            expiresAt: new Date(Date.now() + refreshTokenTtlMs()),
+            ...client,
+            lastSeenAt: new Date(),
+        },
+        { returnDocument: 'after' }
+    );
+    if (!rotated) {
+        // A parallel refresh with the same token got there first - it swapped in this same secret
+        const latest = await Session.findById(session._id);
+        if (latest?.isActive() && isSameHash(hashSecret(secret), latest.tokenHash)) {
+            return toTokens(session.user, latest, secret);
+        }
+        throw new UnauthorizedError(SESSION_ENDED);
+    }
+
+    return toTokens(session.user, rotated, secret);
+};
+
+/**
+ * Revokes the session a refresh token belongs to (logout).
+ * Unknown or already revoked tokens are ignored, so logging out twice is fine.
+ *
+ * @param {string} refreshToken - The session's current refresh token
+ * @returns {Promise<boolean>} true if a session was revoked
+ */
+export const endSession = async (refreshToken) => {
+    const { sessionId, secretHash } = parseRefreshToken(refreshToken);
+    const result = await Session.updateOne(
+        { _id: sessionId, tokenHash: secretHash, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Checks the session an access token was issued for.
+ * Used by authenticate, so a revoked session's access tokens stop working
+ * immediately instead of when they expire.
+ *
+ * @param {string} sessionId - The token's sid claim
+ * @param {Object} user - The User the token names
+ * @returns {Promise<Object>} The Session document
+ * @throws {UnauthorizedError} If the session is gone, revoked, expired or someone else's
+ */
+export const findActiveSession = async (sessionId, user) => {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive() || !session.user.equals(user._id)) {
+        throw new UnauthorizedError(SESSION_ENDED);
+    }
+    return session;
+};
+
+/**
+ * Records that a session was just used, from which device and address.
+ * Skipped while lastSeenAt is less than a minute old.
+ *
+ * @param {Object} session - The Session document (from findActiveSession)
+ * @param {Object} client - { userAgent, ip } of the request (see clientOf)
+ * @returns {Promise<void>}
+ */
+export const touchSession = async (session, client) => {
+    if (Date.now() - session.lastSeenAt < LAST_SEEN_RESOLUTION_MS) return;
+
+    const lastSeenAt = new Date();
+    await Session.updateOne({ _id: session._id }, { ...client, lastSeenAt });
+    Object.assign(session, client, { lastSeenAt });
+};
+
+/**
+ * Revokes one of a user's sessions (signing that device out).
+ *
+ * @param {Object} user - The User document
+ * @param {string} sessionId - The session to revoke
+ * @returns {Promise<boolean>} false if the user has no active session with that id
+ */
+export const revokeSession = async (user, sessionId) => {
+    const result = await Session.updateOne(
+        { _id: sessionId, user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revokes all of a user's sessions except one (usually the caller's own).
+ *
+ * @param {Object} user - The User document
+ * @param {string} keepSessionId - The session to leave signed in
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+export const revokeOtherSessions = async (user, keepSessionId) => {
+    const result = await Session.updateMany(
+        { user: user._id, _id: { $ne: keepSessionId }, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Revokes every session a user has, e.g. after their password changed.
+ *
+ * @param {Object} user - The User document
+ * @returns {Promise<number>} How many sessions were revoked
+ */
+export const revokeAllSessions = async (user) => {
+    const result = await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+};
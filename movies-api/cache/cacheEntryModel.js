@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const Schema = mongoose.Schema;
+
+/**
+ * Cache Entry Schema for MongoDB
+ *
+ * Second (persistent) tier of the TMDB cache, so cached responses survive restarts.
+ *
+ * Fields:
+ * - key: Cache key, e.g. "movie:[550]"
+ * - value: The raw TMDB JSON response
+ * - expiresAt: When the entry stops being valid. A TTL index lets MongoDB
+ *   delete expired documents on its own.
+ */
+const CacheEntrySchema = new Schema({
+  key: { type: String, unique: true, required: true },
+  value: { type: Schema.Types.Mixed, required: true },
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+// expireAfterSeconds: 0 means "delete as soon as expiresAt is in the past"
+CacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('CacheEntry', CacheEntrySchema);
@@ -0,0 +1,216 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import LRUCache from './lruCache';
+import CacheEntry from './cacheEntryModel';
+
+/**
+ * TMDB Cache Module
+ *
+ * Two-tier cache that sits in front of the functions in api/tmdb-api.js:
+ * 1. Memory - an LRU cache inside this process (fast, lost on restart)
+ * 2. MongoDB - optional persistent tier (enabled with CACHE_MONGO=true)
+ *
+ * Lookup order is memory -> MongoDB -> TMDB. A TMDB response is written
+ * to both tiers, and a MongoDB hit is copied back into memory.
+ *
+ * Cache problems never break a request: if MongoDB is unavailable
+ * I just log it and fall through to TMDB.
+ */
+
+// TTL building blocks in milliseconds, used by tmdb-api.js
+export const TTL = {
+    MINUTE: 60 * 1000,
+    HOUR: 60 * 60 * 1000,
+    DAY: 24 * 60 * 60 * 1000,
+};
+
+// Env vars are read lazily because dotenv is configured after this module is imported
+let memoryCache = null;
+const getMemoryCache = () => {
+    if (!memoryCache) {
+        memoryCache = new LRUCache(parseInt(process.env.CACHE_MAX_ENTRIES) || 500);
+    }
+    return memoryCache;
+};
+
+const isPersistentTierEnabled = () =>
+    process.env.CACHE_MONGO === 'true' && mongoose.connection.readyState === 1;
+
+// Simple counters for the admin stats route
+const stats = {
+    memoryHits: 0,
+    mongoHits: 0,
+    misses: 0,
+};
+
+// Per-request list of cache lookups, used to build the X-Cache headers
+const requestLookups = new AsyncLocalStorage();
+
+const recordLookup = (key, source) => {
+    const lookups = requestLookups.getStore();
+    if (lookups) lookups.push({ key, source });
+};
+
+// ============================================
+// PERSISTENT TIER HELPERS
+// ============================================
+
+const readPersistent = async (key) => {
+    if (!isPersistentTierEnabled()) return null;
+    try {
+        const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return entry;
+    } catch (err) {
+        console.error(`cache read failed for ${key}: ${err.message}`);
+        return null;
+    }
+};
+
+const writePersistent = async (key, value, expiresAt) => {
+    if (!isPersistentTierEnabled()) return;
+    try {
+        await CacheEntry.updateOne(
+            { key },
+            { key, value, expiresAt: new Date(expiresAt) },
+            { upsert: true }
+        );
+    } catch (err) {
+        console.error(`cache write failed for ${key}: ${err.message}`);
+    }
+};
+
+// Escape a prefix so it can be used inside a MongoDB regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Wraps an async function so its results are cached.
+ *
+ * The cache key is the namespace plus the JSON-encoded arguments,
+ * e.g. cached('movie', ...)('550') is stored under 'movie:["550"]'.
+ * Errors are never cached.
+ *
+ * The returned function also has refresh(...args), which always calls fn
+ * and replaces the cached entry - the cache-warming job (jobs/definitions.js)
+ * uses it to renew popular entries before they expire. If fn fails, the
+ * old entry stays.
+ *
+ * @param {string} namespace - Key prefix, also used for purging (e.g. 'movie')
+ * @param {number} ttl - Time to live in milliseconds
+ * @param {Function} fn - The async function to cache
+ * @returns {Function} A function with the same signature as fn, plus refresh
+ */
+export const cached = (namespace, ttl, fn) => {
+    const keyOf = (args) => `${namespace}:${JSON.stringify(args)}`;
+
+    const fetchAndStore = async (key, args) => {
+        const value = await fn(...args);
+        const expiresAt = Date.now() + ttl;
+
+        getMemoryCache().set(key, value, expiresAt);
+        // No await - the response shouldn't wait for the MongoDB write
+        writePersistent(key, value, expiresAt);
+        return value;
+    };
+
+    const cachedFn = async (...args) => {
+        const key = keyOf(args);
+        const memory = getMemoryCache();
+
+        const memoryEntry = memory.get(key);
+        if (memoryEntry) {
+            stats.memoryHits++;
+            recordLookup(key, 'memory');
+            return memoryEntry.value;
+        }
+
+        const persistentEntry = await readPersistent(key);
+        if (persistentEntry) {
+            stats.mongoHits++;
+            memory.set(key, persistentEntry.value, new Date(persistentEntry.expiresAt).getTime());
+            recordLookup(key, 'mongo');
+            return persistentEntry.value;
+        }
+
+        stats.misses++;
+        const value = await fetchAndStore(key, args);
+        recordLookup(key, 'tmdb');
+        return value;
+    };
+
+    cachedFn.refresh = (...args) => fetchAndStore(keyOf(args), args);
+    return cachedFn;
+};
+
+/**
+ * Express middleware that adds cache headers to JSON responses.
+ *
+ * - X-Cache: HIT (every lookup was cached), MISS (nothing was cached) or PARTIAL
+ * - X-Cache-Source: where the data came from (memory, mongo and/or tmdb)
+ *
+ * Responses that didn't touch the cache get no headers.
+ */
+export const cacheHeaders = (req, res, next) => {
+    const lookups = [];
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (lookups.length > 0 && !res.headersSent) {
+            const hits = lookups.filter((lookup) => lookup.source !== 'tmdb').length;
+            let status = 'PARTIAL';
+            if (hits === lookups.length) status = 'HIT';
+            else if (hits === 0) status = 'MISS';
+
+            res.set('X-Cache', status);
+            res.set('X-Cache-Source', [...new Set(lookups.map((lookup) => lookup.source))].join(', '));
+        }
+        return json(body);
+    };
+
+    requestLookups.run(lookups, next);
+};
+
+/**
+ * Removes cache entries from both tiers.
+ *
+ * @param {string} prefix - Key prefix to purge, e.g. 'movie:' or 'movie:["550"]'.
+ *                          An empty prefix purges everything.
+ * @returns {Promise<Object>} { memory: number, mongo: number } removed entry counts
+ */
+export const purgeCache = async (prefix = '') => {
+    const removed = {
+        memory: getMemoryCache().deleteByPrefix(prefix),
+        mongo: 0,
+    };
+
+    if (isPersistentTierEnabled()) {
+        const filter = prefix ? { key: { $regex: `^${escapeRegex(prefix)}` } } : {};
+        const result = await CacheEntry.deleteMany(filter);
+        removed.mongo = result.deletedCount;
+    }
+
+    return removed;
+};
+
+/**
+ * Returns hit/miss counters and tier sizes for the admin route.
+ */
+export const getCacheStats = async () => {
+    const memory = getMemoryCache();
+    const persistentEnabled = isPersistentTierEnabled();
+
+    return {
+        ...stats,
+        memory: {
+            entries: memory.size,
+            maxEntries: memory.maxEntries,
+        },
+        mongo: {
+            enabled: persistentEnabled,
+            entries: persistentEnabled ? await CacheEntry.countDocuments() : 0,
+        },
+    };
+};
@@ -0,0 +1,76 @@
+/**
+ * In-Memory LRU Cache
+ *
+ * A small least-recently-used cache with per-entry expiry.
+ * It relies on Map keeping insertion order: every read re-inserts the key,
+ * so the first key in the Map is always the least recently used one.
+ *
+ * This is the fast first tier of the TMDB cache (see cache/index.js).
+ */
+class LRUCache {
+    /**
+     * @param {number} maxEntries - Entries kept before the oldest is evicted
+     */
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the stored entry ({ value, expiresAt }) or undefined.
+     * Expired entries are dropped on read.
+     * @param {string} key
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Move the key to the end so it becomes the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Stores a value until expiresAt (ms timestamp), evicting the oldest entry when full.
+     * @param {string} key
+     * @param {*} value
+     * @param {number} expiresAt
+     */
+    set(key, value, expiresAt) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Removes every key starting with prefix (all keys when prefix is empty).
+     * @param {string} prefix
+     * @returns {number} Number of removed entries
+     */
+    deleteByPrefix(prefix = '') {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+export default LRUCache;
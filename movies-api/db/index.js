@@ -1,10 +1,13 @@
-import dotenv from 'dotenv';
 import mongoose from 'mongoose';
 
-dotenv.config();
-
-// Connect to database
-mongoose.connect(process.env.MONGO_DB);
+/**
+ * Database Connection
+ *
+ * index.js connects once it has checked the environment (lifecycle/), and
+ * closes the connection when the server shuts down. Mongoose reconnects by
+ * itself after a dropped connection; the readiness check (health/) pings
+ * the database to report on it.
+ */
 
 const db = mongoose.connection;
 
@@ -18,4 +21,30 @@ db.on('disconnected', () => {
 
 db.once('open', () => {
     console.log(`database connected to ${db.name} on ${db.host}`);
-});
\ No newline at end of file
+});
+
+/**
+ * Connects to MONGO_DB. Unlike later drops, a failed first connection
+ * isn't retried, so the returned promise rejects.
+ */
+export const connectDatabase = () => mongoose.connect(process.env.MONGO_DB);
+
+/**
+ * Closes the connection, for a graceful shutdown.
+ */
+export const closeDatabase = () => db.close();
+
+/**
+ * Pings the database.
+ *
+ * @returns {Promise<number>} The round trip in milliseconds
+ * @throws {Error} If there's no connection or the ping fails
+ */
+export const pingDatabase = async () => {
+    if (db.readyState !== mongoose.ConnectionStates.connected) {
+        throw new Error(`not connected (${mongoose.ConnectionStates[db.readyState]})`);
+    }
+    const start = Date.now();
+    await db.db.admin().ping();
+    return Date.now() - start;
+};
@@ -0,0 +1,82 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Review from '../../api/reviews/reviewModel';
+
+/**
+ * Migration: embedded User.reviews -> reviews collection
+ *
+ * Copies every review still embedded in a user document into the Review
+ * collection. Each review keeps its original _id, so the migration is
+ * repeatable: running it again skips reviews that were already copied
+ * and only picks up new ones.
+ *
+ * The embedded arrays are left alone unless --prune is passed, so the
+ * migration can be checked before anything is removed.
+ *
+ * Usage:
+ *   npm run migrate:reviews            # copy reviews
+ *   npm run migrate:reviews -- --prune # copy, then remove the embedded arrays
+ */
+
+dotenv.config();
+
+const prune = process.argv.includes('--prune');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_DB);
+
+    // The User schema no longer has a reviews path, so I read the raw documents
+    const users = mongoose.connection.collection('users');
+    const cursor = users.find(
+        { 'reviews.0': { $exists: true } },
+        { projection: { username: 1, reviews: 1 } }
+    );
+
+    let userCount = 0;
+    let copied = 0;
+    let skipped = 0;
+
+    for await (const user of cursor) {
+        userCount += 1;
+
+        const operations = user.reviews.map((review) => ({
+            updateOne: {
+                filter: { _id: review._id },
+                // $setOnInsert leaves reviews that were already migrated (and maybe edited since) untouched
+                update: {
+                    $setOnInsert: {
+                        user: user._id,
+                        movieId: review.movieId,
+                        movieTitle: review.movieTitle,
+                        author: review.author || user.username,
+                        rating: review.rating,
+                        content: review.content,
+                        revisions: review.revisions || [],
+                        createdAt: review.createdAt || new Date(),
+                        ...(review.updatedAt && { updatedAt: review.updatedAt }),
+                    }
+                },
+                upsert: true,
+            }
+        }));
+
+        const result = await Review.bulkWrite(operations, { ordered: false });
+        copied += result.upsertedCount;
+        skipped += operations.length - result.upsertedCount;
+
+        if (prune) {
+            await users.updateOne({ _id: user._id }, { $unset: { reviews: '' } });
+        }
+    }
+
+    console.log(`Users with embedded reviews: ${userCount}`);
+    console.log(`Reviews copied: ${copied}, already migrated: ${skipped}`);
+    if (prune) console.log('Removed embedded review arrays.');
+};
+
+migrate()
+    .catch((error) => {
+        console.error('Review migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
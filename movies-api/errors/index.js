@@ -0,0 +1,209 @@
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * HTTP Errors
+ *
+ * Typed errors that routes and middleware throw (or pass to next) instead
+ * of building error responses by hand. errorHandler turns every error into
+ * the same JSON envelope:
+ *
+ *   {
+ *     success: false,
+ *     error: { code: 'NOT_FOUND', message: 'List not found.', requestId: '...' }
+ *   }
+ *
+ * code is stable and meant for programs; message is for people. requestId
+ * matches the X-Request-Id response header and the server log line, so a
+ * user's bug report can be tied to the log.
+ */
+
+// Machine-readable code for each status we answer with
+const CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    423: 'LOCKED',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    502: 'BAD_GATEWAY',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+// ============================================
+// ERROR CLASSES
+// ============================================
+
+/**
+ * Base class: an error with the HTTP status our API should answer with.
+ * Its message is shown to the client, so it must not leak internals.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message for the client
+ * @param {Object} [options]
+ * @param {string} [options.code] - Overrides the code derived from the status
+ * @param {*} [options.details] - Extra data for the client (e.g. field errors)
+ * @param {number} [options.retryAfter] - Seconds until retrying makes sense (sent as Retry-After)
+ */
+export class HttpError extends Error {
+    constructor(status, message, { code, details, retryAfter } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || CODES[status] || 'ERROR';
+        this.details = details;
+        this.retryAfter = retryAfter;
+    }
+}
+
+export class BadRequestError extends HttpError {
+    constructor(message = 'Bad request.', options) {
+        super(400, message, options);
+        this.name = 'BadRequestError';
+    }
+}
+
+export class UnauthorizedError extends HttpError {
+    constructor(message = 'Authentication required.', options) {
+        super(401, message, options);
+        this.name = 'UnauthorizedError';
+    }
+}
+
+export class ForbiddenError extends HttpError {
+    constructor(message = 'You are not allowed to do that.', options) {
+        super(403, message, options);
+        this.name = 'ForbiddenError';
+    }
+}
+
+export class NotFoundError extends HttpError {
+    constructor(message = 'Not found.', options) {
+        super(404, message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+export class ConflictError extends HttpError {
+    constructor(message = 'Conflict.', options) {
+        super(409, message, options);
+        this.name = 'ConflictError';
+    }
+}
+
+export class LockedError extends HttpError {
+    constructor(message = 'This resource is locked.', options) {
+        super(423, message, options);
+        this.name = 'LockedError';
+    }
+}
+
+export class TooManyRequestsError extends HttpError {
+    constructor(message = 'Too many requests. Please try again later.', options) {
+        super(429, message, options);
+        this.name = 'TooManyRequestsError';
+    }
+}
+
+export class BadGatewayError extends HttpError {
+    constructor(message = 'An upstream service returned an error.', options) {
+        super(502, message, options);
+        this.name = 'BadGatewayError';
+    }
+}
+
+export class ServiceUnavailableError extends HttpError {
+    constructor(message = 'Service temporarily unavailable. Please try again shortly.', options) {
+        super(503, message, options);
+        this.name = 'ServiceUnavailableError';
+    }
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// MongoDB's error code for a write that breaks a unique index
+const DUPLICATE_KEY = 11000;
+
+// Accept a caller's request id (e.g. from a proxy) only if it looks harmless
+const REQUEST_ID_PATTERN = /^[\w-]{1,100}$/;
+
+/**
+ * Gives every request an id: the incoming X-Request-Id if there is a sensible
+ * one, otherwise a new UUID. It is echoed back in the X-Request-Id header.
+ */
+export const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+/**
+ * Catch-all for requests no router handled, so they get the JSON envelope
+ * instead of Express's HTML page.
+ */
+export const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`No route for ${req.method} ${req.path}.`));
+};
+
+/**
+ * Converts errors that don't come from our own code into HttpErrors.
+ * Anything unrecognised is a bug and becomes a 500.
+ */
+const toHttpError = (err) => {
+    if (err instanceof HttpError) return err;
+
+    // Malformed ObjectIds and the like that slipped past a route's own checks
+    if (err instanceof mongoose.Error.CastError) {
+        return new BadRequestError(`Invalid ${err.path}.`);
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new BadRequestError(Object.values(err.errors).map((e) => e.message).join(' '));
+    }
+
+    // Two requests got past a route's "is it taken?" check at the same time;
+    // the unique index stopped the second. The owning user isn't worth naming
+    if (err.code === DUPLICATE_KEY) {
+        const fields = Object.keys(err.keyPattern || {}).filter((field) => field !== 'user');
+        return new ConflictError(fields.length > 0 ? `That ${fields.join(' and ')} is already taken.` : 'That already exists.');
+    }
+
+    // body-parser errors (invalid JSON, body too large) carry a safe status and message
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new HttpError(err.status, err.type === 'entity.parse.failed'
+            ? 'Request body is not valid JSON.'
+            : err.message);
+    }
+
+    return null;
+};
+
+/**
+ * Express error handler - the single place error responses are written.
+ * Unexpected errors are logged with their request id; their details only
+ * reach the client outside production.
+ */
+export const errorHandler = (err, req, res, _next) => {
+    const httpError = toHttpError(err);
+    const status = httpError ? httpError.status : 500;
+
+    const error = {
+        code: httpError ? httpError.code : CODES[500],
+        message: httpError ? httpError.message : 'Something went wrong!',
+        requestId: req.id,
+    };
+    if (httpError?.details !== undefined) error.details = httpError.details;
+
+    if (!httpError) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl}`, err);
+        if (process.env.NODE_ENV !== 'production') error.stack = err.stack;
+    }
+
+    if (httpError?.retryAfter) res.set('Retry-After', String(httpError.retryAfter));
+    res.status(status).json({ success: false, error });
+};
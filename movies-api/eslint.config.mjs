@@ -3,6 +3,7 @@ import pluginJs from "@eslint/js";
 
 /** @type {import('eslint').Linter.Config[]} */
 export default [
+  pluginJs.configs.recommended,
   {
     files: ["**/*.js"],
     languageOptions: {
@@ -13,7 +14,8 @@ export default [
     rules: {
       "semi": 1,
       "no-console": "off",
+      // Express tells error handlers apart by their four parameters, used or not
+      "no-unused-vars": ["error", { argsIgnorePattern: "^_" }],
     },
   },
-  pluginJs.configs.recommended,
 ];
\ No newline at end of file
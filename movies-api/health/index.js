@@ -0,0 +1,119 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+import { pingDatabase } from '../db';
+import { getGenres } from '../api/tmdb-api';
+import { getTmdbClientStatus } from '../api/tmdb-client';
+import { isShuttingDown } from '../lifecycle';
+
+const router = express.Router();
+
+/**
+ * Health Router
+ *
+ * Mounted at the root, for load balancers and orchestrators (e.g.
+ * Kubernetes liveness and readiness probes). Neither route needs a login,
+ * and their answers are never cached.
+ *
+ * Why a check failed is only logged: the errors can name internal hosts,
+ * and TMDB's carry the request URL with its API key.
+ */
+
+// A check that takes longer than this has failed
+const CHECK_TIMEOUT_MS = 3000;
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error(`no answer within ${ms}ms`)), ms).unref();
+    }),
+]);
+
+const logFailure = (component, err) => {
+    console.error(`readiness check: ${component} is down: ${err.message}`);
+};
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * MongoDB is up when it answers a ping.
+ */
+const checkMongo = async () => {
+    try {
+        const latencyMs = await withTimeout(pingDatabase(), CHECK_TIMEOUT_MS);
+        return { status: 'up', latencyMs };
+    } catch (err) {
+        logFailure('mongo', err);
+        return { status: 'down' };
+    }
+};
+
+/**
+ * TMDB is usable when the genre list can be had, from TMDB or from the
+ * cache (it's cached for a day, so this rarely calls TMDB). While the
+ * circuit breaker is open, TMDB isn't called at all and movie data only
+ * comes from the cache, which is reported as 'cached'.
+ */
+const checkTmdb = async () => {
+    try {
+        await withTimeout(getGenres(), CHECK_TIMEOUT_MS);
+        // Read afterwards: the call may just have closed (or opened) the circuit
+        const { circuit } = getTmdbClientStatus();
+        return { status: circuit === 'closed' ? 'up' : 'cached', circuit };
+    } catch (err) {
+        logFailure('tmdb', err);
+        return { status: 'down', circuit: getTmdbClientStatus().circuit };
+    }
+};
+
+// ============================================
+// HEALTH ROUTES
+// ============================================
+
+/**
+ * GET /health
+ *
+ * Liveness: the process is running and answering requests.
+ * It checks nothing else, so a MongoDB or TMDB outage doesn't get every
+ * instance restarted.
+ *
+ * @returns {Object} { status: 'ok', uptime: seconds }
+ */
+router.get('/health', (req, res) => {
+    res.set('Cache-Control', 'no-store').status(200).json({
+        status: 'ok',
+        uptime: Math.round(process.uptime())
+    });
+});
+
+/**
+ * GET /ready
+ *
+ * Readiness: whether this instance can serve the API.
+ * It can when MongoDB answers, and TMDB does or the cache can stand in
+ * for it. Answers 503 while it can't, and from the moment the server
+ * starts shutting down, so traffic is sent elsewhere.
+ *
+ * @returns {Object} { status: 'ready' | 'unavailable' | 'shutting_down',
+ *   checks: { mongo: { status: 'up' | 'down', latencyMs },
+ *             tmdb: { status: 'up' | 'cached' | 'down', circuit } } }
+ */
+router.get('/ready', asyncHandler(async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+
+    if (isShuttingDown()) {
+        res.status(503).json({ status: 'shutting_down', checks: {} });
+        return;
+    }
+
+    const [mongo, tmdb] = await Promise.all([checkMongo(), checkTmdb()]);
+    const ready = mongo.status === 'up' && tmdb.status !== 'down';
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'unavailable',
+        checks: { mongo, tmdb }
+    });
+}));
+
+export default router;
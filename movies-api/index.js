@@ -1,42 +1,133 @@
 import dotenv from 'dotenv';
+import path from 'path';
 import express from 'express';
 import usersRouter from './api/users';
+import listsRouter from './api/lists';
+import diaryRouter from './api/diary';
+import sessionsRouter from './api/sessions';
+import accountRouter from './api/account';
+import importsRouter from './api/imports';
+import notificationsRouter from './api/notifications';
+import webhooksRouter from './api/webhooks';
+import eventsRouter from './api/events';
 import moviesRouter from './api/movies';
 import peopleRouter from './api/people';
-import './db';
+import calendarRouter from './api/calendar';
+import adminRouter from './api/admin';
+import healthRouter from './health';
+import { cacheHeaders } from './cache';
+import { requestId, notFoundHandler, errorHandler } from './errors';
+import { connectDatabase } from './db';
+import { startScheduler } from './jobs';
+import { assertRequiredEnv, enableGracefulShutdown, closeConnectionsWhenDraining, isShuttingDown } from './lifecycle';
+import { openApiDocument } from './openapi';
 import cors from 'cors';
 
 dotenv.config();
 
-const errHandler = (err, req, res, next) => {
-  /* I check if NODE_ENV is set to hide detailed errors,
-  otherwise I display the full stack trace for debugging  */
-  if(process.env.NODE_ENV === 'production') {
-    return res.status(500).send(`Something went wrong!`);
-  }
-  res.status(500).send(`Error caught 👍👍. Here are the details: ${err.stack} `);
-};
+// Stops here, saying what's missing, without MONGO_DB, SECRET or TMDB_KEY
+assertRequiredEnv();
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (recorded on sessions) is the proxy's address
+// unless Express trusts it: TRUST_PROXY is a hop count or a list of addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Enable CORS for all requests
-app.use(cors());
+// The cache and request id headers are exposed so the frontend can read them too
+app.use(cors({ exposedHeaders: ['X-Cache', 'X-Cache-Source', 'X-Request-Id', 'Retry-After'] }));
+
+// Tags every request (and its error responses) with an id
+app.use(requestId);
+
+// Once shutdown has started, keep-alive connections are closed after their current request
+app.use(closeConnectionsWhenDraining);
 
 const port = process.env.PORT;
 
+// Import bundles and CSV exports carry every review a user wrote, so they get more room than the default 100kb
+app.use('/api/users/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
-//Users router
-app.use('/api/users', usersRouter);
+// Adds X-Cache headers to responses served from the TMDB cache
+app.use(cacheHeaders);
+
+// Every API router, in mount order, with its section in the API docs.
+// The OpenAPI document (/api/openapi.json) is generated from this list too.
+const apiRouters = [
+  //Custom lists router (mounted before the users router so /api/users/lists reaches it)
+  { path: '/api/users/lists', router: listsRouter, tag: 'Lists' },
+
+  //Watch diary router (also mounted before the users router)
+  { path: '/api/users/diary', router: diaryRouter, tag: 'Diary' },
+
+  //Active sessions router (also mounted before the users router)
+  { path: '/api/users/sessions', router: sessionsRouter, tag: 'Sessions' },
+
+  //Account settings router (also mounted before the users router)
+  { path: '/api/users/account', router: accountRouter, tag: 'Account' },
+
+  //Letterboxd and IMDb import router (also mounted before the users router)
+  { path: '/api/users/import/csv', router: importsRouter, tag: 'Users' },
+
+  //Notifications router (also mounted before the users router)
+  { path: '/api/users/notifications', router: notificationsRouter, tag: 'Notifications' },
+
+  //Webhooks router (also mounted before the users router)
+  { path: '/api/users/webhooks', router: webhooksRouter, tag: 'Webhooks' },
 
-//Movies router
-app.use('/api/movies', moviesRouter);
+  //Live change stream (Server-Sent Events, also mounted before the users router)
+  { path: '/api/users/events', router: eventsRouter, tag: 'Users' },
 
-//People router
-app.use('/api/people', peopleRouter);
+  //Users router
+  { path: '/api/users', router: usersRouter, tag: 'Users' },
 
-app.use(errHandler);
+  //Movies router
+  { path: '/api/movies', router: moviesRouter, tag: 'Movies' },
 
-app.listen(port, () => {
+  //People router
+  { path: '/api/people', router: peopleRouter, tag: 'People' },
+
+  //Calendar feed router (public, the secret link is the credential)
+  { path: '/api/calendar', router: calendarRouter, tag: 'Calendar' },
+
+  //Admin router
+  { path: '/api/admin', router: adminRouter, tag: 'Admin' },
+
+  //Liveness and readiness checks (/health and /ready, for load balancers and orchestrators)
+  { path: '', router: healthRouter, tag: 'Health' },
+];
+
+for (const { path: mountPath, router } of apiRouters) {
+  app.use(mountPath, router);
+}
+
+// The OpenAPI document, and a page that renders it (public/index.html)
+app.get('/api/openapi.json', openApiDocument(apiRouters));
+app.use('/api/docs', express.static(path.join(__dirname, 'public')));
+
+// Unknown routes and every error end up as the same JSON error envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Mongoose reconnects after later drops, but a first connection that fails means a bad MONGO_DB or no database
+connectDatabase().catch((err) => {
+  // Closing the connection on shutdown also ends a first attempt still under way
+  if (isShuttingDown()) return;
+  console.error(`Cannot start: could not connect to MongoDB: ${err.message}`);
+  process.exit(1);
+});
+
+const server = app.listen(port, () => {
   console.info(`Server running at ${port}`);
-});
\ No newline at end of file
+
+  // Runs the background jobs (release checks, cache warming...) on their schedules
+  startScheduler();
+});
+
+// On SIGTERM or SIGINT: stop accepting requests, finish the ones in flight, close MongoDB
+enableGracefulShutdown(server);
\ No newline at end of file
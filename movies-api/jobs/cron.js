@@ -0,0 +1,127 @@
+/**
+ * Cron Schedules
+ *
+ * Parses five-field cron expressions and works out when they next fire.
+ * Schedules are in UTC, so they mean the same on every server.
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of month (1-31)
+ *   │ │ │ ┌ month (1-12)
+ *   │ │ │ │ ┌ day of week (0-7, Sunday is 0 or 7)
+ *   * * * * *
+ *
+ * Each field takes *, a number, a range (1-5), a list (1,15) and steps
+ * (*\/15, 0-30/10, 5/20). Names (MON, JAN) and macros (@daily) aren't
+ * supported. As in classic cron, when both day fields are restricted a
+ * day matching either one fires.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+const PART_PATTERN = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/;
+
+// A schedule that hasn't fired within this long never will (e.g. 30 February)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Turns one field into the set of values it allows.
+ *
+ * @throws {Error} If the field isn't valid
+ */
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = part.match(PART_PATTERN);
+        if (!match) throw new Error(`Invalid cron ${name} "${part}".`);
+
+        const [, star, from, to, step] = match;
+        const start = star ? min : Number(from);
+        // "5/20" runs from 5 to the end of the range
+        const end = star ? max : to !== undefined ? Number(to) : step ? max : start;
+        const stepBy = step ? Number(step) : 1;
+
+        if (start < min || end > max || start > end || stepBy < 1) {
+            throw new Error(`Invalid cron ${name} "${part}": values must be ${min}-${max}.`);
+        }
+        for (let value = start; value <= end; value += stepBy) values.add(value);
+    }
+
+    return values;
+};
+
+/**
+ * Parses a cron expression.
+ *
+ * @param {string} expression - e.g. '0 *\/6 * * *' (every six hours, on the hour)
+ * @returns {Object} The parsed schedule, for nextRun
+ * @throws {Error} If the expression isn't valid
+ */
+export const parseCron = (expression) => {
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields.`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // A field starting with * counts as unrestricted when combining the day fields
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+    };
+};
+
+const dayMatches = (schedule, date) => {
+    const dayOk = schedule.days.has(date.getUTCDate());
+    const weekdayOk = schedule.weekdays.has(date.getUTCDay());
+    if (schedule.anyDay || schedule.anyWeekday) return dayOk && weekdayOk;
+    return dayOk || weekdayOk;
+};
+
+/**
+ * Works out the first time after `after` that a schedule fires.
+ * Whole months, days and hours that can't match are skipped at once.
+ *
+ * @param {Object} schedule - From parseCron
+ * @param {Date} after - The search starts at the next whole minute after this
+ * @returns {Date} The next run
+ * @throws {Error} If the schedule never fires
+ */
+export const nextRun = (schedule, after) => {
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + MAX_SEARCH_MS;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!dayMatches(schedule, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    throw new Error('This cron schedule never fires.');
+};
@@ -0,0 +1,134 @@
+import User from '../api/users/userModel';
+import Review from '../api/reviews/reviewModel';
+import List from '../api/lists/listModel';
+import DiaryEntry from '../api/diary/diaryEntryModel';
+import Session from '../api/sessions/sessionModel';
+import { checkReleases } from '../api/notifications/releaseWatcher';
+import { retryDueDeliveries } from '../api/webhooks/delivery';
+import { toDiscoverParams } from '../api/movies/discoverFilters';
+import {
+    getMovies,
+    getUpcomingMovies,
+    getPopularMovies,
+    getTopRatedMovies,
+    getNowPlayingMovies,
+    getTrendingMovies,
+} from '../api/tmdb-api';
+
+/**
+ * Background Jobs
+ *
+ * The recurring work the scheduler (jobs/index.js) runs. Each job has:
+ * - name: Used in the admin routes and stored with the job's state
+ * - description: Shown by GET /api/admin/jobs
+ * - schedule: A cron expression, in UTC (see cron.js)
+ * - run: async () => result. The result is kept as the job's lastResult,
+ *   so it should be a small summary (counts), not data
+ * - retries, retryDelayMs, timeoutMs: Optional, see jobs/index.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signed-out sessions are kept this long for the Security page's sake, then deleted
+const REVOKED_SESSION_DAYS = 7;
+
+const MOST_WANTED_COUNT = 10;
+
+// ============================================
+// JOBS
+// ============================================
+
+/**
+ * Renews the first page of every movie list the home and list pages open
+ * with, so visitors don't wait for TMDB when those entries expire.
+ */
+const warmCache = async () => {
+    await Promise.all([
+        getMovies.refresh(toDiscoverParams({}), 1),
+        getUpcomingMovies.refresh(1),
+        getPopularMovies.refresh(1),
+        getTopRatedMovies.refresh(1),
+        getNowPlayingMovies.refresh(1),
+        getTrendingMovies.refresh(1),
+    ]);
+    return { refreshed: 6 };
+};
+
+/**
+ * Deletes sessions that can't be used anymore. MongoDB's TTL index removes
+ * expired sessions on its own, but signed-out ones would stay until their
+ * refresh token expires.
+ */
+const pruneSessions = async () => {
+    const now = Date.now();
+    const { deletedCount } = await Session.deleteMany({
+        $or: [
+            { expiresAt: { $lte: new Date(now) } },
+            { revokedAt: { $lte: new Date(now - REVOKED_SESSION_DAYS * DAY_MS) } },
+        ],
+    });
+    return { deleted: deletedCount };
+};
+
+/**
+ * Counts what's in the database, and the movies on the most must-watch lists.
+ */
+const computeSiteStats = async () => {
+    const [users, reviews, lists, diaryEntries, mostWanted] = await Promise.all([
+        User.countDocuments(),
+        Review.countDocuments(),
+        List.countDocuments(),
+        DiaryEntry.countDocuments(),
+        User.aggregate([
+            { $unwind: '$mustWatch' },
+            { $group: { _id: '$mustWatch', users: { $sum: 1 } } },
+            { $sort: { users: -1, _id: 1 } },
+            { $limit: MOST_WANTED_COUNT },
+        ]),
+    ]);
+
+    return {
+        users,
+        reviews,
+        lists,
+        diaryEntries,
+        mostWanted: mostWanted.map(({ _id, users: count }) => ({ movieId: _id, users: count })),
+    };
+};
+
+export const JOBS = [
+    {
+        name: 'release-check',
+        description: 'Notifies users when movies on their must-watch list come out',
+        schedule: '0 */6 * * *',
+        run: checkReleases,
+        // It goes through every must-watch movie, so give it time
+        timeoutMs: 30 * 60 * 1000,
+    },
+    {
+        name: 'webhook-retries',
+        description: 'Resends webhook deliveries whose retry is due',
+        schedule: '* * * * *',
+        run: retryDueDeliveries,
+        // Each delivery is already retried on its own schedule
+        retries: 0,
+    },
+    {
+        name: 'warm-cache',
+        description: 'Refreshes the cached first page of each movie list before it expires',
+        schedule: '*/30 * * * *',
+        run: warmCache,
+    },
+    {
+        name: 'prune-sessions',
+        description: `Deletes expired sessions and sessions signed out over ${REVOKED_SESSION_DAYS} days ago`,
+        schedule: '30 3 * * *',
+        run: pruneSessions,
+    },
+    {
+        name: 'site-stats',
+        description: 'Counts users, reviews, lists and diary entries, and finds the most wanted movies',
+        schedule: '0 4 * * *',
+        run: computeSiteStats,
+    },
+];
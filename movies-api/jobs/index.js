@@ -0,0 +1,258 @@
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import JobState from './jobStateModel';
+import { JOBS } from './definitions';
+import { parseCron, nextRun } from './cron';
+import { ConflictError, NotFoundError } from '../errors';
+
+/**
+ * Job Scheduler
+ *
+ * Runs the recurring jobs in definitions.js on their cron schedules.
+ * index.js starts it once the server is listening and stops it when the
+ * server shuts down; set JOBS_ENABLED=false to start an instance without it.
+ *
+ * Every 30 seconds each instance checks for due jobs. A job's state lives
+ * in MongoDB (jobStateModel.js), and an instance has to lock the job's
+ * document before running it, so:
+ * - a job never runs twice at once, however many instances there are
+ * - a restart doesn't rerun jobs (or forget them): the next run is stored,
+ *   and a run missed while the API was down happens once when it's back
+ * - if an instance dies mid-run, its lock lapses after the job's timeout
+ *   and the job runs again
+ *
+ * A failed run is retried after retryDelayMs, doubling each time, up to
+ * `retries` times; after that the job waits for its next scheduled run.
+ * Admins can see every job's state and start a job at once through
+ * /api/admin/jobs.
+ */
+
+const TICK_MS = 30 * 1000;
+
+const DEFAULTS = {
+    retries: 2,
+    retryDelayMs: 60 * 1000,
+    // A run taking longer than this is presumed dead, and another instance may start the job
+    timeoutMs: 15 * 60 * 1000,
+};
+
+// Identifies this process in lockedBy
+const instanceId = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+
+// Definitions with their parsed schedules, by name. A bad schedule fails at start-up, not at 3am.
+const jobs = new Map(JOBS.map((job) => [job.name, { ...DEFAULTS, ...job, cron: parseCron(job.schedule) }]));
+
+// Jobs this process is running right now: name -> the run's promise
+const running = new Map();
+
+// The tick timer, and whether stopScheduler has been called
+let ticker = null;
+let stopped = false;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Creates the state of jobs seen for the first time, and reschedules jobs
+ * whose cron expression changed since the state was saved.
+ */
+const syncJobStates = async () => {
+    const now = new Date();
+    for (const job of jobs.values()) {
+        try {
+            await JobState.updateOne(
+                { name: job.name },
+                { $setOnInsert: { schedule: job.schedule, nextRunAt: nextRun(job.cron, now) } },
+                { upsert: true }
+            );
+        } catch (err) {
+            // Another instance created it first
+            if (err.code !== 11000) throw err;
+        }
+        await JobState.updateOne(
+            { name: job.name, schedule: { $ne: job.schedule } },
+            { $set: { schedule: job.schedule, nextRunAt: nextRun(job.cron, now), attempt: 0 } }
+        );
+    }
+};
+
+/**
+ * Locks a job for this instance if nobody else holds it.
+ *
+ * @param {Object} job - The job definition
+ * @param {boolean} dueOnly - Only if its next run is due (false for a manual start)
+ * @returns {Promise<Object|null>} The locked state, or null if it's running elsewhere (or not due)
+ */
+const lockJob = (job, dueOnly) => {
+    const now = new Date();
+    const filter = {
+        name: job.name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    };
+    if (dueOnly) filter.nextRunAt = { $lte: now };
+
+    return JobState.findOneAndUpdate(
+        filter,
+        { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + job.timeoutMs), lastStartedAt: now } },
+        { returnDocument: 'after' }
+    );
+};
+
+/**
+ * Runs a locked job and records how it went, scheduling the next run or a retry.
+ */
+const executeJob = async (job, state) => {
+    const startedAt = Date.now();
+    const mine = { name: job.name, lockedBy: instanceId };
+    const finished = () => ({ lockedBy: null, lockedUntil: null, lastFinishedAt: new Date(), lastDurationMs: Date.now() - startedAt });
+
+    try {
+        const result = await job.run();
+        await JobState.updateOne(mine, {
+            $set: {
+                ...finished(),
+                lastStatus: 'succeeded',
+                lastError: null,
+                lastResult: result ?? null,
+                attempt: 0,
+                nextRunAt: nextRun(job.cron, new Date()),
+            },
+            $inc: { runs: 1 },
+        });
+    } catch (err) {
+        const attempt = state.attempt + 1;
+        const retry = attempt <= job.retries;
+        console.error(`job ${job.name} failed (attempt ${attempt}): ${err.message}`);
+
+        await JobState.updateOne(mine, {
+            $set: {
+                ...finished(),
+                lastStatus: 'failed',
+                lastError: err.message,
+                attempt: retry ? attempt : 0,
+                nextRunAt: retry
+                    ? new Date(Date.now() + job.retryDelayMs * 2 ** (attempt - 1))
+                    : nextRun(job.cron, new Date()),
+            },
+            $inc: { runs: 1, failures: 1 },
+        }).catch((saveErr) => console.error(`job ${job.name}: could not save its state: ${saveErr.message}`));
+    }
+};
+
+/**
+ * Runs a locked job in the background, keeping track of it until it's done.
+ */
+const runJob = (job, state) => {
+    const run = executeJob(job, state).finally(() => running.delete(job.name));
+    running.set(job.name, run);
+    return run;
+};
+
+/**
+ * Starts every due job that isn't running anywhere. Jobs run in the
+ * background, so a slow one doesn't hold up the others.
+ */
+const tick = async () => {
+    for (const job of jobs.values()) {
+        if (stopped) return;
+        if (running.has(job.name)) continue;
+        try {
+            const state = await lockJob(job, true);
+            if (state) runJob(job, state);
+        } catch (err) {
+            console.error(`job ${job.name}: could not check its schedule: ${err.message}`);
+        }
+    }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Starts the scheduler, unless JOBS_ENABLED is 'false'.
+ */
+export const startScheduler = () => {
+    if (process.env.JOBS_ENABLED === 'false') return;
+
+    syncJobStates()
+        .then(tick)
+        .catch((err) => console.error(`job scheduler could not start: ${err.message}`))
+        .finally(() => {
+            if (stopped) return;
+            // unref: the timer alone doesn't keep the process alive
+            ticker = setInterval(tick, TICK_MS).unref();
+        });
+};
+
+/**
+ * Stops starting jobs, for a graceful shutdown. Runs already under way
+ * carry on; if the process exits before they finish, their locks lapse
+ * after the job's timeout and they run again on another instance.
+ *
+ * @returns {Promise} Resolves once the runs under way have finished
+ */
+export const stopScheduler = () => {
+    stopped = true;
+    clearInterval(ticker);
+    return Promise.allSettled([...running.values()]);
+};
+
+/**
+ * Lists every job with its state, for the admin route.
+ *
+ * @returns {Promise<Array<Object>>} { name, description, schedule, retries, running, nextRunAt,
+ *   lastStartedAt, lastFinishedAt, lastDurationMs, lastStatus, lastError, lastResult, attempt, runs, failures }
+ */
+export const listJobs = async () => {
+    const states = await JobState.find({ name: { $in: [...jobs.keys()] } }).lean();
+    const stateByName = new Map(states.map((state) => [state.name, state]));
+    const now = new Date();
+
+    return [...jobs.values()].map((job) => {
+        const state = stateByName.get(job.name) || {};
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            retries: job.retries,
+            running: Boolean(state.lockedUntil && state.lockedUntil > now),
+            runningOn: state.lockedUntil > now ? state.lockedBy : null,
+            nextRunAt: state.nextRunAt || null,
+            lastStartedAt: state.lastStartedAt || null,
+            lastFinishedAt: state.lastFinishedAt || null,
+            lastDurationMs: state.lastDurationMs ?? null,
+            lastStatus: state.lastStatus || null,
+            lastError: state.lastError || null,
+            lastResult: state.lastResult ?? null,
+            attempt: state.attempt || 0,
+            runs: state.runs || 0,
+            failures: state.failures || 0,
+        };
+    });
+};
+
+/**
+ * Starts a job now, whatever its schedule. It runs in the background;
+ * listJobs shows how it went. Its next scheduled run is worked out again
+ * from when it finishes.
+ *
+ * @param {string} name - The job's name
+ * @throws {NotFoundError} If there's no such job
+ * @throws {ConflictError} If it's already running
+ */
+export const triggerJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new NotFoundError(`No job named "${name}".`);
+    }
+
+    await syncJobStates();
+    const state = running.has(name) ? null : await lockJob(job, false);
+    if (!state) {
+        throw new ConflictError(`Job "${name}" is already running.`);
+    }
+
+    runJob(job, state);
+};
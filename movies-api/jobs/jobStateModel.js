@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const Schema = mongoose.Schema;
+
+/**
+ * Job State Schema for MongoDB
+ *
+ * One document per background job (see jobs/index.js). Keeping it in the
+ * database instead of in memory is what stops a job running twice: after a
+ * restart the next run is still known, and when several API instances
+ * share the database only the one that locks the document runs the job.
+ *
+ * Fields:
+ * - name: The job's name, e.g. 'release-check'
+ * - schedule: The cron expression nextRunAt was worked out from
+ * - nextRunAt: When the job is due (a retry moves it forward)
+ * - attempt: Failed attempts so far at the current run (0 after a success)
+ * - lockedBy: The instance running the job, or null
+ * - lockedUntil: When the lock lapses if that instance never finishes (it crashed)
+ * - lastStartedAt, lastFinishedAt, lastDurationMs: The latest run
+ * - lastStatus: 'succeeded' or 'failed' (null before the first run)
+ * - lastError: The latest failure's message
+ * - lastResult: What the latest successful run returned (counts and the like)
+ * - runs, failures: Totals since the job was first scheduled
+ * - createdAt/updatedAt: Auto-managed timestamps
+ */
+const JobStateSchema = new Schema({
+  name: { type: String, unique: true, required: true },
+  schedule: { type: String, required: true },
+  nextRunAt: { type: Date, required: true },
+  attempt: { type: Number, default: 0 },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  lastStartedAt: { type: Date, default: null },
+  lastFinishedAt: { type: Date, default: null },
+  lastDurationMs: { type: Number, default: null },
+  lastStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+  lastError: { type: String, default: null },
+  lastResult: { type: Schema.Types.Mixed, default: null },
+  runs: { type: Number, default: 0 },
+  failures: { type: Number, default: 0 },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('JobState', JobStateSchema);
@@ -0,0 +1,110 @@
+import { stopScheduler } from '../jobs';
+import { closeStreams } from '../api/events';
+import { closeDatabase } from '../db';
+
+/**
+ * Server Lifecycle
+ *
+ * Start-up checks and graceful shutdown, used by index.js:
+ *
+ * - assertRequiredEnv stops the server before it starts when settings it
+ *   can't work without are missing, saying which ones
+ * - enableGracefulShutdown handles SIGTERM (what Docker, Kubernetes and
+ *   most hosts send) and SIGINT (Ctrl+C): the server stops accepting
+ *   connections, /ready answers 503, in-flight requests finish, live event
+ *   streams are ended (clients reconnect elsewhere and catch up), and the
+ *   MongoDB connection is closed. A second signal exits at once.
+ */
+
+// Settings the API can't run without, with what each one is
+const REQUIRED_ENV = {
+    MONGO_DB: 'the MongoDB connection string',
+    SECRET: 'the secret access tokens are signed with',
+    TMDB_KEY: 'the TMDB API key',
+};
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+let shuttingDown = false;
+
+/**
+ * Whether the server is shutting down (checked by the readiness route).
+ */
+export const isShuttingDown = () => shuttingDown;
+
+// ============================================
+// START-UP
+// ============================================
+
+/**
+ * Exits with a message listing the missing settings if any of
+ * REQUIRED_ENV isn't set. Call it after dotenv.config().
+ */
+export const assertRequiredEnv = () => {
+    const missing = Object.keys(REQUIRED_ENV).filter((name) => !process.env[name]?.trim());
+    if (missing.length === 0) return;
+
+    console.error([
+        'Cannot start: required settings are missing.',
+        ...missing.map((name) => `  ${name} - ${REQUIRED_ENV[name]}`),
+        'Set them in movies-api/.env or the environment (see "Environment Variables" in the README).',
+    ].join('\n'));
+    process.exit(1);
+};
+
+// ============================================
+// SHUTDOWN
+// ============================================
+
+/**
+ * Middleware that asks clients to close their keep-alive connections once
+ * shutdown has started, so the server can finish draining.
+ */
+export const closeConnectionsWhenDraining = (req, res, next) => {
+    if (shuttingDown) res.set('Connection', 'close');
+    next();
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Shuts down on SIGTERM and SIGINT. Requests still running after
+ * SHUTDOWN_TIMEOUT_MS (default 10s) have their connections closed.
+ *
+ * @param {http.Server} server - The server app.listen returned
+ */
+export const enableGracefulShutdown = (server) => {
+    const shutDown = async (signal) => {
+        if (shuttingDown) {
+            console.warn(`${signal} received again: exiting now`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+
+        const timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_SHUTDOWN_TIMEOUT_MS;
+        console.info(`${signal} received: finishing in-flight requests (up to ${timeoutMs / 1000}s)`);
+
+        // close calls back once every open connection has ended
+        const closed = new Promise((resolve) => server.close(resolve));
+        closeStreams();
+        const drained = Promise.all([closed, stopScheduler()]);
+
+        const timedOut = await Promise.race([drained.then(() => false), wait(timeoutMs).then(() => true)]);
+        if (timedOut) {
+            console.warn('shutdown timed out: closing the connections still open');
+            server.closeAllConnections();
+        }
+
+        try {
+            await closeDatabase();
+        } catch (err) {
+            console.error(`could not close the database connection: ${err.message}`);
+        }
+
+        console.info('shutdown complete');
+        process.exit(timedOut ? 1 : 0);
+    };
+
+    process.on('SIGTERM', () => shutDown('SIGTERM'));
+    process.on('SIGINT', () => shutDown('SIGINT'));
+};
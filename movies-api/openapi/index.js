@@ -0,0 +1,181 @@
+import { collectRoutes, readRouteDocs } from './routes';
+import { fromRule, fromRules } from './schemas';
+import { OPERATIONS, buildComponents } from './operations';
+import { version } from '../package.json';
+
+/**
+ * OpenAPI Document
+ *
+ * Builds an OpenAPI 3 description of the API from the routers as they are
+ * mounted, and serves it at /api/openapi.json (public/index.html, served
+ * at /api/docs, renders it). Paths, parameters, request bodies and auth
+ * are read from the routes themselves (routes.js), so they can't drift
+ * from what the API does; responses are declared in operations.js.
+ *
+ *   app.get('/api/openapi.json', openApiDocument(apiRouters));
+ */
+
+const STATUS_TEXT = { 200: 'OK', 201: 'Created', 202: 'Accepted', 503: 'Service Unavailable' };
+
+// Where each request part goes in OpenAPI
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query' };
+
+// /lists/:listId -> /lists/{listId}
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+/**
+ * The route's path and query parameters. Path parameters that no schema
+ * describes (routes that check them by hand) are still listed, as text.
+ */
+const parametersOf = (route) => {
+    const parameters = [];
+
+    for (const [location, where] of Object.entries(PARAMETER_LOCATIONS)) {
+        for (const [name, rule] of Object.entries(route.schema[location] || {})) {
+            parameters.push({
+                name,
+                in: where,
+                required: where === 'path' || Boolean(rule.required),
+                ...(rule.description && { description: rule.description }),
+                schema: fromRule(rule),
+            });
+        }
+    }
+
+    for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+        if (!parameters.some((parameter) => parameter.in === 'path' && parameter.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        }
+    }
+
+    return parameters;
+};
+
+const requestBodyOf = (route, declared) => {
+    const schema = declared || (route.schema.body && fromRules(route.schema.body));
+    if (!schema) return undefined;
+
+    return {
+        required: true,
+        content: { 'application/json': { schema } },
+    };
+};
+
+const responsesOf = (route, declared) => {
+    const responses = {};
+
+    for (const [status, body] of Object.entries(declared)) {
+        const media = body.media || 'application/json';
+        responses[status] = {
+            description: STATUS_TEXT[status] || 'Success',
+            content: { [media]: { schema: body.media ? body.schema : body } },
+        };
+    }
+
+    if (route.schema.params || route.schema.query || route.schema.body) {
+        responses[400] = { $ref: '#/components/responses/ValidationFailed' };
+    }
+    if (route.auth === 'required') responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    if (route.admin) responses[403] = { $ref: '#/components/responses/Forbidden' };
+    responses.default = { $ref: '#/components/responses/Error' };
+
+    return responses;
+};
+
+const securityOf = (route) => {
+    if (route.auth === 'required') return [{ bearerAuth: [] }];
+    if (route.auth === 'optional') return [{}, { bearerAuth: [] }];
+    return undefined;
+};
+
+// ============================================
+// DOCUMENT
+// ============================================
+
+/**
+ * Builds the OpenAPI document for the given routers. Logs a warning for
+ * every route without a documented response and every documented response
+ * without a route.
+ *
+ * @param {Array<Object>} mounts - [{ path, router, tag }] as mounted in index.js
+ * @returns {Object} The OpenAPI document
+ */
+export const buildDocument = (mounts) => {
+    const routes = collectRoutes(mounts);
+    const docs = readRouteDocs();
+    const paths = {};
+
+    for (const route of routes) {
+        const key = `${route.method} ${route.path}`;
+        const { requestBody, ...declared } = OPERATIONS[key] || {};
+        if (!OPERATIONS[key]) console.warn(`openapi: no responses documented for ${key}`);
+
+        const operation = {
+            tags: [route.tag],
+            ...docs.get(key),
+            parameters: parametersOf(route),
+            requestBody: requestBodyOf(route, requestBody),
+            security: securityOf(route),
+            responses: responsesOf(route, OPERATIONS[key] ? declared : { 200: {} }),
+        };
+        if (route.admin) operation.description = `Admins only.\n\n${operation.description || ''}`.trim();
+
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: operation };
+    }
+
+    const routeKeys = new Set(routes.map((route) => `${route.method} ${route.path}`));
+    for (const key of Object.keys(OPERATIONS).filter((documented) => !routeKeys.has(documented))) {
+        console.warn(`openapi: responses documented for ${key}, which is not a route`);
+    }
+
+    // JSON.stringify drops the parts left undefined above
+    return JSON.parse(JSON.stringify({
+        openapi: '3.0.3',
+        info: {
+            title: 'Moodvy API',
+            version,
+            description: 'Movies and people (from TMDB) plus user accounts, favorites, must-watch, reviews, '
+                + 'custom lists and the watch diary. Log in with POST /api/users and send the token as '
+                + '"Authorization: Bearer <token>". Errors use the Error envelope.',
+        },
+        tags: [...new Set(mounts.map((mount) => mount.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            },
+            schemas: buildComponents(),
+            responses: {
+                ValidationFailed: errorResponse('The request is invalid; for VALIDATION_FAILED, error.details.fields lists every failing field'),
+                Unauthorized: errorResponse('No access token was sent, or it is invalid or expired'),
+                Forbidden: errorResponse('The user is not allowed to do this'),
+                Error: errorResponse('Any other error'),
+            },
+        },
+    }));
+};
+
+/**
+ * Route handler that serves the document. It's built once, when the
+ * handler is created (after the routers are), so the drift warnings show
+ * when the server starts.
+ *
+ * @param {Array<Object>} mounts - [{ path, router, tag }] as mounted in index.js
+ * @returns {Function} Express route handler
+ */
+export const openApiDocument = (mounts) => {
+    const document = buildDocument(mounts);
+    return (req, res) => {
+        res.status(200).json(document);
+    };
+};
@@ -0,0 +1,368 @@
+import Review from '../api/reviews/reviewModel';
+import List from '../api/lists/listModel';
+import DiaryEntry from '../api/diary/diaryEntryModel';
+import Notification from '../api/notifications/notificationModel';
+import Webhook from '../api/webhooks/webhookModel';
+import WebhookDelivery from '../api/webhooks/deliveryModel';
+import { fromMongooseSchema, fromRules } from './schemas';
+import { CSV_FILE } from '../validation/schemas';
+
+/**
+ * Documented Responses
+ *
+ * What each route answers with. Everything else in the document is read
+ * from the routers, but a response is whatever a handler passes to
+ * res.json(), so the shapes are declared here, keyed by method and path
+ * as mounted ('get /api/users/lists/:listId'). Documents the API stores
+ * are referenced by model name, and their schemas come from the models.
+ *
+ * Building the document warns about routes missing from this table and
+ * entries that no longer match a route, so the two can't drift apart
+ * unnoticed.
+ *
+ * An entry maps status codes to a response body schema, or to
+ * media(type) for anything that isn't JSON. A route that checks its body
+ * by hand rather than with validate() gives the body's schema as
+ * requestBody.
+ */
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, description) => ({ type: 'object', properties, ...(description && { description }) });
+
+/**
+ * The { success: true, ... } envelope around every JSON answer.
+ */
+const ok = (properties = {}) => ({
+    type: 'object',
+    required: ['success'],
+    properties: { success: { type: 'boolean', enum: [true] }, ...properties },
+});
+
+/**
+ * The envelope with a message for people (msg) - what changes answer with.
+ */
+const done = (properties = {}) => ok({ msg: string, ...properties });
+
+/**
+ * A response that isn't JSON (a file download or a stream).
+ */
+const media = (type, description) => ({ media: type, schema: { type: 'string', description } });
+
+const movieIds = arrayOf(integer);
+
+const TOKENS = {
+    token: { type: 'string', description: 'Short-lived access token, sent as "Authorization: Bearer <token>"' },
+    refreshToken: { type: 'string', description: 'Trades for a new pair at POST /api/users/refresh' },
+    refreshTokenExpiresAt: dateTime,
+};
+
+const PAGE_INFO = { page: integer, totalPages: integer };
+
+// Documents the API stores, converted from their mongoose models
+const MODELS = [Review, List, DiaryEntry, Notification, Webhook, WebhookDelivery];
+
+/**
+ * Component schemas: the stored documents, the shapes TMDB data is passed
+ * through in, and the error envelope.
+ */
+export const buildComponents = () => ({
+    ...Object.fromEntries(MODELS.map((model) => [model.modelName, fromMongooseSchema(model.schema)])),
+
+    Movie: object({
+        id: integer,
+        title: string,
+        overview: string,
+        poster_path: { type: 'string', nullable: true },
+        backdrop_path: { type: 'string', nullable: true },
+        release_date: string,
+        vote_average: number,
+        genre_ids: arrayOf(integer),
+    }, "A movie in a list, as TMDB returns it (TMDB's snake_case fields are passed through)"),
+    MovieDetails: object({
+        id: integer,
+        imdb_id: { type: 'string', nullable: true },
+        title: string,
+        tagline: string,
+        overview: string,
+        runtime: { type: 'integer', nullable: true },
+        release_date: string,
+        genres: arrayOf(object({ id: integer, name: string })),
+        poster_path: { type: 'string', nullable: true },
+        vote_average: number,
+    }, "TMDB's movie details, passed through"),
+    Person: object({
+        id: integer,
+        name: string,
+        known_for_department: string,
+        profile_path: { type: 'string', nullable: true },
+    }, 'A person in search results, as TMDB returns it'),
+    PersonDetails: object({
+        id: integer,
+        name: string,
+        biography: string,
+        birthday: { type: 'string', nullable: true },
+        place_of_birth: { type: 'string', nullable: true },
+        profile_path: { type: 'string', nullable: true },
+    }, "TMDB's person details, passed through"),
+    MovieReview: object({
+        id: string,
+        source: { type: 'string', enum: ['tmdb', 'local'] },
+        author: string,
+        content: string,
+        rating: { type: 'number', nullable: true, description: 'Out of 10 (local star ratings are doubled)' },
+        createdAt: dateTime,
+        updatedAt: { ...dateTime, nullable: true },
+        url: { type: 'string', nullable: true },
+    }, 'A TMDB review or one of our users\' reviews, in one shape (see api/movies/movieReviews.js)'),
+    ImportChanges: object({
+        favorites: object({ added: movieIds, removed: movieIds }),
+        mustWatch: object({ added: movieIds, removed: movieIds }),
+        reviews: object({ added: integer, updated: integer, removed: integer, unchanged: integer }),
+    }, 'What an import changed (or, for a dry run, would change)'),
+    Error: object({
+        success: { type: 'boolean', enum: [false] },
+        error: {
+            type: 'object',
+            required: ['code', 'message', 'requestId'],
+            properties: {
+                code: { type: 'string', example: 'NOT_FOUND', description: 'Stable, for programs' },
+                message: { type: 'string', description: 'For people' },
+                requestId: { type: 'string', description: 'Matches the X-Request-Id header and the server log' },
+                details: { description: 'Extra data, e.g. { fields: [...] } for VALIDATION_FAILED' },
+            },
+        },
+    }, 'The envelope every error is sent in (see errors/index.js)'),
+});
+
+/**
+ * The { results, page, totalPages, totalResults } envelope of paged lists
+ * (api/pagination.js).
+ */
+const paged = (items, properties = {}) => object({
+    results: arrayOf(items),
+    page: integer,
+    totalPages: integer,
+    totalResults: integer,
+    ...properties,
+});
+
+const SESSION = object({
+    _id: string,
+    device: { type: 'string', description: 'e.g. "Chrome on macOS"' },
+    userAgent: string,
+    ip: string,
+    createdAt: dateTime,
+    lastSeenAt: dateTime,
+    expiresAt: dateTime,
+    current: { type: 'boolean', description: 'The session making this request' },
+});
+
+const CALENDAR = object({ enabled: boolean, createdAt: { ...dateTime, nullable: true } });
+
+// Health answers aren't in the success envelope: probes read status
+const READINESS = object({
+    status: { type: 'string', enum: ['ready', 'unavailable', 'shutting_down'] },
+    checks: object({
+        mongo: object({ status: { type: 'string', enum: ['up', 'down'] }, latencyMs: integer }),
+        tmdb: object({
+            status: { type: 'string', enum: ['up', 'cached', 'down'], description: "'cached': TMDB is down and movie data comes from the cache" },
+            circuit: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+        }),
+    }),
+});
+
+// ============================================
+// OPERATIONS
+// ============================================
+
+export const OPERATIONS = {
+    // Users, sessions and data
+    'post /api/users': {
+        200: ok(TOKENS),
+        201: done(),
+    },
+    'post /api/users/refresh': { 200: ok(TOKENS) },
+    'post /api/users/logout': { 200: done() },
+    'get /api/users/favorites': { 200: ok({ favorites: movieIds }) },
+    'post /api/users/favorites/:movieId': { 201: done({ favorites: movieIds }) },
+    'delete /api/users/favorites/:movieId': { 200: done({ favorites: movieIds }) },
+    'get /api/users/mustwatch': { 200: ok({ mustWatch: movieIds }) },
+    'post /api/users/mustwatch/:movieId': { 201: done({ mustWatch: movieIds }) },
+    'delete /api/users/mustwatch/:movieId': { 200: done({ mustWatch: movieIds }) },
+    'get /api/users/reviews': { 200: ok({ reviews: arrayOf(ref('Review')) }) },
+    'post /api/users/reviews': {
+        200: done({ review: ref('Review'), updated: { type: 'boolean', enum: [true] } }),
+        201: done({ review: ref('Review'), updated: { type: 'boolean', enum: [false] } }),
+    },
+    'put /api/users/reviews/:reviewId': { 200: done({ review: ref('Review') }) },
+    'delete /api/users/reviews/:reviewId': { 200: done({ reviews: arrayOf(ref('Review')) }) },
+    'get /api/users/export': {
+        200: object({
+            format: { type: 'string', enum: ['moodvy-account-export'] },
+            version: integer,
+            exportedAt: dateTime,
+        }, 'The export bundle (no success envelope), sent as an attachment'),
+    },
+    'post /api/users/import': { 200: done({ mode: string, dryRun: boolean, changes: ref('ImportChanges') }) },
+    'post /api/users/import/csv': {
+        requestBody: {
+            type: 'object',
+            required: ['files'],
+            properties: {
+                files: arrayOf(fromRules(CSV_FILE)),
+                matches: { type: 'object', additionalProperties: integer, description: '{ [key]: movieId } for rows matched by hand' },
+            },
+        },
+        200: done({
+            dryRun: boolean,
+            files: arrayOf(object({ name: string, source: string, kind: string, rows: integer })),
+            changes: ref('ImportChanges'),
+            unmatched: arrayOf(object({ file: string, line: integer, title: string, year: integer, imdbId: string, key: string })),
+            skipped: arrayOf(object({ file: string, line: integer, title: string, reason: string })),
+        }),
+    },
+    'get /api/users/sessions': { 200: ok({ sessions: arrayOf(SESSION) }) },
+    'delete /api/users/sessions/others': { 200: done({ revoked: integer }) },
+    'delete /api/users/sessions/:sessionId': { 200: done() },
+    'get /api/users/account': { 200: ok({ account: object({ username: string, createdAt: dateTime }) }) },
+    'put /api/users/account/password': { 200: done(TOKENS) },
+    'put /api/users/account/username': { 200: done({ username: string, ...TOKENS }) },
+    'delete /api/users/account': { 200: done() },
+    'get /api/users/account/calendar': { 200: ok({ calendar: CALENDAR }) },
+    'post /api/users/account/calendar': { 201: done({ url: { type: 'string', description: 'The secret feed link' }, calendar: CALENDAR }) },
+    'delete /api/users/account/calendar': { 200: done() },
+    'get /api/users/events': { 200: media('text/event-stream', 'Server-Sent Events: one event per change, named by its type') },
+
+    // Custom lists
+    'get /api/users/lists': { 200: ok({ lists: arrayOf(ref('List')) }) },
+    'post /api/users/lists': { 201: done({ list: ref('List') }) },
+    'get /api/users/lists/export': {
+        200: media('text/csv', 'The export file, sent as an attachment (JSON for format=json)'),
+    },
+    'get /api/users/lists/:listId': { 200: ok({ list: ref('List'), owner: string, isOwner: boolean }) },
+    'patch /api/users/lists/:listId': { 200: done({ list: ref('List') }) },
+    'delete /api/users/lists/:listId': { 200: done() },
+    'post /api/users/lists/:listId/items': { 201: done({ list: ref('List') }) },
+    'patch /api/users/lists/:listId/items/:movieId': { 200: done({ list: ref('List') }) },
+    'delete /api/users/lists/:listId/items/:movieId': { 200: done({ list: ref('List') }) },
+
+    // Watch diary
+    'get /api/users/diary': { 200: ok({ entries: arrayOf(ref('DiaryEntry')) }) },
+    'get /api/users/diary/activity': {
+        200: ok({
+            year: integer,
+            total: integer,
+            days: { type: 'object', additionalProperties: integer, description: "{ 'YYYY-MM-DD': count }" },
+        }),
+    },
+    'get /api/users/diary/watched': { 200: ok({ watched: movieIds }) },
+    'post /api/users/diary': { 201: done({ entry: ref('DiaryEntry'), mustWatch: movieIds }) },
+    'patch /api/users/diary/:entryId': { 200: done({ entry: ref('DiaryEntry') }) },
+    'delete /api/users/diary/:entryId': { 200: done() },
+
+    // Notifications
+    'get /api/users/notifications': {
+        200: ok({ notifications: arrayOf(ref('Notification')), unreadCount: integer, ...PAGE_INFO }),
+    },
+    'patch /api/users/notifications': { 200: ok({ updated: integer, unreadCount: integer }) },
+    'patch /api/users/notifications/:notificationId': {
+        200: ok({ notification: ref('Notification'), unreadCount: integer }),
+    },
+
+    // Webhooks
+    'get /api/users/webhooks': { 200: ok({ webhooks: arrayOf(ref('Webhook')) }) },
+    'post /api/users/webhooks': {
+        201: done({ webhook: ref('Webhook'), secret: { type: 'string', description: 'Signs the deliveries; only shown now' } }),
+    },
+    'patch /api/users/webhooks/:webhookId': { 200: done({ webhook: ref('Webhook') }) },
+    'delete /api/users/webhooks/:webhookId': { 200: done() },
+    'post /api/users/webhooks/:webhookId/secret': { 200: done({ secret: string }) },
+    'post /api/users/webhooks/:webhookId/ping': { 202: done({ delivery: ref('WebhookDelivery') }) },
+    'get /api/users/webhooks/:webhookId/deliveries': {
+        200: ok({ deliveries: arrayOf(ref('WebhookDelivery')), ...PAGE_INFO }),
+    },
+    'get /api/users/webhooks/:webhookId/deliveries/:deliveryId': { 200: ok({ delivery: ref('WebhookDelivery') }) },
+    'post /api/users/webhooks/:webhookId/deliveries/:deliveryId/replay': { 202: done({ delivery: ref('WebhookDelivery') }) },
+
+    // Movies
+    'get /api/movies/discover': { 200: paged(ref('Movie')) },
+    'get /api/movies/upcoming': { 200: paged(ref('Movie')) },
+    'get /api/movies/popular': { 200: paged(ref('Movie')) },
+    'get /api/movies/top-rated': { 200: paged(ref('Movie')) },
+    'get /api/movies/now-playing': { 200: paged(ref('Movie')) },
+    'get /api/movies/trending': { 200: paged(ref('Movie')) },
+    'get /api/movies/genres': { 200: object({ genres: arrayOf(object({ id: integer, name: string })) }) },
+    'get /api/movies/search': { 200: paged(ref('Movie')) },
+    'get /api/movies/:id': { 200: ref('MovieDetails') },
+    'get /api/movies/:id/images': {
+        200: object({ id: integer, backdrops: arrayOf(object({})), posters: arrayOf(object({})) }, "TMDB's images, passed through"),
+    },
+    'get /api/movies/:id/reviews': {
+        200: paged(ref('MovieReview'), {
+            communityRating: object({
+                average: { type: 'number', nullable: true, description: '1-5, one decimal' },
+                count: integer,
+                histogram: { type: 'object', additionalProperties: integer, description: '{ 1: n, ..., 5: n }' },
+            }, "Our own users' ratings"),
+        }),
+    },
+    'get /api/movies/:id/credits': {
+        200: object({ id: integer, cast: arrayOf(object({})), crew: arrayOf(object({})) }, "TMDB's credits, passed through"),
+    },
+    'get /api/movies/:id/recommendations': { 200: paged(ref('Movie')) },
+    'get /api/movies/:id/similar': { 200: paged(ref('Movie')) },
+
+    // People
+    'get /api/people/search': { 200: paged(ref('Person')) },
+    'get /api/people/:id': { 200: ref('PersonDetails') },
+    'get /api/people/:id/movie-credits': {
+        200: object({ id: integer, cast: arrayOf(ref('Movie')), crew: arrayOf(ref('Movie')) }, "TMDB's movie credits, passed through"),
+    },
+
+    // Calendar feed
+    'get /api/calendar/:token.ics': { 200: media('text/calendar', 'An iCalendar feed') },
+
+    // Admin
+    'get /api/admin/cache': { 200: ok({ stats: object({}) }) },
+    'delete /api/admin/cache': { 200: done({ removed: integer }) },
+    'get /api/admin/tmdb': { 200: ok({ status: object({}) }) },
+    'get /api/admin/jobs': {
+        200: ok({
+            jobs: arrayOf(object({
+                name: string,
+                description: string,
+                schedule: { type: 'string', example: '0 */6 * * *' },
+                retries: integer,
+                running: boolean,
+                runningOn: { type: 'string', nullable: true },
+                nextRunAt: { ...dateTime, nullable: true },
+                lastStartedAt: { ...dateTime, nullable: true },
+                lastFinishedAt: { ...dateTime, nullable: true },
+                lastDurationMs: { type: 'integer', nullable: true },
+                lastStatus: { type: 'string', enum: ['succeeded', 'failed'], nullable: true },
+                lastError: { type: 'string', nullable: true },
+                lastResult: { nullable: true },
+                attempt: integer,
+                runs: integer,
+                failures: integer,
+            })),
+        }),
+    },
+    'post /api/admin/jobs/:name/run': { 202: done() },
+
+    // Health
+    'get /health': { 200: object({ status: { type: 'string', enum: ['ok'] }, uptime: { type: 'integer', description: 'Seconds' } }) },
+    'get /ready': { 200: READINESS, 503: READINESS },
+};
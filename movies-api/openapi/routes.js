@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import authenticate, { optionalAuthenticate, requireAdmin } from '../authenticate';
+
+/**
+ * Route Discovery
+ *
+ * Reads the routes back from the mounted routers themselves, so the
+ * document lists what the API actually serves:
+ *
+ * - method and path from each router's stack
+ * - params, query and body rules from the schema validate() keeps on its
+ *   middleware (middleware.schema)
+ * - auth from whether authenticate, optionalAuthenticate or requireAdmin
+ *   runs for the route (including router.use middleware declared before it)
+ *
+ * Summaries and descriptions come from the JSDoc block above each route,
+ * the one that starts with its method and path (" * GET /api/users/diary").
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Where the routers live
+const ROUTER_DIRS = ['../api', '../health'].map((dir) => path.join(__dirname, dir));
+
+// ============================================
+// ROUTERS
+// ============================================
+
+/**
+ * Merges the schemas of every validate() on a route, as validate() merges
+ * the checked values.
+ */
+const mergeSchemas = (handlers) => {
+    const merged = {};
+    for (const { schema } of handlers) {
+        if (!schema) continue;
+        for (const [location, rules] of Object.entries(schema)) {
+            merged[location] = { ...merged[location], ...rules };
+        }
+    }
+    return merged;
+};
+
+const authOf = (handlers) => {
+    if (handlers.includes(authenticate)) return 'required';
+    if (handlers.includes(optionalAuthenticate)) return 'optional';
+    return 'none';
+};
+
+/**
+ * Lists every route of the given routers.
+ *
+ * @param {Array<Object>} mounts - [{ path, router, tag }] as mounted in index.js
+ * @returns {Array<Object>} [{ method, path, tag, auth, admin, schema }], path in Express form (/lists/:listId)
+ */
+export const collectRoutes = (mounts) => {
+    const routes = [];
+
+    for (const mount of mounts) {
+        // router.use middleware runs before every route declared after it
+        const shared = [];
+
+        for (const layer of mount.router.stack) {
+            if (!layer.route) {
+                shared.push(layer.handle);
+                continue;
+            }
+
+            const handlers = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+            const routePath = layer.route.path === '/' ? '' : layer.route.path;
+
+            for (const method of METHODS.filter((name) => layer.route.methods[name])) {
+                routes.push({
+                    method,
+                    path: mount.path + routePath,
+                    tag: mount.tag,
+                    auth: authOf(handlers),
+                    admin: handlers.includes(requireAdmin),
+                    schema: mergeSchemas(handlers),
+                });
+            }
+        }
+    }
+
+    return routes;
+};
+
+// ============================================
+// JSDOC
+// ============================================
+
+const DOC_BLOCK = /\/\*\*([\s\S]*?)\*\//g;
+const ROUTE_LINE = /^(GET|POST|PUT|PATCH|DELETE) (\/[^\s?]*)/;
+
+const sourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return sourceFiles(file);
+    return entry.name.endsWith('.js') ? [file] : [];
+});
+
+/**
+ * Splits a route's JSDoc text into a summary (its first sentence) and a
+ * description (the rest, up to the first @tag).
+ */
+const parseDocText = (lines) => {
+    const end = lines.findIndex((line) => line.startsWith('@'));
+    const text = (end === -1 ? lines : lines.slice(0, end)).join('\n').trim().split('\n');
+
+    // A sentence that wraps goes on in lowercase on the next line
+    let wrapped = 1;
+    while (wrapped < text.length && /^[a-z]/.test(text[wrapped])) wrapped++;
+
+    const first = text.slice(0, wrapped).join(' ');
+    const sentence = /^(.+?)\.(?:\s+(.*))?$/.exec(first);
+
+    return {
+        summary: (sentence ? sentence[1] : first) || undefined,
+        description: [sentence?.[2], ...text.slice(wrapped)].filter(Boolean).join('\n').trim() || undefined,
+    };
+};
+
+/**
+ * Reads the route JSDoc blocks of every file in the router directories.
+ *
+ * @returns {Map<string, Object>} 'get /api/users/diary' => { summary, description }
+ */
+export const readRouteDocs = () => {
+    const docs = new Map();
+
+    for (const file of ROUTER_DIRS.flatMap(sourceFiles)) {
+        const source = fs.readFileSync(file, 'utf8');
+
+        for (const [, block] of source.matchAll(DOC_BLOCK)) {
+            const lines = block.split('\n')
+                .map((line) => line.replace(/^\s*\*? ?/, '').trimEnd())
+                .filter((line, index, all) => line || all.slice(0, index).some(Boolean));
+
+            const match = ROUTE_LINE.exec(lines[0] || '');
+            if (!match) continue;
+
+            docs.set(`${match[1].toLowerCase()} ${match[2]}`, parseDocText(lines.slice(1)));
+        }
+    }
+
+    return docs;
+};
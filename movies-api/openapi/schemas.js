@@ -0,0 +1,151 @@
+/**
+ * OpenAPI Schemas
+ *
+ * Turns the two kinds of definitions the API already has into OpenAPI
+ * (3.0) schema objects, so the document describes exactly what is checked
+ * and stored:
+ *
+ * - validation field rules (validation/validator.js) for params, query and bodies
+ * - mongoose model schemas for the documents the API sends back
+ */
+
+const OBJECT_ID = { type: 'string', pattern: '^[a-f\\d]{24}$', example: '64b7f0c2a1e4d3b2c1a09f8e' };
+
+// ============================================
+// VALIDATION RULES
+// ============================================
+
+// Rule types with no OpenAPI type of the same name
+const RULE_TYPES = {
+    objectId: OBJECT_ID,
+    date: { type: 'string', format: 'date' },
+};
+
+/**
+ * Converts one validation field rule. Rules checked only by a check
+ * function (arrays, mostly) have no type, so their description is all
+ * there is to go on.
+ *
+ * @param {Object} rule - Field rule from validation/schemas.js
+ * @returns {Object} OpenAPI schema
+ */
+export const fromRule = (rule) => {
+    const schema = RULE_TYPES[rule.type] ? { ...RULE_TYPES[rule.type] } : {};
+    if (rule.type && !RULE_TYPES[rule.type]) schema.type = rule.type;
+
+    if (rule.nullable) schema.nullable = true;
+    if (rule.enum) schema.enum = rule.enum;
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.pattern) schema.pattern = rule.pattern.source;
+    if (rule.default !== undefined) schema.default = rule.default;
+    if (rule.description) schema.description = rule.description;
+    return schema;
+};
+
+/**
+ * Converts the rules for one part of a request (e.g. a route's body rules)
+ * into an object schema.
+ *
+ * @param {Object} rules - { field: rule }
+ * @returns {Object} OpenAPI object schema
+ */
+export const fromRules = (rules) => {
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const [field, rule] of Object.entries(rules)) {
+        schema.properties[field] = fromRule(rule);
+        if (rule.required) required.push(field);
+    }
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+};
+
+// ============================================
+// MONGOOSE MODELS
+// ============================================
+
+// Stored only to make other things work, never meaningful to clients
+const INTERNAL_PATHS = ['__v'];
+
+/**
+ * Converts one mongoose schema type (a path of a model).
+ */
+const fromSchemaType = (type) => {
+    const { options = {} } = type;
+    let schema;
+
+    switch (type.instance) {
+    case 'String':
+        schema = { type: 'string' };
+        if (options.enum) schema.enum = Array.isArray(options.enum) ? options.enum : options.enum.values;
+        if (schema.enum?.includes(null)) schema.nullable = true;
+        if (options.minlength !== undefined) schema.minLength = options.minlength;
+        if (options.maxlength !== undefined) schema.maxLength = options.maxlength;
+        break;
+    case 'Number':
+        schema = { type: 'number' };
+        if (options.min !== undefined) schema.minimum = options.min;
+        if (options.max !== undefined) schema.maximum = options.max;
+        break;
+    case 'Boolean':
+        schema = { type: 'boolean' };
+        break;
+    case 'Date':
+        schema = { type: 'string', format: 'date-time' };
+        break;
+    case 'ObjectId':
+        schema = { ...OBJECT_ID };
+        break;
+    case 'Embedded':
+        schema = fromMongooseSchema(type.schema);
+        break;
+    case 'Array':
+        schema = {
+            type: 'array',
+            items: type.schema ? fromMongooseSchema(type.schema) : fromSchemaType(type.embeddedSchemaType),
+        };
+        break;
+    default:
+        // Mixed, Map and the like can hold anything
+        schema = {};
+    }
+
+    return schema;
+};
+
+/**
+ * Converts a mongoose schema into an object schema. Nested paths
+ * (calendar.enabled) become nested objects, and fields that are never
+ * selected (select: false, e.g. secrets) are left out.
+ *
+ * @param {mongoose.Schema} mongooseSchema
+ * @returns {Object} OpenAPI object schema
+ */
+export const fromMongooseSchema = (mongooseSchema) => {
+    const root = { type: 'object', properties: {} };
+
+    mongooseSchema.eachPath((path, type) => {
+        if (INTERNAL_PATHS.includes(path) || type.options?.select === false) return;
+
+        // Walk (and create) the objects that hold a nested path
+        const parts = path.split('.');
+        let parent = root;
+        for (const part of parts.slice(0, -1)) {
+            parent.properties[part] = parent.properties[part] || { type: 'object', properties: {} };
+            parent = parent.properties[part];
+        }
+
+        const field = parts[parts.length - 1];
+        parent.properties[field] = fromSchemaType(type);
+        if (type.isRequired || field === '_id') {
+            parent.required = [...(parent.required || []), field];
+        }
+    });
+
+    return root;
+};
@@ -0,0 +1,67 @@
+import LRUCache from '../cache/lruCache';
+import { TooManyRequestsError } from '../errors';
+
+/**
+ * Rate Limiting
+ *
+ * Fixed-window request counters kept in memory. Each limiter counts hits
+ * per key (an IP address, a username...) and answers with a 429 and a
+ * Retry-After once a key has used up its window.
+ *
+ * Counters live in an LRUCache (cache/lruCache.js), so a flood of distinct
+ * keys evicts the quietest ones instead of growing without bound, and a
+ * window's counter expires together with the window. They are per process
+ * and reset on restart - fine for slowing down guessing, which is all
+ * they're for.
+ */
+
+// Distinct keys remembered per limiter
+const MAX_KEYS = 10000;
+
+/**
+ * Creates a limiter allowing `max` hits per key in each `windowMs` window.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Hits allowed per key per window
+ * @param {string} [options.message] - Message of the 429 response
+ * @returns {Object} { hit(key) } - hit counts one request and throws a
+ *   TooManyRequestsError (with retryAfter) when the key is over its limit
+ *
+ * @example
+ * const signupsByIp = createRateLimiter({ windowMs: TTL.HOUR, max: 5 });
+ * signupsByIp.hit(req.ip);
+ */
+export const createRateLimiter = ({ windowMs, max, message }) => {
+    const counters = new LRUCache(MAX_KEYS);
+
+    const hit = (key) => {
+        const now = Date.now();
+        const entry = counters.get(key);
+        const count = entry ? entry.value + 1 : 1;
+        const resetAt = entry ? entry.expiresAt : now + windowMs;
+        counters.set(key, count, resetAt);
+
+        if (count > max) {
+            const retryAfter = Math.ceil((resetAt - now) / 1000);
+            throw new TooManyRequestsError(message, { retryAfter, details: { retryAfter } });
+        }
+    };
+
+    return { hit };
+};
+
+/**
+ * Express middleware counting each request against a limiter.
+ *
+ * @param {Object} limiter - From createRateLimiter
+ * @param {Function} keyOf - (req) => key; requests without a key aren't counted
+ *
+ * @example
+ * router.post('/', rateLimit(attemptsByIp, (req) => req.ip), ...)
+ */
+export const rateLimit = (limiter, keyOf) => (req, res, next) => {
+    const key = keyOf(req);
+    if (key) limiter.hit(key);
+    next();
+};
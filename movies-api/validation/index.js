@@ -0,0 +1,92 @@
+import { checkSchema } from './validator';
+import { BadRequestError } from '../errors';
+
+/**
+ * Request Validation
+ *
+ * Routes declare what they accept instead of checking req.params, req.query
+ * and req.body by hand:
+ *
+ *   router.post('/reviews', authenticate, validate(CREATE_REVIEW), asyncHandler(...))
+ *
+ * Every failing field is reported at once, as a 400 with code
+ * VALIDATION_FAILED and the fields listed in error.details:
+ *
+ *   { fields: [{ location: 'body', field: 'rating', message: '...' }] }
+ *
+ * The checked values (params and query coerced to numbers/booleans, strings
+ * trimmed, defaults filled in, unknown body fields dropped) are stored on
+ * req.valid.params, req.valid.query and req.valid.body. Express 5 makes
+ * req.query read-only, so they can't be written back in place.
+ *
+ * The rules themselves live in validator.js and schemas.js, which the
+ * frontend imports too.
+ */
+
+export const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Checks a request against a route schema.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} schema - Route schema with optional params, query and body parts
+ * @returns {Object} The checked values, keyed by location
+ * @throws {BadRequestError} VALIDATION_FAILED listing every failing field
+ */
+export const assertValid = (req, schema) => {
+    const valid = {};
+    const fields = [];
+
+    for (const location of LOCATIONS) {
+        if (!schema[location]) continue;
+
+        // Params and query are always strings, so they're parsed into the rule's type
+        const { values, errors } = checkSchema(req[location], schema[location], { coerce: location !== 'body' });
+        valid[location] = values;
+
+        for (const [field, message] of Object.entries(errors)) {
+            fields.push({ location, field, message });
+        }
+    }
+
+    if (fields.length > 0) {
+        throw new BadRequestError(fields.map((field) => field.message).join(' '), {
+            code: VALIDATION_FAILED,
+            details: { fields },
+        });
+    }
+
+    return valid;
+};
+
+/**
+ * Middleware factory: validates the request against a route schema and
+ * stores the checked values on req.valid. Several validate() calls on one
+ * route merge their values.
+ *
+ * The schema is kept on the returned middleware (middleware.schema) so it
+ * can be read back from the router, e.g. to document the routes.
+ *
+ * @param {Object} schema - Route schema with optional params, query and body parts
+ * @returns {Function} Express middleware
+ */
+export const validate = (schema) => {
+    const middleware = (req, res, next) => {
+        let valid;
+        try {
+            valid = assertValid(req, schema);
+        } catch (err) {
+            return next(err);
+        }
+
+        req.valid = req.valid || {};
+        for (const [location, values] of Object.entries(valid)) {
+            req.valid[location] = { ...req.valid[location], ...values };
+        }
+        next();
+    };
+    middleware.schema = schema;
+    return middleware;
+};
@@ -0,0 +1,723 @@
+/**
+ * Validation Schemas
+ *
+ * Field rules and route schemas for every router: api/users (with its lists
+ * and diary sub-routers), api/movies and api/people. A route schema has up to three parts - params, query and body - each a
+ * map of field name to rule (see validator.js for the rule format).
+ *
+ * Like validator.js this file is shared with the frontend: the signup page
+ * and the review forms import USERNAME, PASSWORD, REVIEW_RATING and
+ * REVIEW_CONTENT from here, so changing a rule changes it in both places.
+ */
+
+// ============================================
+// FIELD RULES
+// ============================================
+
+export const USERNAME = {
+    type: 'string',
+    required: true,
+    label: 'Username',
+    pattern: /^[a-zA-Z0-9_]{3,20}$/,
+    requiredMessage: 'Username is required.',
+    message: 'Username must be 3-20 characters long and contain only letters, numbers, and underscores.',
+};
+
+export const PASSWORD = {
+    type: 'string',
+    required: true,
+    label: 'Password',
+    pattern: /^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/,
+    requiredMessage: 'Password is required.',
+    message: 'Password must be at least 8 characters long and contain at least one letter, one digit, and one special character (@$!%*#?&).',
+};
+
+// TMDB IDs are positive integers; in URLs they arrive as strings and are coerced
+export const TMDB_ID = {
+    type: 'integer',
+    required: true,
+    min: 1,
+    label: 'ID',
+    message: 'Invalid ID. Must be a positive whole number.',
+};
+
+export const MOVIE_ID = {
+    ...TMDB_ID,
+    label: 'Movie ID',
+    message: 'Invalid movie ID. Must be a number.',
+};
+
+export const REVIEW_RATING = {
+    type: 'integer',
+    min: 1,
+    max: 5,
+    label: 'Rating',
+    message: 'Invalid rating. Must be a whole number between 1 and 5.',
+};
+
+export const REVIEW_MIN_LENGTH = 10;
+export const REVIEW_MAX_LENGTH = 5000;
+
+export const REVIEW_CONTENT = {
+    type: 'string',
+    trim: true,
+    minLength: REVIEW_MIN_LENGTH,
+    maxLength: REVIEW_MAX_LENGTH,
+    label: 'Review',
+    requiredMessage: 'Review cannot be empty.',
+};
+
+export const MOVIE_TITLE = {
+    type: 'string',
+    required: true,
+    trim: true,
+    maxLength: 300,
+    label: 'Movie title',
+};
+
+export const SEARCH_QUERY = {
+    type: 'string',
+    required: true,
+    trim: true,
+    maxLength: 200,
+    label: 'Query',
+    requiredMessage: 'Query parameter is required',
+};
+
+// TMDB refuses to serve any page beyond 500
+export const MAX_PAGE = 500;
+
+export const PAGE = {
+    type: 'integer',
+    min: 1,
+    max: MAX_PAGE,
+    default: 1,
+    label: 'Page',
+    message: `Page must be a whole number between 1 and ${MAX_PAGE}`,
+};
+
+// ============================================
+// USERS
+// ============================================
+
+// Login only needs both fields present; the format rules apply when registering
+export const LOGIN = {
+    query: {
+        action: { type: 'string', label: 'action', description: "'register' creates the account; anything else logs in" },
+    },
+    body: {
+        username: { type: 'string', required: true, label: 'Username' },
+        password: { type: 'string', required: true, label: 'Password' },
+    },
+};
+
+export const SIGNUP = {
+    body: {
+        username: USERNAME,
+        password: PASSWORD,
+    },
+};
+
+// "<sessionId>.<secret>" as issued by authenticate/tokens.js
+export const REFRESH = {
+    body: {
+        refreshToken: {
+            type: 'string',
+            required: true,
+            pattern: /^[a-f\d]{24}\.[\w-]{43}$/,
+            label: 'Refresh token',
+            requiredMessage: 'Refresh token is required.',
+            message: 'Invalid refresh token.',
+        },
+    },
+};
+
+export const MOVIE_ID_PARAM = {
+    params: { movieId: MOVIE_ID },
+};
+
+export const CREATE_REVIEW = {
+    body: {
+        movieId: MOVIE_ID,
+        movieTitle: MOVIE_TITLE,
+        rating: { ...REVIEW_RATING, required: true },
+        content: { ...REVIEW_CONTENT, required: true },
+    },
+};
+
+export const REVIEW_ID_PARAM = {
+    params: {
+        reviewId: { type: 'objectId', required: true, label: 'Review ID', message: 'Invalid review ID.' },
+    },
+};
+
+export const UPDATE_REVIEW = {
+    ...REVIEW_ID_PARAM,
+    body: {
+        rating: REVIEW_RATING,
+        content: REVIEW_CONTENT,
+    },
+};
+
+// ============================================
+// DATA EXPORT AND IMPORT (/api/users/export, /api/users/import)
+// ============================================
+
+// Identifies our export files; the version goes up whenever the bundle's shape changes
+export const BUNDLE_FORMAT = 'moodvy-account-export';
+export const BUNDLE_VERSION = 1;
+
+export const IMPORT_MODES = ['merge', 'replace'];
+
+// The favorites, mustWatch and reviews arrays are checked item by item (api/users/dataBundle.js)
+export const IMPORT_DATA = {
+    query: {
+        mode: {
+            type: 'string',
+            enum: IMPORT_MODES,
+            default: 'merge',
+            label: 'Mode',
+            description: "'merge' adds to what is stored; 'replace' makes the account match the bundle",
+        },
+        dryRun: { type: 'boolean', default: false, label: 'dryRun', description: 'Only report what would change' },
+    },
+    body: {
+        format: {
+            type: 'string',
+            required: true,
+            enum: [BUNDLE_FORMAT],
+            label: 'format',
+            message: 'This is not a Moodvy export file.',
+        },
+        version: {
+            type: 'integer',
+            required: true,
+            min: 1,
+            max: BUNDLE_VERSION,
+            label: 'version',
+            message: `Unsupported export version. This server reads version ${BUNDLE_VERSION} and earlier.`,
+        },
+    },
+};
+
+// One review inside a bundle; createdAt (an ISO timestamp) is kept when present
+export const BUNDLE_REVIEW = {
+    movieId: MOVIE_ID,
+    movieTitle: MOVIE_TITLE,
+    rating: { ...REVIEW_RATING, required: true },
+    content: { ...REVIEW_CONTENT, required: true },
+    createdAt: {
+        type: 'string',
+        label: 'createdAt',
+        check: (value) => (Number.isNaN(Date.parse(value)) ? 'createdAt must be a date and time.' : null),
+    },
+};
+
+// ============================================
+// LETTERBOXD AND IMDB IMPORT (/api/users/import/csv)
+// ============================================
+
+export const CSV_IMPORT_KINDS = ['watched', 'ratings', 'watchlist', 'reviews'];
+
+// The files array and the matches object are checked in api/imports
+export const IMPORT_CSV = {
+    query: {
+        dryRun: IMPORT_DATA.query.dryRun,
+        favoriteMinRating: {
+            type: 'number',
+            min: 0.5,
+            max: 5,
+            default: 4.5,
+            label: 'favoriteMinRating',
+            description: 'Movies rated at least this many stars (out of 5; IMDb ratings are halved) are added to favorites',
+        },
+    },
+};
+
+// One uploaded export file
+export const CSV_FILE = {
+    name: { type: 'string', required: true, trim: true, maxLength: 200, label: 'File name' },
+    content: { type: 'string', required: true, label: 'File content' },
+    kind: {
+        type: 'string',
+        enum: CSV_IMPORT_KINDS,
+        label: 'kind',
+        description: "Only needed when the file name doesn't say: Letterboxd's watched and watchlist files have the same columns",
+    },
+};
+
+// ============================================
+// ACCOUNT (/api/users/account)
+// Every change asks for the current password again, so a stolen
+// access token alone can't take the account over
+// ============================================
+
+const CURRENT_PASSWORD = {
+    type: 'string',
+    required: true,
+    label: 'Current password',
+    requiredMessage: 'Enter your current password to confirm.',
+};
+
+export const CHANGE_PASSWORD = {
+    body: {
+        currentPassword: CURRENT_PASSWORD,
+        newPassword: { ...PASSWORD, label: 'New password', requiredMessage: 'New password is required.' },
+    },
+};
+
+export const CHANGE_USERNAME = {
+    body: {
+        username: USERNAME,
+        currentPassword: CURRENT_PASSWORD,
+    },
+};
+
+export const DELETE_ACCOUNT = {
+    body: {
+        currentPassword: CURRENT_PASSWORD,
+    },
+};
+
+// ============================================
+// SESSIONS (/api/users/sessions)
+// ============================================
+
+export const SESSION_ID_PARAM = {
+    params: {
+        sessionId: { type: 'objectId', required: true, label: 'Session ID', message: 'Invalid session ID.' },
+    },
+};
+
+// ============================================
+// CUSTOM LISTS (/api/users/lists)
+// ============================================
+
+export const LIST_VISIBILITIES = ['private', 'public'];
+
+const LIST_NAME = {
+    type: 'string',
+    trim: true,
+    minLength: 1,
+    maxLength: 60,
+    label: 'Name',
+    message: 'Invalid name. Must be 1-60 characters.',
+};
+
+const LIST_DESCRIPTION = {
+    type: 'string',
+    maxLength: 500,
+    label: 'Description',
+    message: 'Invalid description. Must be at most 500 characters.',
+};
+
+const LIST_VISIBILITY = {
+    type: 'string',
+    enum: LIST_VISIBILITIES,
+    label: 'Visibility',
+    message: `Invalid visibility. Must be one of: ${LIST_VISIBILITIES.join(', ')}.`,
+};
+
+const LIST_NOTE = {
+    type: 'string',
+    maxLength: 500,
+    label: 'Note',
+    message: 'Invalid note. Must be at most 500 characters.',
+};
+
+export const LIST_ID_PARAM = {
+    params: {
+        listId: { type: 'objectId', required: true, label: 'List ID', message: 'Invalid list ID.' },
+    },
+};
+
+export const CREATE_LIST = {
+    body: {
+        name: { ...LIST_NAME, required: true, requiredMessage: 'Missing required field: name.' },
+        description: LIST_DESCRIPTION,
+        visibility: LIST_VISIBILITY,
+    },
+};
+
+export const UPDATE_LIST = {
+    ...LIST_ID_PARAM,
+    body: {
+        name: LIST_NAME,
+        description: LIST_DESCRIPTION,
+        visibility: LIST_VISIBILITY,
+    },
+};
+
+export const ADD_LIST_ITEM = {
+    ...LIST_ID_PARAM,
+    body: {
+        movieId: MOVIE_ID,
+        note: LIST_NOTE,
+    },
+};
+
+export const LIST_ITEM_PARAMS = {
+    params: {
+        ...LIST_ID_PARAM.params,
+        movieId: MOVIE_ID,
+    },
+};
+
+export const LIST_EXPORT_FORMATS = ['csv', 'json', 'letterboxd'];
+export const LIST_EXPORT_LISTS = ['all', 'favorites', 'mustWatch', 'reviews'];
+
+export const EXPORT_LISTS = {
+    query: {
+        format: {
+            type: 'string',
+            enum: LIST_EXPORT_FORMATS,
+            default: 'csv',
+            label: 'format',
+            description: "'letterboxd' is a CSV that Letterboxd's importer reads",
+        },
+        list: {
+            type: 'string',
+            enum: LIST_EXPORT_LISTS,
+            default: 'all',
+            label: 'list',
+            description: "'all' also includes the custom lists",
+        },
+    },
+};
+
+// The upper bound of position depends on the list, so the route checks that part
+export const UPDATE_LIST_ITEM = {
+    ...LIST_ITEM_PARAMS,
+    body: {
+        note: LIST_NOTE,
+        position: { type: 'integer', min: 0, label: 'Position', message: 'Invalid position. Must be a whole number of at least 0.' },
+    },
+};
+
+// ============================================
+// WATCH DIARY (/api/users/diary)
+// ============================================
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WATCHED_ON = {
+    type: 'date',
+    label: 'watchedOn',
+    message: 'Invalid watchedOn. Must be a date in YYYY-MM-DD format.',
+    // One day of slack, as the user's "today" can be ahead of UTC
+    check: (value) => (new Date(`${value}T00:00:00.000Z`).getTime() > Date.now() + ONE_DAY_MS
+        ? 'Invalid watchedOn. Must not be in the future.'
+        : null),
+};
+
+// A null rating clears it
+export const DIARY_RATING = {
+    type: 'integer',
+    nullable: true,
+    min: 1,
+    max: 5,
+    label: 'Rating',
+    message: 'Invalid rating. Must be a whole number from 1 to 5.',
+};
+
+const REWATCH = {
+    type: 'boolean',
+    label: 'rewatch',
+    message: 'Invalid rewatch. Must be true or false.',
+};
+
+const DIARY_YEAR = {
+    type: 'integer',
+    min: 1900,
+    max: 9999,
+    label: 'Year',
+    message: 'Invalid year. Must be a four-digit year.',
+};
+
+export const DIARY_PERIOD = {
+    query: {
+        year: DIARY_YEAR,
+        month: { type: 'integer', min: 1, max: 12, label: 'Month', message: 'Invalid month. Must be a number from 1 to 12.' },
+    },
+};
+
+export const DIARY_ACTIVITY = {
+    query: { year: DIARY_YEAR },
+};
+
+export const ENTRY_ID_PARAM = {
+    params: {
+        entryId: { type: 'objectId', required: true, label: 'Entry ID', message: 'Invalid diary entry ID.' },
+    },
+};
+
+export const CREATE_DIARY_ENTRY = {
+    body: {
+        movieId: MOVIE_ID,
+        movieTitle: { ...MOVIE_TITLE, requiredMessage: 'Missing required field: movieTitle.' },
+        watchedOn: WATCHED_ON,
+        rating: DIARY_RATING,
+        rewatch: REWATCH,
+    },
+};
+
+export const UPDATE_DIARY_ENTRY = {
+    ...ENTRY_ID_PARAM,
+    body: {
+        watchedOn: WATCHED_ON,
+        rating: DIARY_RATING,
+        rewatch: REWATCH,
+    },
+};
+
+// ============================================
+// NOTIFICATIONS (/api/users/notifications)
+// ============================================
+
+const NOTIFICATION_READ = {
+    type: 'boolean',
+    required: true,
+    label: 'read',
+    message: 'Invalid read. Must be true or false.',
+};
+
+export const NOTIFICATION_LIST = {
+    query: {
+        unread: { type: 'boolean', default: false, label: 'unread', message: 'Invalid unread. Must be true or false.' },
+        page: PAGE,
+    },
+};
+
+// Marks every notification read (or unread)
+export const UPDATE_NOTIFICATIONS = {
+    body: { read: NOTIFICATION_READ },
+};
+
+export const UPDATE_NOTIFICATION = {
+    params: {
+        notificationId: { type: 'objectId', required: true, label: 'Notification ID', message: 'Invalid notification ID.' },
+    },
+    body: { read: NOTIFICATION_READ },
+};
+
+// ============================================
+// CALENDAR FEED (/api/calendar, /api/users/account/calendar)
+// ============================================
+
+// ISO 3166-1 country codes, as TMDB uses for release dates
+export const REGION = {
+    type: 'string',
+    trim: true,
+    pattern: /^[A-Za-z]{2}$/,
+    label: 'Region',
+    message: 'Invalid region. Must be a two-letter country code such as GB or US.',
+};
+
+// "<userId>.<secret>" as issued by api/calendar/feedLinks.js
+export const CALENDAR_FEED = {
+    params: {
+        token: {
+            type: 'string',
+            required: true,
+            pattern: /^[a-f\d]{24}\.[\w-]{43}$/,
+            label: 'Calendar link',
+            message: 'Invalid calendar link.',
+        },
+    },
+    query: { region: REGION },
+};
+
+// ============================================
+// WEBHOOKS (/api/users/webhooks)
+// ============================================
+
+// The user activity a webhook can subscribe to (see api/webhooks/events.js)
+export const WEBHOOK_EVENTS = [
+    'favorite.added',
+    'favorite.removed',
+    'mustwatch.added',
+    'mustwatch.removed',
+    'review.created',
+    'review.updated',
+    'review.deleted',
+];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const WEBHOOK_URL = {
+    type: 'string',
+    trim: true,
+    maxLength: 2000,
+    label: 'URL',
+    check: (value) => {
+        try {
+            const { protocol } = new URL(value);
+            return ['http:', 'https:'].includes(protocol) ? null : 'URL must start with http:// or https://.';
+        } catch {
+            return 'URL is not a valid address.';
+        }
+    },
+};
+
+const WEBHOOK_EVENT_LIST = {
+    label: 'events',
+    description: `A non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`,
+    check: (value) => (Array.isArray(value) && value.length > 0 && value.every((event) => WEBHOOK_EVENTS.includes(event))
+        ? null
+        : `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}.`),
+};
+
+const WEBHOOK_DESCRIPTION = { type: 'string', trim: true, maxLength: 200, label: 'Description' };
+
+export const WEBHOOK_ID_PARAM = {
+    params: {
+        webhookId: { type: 'objectId', required: true, label: 'Webhook ID', message: 'Invalid webhook ID.' },
+    },
+};
+
+export const CREATE_WEBHOOK = {
+    body: {
+        url: { ...WEBHOOK_URL, required: true },
+        events: { ...WEBHOOK_EVENT_LIST, required: true },
+        description: { ...WEBHOOK_DESCRIPTION, default: '' },
+        allUsers: {
+            type: 'boolean',
+            default: false,
+            label: 'allUsers',
+            description: "Admins only: receive every user's events, not just your own",
+        },
+    },
+};
+
+export const UPDATE_WEBHOOK = {
+    ...WEBHOOK_ID_PARAM,
+    body: {
+        url: WEBHOOK_URL,
+        events: WEBHOOK_EVENT_LIST,
+        description: WEBHOOK_DESCRIPTION,
+        active: { type: 'boolean', label: 'active', message: 'Invalid active. Must be true or false.' },
+    },
+};
+
+export const WEBHOOK_DELIVERY_LIST = {
+    ...WEBHOOK_ID_PARAM,
+    query: {
+        status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES, label: 'status' },
+        page: PAGE,
+    },
+};
+
+export const WEBHOOK_DELIVERY_PARAMS = {
+    params: {
+        ...WEBHOOK_ID_PARAM.params,
+        deliveryId: { type: 'objectId', required: true, label: 'Delivery ID', message: 'Invalid delivery ID.' },
+    },
+};
+
+// ============================================
+// EVENT STREAM (/api/users/events)
+// ============================================
+
+export const EVENT_STREAM = {
+    query: {
+        lastEventId: {
+            type: 'integer',
+            min: 0,
+            label: 'lastEventId',
+            description: 'The last event number received, for clients that cannot send the Last-Event-ID header',
+        },
+    },
+};
+
+// ============================================
+// ADMIN (/api/admin)
+// ============================================
+
+export const ADMIN_PURGE_CACHE = {
+    query: {
+        prefix: {
+            type: 'string',
+            maxLength: 200,
+            default: '',
+            label: 'prefix',
+            description: 'Only purge cache keys starting with this, e.g. movie:["550"]; leave it out to purge everything',
+        },
+    },
+};
+
+// Job names are lowercase words joined by hyphens, e.g. release-check (see jobs/definitions.js)
+export const JOB_NAME = {
+    params: {
+        name: { type: 'string', required: true, pattern: /^[a-z\d-]{1,50}$/, label: 'Job name', message: 'Invalid job name.' },
+    },
+};
+
+// ============================================
+// MOVIES AND PEOPLE
+// ============================================
+
+// Sort orders accepted by GET /api/movies/discover?sortBy= (TMDB discover's sort_by values)
+export const DISCOVER_SORT_OPTIONS = [
+    'popularity.desc',
+    'popularity.asc',
+    'vote_average.desc',
+    'vote_average.asc',
+    'vote_count.desc',
+    'primary_release_date.desc',
+    'primary_release_date.asc',
+    'revenue.desc',
+    'title.asc',
+    'title.desc',
+];
+
+export const DEFAULT_DISCOVER_SORT = 'popularity.desc';
+
+const DISCOVER_YEAR = { type: 'integer', min: 1870, max: 2100 };
+const DISCOVER_RATING = { type: 'number', min: 0, max: 10 };
+const DISCOVER_RUNTIME = { type: 'integer', min: 0, max: 1000 };
+
+// GET /api/movies/discover filters; api/movies/discoverFilters.js turns them into TMDB's names
+export const DISCOVER_QUERY = {
+    genres: {
+        type: 'string',
+        pattern: /^\d+(,\d+)*$/,
+        label: 'genres',
+        message: 'genres must be a comma-separated list of genre IDs.',
+        description: 'Comma-separated genre IDs; movies must have all of them',
+    },
+    yearFrom: { ...DISCOVER_YEAR, label: 'yearFrom', description: 'Released in this year or later' },
+    yearTo: { ...DISCOVER_YEAR, label: 'yearTo', description: 'Released in this year or earlier' },
+    ratingMin: { ...DISCOVER_RATING, label: 'ratingMin', description: 'Lowest vote average (0-10)' },
+    ratingMax: { ...DISCOVER_RATING, label: 'ratingMax', description: 'Highest vote average (0-10)' },
+    minVotes: { type: 'integer', min: 0, max: 1000000, label: 'minVotes', description: 'Fewest votes' },
+    runtimeMin: { ...DISCOVER_RUNTIME, label: 'runtimeMin', description: 'Shortest runtime in minutes' },
+    runtimeMax: { ...DISCOVER_RUNTIME, label: 'runtimeMax', description: 'Longest runtime in minutes' },
+    language: {
+        type: 'string',
+        pattern: /^[a-z]{2}$/,
+        label: 'language',
+        message: 'language must be a two-letter ISO 639-1 code, e.g. "en".',
+        description: 'Original language (ISO 639-1, e.g. "fr")',
+    },
+    sortBy: { type: 'string', enum: DISCOVER_SORT_OPTIONS, default: DEFAULT_DISCOVER_SORT, label: 'sortBy' },
+};
+
+export const SEARCH = {
+    query: { query: SEARCH_QUERY },
+};
+
+export const TMDB_ID_PARAM = {
+    params: { id: TMDB_ID },
+};
+
+// Sort orders accepted by GET /api/movies/:id/reviews?sortBy= (see api/movies/movieReviews.js)
+export const REVIEW_SORT_OPTIONS = ['date.desc', 'date.asc', 'rating.desc', 'rating.asc'];
+
+export const DEFAULT_REVIEW_SORT = 'date.desc';
+
+export const MOVIE_REVIEWS = {
+    ...TMDB_ID_PARAM,
+    query: {
+        sortBy: { type: 'string', enum: REVIEW_SORT_OPTIONS, default: DEFAULT_REVIEW_SORT, label: 'sortBy' },
+    },
+};
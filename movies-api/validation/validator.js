@@ -0,0 +1,157 @@
+/**
+ * Validation Engine
+ *
+ * Checks values against declarative field rules (see schemas.js). It is
+ * shared: the backend's validate middleware runs it on every request, and
+ * the frontend imports the same file so forms accept exactly what the API
+ * accepts. Keep it free of Node-only and browser-only code.
+ *
+ * A field rule is a plain object:
+ *   type            'string' | 'integer' | 'number' | 'boolean' | 'objectId' | 'date' (YYYY-MM-DD)
+ *   required        reject undefined (and blank strings)
+ *   nullable        accept null (e.g. to clear an optional field)
+ *   default         value used when the field is missing
+ *   label           name used in generated messages ("Rating must be...")
+ *   message         replaces every generated message for this field
+ *   requiredMessage replaces the message for a missing value
+ *   trim            trim strings before checking them
+ *   min, max        number bounds
+ *   minLength, maxLength, pattern   string checks
+ *   enum            allowed values
+ *   check           (value) => message | null, for anything else
+ *   description     free text, only used for documentation
+ */
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Turns URL strings (params and query) into the rule's type.
+ * Values that don't parse are left alone so the type check reports them.
+ */
+const coerceValue = (value, type) => {
+    if (typeof value !== 'string') return value;
+    if (type === 'integer' && INTEGER_PATTERN.test(value)) return Number(value);
+    if (type === 'number' && NUMBER_PATTERN.test(value)) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+/**
+ * Checks that a YYYY-MM-DD string is a real calendar day (not 2025-02-31).
+ */
+const isCalendarDay = (value) => {
+    if (!DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Returns the generated message for a failed type check, or null if the type matches.
+ */
+const checkType = (value, rule, label) => {
+    switch (rule.type) {
+    case 'string':
+        return typeof value === 'string' ? null : `${label} must be text.`;
+    case 'integer':
+        return Number.isInteger(value) ? null : `${label} must be a whole number.`;
+    case 'number':
+        return typeof value === 'number' && Number.isFinite(value) ? null : `${label} must be a number.`;
+    case 'boolean':
+        return typeof value === 'boolean' ? null : `${label} must be true or false.`;
+    case 'objectId':
+        return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : `${label} is not a valid ID.`;
+    case 'date':
+        return typeof value === 'string' && isCalendarDay(value) ? null : `${label} must be a date in YYYY-MM-DD format.`;
+    default:
+        return null;
+    }
+};
+
+/**
+ * Checks one value against a field rule.
+ *
+ * @param {*} value - The value to check
+ * @param {Object} rule - The field rule
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce=false] - Parse strings into numbers/booleans first (for params and query)
+ * @returns {{ value: *, error: string|null }} The (coerced, trimmed or defaulted) value and an error message
+ */
+export const checkField = (value, rule, { coerce = false } = {}) => {
+    const label = rule.label || 'Value';
+    const fail = (generated) => ({ value, error: rule.message || generated });
+
+    if (coerce) value = coerceValue(value, rule.type);
+    if (rule.trim && typeof value === 'string') value = value.trim();
+
+    const isMissing = value === undefined || (value === '' && (rule.required || coerce));
+    if (isMissing) {
+        if (rule.required) {
+            return { value, error: rule.requiredMessage || rule.message || `${label} is required.` };
+        }
+        return { value: rule.default, error: null };
+    }
+
+    if (value === null) {
+        return rule.nullable ? { value, error: null } : fail(`${label} cannot be empty.`);
+    }
+
+    const typeError = checkType(value, rule, label);
+    if (typeError) return fail(typeError);
+
+    if (rule.min !== undefined && value < rule.min) {
+        return fail(rule.max !== undefined
+            ? `${label} must be between ${rule.min} and ${rule.max}.`
+            : `${label} must be at least ${rule.min}.`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return fail(rule.min !== undefined
+            ? `${label} must be between ${rule.min} and ${rule.max}.`
+            : `${label} must be at most ${rule.max}.`);
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(`${label} must be at least ${rule.minLength} characters.`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`${label} must be at most ${rule.maxLength} characters.`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return fail(`${label} has an invalid format.`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return fail(`${label} must be one of: ${rule.enum.join(', ')}.`);
+    }
+    if (rule.check) {
+        const error = rule.check(value);
+        if (error) return { value, error };
+    }
+
+    return { value, error: null };
+};
+
+/**
+ * Checks an object (a body, params or query) against a shape of field rules.
+ * Fields that aren't in the shape are dropped from the returned values.
+ *
+ * @param {Object} data - The object to check
+ * @param {Object<string, Object>} shape - Field rules keyed by field name
+ * @param {Object} [options] - Passed to checkField
+ * @returns {{ values: Object, errors: Object<string, string>, valid: boolean }}
+ */
+export const checkSchema = (data, shape, options) => {
+    const values = {};
+    const errors = {};
+
+    for (const [field, rule] of Object.entries(shape)) {
+        const { value, error } = checkField(data ? data[field] : undefined, rule, options);
+        if (error) {
+            errors[field] = error;
+        } else if (value !== undefined) {
+            values[field] = value;
+        }
+    }
+
+    return { values, errors, valid: Object.keys(errors).length === 0 };
+};
@@ -6,7 +6,10 @@
  * 
  * Key Benefits:
  * - Centralized base URL
- * - Consistent error handling across all API calls
+ * - Consistent error handling across all API calls: every failure is thrown
+ *   as an ApiError carrying the backend's error code, HTTP status and request id
+ * - Silent session refresh: an expired access token is swapped for a new one
+ *   and the request retried, without the caller knowing
  * - Clean, simple interface - just pass the endpoint
  * - No API keys needed - backend handles authentication with TMDB
  * 
@@ -15,11 +18,193 @@
  * or complex URL building. It just calls the backend and gets data back.
  */
 
+import { API_ERROR_CODES } from '../constants/errors';
+
 /**
  * Base URL for my backend API
  */
 const BASE_URL = 'http://localhost:8080/api';
 
+// ============================================
+// ERRORS
+// The backend answers every failure with the same JSON envelope:
+// { success: false, error: { code, message, requestId, details? } }
+// ============================================
+
+/**
+ * Error thrown by every function in this module when a request fails
+ * 
+ * I keep the backend's machine-readable code so the UI can react to the
+ * kind of failure ("not found" vs "log in again") instead of parsing messages.
+ * 
+ * @class
+ * @property {number} status - HTTP status code (0 if the backend couldn't be reached)
+ * @property {string} code - One of API_ERROR_CODES
+ * @property {string|undefined} requestId - Backend request id, useful in bug reports
+ * @property {*} details - Extra data from the backend (e.g. field errors)
+ * @property {number|undefined} retryAfter - Seconds to wait before retrying (429/423/503, or a wrong password)
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, code = API_ERROR_CODES.NETWORK_ERROR, requestId, details, retryAfter } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Builds an ApiError from a failed response and its parsed body
+ * 
+ * @param {Response} response - The fetch response
+ * @param {Object} body - The parsed JSON body (may be empty if it wasn't JSON)
+ * @param {string} fallbackMessage - Used when the backend didn't send a message
+ * @returns {ApiError} The error to throw
+ */
+const toApiError = (response, body, fallbackMessage) => {
+  const error = body?.error || {};
+  const retryAfter = parseInt(response.headers.get('Retry-After'));
+  return new ApiError(error.message || fallbackMessage, {
+    status: response.status,
+    code: error.code || (response.status >= 500 ? API_ERROR_CODES.INTERNAL_ERROR : API_ERROR_CODES.BAD_REQUEST),
+    requestId: error.requestId || response.headers.get('X-Request-Id') || undefined,
+    details: error.details,
+    retryAfter: isNaN(retryAfter) ? undefined : retryAfter,
+  });
+};
+
+// ============================================
+// SESSION
+// Access tokens only live for minutes. When the backend rejects one (401),
+// I trade the refresh token for a new pair and retry the request once, so
+// callers never notice the swap. Only when that fails is the session over.
+// ============================================
+
+/**
+ * Hooks registered by AuthContext, which owns the tokens
+ * - getTokens(): the stored { token, refreshToken }
+ * - onTokensRefreshed(tokens): store a new { token, refreshToken } pair
+ * - onAuthFailure(apiError): the session can't be recovered - log the user out
+ */
+let sessionHandlers = null;
+
+/**
+ * Registers AuthContext's session hooks
+ * 
+ * @param {Object|null} handlers - { getTokens, onTokensRefreshed, onAuthFailure }; null unregisters
+ */
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = handlers;
+};
+
+// The refresh in flight, shared by every request that got a 401 meanwhile -
+// a refresh token works once, so two parallel refreshes would end the session
+let pendingRefresh = null;
+
+// Name of the Web Lock that lets one tab at a time refresh
+const REFRESH_LOCK = 'moodvy-token-refresh';
+
+/**
+ * Runs a refresh while holding REFRESH_LOCK
+ * Tabs share the tokens (localStorage), so the same refresh token would go
+ * out twice if two tabs refreshed at once. With the lock they take turns,
+ * and the one that waited finds the new pair already stored. Browsers
+ * without Web Locks refresh straight away (the backend forgives a repeat
+ * within a few seconds).
+ * 
+ * @param {Function} task - Does the refresh; returns a promise
+ * @returns {Promise<*>} What task resolves to
+ */
+const withRefreshLock = (task) => (
+  navigator.locks ? navigator.locks.request(REFRESH_LOCK, task) : task()
+);
+
+/**
+ * Gets a working access token to replace one the backend rejected
+ * 
+ * @param {string} rejectedToken - The access token that got the 401
+ * @returns {Promise<string|null>} A new access token, or null if there's no refresh token
+ * @throws {ApiError} If the refresh itself fails
+ */
+const refreshAccessToken = (rejectedToken) => {
+  if (!pendingRefresh) {
+    pendingRefresh = withRefreshLock(async () => {
+      // Read inside the lock: another tab may have refreshed while I waited
+      const { token, refreshToken } = sessionHandlers.getTokens();
+      if (token && token !== rejectedToken) return token;
+      if (!refreshToken) return null;
+
+      const tokens = await refresh(refreshToken);
+      sessionHandlers?.onTokensRefreshed(tokens);
+      return tokens.token;
+    }).finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+/**
+ * fetch for requests sent with the user's access token
+ * On a 401 I refresh the tokens and retry once with the new access token.
+ * 
+ * @param {string} url - Full request URL
+ * @param {Object} options - fetch options, with an Authorization header
+ * @returns {Promise<Response>} The response (of the retry, if there was one)
+ * @throws {ApiError} If the session had to be refreshed and that failed
+ */
+const authFetch = async (url, options) => {
+  const response = await fetch(url, options);
+  if (response.status !== 401 || !sessionHandlers) return response;
+
+  const rejectedToken = options.headers.Authorization.replace('Bearer ', '');
+  let token;
+  try {
+    token = await refreshAccessToken(rejectedToken);
+  } catch (error) {
+    // A refused refresh token ends the session; a network error only fails this request
+    if (error.status === 401) sessionHandlers?.onAuthFailure(error);
+    throw error;
+  }
+  if (!token) return response;
+
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` },
+  });
+};
+
+/**
+ * Like toApiError, for requests sent with the user's token
+ * A 401 that survived authFetch's refresh means the session is over, so I also tell AuthContext
+ */
+const toAuthApiError = (response, body, fallbackMessage) => {
+  const error = toApiError(response, body, fallbackMessage);
+  if (error.status === 401 && sessionHandlers) {
+    sessionHandlers.onAuthFailure(error);
+  }
+  return error;
+};
+
+/**
+ * Tells whether an error means "this doesn't exist"
+ * 
+ * @param {Error} error - Any error thrown by this module
+ * @returns {boolean}
+ */
+export const isNotFoundError = (error) => error?.code === API_ERROR_CODES.NOT_FOUND;
+
+/**
+ * Tells whether an error means "log in (again)"
+ * 
+ * @param {Error} error - Any error thrown by this module
+ * @returns {boolean}
+ */
+export const isAuthError = (error) => error?.code === API_ERROR_CODES.UNAUTHORIZED;
+
 /**
 * Makes a GET request to my backend API
  * 
@@ -37,8 +222,8 @@ const BASE_URL = 'http://localhost:8080/api';
  * 
  * @returns {Promise<Object>} The parsed JSON response from the backend
  * 
- * @throws {Error} Throws an error if the request fails
- *                 Error message comes from backend or defaults to generic message
+ * @throws {ApiError} Throws if the request fails
+ *                    The message and code come from the backend's error envelope
  * 
  * @example
  * // Fetch popular movies
@@ -53,12 +238,17 @@ const BASE_URL = 'http://localhost:8080/api';
  * const movie = await backendFetch('/movies/550');
  */
 export const backendFetch = async (endpoint) => {
-  const response = await fetch(`${BASE_URL}${endpoint}`);
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${endpoint}`);
+  } catch {
+    throw new ApiError('Could not reach the server. Check your connection and try again.');
+  }
   
   if (!response.ok) {
-    // Try to get error message from response body
+    // Try to get the error envelope from the response body
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `API Error: ${response.status}`);
+    throw toApiError(response, errorData, `API Error: ${response.status}`);
   }
   
   return await response.json();
@@ -84,7 +274,7 @@ export const backendFetch = async (endpoint) => {
  * 
  * @returns {Promise<string>} Success message from the backend
  * 
- * @throws {Error} Throws if registration fails 
+ * @throws {ApiError} Throws if registration fails 
  *                 Error message contains the specific reason from backend
  * 
  * @example
@@ -108,31 +298,32 @@ export const signup = async (username, password) => {
 
   // Check if the backend returned success: false
   if (!data.success) {
-    throw new Error(data.msg || 'Registration failed');
+    throw toApiError(response, data, 'Registration failed');
   }
 
   return data.msg;
 };
 
 /**
- * Authenticates a user and returns a JWT token
+ * Authenticates a user and returns the session's tokens
  * 
- * Sends a POST request to verify credentials and receive an authentication token.
- * The token should be stored and included in subsequent authenticated requests.
+ * Sends a POST request to verify credentials and start a session.
+ * The access token is sent with authenticated requests; it expires after a few
+ * minutes, and authFetch uses the refresh token to get a new one.
  * 
  * @async
  * @function
  * @param {string} username - The user's username
  * @param {string} password - The user's password
  * 
- * @returns {Promise<string>} JWT token for authenticated requests
+ * @returns {Promise<{token: string, refreshToken: string}>} Access token (JWT) and refresh token
  * 
- * @throws {Error} Throws if login fails (e.g., wrong password, user not found)
+ * @throws {ApiError} Throws if login fails (e.g., wrong password, user not found)
  *                 Error message contains the specific reason from backend
  * 
  * @example
  * try {
- *   const token = await login('john_doe', 'SecurePass123!');
+ *   const { token, refreshToken } = await login('john_doe', 'SecurePass123!');
  *   localStorage.setItem('token', token);
  * } catch (error) {
  *   console.log(error.message); // "Authentication failed. User not found."
@@ -151,35 +342,106 @@ export const login = async (username, password) => {
 
   // Check if the backend returned success: false
   if (!data.success) {
-    throw new Error(data.msg || 'Login failed');
+    throw toApiError(response, data, 'Login failed');
   }
 
-  return data.token;
+  return { token: data.token, refreshToken: data.refreshToken };
 };
 
-// ============================================
-// FAVORITES API FUNCTIONS
-// These handle user's favorite movies list
-// All require authentication (token parameter)
-// ============================================
+/**
+ * Trades a refresh token for a new access token and refresh token
+ * 
+ * The refresh token sent here stops working, so the new one must replace it.
+ * authFetch calls this by itself when an access token is rejected.
+ * 
+ * @async
+ * @function
+ * @param {string} refreshToken - The current refresh token
+ * 
+ * @returns {Promise<{token: string, refreshToken: string}>} The new pair
+ * 
+ * @throws {ApiError} Throws with status 401 if the session has ended
+ * 
+ * @example
+ * const tokens = await refresh(localStorage.getItem('refreshToken'));
+ */
+export const refresh = async (refreshToken) => {
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}/users/refresh`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch {
+    throw new ApiError('Could not reach the server. Check your connection and try again.');
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!data.success) {
+    throw toApiError(response, data, 'Session refresh failed');
+  }
+
+  return { token: data.token, refreshToken: data.refreshToken };
+};
 
 /**
- * Gets the authenticated user's list of favorite movie IDs
+ * Ends the session on the backend
+ * 
+ * The session's access and refresh tokens stop working immediately, so a copy
+ * of them left behind (or stolen) is useless after logout.
  * 
  * @async
  * @function
- * @param {string} token - JWT token from login
+ * @param {string} refreshToken - The session's refresh token
  * 
- * @returns {Promise<number[]>} Array of TMDB movie IDs
+ * @returns {Promise<string>} Success message from the backend
  * 
- * @throws {Error} Throws if not authenticated or request fails
+ * @throws {ApiError} Throws if the request fails
  * 
  * @example
- * const favorites = await getFavorites(token);
- * console.log(favorites); // [550, 438631, 157336]
+ * await logout(localStorage.getItem('refreshToken'));
  */
-export const getFavorites = async (token) => {
-  const response = await fetch(`${BASE_URL}/users/favorites`, {
+export const logout = async (refreshToken) => {
+  const response = await fetch(`${BASE_URL}/users/logout`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ refreshToken }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toApiError(response, data, 'Logout failed');
+  }
+
+  return data.msg;
+};
+
+/**
+ * Gets the user's active sessions (every browser or device they're signed in on)
+ *
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ *
+ * @returns {Promise<Array>} Array of session objects, most recently used first
+ *   [{ _id, device, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }, ...]
+ *   current is true for the session this browser is using
+ *
+ * @throws {ApiError} Throws if not authenticated or request fails
+ *
+ * @example
+ * const sessions = await getSessions(token);
+ */
+export const getSessions = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/sessions`, {
+    method: 'GET',
     headers: {
       'Authorization': `Bearer ${token}`,
     },
@@ -188,30 +450,30 @@ export const getFavorites = async (token) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to get favorites');
+    throw toAuthApiError(response, data, 'Failed to get sessions');
   }
 
-  return data.favorites;
+  return data.sessions;
 };
 
 /**
- * Adds a movie to the user's favorites list
- * 
+ * Signs out one session. Its tokens stop working straight away.
+ *
  * @async
  * @function
  * @param {string} token - JWT token from login
- * @param {number} movieId - TMDB movie ID to add
- * 
- * @returns {Promise<number[]>} Updated array of favorite movie IDs
- * 
- * @throws {Error} Throws if not authenticated or request fails
- * 
+ * @param {string} sessionId - The session's _id
+ *
+ * @returns {Promise<boolean>} true when the session was signed out
+ *
+ * @throws {ApiError} Throws if not authenticated or request fails
+ *
  * @example
- * const updatedFavorites = await addFavorite(token, 550);
+ * await revokeSession(token, session._id);
  */
-export const addFavorite = async (token, movieId) => {
-  const response = await fetch(`${BASE_URL}/users/favorites/${movieId}`, {
-    method: 'POST',
+export const revokeSession = async (token, sessionId) => {
+  const response = await authFetch(`${BASE_URL}/users/sessions/${sessionId}`, {
+    method: 'DELETE',
     headers: {
       'Authorization': `Bearer ${token}`,
     },
@@ -220,29 +482,28 @@ export const addFavorite = async (token, movieId) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to add favorite');
+    throw toAuthApiError(response, data, 'Failed to sign out session');
   }
 
-  return data.favorites;
+  return true;
 };
 
 /**
- * Removes a movie from the user's favorites list
- * 
+ * Signs out every session except the one this browser is using
+ *
  * @async
  * @function
  * @param {string} token - JWT token from login
- * @param {number} movieId - TMDB movie ID to remove
- * 
- * @returns {Promise<number[]>} Updated array of favorite movie IDs
- * 
- * @throws {Error} Throws if not authenticated or request fails
- * 
+ *
+ * @returns {Promise<number>} How many sessions were signed out
+ *
+ * @throws {ApiError} Throws if not authenticated or request fails
+ *
  * @example
- * const updatedFavorites = await removeFavorite(token, 550);
+ * const count = await revokeOtherSessions(token);
  */
-export const removeFavorite = async (token, movieId) => {
-  const response = await fetch(`${BASE_URL}/users/favorites/${movieId}`, {
+export const revokeOtherSessions = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/sessions/others`, {
     method: 'DELETE',
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -252,35 +513,143 @@ export const removeFavorite = async (token, movieId) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to remove favorite');
+    throw toAuthApiError(response, data, 'Failed to sign out other sessions');
   }
 
-  return data.favorites;
+  return data.revoked;
 };
 
 // ============================================
-// MUST-WATCH API FUNCTIONS
-// These handle user's must-watch movies list
-// All require authentication (token parameter)
+// ACCOUNT API FUNCTIONS
+// Change password, rename and delete the account
+// All require authentication (token parameter) and the current password
 // ============================================
 
 /**
- * Gets the authenticated user's list of must-watch movie IDs
- * 
+ * Changes the user's password
+ *
+ * The backend signs out every session, including this one, and returns a
+ * new token pair for this browser.
+ *
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} currentPassword - The password now
+ * @param {string} newPassword - The new password
+ *
+ * @returns {Promise<{token: string, refreshToken: string}>} The new tokens
+ *
+ * @throws {ApiError} Throws if the current password is wrong (403) or the new one is invalid
+ *
+ * @example
+ * const tokens = await changePassword(token, 'OldPass1!', 'NewPass2!');
+ */
+export const changePassword = async (token, currentPassword, newPassword) => {
+  const response = await authFetch(`${BASE_URL}/users/account/password`, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ currentPassword, newPassword }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to change password');
+  }
+
+  return { token: data.token, refreshToken: data.refreshToken };
+};
+
+/**
+ * Changes the user's username
+ *
+ * Like a password change, this signs out every session and returns a new
+ * token pair (access tokens carry the username).
+ *
  * @async
  * @function
  * @param {string} token - JWT token from login
+ * @param {string} username - The new username
+ * @param {string} currentPassword - The password, to confirm
+ *
+ * @returns {Promise<{username: string, token: string, refreshToken: string}>} The new username and tokens
+ *
+ * @throws {ApiError} Throws if the password is wrong (403) or the username is invalid or taken (409)
+ *
+ * @example
+ * const { username, ...tokens } = await changeUsername(token, 'new_name', 'Secret1!');
+ */
+export const changeUsername = async (token, username, currentPassword) => {
+  const response = await authFetch(`${BASE_URL}/users/account/username`, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ username, currentPassword }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to change username');
+  }
+
+  return { username: data.username, token: data.token, refreshToken: data.refreshToken };
+};
+
+/**
+ * Deletes the user's account with all of its reviews, lists and diary entries
+ *
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} currentPassword - The password, to confirm
+ *
+ * @returns {Promise<boolean>} true when the account was deleted
+ *
+ * @throws {ApiError} Throws if the password is wrong (403) or the request fails
+ *
+ * @example
+ * await deleteAccount(token, 'Secret1!');
+ */
+export const deleteAccount = async (token, currentPassword) => {
+  const response = await authFetch(`${BASE_URL}/users/account`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ currentPassword }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to delete account');
+  }
+
+  return true;
+};
+
+/**
+ * Gets whether the calendar feed is turned on
  * 
- * @returns {Promise<number[]>} Array of TMDB movie IDs
+ * The feed's link is only shown when it's created, so this can't return it.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
  * 
- * @throws {Error} Throws if not authenticated or request fails
+ * @returns {Promise<Object>} { enabled, createdAt }
  * 
- * @example
- * const mustWatch = await getMustWatch(token);
- * console.log(mustWatch); // [438631, 157336]
+ * @throws {ApiError} Throws if not authenticated or request fails
  */
-export const getMustWatch = async (token) => {
-  const response = await fetch(`${BASE_URL}/users/mustwatch`, {
+export const getCalendarFeed = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/account/calendar`, {
     headers: {
       'Authorization': `Bearer ${token}`,
     },
@@ -289,29 +658,29 @@ export const getMustWatch = async (token) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to get must-watch list');
+    throw toAuthApiError(response, data, 'Failed to get calendar feed');
   }
 
-  return data.mustWatch;
+  return data.calendar;
 };
 
 /**
- * Adds a movie to the user's must-watch list
+ * Creates a new secret calendar feed link. Any earlier link stops working.
  * 
  * @async
  * @function
  * @param {string} token - JWT token from login
- * @param {number} movieId - TMDB movie ID to add
  * 
- * @returns {Promise<number[]>} Updated array of must-watch movie IDs
+ * @returns {Promise<Object>} { url, calendar: { enabled, createdAt } } - url is the .ics feed;
+ *                            add ?region=GB for release dates in a country
  * 
- * @throws {Error} Throws if not authenticated or request fails
+ * @throws {ApiError} Throws if not authenticated or request fails
  * 
  * @example
- * const updatedMustWatch = await addToMustWatch(token, 438631);
+ * const { url } = await createCalendarFeed(token);
  */
-export const addToMustWatch = async (token, movieId) => {
-  const response = await fetch(`${BASE_URL}/users/mustwatch/${movieId}`, {
+export const createCalendarFeed = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/account/calendar`, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -321,29 +690,25 @@ export const addToMustWatch = async (token, movieId) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to add to must-watch');
+    throw toAuthApiError(response, data, 'Failed to create calendar link');
   }
 
-  return data.mustWatch;
+  return { url: data.url, calendar: data.calendar };
 };
 
 /**
- * Removes a movie from the user's must-watch list
+ * Turns the calendar feed off; its link stops working
  * 
  * @async
  * @function
  * @param {string} token - JWT token from login
- * @param {number} movieId - TMDB movie ID to remove
- * 
- * @returns {Promise<number[]>} Updated array of must-watch movie IDs
  * 
- * @throws {Error} Throws if not authenticated or request fails
+ * @returns {Promise<boolean>} true when the feed was turned off
  * 
- * @example
- * const updatedMustWatch = await removeFromMustWatch(token, 438631);
+ * @throws {ApiError} Throws if not authenticated or request fails
  */
-export const removeFromMustWatch = async (token, movieId) => {
-  const response = await fetch(`${BASE_URL}/users/mustwatch/${movieId}`, {
+export const deleteCalendarFeed = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/account/calendar`, {
     method: 'DELETE',
     headers: {
       'Authorization': `Bearer ${token}`,
@@ -353,36 +718,37 @@ export const removeFromMustWatch = async (token, movieId) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to remove from must-watch');
+    throw toAuthApiError(response, data, 'Failed to turn off calendar feed');
   }
 
-  return data.mustWatch;
+  return true;
 };
 
 // ============================================
-// REVIEWS API FUNCTIONS
-// These handle user's movie reviews
+// NOTIFICATIONS API FUNCTIONS
+// Release notifications for must-watch movies
 // All require authentication (token parameter)
 // ============================================
 
 /**
- * Gets the authenticated user's list of movie reviews
+ * Gets the user's notifications, newest first
  * 
  * @async
  * @function
  * @param {string} token - JWT token from login
+ * @param {Object} [options]
+ * @param {boolean} [options.unread=false] - Only unread notifications
+ * @param {number} [options.page=1] - Page of 20 notifications
  * 
- * @returns {Promise<Array>} Array of review objects
- *          Each review: { movieId, movieTitle, author, rating, content, createdAt }
- * 
- * @throws {Error} Throws if not authenticated or request fails
+ * @returns {Promise<Object>} { notifications, unreadCount, page, totalPages }. Each notification has
+ *                            type ('cinema_release' or 'digital_release'), movieId, movieTitle,
+ *                            posterPath, releaseDate (YYYY-MM-DD), region and readAt (null while unread)
  * 
- * @example
- * const reviews = await getReviews(token);
- * console.log(reviews); // [{ movieId: 550, movieTitle: 'Fight Club', rating: 5, ... }]
+ * @throws {ApiError} Throws if not authenticated or request fails
  */
-export const getReviews = async (token) => {
-  const response = await fetch(`${BASE_URL}/users/reviews`, {
+export const getNotifications = async (token, { unread = false, page = 1 } = {}) => {
+  const params = new URLSearchParams({ unread, page });
+  const response = await authFetch(`${BASE_URL}/users/notifications?${params}`, {
     headers: {
       'Authorization': `Bearer ${token}`,
     },
@@ -391,63 +757,1171 @@ export const getReviews = async (token) => {
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to get reviews');
+    throw toAuthApiError(response, data, 'Failed to get notifications');
   }
 
-  return data.reviews;
+  return {
+    notifications: data.notifications,
+    unreadCount: data.unreadCount,
+    page: data.page,
+    totalPages: data.totalPages,
+  };
 };
 
 /**
- * Adds a new movie review for the authenticated user
+ * Marks one notification read or unread
  * 
  * @async
  * @function
  * @param {string} token - JWT token from login
- * @param {Object} reviewData - The review data
- * @param {number} reviewData.movieId - TMDB movie ID
- * @param {string} reviewData.movieTitle - Movie title
- * @param {number} reviewData.rating - Rating from 1-5
- * @param {string} reviewData.content - Review text content
+ * @param {string} notificationId - The notification's _id
+ * @param {boolean} [read=true] - false marks it unread again
  * 
- * @returns {Promise<Object>} The created review object
+ * @returns {Promise<Object>} { notification, unreadCount }
  * 
- * @throws {Error} Throws if not authenticated or request fails
- * 
- * @example
- * const review = await addReview(token, {
- *   movieId: 550,
- *   movieTitle: 'Fight Club',
- *   rating: 5,
- *   content: 'Amazing movie!'
- * });
+ * @throws {ApiError} Throws if not authenticated, the notification isn't found, or request fails
  */
-export const addReview = async (token, reviewData) => {
-  const response = await fetch(`${BASE_URL}/users/reviews`, {
-    method: 'POST',
+export const markNotificationRead = async (token, notificationId, read = true) => {
+  const response = await authFetch(`${BASE_URL}/users/notifications/${notificationId}`, {
+    method: 'PATCH',
     headers: {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(reviewData),
+    body: JSON.stringify({ read }),
   });
 
   const data = await response.json();
 
   if (!data.success) {
-    throw new Error(data.msg || 'Failed to add review');
+    throw toAuthApiError(response, data, 'Failed to update notification');
   }
 
-  return data.review;
+  return { notification: data.notification, unreadCount: data.unreadCount };
 };
 
 /**
- * Helper functions for extracting data from React Query's queryKey
+ * Marks every notification read
  * 
- * React Query passes data through queryKey arrays. These helpers
- * safely extract the data I need (IDs, search queries, etc.)
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
  * 
- * I keep these because they're still useful for React Query integration,
- * even though I've migrated to my backend.
+ * @returns {Promise<number>} The unread count afterwards (0)
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ */
+export const markAllNotificationsRead = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/notifications`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ read: true }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to update notifications');
+  }
+
+  return data.unreadCount;
+};
+
+// ============================================
+// LIVE CHANGES
+// The backend streams changes to the user's collections as Server-Sent
+// Events. I read the stream with fetch rather than EventSource, because
+// EventSource can't send the Authorization header.
+// ============================================
+
+/**
+ * Parses one Server-Sent Events block ("id: 4\nevent: favorites\ndata: {...}")
+ * 
+ * @param {string} block - The lines of one event
+ * @returns {Object|null} { id, type, data }, or null for comments and retry-only blocks
+ */
+const parseServerEvent = (block) => {
+  let id;
+  let type = 'message';
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'id') id = value;
+    else if (field === 'event') type = value;
+    else if (field === 'data') dataLines.push(value);
+  }
+
+  if (dataLines.length === 0) return null;
+  return { id, type, data: JSON.parse(dataLines.join('\n')) };
+};
+
+/**
+ * Streams changes to the user's favorites, must-watch list, reviews, lists
+ * and diary, made here or on any other tab or device
+ * 
+ * The first event is 'ready'. After that each event is a change:
+ * - favorites: { favorites } / mustWatch: { mustWatch } - the whole list of IDs
+ * - review.saved: { review } / review.deleted: { reviewId, movieId }
+ * - list.saved: { list } / list.deleted: { listId }
+ * - diary: { watched } - the diary changed
+ * - resync: {} - reload everything, too much changed to catch up event by event
+ * 
+ * Pass the id of the last event received when reconnecting, and the backend
+ * first sends the events missed in between.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} options
+ * @param {string} [options.lastEventId] - The id of the last event received, when reconnecting
+ * @param {Function} options.onEvent - Called with { id, type, data } for every event
+ * @param {AbortSignal} options.signal - Aborting it closes the stream
+ * 
+ * @returns {Promise<void>} Resolves when the backend ends the stream (reconnect to carry on)
+ * 
+ * @throws {ApiError} Throws if not authenticated, the stream can't be opened or it breaks off
+ */
+export const streamChanges = async (token, { lastEventId, onEvent, signal }) => {
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Accept': 'text/event-stream',
+  };
+  if (lastEventId !== undefined) headers['Last-Event-ID'] = lastEventId;
+
+  let response;
+  try {
+    response = await authFetch(`${BASE_URL}/users/events`, { headers, signal });
+  } catch (error) {
+    if (error instanceof ApiError || signal.aborted) throw error;
+    throw new ApiError('Could not reach the server. Check your connection and try again.');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw toAuthApiError(response, data, 'Failed to open the change stream');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      // The last piece may be an event that hasn't fully arrived yet
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const event = parseServerEvent(block);
+        if (event) onEvent(event);
+      }
+    }
+  } catch (error) {
+    if (signal.aborted) throw error;
+    throw new ApiError('The connection to the server was lost.');
+  }
+};
+
+// ============================================
+// FAVORITES API FUNCTIONS
+// These handle user's favorite movies list
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets the authenticated user's list of favorite movie IDs
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<number[]>} Array of TMDB movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const favorites = await getFavorites(token);
+ * console.log(favorites); // [550, 438631, 157336]
+ */
+export const getFavorites = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/favorites`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get favorites');
+  }
+
+  return data.favorites;
+};
+
+/**
+ * Adds a movie to the user's favorites list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {number} movieId - TMDB movie ID to add
+ * 
+ * @returns {Promise<number[]>} Updated array of favorite movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const updatedFavorites = await addFavorite(token, 550);
+ */
+export const addFavorite = async (token, movieId) => {
+  const response = await authFetch(`${BASE_URL}/users/favorites/${movieId}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to add favorite');
+  }
+
+  return data.favorites;
+};
+
+/**
+ * Removes a movie from the user's favorites list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {number} movieId - TMDB movie ID to remove
+ * 
+ * @returns {Promise<number[]>} Updated array of favorite movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const updatedFavorites = await removeFavorite(token, 550);
+ */
+export const removeFavorite = async (token, movieId) => {
+  const response = await authFetch(`${BASE_URL}/users/favorites/${movieId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to remove favorite');
+  }
+
+  return data.favorites;
+};
+
+// ============================================
+// MUST-WATCH API FUNCTIONS
+// These handle user's must-watch movies list
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets the authenticated user's list of must-watch movie IDs
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<number[]>} Array of TMDB movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const mustWatch = await getMustWatch(token);
+ * console.log(mustWatch); // [438631, 157336]
+ */
+export const getMustWatch = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/mustwatch`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get must-watch list');
+  }
+
+  return data.mustWatch;
+};
+
+/**
+ * Adds a movie to the user's must-watch list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {number} movieId - TMDB movie ID to add
+ * 
+ * @returns {Promise<number[]>} Updated array of must-watch movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const updatedMustWatch = await addToMustWatch(token, 438631);
+ */
+export const addToMustWatch = async (token, movieId) => {
+  const response = await authFetch(`${BASE_URL}/users/mustwatch/${movieId}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to add to must-watch');
+  }
+
+  return data.mustWatch;
+};
+
+/**
+ * Removes a movie from the user's must-watch list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {number} movieId - TMDB movie ID to remove
+ * 
+ * @returns {Promise<number[]>} Updated array of must-watch movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const updatedMustWatch = await removeFromMustWatch(token, 438631);
+ */
+export const removeFromMustWatch = async (token, movieId) => {
+  const response = await authFetch(`${BASE_URL}/users/mustwatch/${movieId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to remove from must-watch');
+  }
+
+  return data.mustWatch;
+};
+
+// ============================================
+// REVIEWS API FUNCTIONS
+// These handle user's movie reviews
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets the authenticated user's list of movie reviews
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<Array>} Array of review objects
+ *          Each review: { _id, movieId, movieTitle, author, rating, content, createdAt, updatedAt, revisions }
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const reviews = await getReviews(token);
+ * console.log(reviews); // [{ movieId: 550, movieTitle: 'Fight Club', rating: 5, ... }]
+ */
+export const getReviews = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/reviews`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get reviews');
+  }
+
+  return data.reviews;
+};
+
+/**
+ * Adds a new movie review for the authenticated user
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} reviewData - The review data
+ * @param {number} reviewData.movieId - TMDB movie ID
+ * @param {string} reviewData.movieTitle - Movie title
+ * @param {number} reviewData.rating - Rating from 1-5
+ * @param {string} reviewData.content - Review text content
+ * 
+ * @returns {Promise<Object>} The saved review object. If the user already reviewed
+ *          this movie and the backend enforces one review per movie, this is the
+ *          existing review, edited.
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const review = await addReview(token, {
+ *   movieId: 550,
+ *   movieTitle: 'Fight Club',
+ *   rating: 5,
+ *   content: 'Amazing movie!'
+ * });
+ */
+export const addReview = async (token, reviewData) => {
+  const response = await authFetch(`${BASE_URL}/users/reviews`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(reviewData),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to add review');
+  }
+
+  return data.review;
+};
+
+/**
+ * Edits one of the authenticated user's reviews
+ * 
+ * The backend keeps the previous version in the review's revisions array.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} reviewId - The review's _id
+ * @param {Object} changes - The fields to change
+ * @param {number} [changes.rating] - New rating from 1-5
+ * @param {string} [changes.content] - New review text
+ * 
+ * @returns {Promise<Object>} The updated review object
+ * 
+ * @throws {ApiError} Throws if not authenticated, the review doesn't exist, or request fails
+ * 
+ * @example
+ * const review = await updateReview(token, review._id, { rating: 4 });
+ */
+export const updateReview = async (token, reviewId, changes) => {
+  const response = await authFetch(`${BASE_URL}/users/reviews/${reviewId}`, {
+    method: 'PUT',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to update review');
+  }
+
+  return data.review;
+};
+
+/**
+ * Deletes one of the authenticated user's reviews
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} reviewId - The review's _id
+ * 
+ * @returns {Promise<Array>} The user's remaining reviews
+ * 
+ * @throws {ApiError} Throws if not authenticated, the review doesn't exist, or request fails
+ * 
+ * @example
+ * const remainingReviews = await deleteReview(token, review._id);
+ */
+export const deleteReview = async (token, reviewId) => {
+  const response = await authFetch(`${BASE_URL}/users/reviews/${reviewId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to delete review');
+  }
+
+  return data.reviews;
+};
+
+// ============================================
+// DATA EXPORT AND IMPORT API FUNCTIONS
+// Favorites, must-watch and reviews as one JSON bundle
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets the authenticated user's data as an export bundle
+ * 
+ * The bundle is what importData() takes back, so saving it to a file makes a backup.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<Object>} The bundle:
+ *          { format, version, exportedAt, account: { username, createdAt }, favorites, mustWatch, reviews }
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const bundle = await exportData(token);
+ * console.log(bundle.reviews.length); // 12
+ */
+export const exportData = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/export`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  // The bundle is sent as it is, without the usual success flag
+  if (!response.ok) {
+    throw toAuthApiError(response, data, 'Failed to export your data');
+  }
+
+  return data;
+};
+
+/**
+ * Imports an export bundle into the authenticated user's account
+ * 
+ * Run it with dryRun first to show the user what would change.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} bundle - A bundle from exportData (usually read from a file)
+ * @param {Object} [options]
+ * @param {string} [options.mode='merge'] - 'merge' adds to the account; 'replace' also removes what the bundle doesn't have
+ * @param {boolean} [options.dryRun=false] - Only report the changes, without saving anything
+ * 
+ * @returns {Promise<Object>} The changes:
+ *          { favorites: { added, removed }, mustWatch: { added, removed }, reviews: { added, updated, removed, unchanged } }
+ *          (movie IDs for the two lists, counts for reviews)
+ * 
+ * @throws {ApiError} Throws if not authenticated, the file isn't a valid bundle, or request fails
+ * 
+ * @example
+ * const preview = await importData(token, bundle, { mode: 'replace', dryRun: true });
+ * console.log(preview.favorites.removed); // [550, 680]
+ */
+export const importData = async (token, bundle, { mode = 'merge', dryRun = false } = {}) => {
+  const params = new URLSearchParams({ mode, dryRun: String(dryRun) });
+  const response = await authFetch(`${BASE_URL}/users/import?${params}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(bundle),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to import your data');
+  }
+
+  return data.changes;
+};
+
+/**
+ * Imports Letterboxd and IMDb CSV exports into the authenticated user's account
+ * 
+ * Watchlists fill must-watch, high ratings fill favorites and Letterboxd reviews become
+ * reviews. Run it with dryRun first: the result also lists the rows no TMDB movie was
+ * found for, each with a key that can be matched by hand through `matches`.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Array<{ name: string, content: string }>} files - Each file's name and CSV text
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report the changes, without saving anything
+ * @param {number} [options.favoriteMinRating] - Stars (out of 5) from which a rated movie becomes a favorite
+ * @param {Object<string, number>} [options.matches] - TMDB movie IDs for unmatched rows, by their key
+ * 
+ * @returns {Promise<Object>} { files: [{ name, source, kind, rows }], changes,
+ *          unmatched: [{ file, line, title, year, imdbId, key }], skipped: [{ file, line, title, reason }] }
+ * 
+ * @throws {ApiError} Throws if not authenticated, a file isn't a Letterboxd or IMDb export, or request fails
+ * 
+ * @example
+ * const result = await importCsv(token, [{ name: 'watchlist.csv', content }], { dryRun: true });
+ * console.log(result.unmatched.length); // 2
+ */
+export const importCsv = async (token, files, { dryRun = false, favoriteMinRating, matches } = {}) => {
+  const params = new URLSearchParams({ dryRun: String(dryRun) });
+  if (favoriteMinRating !== undefined) params.set('favoriteMinRating', String(favoriteMinRating));
+
+  const response = await authFetch(`${BASE_URL}/users/import/csv?${params}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ files, matches }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to import your files');
+  }
+
+  return data;
+};
+
+// ============================================
+// CUSTOM LISTS API FUNCTIONS
+// These handle user-defined movie lists
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets all of the authenticated user's custom lists
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<Array>} Array of list objects
+ *          Each list: { _id, name, description, visibility, items: [{ movieId, note, addedAt }], createdAt, updatedAt }
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const lists = await getLists(token);
+ * console.log(lists[0].name); // 'Halloween marathon'
+ */
+export const getLists = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/lists`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get lists');
+  }
+
+  return data.lists;
+};
+
+/**
+ * Exports the authenticated user's lists as a file
+ * 
+ * Every movie comes with its title, year, IMDb ID, runtime and genres.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} [options]
+ * @param {string} [options.format='csv'] - 'csv', 'json' or 'letterboxd' (a CSV Letterboxd's importer reads)
+ * @param {string} [options.list='all'] - 'all' (with custom lists), 'favorites', 'mustWatch' or 'reviews'.
+ *                                        The Letterboxd export of 'all' leaves must-watch out.
+ * 
+ * @returns {Promise<Blob>} The file, ready to save
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const file = await exportLists(token, { format: 'letterboxd', list: 'mustWatch' });
+ */
+export const exportLists = async (token, { format = 'csv', list = 'all' } = {}) => {
+  const params = new URLSearchParams({ format, list });
+  const response = await authFetch(`${BASE_URL}/users/lists/export?${params}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  // Only errors come back as our JSON envelope
+  if (!response.ok) {
+    throw toAuthApiError(response, await response.json(), 'Failed to export your lists');
+  }
+
+  return response.blob();
+};
+
+/**
+ * Creates a new, empty custom list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} listData - The list details
+ * @param {string} listData.name - List name (unique per user)
+ * @param {string} [listData.description] - Optional description
+ * @param {string} [listData.visibility] - 'private' (default) or 'public'
+ * 
+ * @returns {Promise<Object>} The created list object
+ * 
+ * @throws {ApiError} Throws if not authenticated, the name is taken, or request fails
+ * 
+ * @example
+ * const list = await createList(token, { name: 'Films for Dad' });
+ */
+export const createList = async (token, listData) => {
+  const response = await authFetch(`${BASE_URL}/users/lists`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(listData),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to create list');
+  }
+
+  return data.list;
+};
+
+/**
+ * Renames a list or changes its description or visibility
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} listId - The list's _id
+ * @param {Object} changes - Any of { name, description, visibility }
+ * 
+ * @returns {Promise<Object>} The updated list object
+ * 
+ * @throws {ApiError} Throws if not authenticated, the list doesn't exist, or request fails
+ * 
+ * @example
+ * const list = await updateList(token, list._id, { visibility: 'public' });
+ */
+export const updateList = async (token, listId, changes) => {
+  const response = await authFetch(`${BASE_URL}/users/lists/${listId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to update list');
+  }
+
+  return data.list;
+};
+
+/**
+ * Deletes a custom list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} listId - The list's _id
+ * 
+ * @returns {Promise<void>}
+ * 
+ * @throws {ApiError} Throws if not authenticated, the list doesn't exist, or request fails
+ * 
+ * @example
+ * await deleteList(token, list._id);
+ */
+export const deleteList = async (token, listId) => {
+  const response = await authFetch(`${BASE_URL}/users/lists/${listId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to delete list');
+  }
+};
+
+/**
+ * Adds a movie to the end of a custom list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} listId - The list's _id
+ * @param {number} movieId - TMDB movie ID to add
+ * @param {string} [note] - Optional note for this movie
+ * 
+ * @returns {Promise<Object>} The updated list object
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const list = await addListItem(token, list._id, 550, 'Dad will love this');
+ */
+export const addListItem = async (token, listId, movieId, note) => {
+  const response = await authFetch(`${BASE_URL}/users/lists/${listId}/items`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ movieId, note }),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to add movie to list');
+  }
+
+  return data.list;
+};
+
+/**
+ * Changes a list item's note and/or moves it to a new position
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} listId - The list's _id
+ * @param {number} movieId - TMDB movie ID of the item
+ * @param {Object} changes - Any of { note, position } (position is 0-based)
+ * 
+ * @returns {Promise<Object>} The updated list object
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const list = await updateListItem(token, list._id, 550, { position: 0 });
+ */
+export const updateListItem = async (token, listId, movieId, changes) => {
+  const response = await authFetch(`${BASE_URL}/users/lists/${listId}/items/${movieId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to update list item');
+  }
+
+  return data.list;
+};
+
+/**
+ * Removes a movie from a custom list
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} listId - The list's _id
+ * @param {number} movieId - TMDB movie ID to remove
+ * 
+ * @returns {Promise<Object>} The updated list object
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const list = await removeListItem(token, list._id, 550);
+ */
+export const removeListItem = async (token, listId, movieId) => {
+  const response = await authFetch(`${BASE_URL}/users/lists/${listId}/items/${movieId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to remove movie from list');
+  }
+
+  return data.list;
+};
+
+// ============================================
+// WATCH DIARY API FUNCTIONS
+// These handle the user's log of watched movies
+// All require authentication (token parameter)
+// ============================================
+
+/**
+ * Gets the user's diary entries, most recent viewing first
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} [period] - Optional { year, month } filter (month is 1-12 and needs a year)
+ * 
+ * @returns {Promise<Array>} Array of entry objects
+ *   [{ _id, movieId, movieTitle, watchedOn, rating, rewatch, createdAt }, ...]
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const entries = await getDiary(token, { year: 2025, month: 3 });
+ */
+export const getDiary = async (token, { year, month } = {}) => {
+  const params = new URLSearchParams();
+  if (year) params.set('year', year);
+  if (month) params.set('month', month);
+
+  const response = await authFetch(`${BASE_URL}/users/diary?${params}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get diary');
+  }
+
+  return data.entries;
+};
+
+/**
+ * Gets how many movies the user watched on each day of a year
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {number} year - The year to count
+ * 
+ * @returns {Promise<Object>} { year, total, days: { 'YYYY-MM-DD': count } }
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const { days } = await getDiaryActivity(token, 2025);
+ */
+export const getDiaryActivity = async (token, year) => {
+  const response = await authFetch(`${BASE_URL}/users/diary/activity?year=${year}`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get viewing activity');
+  }
+
+  return { year: data.year, total: data.total, days: data.days };
+};
+
+/**
+ * Gets the IDs of every movie the user has logged as watched
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * 
+ * @returns {Promise<Array<number>>} Array of movie IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const watched = await getWatched(token); // [550, 13]
+ */
+export const getWatched = async (token) => {
+  const response = await authFetch(`${BASE_URL}/users/diary/watched`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to get watched movies');
+  }
+
+  return data.watched;
+};
+
+/**
+ * Logs a watch in the diary. The backend also takes the movie off must-watch.
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {Object} entryData - The viewing
+ * @param {number} entryData.movieId - TMDB movie ID
+ * @param {string} entryData.movieTitle - Movie title
+ * @param {string} [entryData.watchedOn] - YYYY-MM-DD (defaults to today)
+ * @param {number} [entryData.rating] - 1-5 stars
+ * @param {boolean} [entryData.rewatch] - Whether this is a rewatch
+ * 
+ * @returns {Promise<Object>} { entry, mustWatch } - the new entry and the updated must-watch IDs
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const { entry } = await logWatch(token, { movieId: 550, movieTitle: 'Fight Club', rating: 5 });
+ */
+export const logWatch = async (token, entryData) => {
+  const response = await authFetch(`${BASE_URL}/users/diary`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(entryData),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to log watch');
+  }
+
+  return { entry: data.entry, mustWatch: data.mustWatch };
+};
+
+/**
+ * Changes a diary entry's date, rating or rewatch flag
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} entryId - The entry's _id
+ * @param {Object} changes - Any of { watchedOn, rating, rewatch } (rating null clears it)
+ * 
+ * @returns {Promise<Object>} The updated entry
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * const entry = await updateDiaryEntry(token, entry._id, { rating: 4 });
+ */
+export const updateDiaryEntry = async (token, entryId, changes) => {
+  const response = await authFetch(`${BASE_URL}/users/diary/${entryId}`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(changes),
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to update diary entry');
+  }
+
+  return data.entry;
+};
+
+/**
+ * Deletes a diary entry
+ * 
+ * @async
+ * @function
+ * @param {string} token - JWT token from login
+ * @param {string} entryId - The entry's _id
+ * 
+ * @returns {Promise<boolean>} true when the entry was deleted
+ * 
+ * @throws {ApiError} Throws if not authenticated or request fails
+ * 
+ * @example
+ * await deleteDiaryEntry(token, entry._id);
+ */
+export const deleteDiaryEntry = async (token, entryId) => {
+  const response = await authFetch(`${BASE_URL}/users/diary/${entryId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw toAuthApiError(response, data, 'Failed to delete diary entry');
+  }
+
+  return true;
+};
+
+/**
+ * Helper functions for extracting data from React Query's queryKey
+ * 
+ * React Query passes data through queryKey arrays. These helpers
+ * safely extract the data I need (IDs, search queries, etc.)
+ * 
+ * I keep these because they're still useful for React Query integration,
+ * even though I've migrated to my backend.
  */
 
 /**
@@ -480,3 +1954,18 @@ export const extractSearchQueryFromQueryKey = (queryKey) => {
   return queryPart?.query;
 };
 
+/**
+ * Extracts a page number from React Query's queryKey
+ *
+ * @param {Array} queryKey - React Query key array, format: ['resourceType', { page: number }]
+ * @returns {number} The extracted page, or 1 when the key has no page
+ *
+ * @example
+ * const page = extractPageFromQueryKey(['searchMovies', { query: 'Matrix', page: 2 }]);
+ * console.log(page); // 2
+ */
+export const extractPageFromQueryKey = (queryKey) => {
+  const [, pagePart] = queryKey;
+  return pagePart?.page || 1;
+};
+
@@ -2,7 +2,9 @@ import {
   backendFetch,
   extractIdFromQueryKey,
   extractSearchQueryFromQueryKey,
+  extractPageFromQueryKey,
 } from "./backend-client";
+import { DISCOVER_RANGES, DISCOVER_SORT_BY } from "../constants/discover";
 
 /**
  * Movies API Module - Frontend
@@ -15,6 +17,8 @@ import {
  * - No API key handling (backend has it)
  * - Simpler URLs (just my backend endpoints)
  * - Same function signatures (React Query compatible)
+ * - List endpoints take a page number and return
+ *   { results, page, totalPages, totalResults }
  * 
  * The frontend doesn't know or care about TMDB anymore.
  * It just calls my backend and gets movie data back.
@@ -26,45 +30,83 @@ import {
 // ============================================
 
 /**
- * Fetches discover movies for the homepage
+ * Converts the Discover page's filter state into backend query parameters.
+ * Empty filters and sliders left at their full range are left out entirely.
+ * @param {Object} filters - Filter state (see constants/discover.js)
+ * @returns {URLSearchParams} Query parameters for /movies/discover
  */
-export const getMovies = () => {
-  return backendFetch('/movies/discover');
+const buildDiscoverParams = (filters) => {
+  const params = new URLSearchParams();
+
+  if (filters.genres?.length) params.set("genres", filters.genres.join(","));
+  if (filters.yearFrom) params.set("yearFrom", filters.yearFrom);
+  if (filters.yearTo) params.set("yearTo", filters.yearTo);
+  if (filters.rating) {
+    const [ratingMin, ratingMax] = filters.rating;
+    if (ratingMin > DISCOVER_RANGES.RATING[0]) params.set("ratingMin", ratingMin);
+    if (ratingMax < DISCOVER_RANGES.RATING[1]) params.set("ratingMax", ratingMax);
+  }
+  if (filters.runtime) {
+    const [runtimeMin, runtimeMax] = filters.runtime;
+    if (runtimeMin > DISCOVER_RANGES.RUNTIME[0]) params.set("runtimeMin", runtimeMin);
+    if (runtimeMax < DISCOVER_RANGES.RUNTIME[1]) params.set("runtimeMax", runtimeMax);
+  }
+  if (filters.minVotes) params.set("minVotes", filters.minVotes);
+  if (filters.language) params.set("language", filters.language);
+  if (filters.sort) params.set("sortBy", DISCOVER_SORT_BY[filters.sort]);
+
+  return params;
+};
+
+/**
+ * Fetches discover movies for the homepage, filtered on the server
+ * @param {Object} filters - Filter state (see constants/discover.js)
+ * @param {number} page - Page of results to fetch (defaults to 1)
+ */
+export const getMovies = (filters = {}, page = 1) => {
+  const params = buildDiscoverParams(filters);
+  params.set("page", page);
+  return backendFetch(`/movies/discover?${params}`);
 };
 
 /**
  * Fetches upcoming movies (coming soon to theaters)
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getUpcomingMovies = () => {
-  return backendFetch('/movies/upcoming');
+export const getUpcomingMovies = (page = 1) => {
+  return backendFetch(`/movies/upcoming?page=${page}`);
 };
 
 /**
  * Fetches currently popular movies
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getPopularMovies = () => {
-  return backendFetch('/movies/popular');
+export const getPopularMovies = (page = 1) => {
+  return backendFetch(`/movies/popular?page=${page}`);
 };
 
 /**
  * Fetches top rated movies of all time
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getTopRatedMovies = () => {
-  return backendFetch('/movies/top-rated');
+export const getTopRatedMovies = (page = 1) => {
+  return backendFetch(`/movies/top-rated?page=${page}`);
 };
 
 /**
  * Fetches movies currently in theaters
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getNowPlayingMovies = () => {
-  return backendFetch('/movies/now-playing');
+export const getNowPlayingMovies = (page = 1) => {
+  return backendFetch(`/movies/now-playing?page=${page}`);
 };
 
 /**
  * Fetches trending movies this week
+ * @param {number} page - Page of results to fetch (defaults to 1)
  */
-export const getTrendingMovies = () => {
-  return backendFetch('/movies/trending');
+export const getTrendingMovies = (page = 1) => {
+  return backendFetch(`/movies/trending?page=${page}`);
 };
 
 /**
@@ -99,12 +141,15 @@ export const getMovieImages = ({ queryKey }) => {
 };
 
 /**
- * Fetches user reviews for a specific movie
+ * Fetches TMDB and community reviews for a specific movie, merged by the backend.
+ * Sort order and page come from the third queryKey element (see QUERY_KEYS.REVIEWS).
+ * The response also includes communityRating: { average, count, histogram }.
  * @param {Object} args - React Query arguments
  */
 export const getMovieReviews = ({ queryKey }) => {
   const id = extractIdFromQueryKey(queryKey);
-  return backendFetch(`/movies/${id}/reviews`);
+  const { sortBy = "date.desc", page = 1 } = queryKey[2] || {};
+  return backendFetch(`/movies/${id}/reviews?sortBy=${sortBy}&page=${page}`);
 };
 
 /**
@@ -141,11 +186,12 @@ export const getMovieSimilar = ({ queryKey }) => {
 /**
  * Searches for movies by title
  * @param {Object} args - React Query arguments
- * @param {Array} args.queryKey - Contains the search query
+ * @param {Array} args.queryKey - Contains the search query and page
  */
 export const searchMovies = ({ queryKey }) => {
   const query = extractSearchQueryFromQueryKey(queryKey);
-  return backendFetch(`/movies/search?query=${encodeURIComponent(query)}`);
+  const page = extractPageFromQueryKey(queryKey);
+  return backendFetch(`/movies/search?query=${encodeURIComponent(query)}&page=${page}`);
 };
 
 // ============================================
@@ -175,9 +221,10 @@ export const getPersonMovieCredits = ({ queryKey }) => {
 /**
  * Searches for people (actors, directors) by name
  * @param {Object} args - React Query arguments
- * @param {Array} args.queryKey - Contains the search query
+ * @param {Array} args.queryKey - Contains the search query and page
  */
 export const searchPeople = ({ queryKey }) => {
   const query = extractSearchQueryFromQueryKey(queryKey);
-  return backendFetch(`/people/search?query=${encodeURIComponent(query)}`);
+  const page = extractPageFromQueryKey(queryKey);
+  return backendFetch(`/people/search?query=${encodeURIComponent(query)}&page=${page}`);
 };
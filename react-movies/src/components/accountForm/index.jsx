@@ -0,0 +1,161 @@
+/**
+ * Account Form Component
+ *
+ * One section of the account settings page: a titled form whose fields are checked with
+ * the backend's own validation rules (imported from movies-api/validation) before it is
+ * sent. The change password, change username and delete account forms are all this
+ * component with different fields.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Same Rules as the Backend
+ *    - Each field takes a rule from @validation/schemas, run through checkField by
+ *      react-hook-form, so the form accepts exactly what the API accepts
+ *    - Fields can also cross-check each other (e.g. "repeat new password")
+ *
+ * 2. Backend Errors
+ *    - If the backend still rejects a field (VALIDATION_FAILED), I put its message
+ *      under that field; anything else (wrong password, username taken) goes in an Alert
+ *    - When the backend asks the user to wait (too many wrong passwords), I add the
+ *      countdown to the message and keep the button disabled until it ends
+ *
+ * 3. Success
+ *    - On success I clear the form and show the success message, unless the caller
+ *      navigates away (delete account)
+ *
+ * @component
+ * @example
+ * <AccountForm
+ *   title="Change password"
+ *   fields={[{ name: "currentPassword", label: "Current password", type: "password", rule: CURRENT }]}
+ *   submitLabel="Change password"
+ *   successMessage="Password changed."
+ *   onSubmit={({ currentPassword }) => changePassword(currentPassword, ...)}
+ * />
+ */
+
+import React, { useState } from "react";
+import { useForm, Controller } from "react-hook-form";
+import { checkField } from "@validation/validator";
+import { API_ERROR_CODES } from "../../constants/errors";
+import { useCountdown, formatCountdown } from "../../hooks/useCountdown";
+import Paper from "@mui/material/Paper";
+import Typography from "@mui/material/Typography";
+import TextField from "@mui/material/TextField";
+import Button from "@mui/material/Button";
+import Stack from "@mui/material/Stack";
+import Alert from "@mui/material/Alert";
+import CircularProgress from "@mui/material/CircularProgress";
+
+/**
+ * Renders a settings form section.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {string} [props.description] - Text under the heading
+ * @param {Array<Object>} props.fields - { name, label, type, autoComplete, rule, validate(value, values) }
+ * @param {string} props.submitLabel - Submit button text
+ * @param {string} [props.successMessage] - Shown after a successful submit
+ * @param {boolean} [props.danger] - Red styling for destructive actions
+ * @param {Function} props.onSubmit - async (values) => void; throws an ApiError on failure
+ * @returns {JSX.Element} The form section
+ */
+const AccountForm = ({ title, description, fields, submitLabel, successMessage, danger = false, onSubmit }) => {
+  const defaultValues = Object.fromEntries(fields.map((field) => [field.name, ""]));
+
+  const {
+    control,
+    formState: { errors, isSubmitting },
+    handleSubmit,
+    reset,
+    setError,
+  } = useForm({ defaultValues });
+
+  // I keep the backend's answer for the Alert under the fields
+  const [serverError, setServerError] = useState(null);
+  const [succeeded, setSucceeded] = useState(false);
+  const [retryAt, setRetryAt] = useState(null);
+  const secondsLeft = useCountdown(retryAt);
+
+  const submit = async (values) => {
+    setServerError(null);
+    setSucceeded(false);
+    try {
+      await onSubmit(values);
+      reset(defaultValues);
+      setSucceeded(true);
+    } catch (err) {
+      const fieldErrors = err.code === API_ERROR_CODES.VALIDATION_FAILED ? err.details?.fields || [] : [];
+      const known = fieldErrors.filter((fieldError) => fieldError.field in defaultValues);
+      known.forEach((fieldError) => setError(fieldError.field, { message: fieldError.message }));
+      if (known.length === 0) setServerError(err.message);
+      setRetryAt(err.retryAfter ? Date.now() + err.retryAfter * 1000 : null);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" component="h2" fontWeight={600} color={danger ? "error" : "inherit"}>
+        {title}
+      </Typography>
+      {description && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+          {description}
+        </Typography>
+      )}
+
+      <form onSubmit={handleSubmit(submit)} noValidate>
+        <Stack spacing={2} sx={{ mt: 2 }}>
+          {fields.map((field) => (
+            <Controller
+              key={field.name}
+              name={field.name}
+              control={control}
+              rules={{
+                validate: (value, values) =>
+                  (field.rule && checkField(value, field.rule).error) ||
+                  (field.validate && field.validate(value, values)) ||
+                  true,
+              }}
+              render={({ field: { onChange, onBlur, value } }) => (
+                <TextField
+                  fullWidth
+                  id={`${title}-${field.name}`}
+                  label={field.label}
+                  type={field.type || "text"}
+                  autoComplete={field.autoComplete}
+                  value={value}
+                  onChange={onChange}
+                  onBlur={onBlur}
+                  disabled={isSubmitting}
+                  error={!!errors[field.name]}
+                  helperText={errors[field.name]?.message}
+                />
+              )}
+            />
+          ))}
+
+          {serverError && (
+            <Alert severity="error" role="alert">
+              {serverError}
+              {secondsLeft > 0 && ` You can try again in ${formatCountdown(secondsLeft)}.`}
+            </Alert>
+          )}
+          {succeeded && successMessage && <Alert severity="success">{successMessage}</Alert>}
+
+          <Button
+            type="submit"
+            variant={danger ? "outlined" : "contained"}
+            color={danger ? "error" : "primary"}
+            disabled={isSubmitting || secondsLeft > 0}
+            sx={{ alignSelf: "flex-start" }}
+          >
+            {isSubmitting ? <CircularProgress size={22} color="inherit" /> : submitLabel}
+          </Button>
+        </Stack>
+      </form>
+    </Paper>
+  );
+};
+
+export default AccountForm;
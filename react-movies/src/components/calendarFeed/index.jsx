@@ -0,0 +1,191 @@
+/**
+ * Calendar Feed Component
+ *
+ * The "Release calendar" section of the account settings page. The backend serves each
+ * user's must-watch release dates, plus upcoming movies in their favorite genres, as an
+ * iCalendar feed at a secret link; here the user creates that link, copies it into their
+ * calendar app, or turns it off (/api/users/account/calendar).
+ *
+ * Key Design Decisions:
+ *
+ * 1. The Link Is Shown Once
+ *    - The backend only keeps a hash of the link's secret, like a password, so I can only
+ *      show the link right after creating it. Afterwards the user can make a new one,
+ *      which stops the old one working
+ *
+ * 2. Region
+ *    - Release dates differ by country, so the user can pick one (prefilled from the
+ *      browser's language settings). It's just ?region= on the link, so changing it
+ *      doesn't need a new link
+ *
+ * @component
+ * @example
+ * <CalendarFeed />
+ */
+
+import React, { useContext, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { AuthContext } from "../../contexts/authContext";
+import { getCalendarFeed, createCalendarFeed, deleteCalendarFeed } from "../../api/backend-client";
+import { QUERY_KEYS } from "../../constants/queryKeys";
+import { REGION } from "@validation/schemas";
+import { checkField } from "@validation/validator";
+import Paper from "@mui/material/Paper";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+import TextField from "@mui/material/TextField";
+import Button from "@mui/material/Button";
+import Alert from "@mui/material/Alert";
+import Skeleton from "@mui/material/Skeleton";
+import ContentCopyIcon from "@mui/icons-material/ContentCopy";
+import EventIcon from "@mui/icons-material/Event";
+
+/**
+ * The country of the browser's language (e.g. "GB" for en-GB), or "" when it has none.
+ *
+ * @returns {string} A two-letter country code or ""
+ */
+const browserRegion = () => {
+  try {
+    return new Intl.Locale(navigator.language).maximize().region || "";
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Renders the calendar feed settings.
+ *
+ * @returns {JSX.Element} The section
+ */
+const CalendarFeed = () => {
+  const { token } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+
+  // The link as created, without a region; only known until the page is left
+  const [url, setUrl] = useState(null);
+  const [region, setRegion] = useState(browserRegion);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const feedQuery = useQuery({
+    queryKey: QUERY_KEYS.CALENDAR_FEED,
+    queryFn: () => getCalendarFeed(token),
+  });
+  const feed = feedQuery.data;
+
+  const regionError = region ? checkField(region, REGION).error : null;
+  const feedUrl = url && (region && !regionError ? `${url}?region=${region}` : url);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    setCopied(false);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = () =>
+    run(async () => {
+      const created = await createCalendarFeed(token);
+      setUrl(created.url);
+      queryClient.setQueryData(QUERY_KEYS.CALENDAR_FEED, created.calendar);
+    });
+
+  const handleTurnOff = () =>
+    run(async () => {
+      await deleteCalendarFeed(token);
+      setUrl(null);
+      queryClient.setQueryData(QUERY_KEYS.CALENDAR_FEED, { enabled: false, createdAt: null });
+    });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setCopied(true);
+    } catch {
+      setError("Couldn't copy the link. Select it and copy it yourself.");
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h6" component="h2" fontWeight={600}>
+        Release calendar
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+        Subscribe in Google Calendar, Apple Calendar or Outlook to see when your must-watch movies come out,
+        along with upcoming movies in the genres you favorite most.
+      </Typography>
+
+      <Stack spacing={2} sx={{ mt: 2 }}>
+        {feedQuery.isLoading && <Skeleton variant="rounded" height={40} />}
+        {feedQuery.isError && <Alert severity="error">{feedQuery.error.message}</Alert>}
+
+        {url && (
+          <>
+            <Alert severity="info">Copy this link now. For your privacy it won't be shown again.</Alert>
+            <TextField
+              fullWidth
+              label="Calendar link"
+              value={feedUrl}
+              slotProps={{ htmlInput: { readOnly: true } }}
+              onFocus={(e) => e.target.select()}
+            />
+            <TextField
+              label="Country for release dates"
+              value={region}
+              onChange={(e) => setRegion(e.target.value.toUpperCase())}
+              error={Boolean(regionError)}
+              helperText={regionError || "Two-letter code, e.g. GB or US. Leave empty for worldwide dates."}
+              slotProps={{ htmlInput: { maxLength: 2 } }}
+              sx={{ maxWidth: 320 }}
+            />
+            <Stack direction="row" spacing={1}>
+              <Button variant="contained" startIcon={<ContentCopyIcon />} onClick={handleCopy}>
+                {copied ? "Copied" : "Copy link"}
+              </Button>
+              <Button startIcon={<EventIcon />} href={feedUrl.replace(/^https?:/, "webcal:")}>
+                Open in calendar app
+              </Button>
+            </Stack>
+          </>
+        )}
+
+        {feed && !url && feed.enabled && (
+          <Typography variant="body2">
+            Your calendar link was created on {new Date(feed.createdAt).toLocaleDateString()}. If you've lost it,
+            create a new one; the old link will stop working.
+          </Typography>
+        )}
+
+        {error && (
+          <Alert severity="error" role="alert">
+            {error}
+          </Alert>
+        )}
+
+        {feed && (
+          <Stack direction="row" spacing={1}>
+            <Button variant={feed.enabled ? "outlined" : "contained"} onClick={handleCreate} disabled={working}>
+              {feed.enabled ? "Create new link" : "Create calendar link"}
+            </Button>
+            {feed.enabled && (
+              <Button color="error" onClick={handleTurnOff} disabled={working}>
+                Turn off
+              </Button>
+            )}
+          </Stack>
+        )}
+      </Stack>
+    </Paper>
+  );
+};
+
+export default CalendarFeed;
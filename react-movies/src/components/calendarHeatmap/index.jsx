@@ -0,0 +1,174 @@
+/**
+ * Calendar Heatmap Component
+ *
+ * Shows a year of viewing activity as a grid of small squares, one per day, with a
+ * column per week (Monday at the top) - the layout people know from contribution graphs.
+ * Busier days get a stronger shade of the primary colour.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Counts Come From the Backend
+ *    - The parent passes the { "YYYY-MM-DD": count } map from GET /api/users/diary/activity,
+ *      so the grid never needs the diary entries themselves
+ *
+ * 2. Fixed Shade Levels
+ *    - I bucket counts into 0, 1, 2, 3 and 4+ instead of scaling to the busiest day, so one
+ *      film-festival weekend doesn't wash out the rest of the year
+ *
+ * 3. CSS Grid in Column Flow
+ *    - grid-auto-flow: column fills each week top to bottom, so I only have to pad the first
+ *      week with empty cells up to the weekday of 1 January
+ *    - The grid scrolls sideways on small screens instead of shrinking the squares
+ *
+ * @component
+ * @example
+ * <CalendarHeatmap
+ *   year={2025}
+ *   days={{ "2025-03-14": 2 }}
+ *   onDayClick={(day) => setMonth(Number(day.slice(5, 7)))}
+ * />
+ */
+
+import React from "react";
+import Box from "@mui/material/Box";
+import Tooltip from "@mui/material/Tooltip";
+import Typography from "@mui/material/Typography";
+import { toDayString, formatDay } from "../../utils/date";
+
+// Square size and gap in pixels
+const CELL = 12;
+const GAP = 3;
+
+/**
+ * Shades for 0, 1, 2, 3 and 4+ viewings.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+const LEVEL_COLORS = [
+  "rgba(255, 255, 255, 0.08)",
+  "rgba(25, 118, 210, 0.4)",
+  "rgba(25, 118, 210, 0.6)",
+  "rgba(25, 118, 210, 0.8)",
+  "rgba(66, 165, 245, 1)",
+];
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Builds the grid cells for a year: empty padding up to the first weekday, then one
+ * entry per day.
+ *
+ * @param {number} year - The year to lay out
+ * @returns {{ cells: Array<string|null>, monthColumns: Array<number> }} Day strings (null for
+ *   padding) and the week column each month starts in
+ */
+const buildCells = (year) => {
+  // getDay() is 0 for Sunday; I shift it so weeks start on Monday
+  const offset = (new Date(year, 0, 1).getDay() + 6) % 7;
+  const cells = Array(offset).fill(null);
+  const monthColumns = [];
+
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+    if (date.getDate() === 1) {
+      monthColumns.push(Math.floor(cells.length / 7));
+    }
+    cells.push(toDayString(date));
+  }
+
+  return { cells, monthColumns };
+};
+
+/**
+ * Picks the shade level for a day's count.
+ */
+const levelFor = (count) => Math.min(count, LEVEL_COLORS.length - 1);
+
+/**
+ * Renders the heatmap.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.year - The year shown
+ * @param {Object} props.days - Viewings per day, keyed by "YYYY-MM-DD"
+ * @param {Function} [props.onDayClick] - Called with the day string when a square is clicked
+ * @returns {JSX.Element} The heatmap
+ */
+const CalendarHeatmap = ({ year, days, onDayClick }) => {
+  const { cells, monthColumns } = buildCells(year);
+  const weeks = Math.ceil(cells.length / 7);
+
+  return (
+    <Box sx={{ overflowX: "auto", pb: 1 }}>
+      {/* Month labels, each placed over the week its first day falls in */}
+      <Box
+        sx={{
+          display: "grid",
+          gridTemplateColumns: `repeat(${weeks}, ${CELL}px)`,
+          columnGap: `${GAP}px`,
+          mb: 0.5,
+        }}
+      >
+        {monthColumns.map((column, month) => (
+          <Typography
+            key={month}
+            variant="caption"
+            sx={{ gridColumn: `${column + 1} / span 3`, color: "rgba(255, 255, 255, 0.7)" }}
+          >
+            {MONTH_LABELS[month]}
+          </Typography>
+        ))}
+      </Box>
+
+      <Box
+        role="grid"
+        aria-label={`Viewing activity in ${year}`}
+        sx={{
+          display: "grid",
+          gridTemplateRows: `repeat(7, ${CELL}px)`,
+          gridAutoColumns: `${CELL}px`,
+          gridAutoFlow: "column",
+          gap: `${GAP}px`,
+        }}
+      >
+        {cells.map((day, index) => {
+          if (!day) return <Box key={`pad-${index}`} />;
+
+          const count = days[day] || 0;
+          const label = `${count || "No"} movie${count !== 1 ? "s" : ""} on ${formatDay(day)}`;
+
+          return (
+            <Tooltip key={day} title={label} arrow disableInteractive>
+              <Box
+                role="gridcell"
+                aria-label={label}
+                onClick={onDayClick ? () => onDayClick(day) : undefined}
+                sx={{
+                  width: CELL,
+                  height: CELL,
+                  borderRadius: "2px",
+                  backgroundColor: LEVEL_COLORS[levelFor(count)],
+                  cursor: onDayClick ? "pointer" : "default",
+                }}
+              />
+            </Tooltip>
+          );
+        })}
+      </Box>
+
+      {/* Legend */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: `${GAP}px`, mt: 1 }}>
+        <Typography variant="caption" sx={{ mr: 0.5, color: "rgba(255, 255, 255, 0.7)" }}>
+          Less
+        </Typography>
+        {LEVEL_COLORS.map((color) => (
+          <Box key={color} sx={{ width: CELL, height: CELL, borderRadius: "2px", backgroundColor: color }} />
+        ))}
+        <Typography variant="caption" sx={{ ml: 0.5, color: "rgba(255, 255, 255, 0.7)" }}>
+          More
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default CalendarHeatmap;
@@ -0,0 +1,140 @@
+import React, { useContext, useState } from "react";
+import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import Menu from "@mui/material/Menu";
+import MenuItem from "@mui/material/MenuItem";
+import ListItemIcon from "@mui/material/ListItemIcon";
+import ListItemText from "@mui/material/ListItemText";
+import Divider from "@mui/material/Divider";
+import PlaylistAddIcon from "@mui/icons-material/PlaylistAdd";
+import CheckIcon from "@mui/icons-material/Check";
+import AddIcon from "@mui/icons-material/Add";
+import { MoviesContext } from "../../contexts/moviesContext";
+import { AuthContext } from "../../contexts/authContext";
+import NewListDialog from "../newListDialog";
+
+/**
+ * AddToListIcon Component
+ *
+ * This component renders a playlist icon button that opens an "Add to list..." menu, letting
+ * users put a movie into any of their custom lists. It sits next to the other card icons
+ * (AddToFavorites, AddToMustWatch and friends) in a movie card's action area.
+ *
+ * Menu Behaviour:
+ * I list every custom list with a check mark next to the ones that already contain the movie.
+ * Clicking a list toggles the movie in or out of it, so the same menu handles both adding and
+ * removing. The last entry, "New list...", opens a small dialog that creates a list and adds
+ * the movie to it in one go - the common case when a user starts a new list from a movie.
+ *
+ * Authentication:
+ * Custom lists only live on the backend, so I render nothing for logged-out users instead
+ * of a button that can't work.
+ *
+ * Event Handling Logic:
+ * Like the other card icons, I call preventDefault() on clicks so the card underneath doesn't
+ * navigate away while the user is picking a list.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - The movie object to add to a list
+ * @param {number} props.movie.id - The unique identifier of the movie
+ *
+ * @returns {React.ReactElement|null} A playlist icon button with its menu, or null when logged out
+ *
+ * @example
+ * import AddToListIcon from './components/cardIcons/addToList';
+ *
+ * <AddToListIcon movie={{ id: 550, title: "Fight Club" }} />
+ */
+const AddToListIcon = ({ movie }) => {
+  const { lists, addToList, removeFromList, createList } =
+    useContext(MoviesContext);
+  const { isAuthenticated } = useContext(AuthContext);
+
+  // I anchor the menu to the button; null means the menu is closed
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  // I show the new list dialog when the user picks "New list..."
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  if (!isAuthenticated) return null;
+
+  const handleOpenMenu = (e) => {
+    e.preventDefault();
+    setAnchorEl(e.currentTarget);
+  };
+
+  const handleCloseMenu = () => setAnchorEl(null);
+
+  /**
+   * Adds the movie to the list, or removes it if it's already there.
+   *
+   * @param {Object} list - The list that was clicked
+   * @param {boolean} contains - Whether the list already holds this movie
+   */
+  const handleToggle = (list, contains) => {
+    if (contains) {
+      removeFromList(list._id, movie);
+    } else {
+      addToList(list._id, movie);
+    }
+    handleCloseMenu();
+  };
+
+  const handleOpenDialog = () => {
+    handleCloseMenu();
+    setDialogOpen(true);
+  };
+
+  return (
+    <>
+      <Tooltip title="Add to list..." arrow placement="top">
+        <IconButton
+          aria-label="add to list"
+          aria-haspopup="menu"
+          onClick={handleOpenMenu}
+          sx={{
+            transition: "transform 0.2s ease-in-out",
+            "&:hover": {
+              transform: "scale(1.2)", // I match the hover animation of the other card icons
+            },
+          }}
+        >
+          <PlaylistAddIcon color="primary" fontSize="large" />
+        </IconButton>
+      </Tooltip>
+
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={handleCloseMenu}>
+        {lists.map((list) => {
+          const contains = list.items.some((item) => item.movieId === movie.id);
+          return (
+            <MenuItem key={list._id} onClick={() => handleToggle(list, contains)}>
+              <ListItemIcon>{contains && <CheckIcon fontSize="small" />}</ListItemIcon>
+              <ListItemText
+                primary={list.name}
+                secondary={list.visibility === "public" ? "Public" : null}
+              />
+            </MenuItem>
+          );
+        })}
+        {lists.length > 0 && <Divider />}
+        <MenuItem onClick={handleOpenDialog}>
+          <ListItemIcon>
+            <AddIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="New list..." />
+        </MenuItem>
+      </Menu>
+
+      {/* The new list is created with this movie already in it */}
+      <NewListDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        onCreate={(listData) => createList(listData, movie)}
+        helperText={`"${movie.title}" will be added to it`}
+      />
+    </>
+  );
+};
+
+export default AddToListIcon;
@@ -0,0 +1,93 @@
+import React, { useContext, useState } from "react";
+import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import VisibilityIcon from "@mui/icons-material/Visibility";
+import VisibilityOutlinedIcon from "@mui/icons-material/VisibilityOutlined";
+import { MoviesContext } from "../../contexts/moviesContext";
+import { AuthContext } from "../../contexts/authContext";
+import LogWatchDialog from "../logWatchDialog";
+
+/**
+ * LogWatchIcon Component
+ *
+ * This component renders an eye icon button that logs a viewing of the movie in the user's
+ * watch diary. It sits next to the other card icons (AddToFavorites, AddToMustWatch and
+ * friends) in a movie card's action area.
+ *
+ * Watched State:
+ * The eye is filled in once the movie has at least one diary entry, so users can see at a
+ * glance what they've already watched. Clicking it again logs another viewing, and the
+ * dialog then starts with "I've seen it before" ticked.
+ *
+ * Must-Watch:
+ * Logging a watch takes the movie off the must-watch list (the backend does this and the
+ * context stores the result), so a must-watch card disappears once it's been watched.
+ *
+ * Authentication:
+ * The diary only lives on the backend, so I render nothing for logged-out users.
+ *
+ * Event Handling Logic:
+ * Like the other card icons, I call preventDefault() on clicks so the card underneath doesn't
+ * navigate away while the dialog opens.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - The movie object to log
+ * @param {number} props.movie.id - The unique identifier of the movie
+ * @param {string} props.movie.title - The movie title (stored with the diary entry)
+ *
+ * @returns {React.ReactElement|null} An eye icon button with its dialog, or null when logged out
+ *
+ * @example
+ * import LogWatchIcon from './components/cardIcons/logWatch';
+ *
+ * <LogWatchIcon movie={{ id: 550, title: "Fight Club" }} />
+ */
+const LogWatchIcon = ({ movie }) => {
+  const { watched, logWatch } = useContext(MoviesContext);
+  const { isAuthenticated } = useContext(AuthContext);
+
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  if (!isAuthenticated) return null;
+
+  const isWatched = watched.includes(movie.id);
+
+  const handleOpen = (e) => {
+    e.preventDefault();
+    setDialogOpen(true);
+  };
+
+  return (
+    <>
+      <Tooltip title={isWatched ? "Watched - log again" : "Log watch"} arrow placement="top">
+        <IconButton
+          aria-label="log watch"
+          onClick={handleOpen}
+          sx={{
+            transition: "transform 0.2s ease-in-out",
+            "&:hover": {
+              transform: "scale(1.2)", // I match the hover animation of the other card icons
+            },
+          }}
+        >
+          {isWatched ? (
+            <VisibilityIcon color="primary" fontSize="large" />
+          ) : (
+            <VisibilityOutlinedIcon color="primary" fontSize="large" />
+          )}
+        </IconButton>
+      </Tooltip>
+
+      <LogWatchDialog
+        open={dialogOpen}
+        title={`Log "${movie.title}"`}
+        initialValues={{ rewatch: isWatched }}
+        onClose={() => setDialogOpen(false)}
+        onSave={(details) => logWatch(movie, details)}
+      />
+    </>
+  );
+};
+
+export default LogWatchIcon;
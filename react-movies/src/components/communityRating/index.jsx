@@ -0,0 +1,125 @@
+/**
+ * Community Rating Component
+ *
+ * Shows how this app's own users rate a movie: the average star rating, how many
+ * reviews it's based on, and a histogram of 5★ to 1★ ratings. It sits on the movie
+ * details page next to TMDB's rating, so users can compare the two.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Data Comes With the Reviews
+ *    - The backend includes communityRating in GET /api/movies/:id/reviews
+ *    - I request page 1 in the default sort order - the same query key MovieReviews
+ *      uses when the drawer opens, so React Query only fetches it once
+ *
+ * 2. Histogram Bars
+ *    - Each bar shows the share of reviews with that many stars
+ *    - I use LinearProgress because it's a ready-made, theme-aware horizontal bar
+ *
+ * 3. Quiet Empty and Error States
+ *    - This is a secondary section, so I show a one-line message instead of a large
+ *      error when there are no community reviews or the request fails
+ *
+ * @component
+ * @example
+ * <CommunityRating movie={movie} />
+ */
+
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import Box from "@mui/material/Box";
+import Paper from "@mui/material/Paper";
+import Typography from "@mui/material/Typography";
+import LinearProgress from "@mui/material/LinearProgress";
+import Skeleton from "@mui/material/Skeleton";
+import { getMovieReviews } from "../../api/tmdb-api";
+import { QUERY_KEYS } from "../../constants/queryKeys";
+import { DEFAULT_REVIEW_SORT } from "../../constants/reviews";
+
+// Star levels shown in the histogram, best first
+const STAR_LEVELS = [5, 4, 3, 2, 1];
+
+/**
+ * Renders the community rating summary for a movie.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.movie - Movie object with at least an id
+ * @returns {JSX.Element} Average rating and rating histogram
+ */
+const CommunityRating = ({ movie }) => {
+  const { data, isPending, isError } = useQuery({
+    queryKey: QUERY_KEYS.REVIEWS(movie.id, { sortBy: DEFAULT_REVIEW_SORT, page: 1 }),
+    queryFn: getMovieReviews,
+  });
+
+  if (isPending) {
+    return <Skeleton variant="rounded" height={120} />;
+  }
+
+  if (isError || !data.communityRating) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        Community ratings are unavailable right now.
+      </Typography>
+    );
+  }
+
+  const { average, count, histogram } = data.communityRating;
+
+  if (count === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No community reviews yet - be the first to rate this movie.
+      </Typography>
+    );
+  }
+
+  return (
+    <Paper elevation={0} sx={{ p: 2, bgcolor: "background.default" }}>
+      <Box sx={{ display: "flex", gap: 3, alignItems: "center", flexWrap: "wrap" }}>
+        {/* Average - I show the number large with the star string underneath */}
+        <Box sx={{ textAlign: "center", minWidth: 100 }}>
+          <Typography variant="h3" fontWeight={600}>
+            {average.toFixed(1)}
+          </Typography>
+          <Typography variant="body2" sx={{ color: "custom.rating" }}>
+            {"★".repeat(Math.round(average))}
+            {"☆".repeat(5 - Math.round(average))}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {count} review{count !== 1 ? "s" : ""}
+          </Typography>
+        </Box>
+
+        {/* Histogram - one bar per star level */}
+        <Box sx={{ flex: 1, minWidth: 200 }}>
+          {STAR_LEVELS.map((stars) => (
+            <Box
+              key={stars}
+              sx={{ display: "flex", alignItems: "center", gap: 1, mb: 0.5 }}
+            >
+              <Typography variant="caption" sx={{ width: 24 }}>
+                {stars}★
+              </Typography>
+              <LinearProgress
+                variant="determinate"
+                value={(histogram[stars] / count) * 100}
+                aria-label={`${histogram[stars]} reviews with ${stars} stars`}
+                sx={{ flex: 1, height: 8, borderRadius: 4 }}
+              />
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                sx={{ width: 24, textAlign: "right" }}
+              >
+                {histogram[stars]}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    </Paper>
+  );
+};
+
+export default CommunityRating;
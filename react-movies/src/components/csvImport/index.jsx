@@ -0,0 +1,267 @@
+/**
+ * CSV Import Component
+ *
+ * The "Import from Letterboxd / IMDb" button on My List. The user picks the CSV files
+ * those sites export (several at once is fine) and I send them to
+ * POST /api/users/import/csv: watchlists fill must-watch, high ratings fill favorites
+ * and Letterboxd reviews become reviews.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Preview First
+ *    - Picking files only runs a dry run; the dialog shows what would change and
+ *      which rows were skipped, and nothing is saved until the user presses Import
+ *
+ * 2. Matching By Hand
+ *    - Rows the backend couldn't find on TMDB are listed with a box for a TMDB ID or
+ *      movie link. "Check again" reruns the dry run with those matches, and Import
+ *      sends them too
+ *
+ * 3. Reload After Import
+ *    - Like the backup upload, I reload every list with loadUserLists afterwards
+ *
+ * @component
+ * @example
+ * <CsvImport />
+ */
+
+import React, { useContext, useRef, useState } from "react";
+import { AuthContext } from "../../contexts/authContext";
+import { MoviesContext } from "../../contexts/moviesContext";
+import { importCsv } from "../../api/backend-client";
+import { describeChanges } from "../../utils/imports";
+import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
+import Alert from "@mui/material/Alert";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogContentText from "@mui/material/DialogContentText";
+import DialogActions from "@mui/material/DialogActions";
+import TextField from "@mui/material/TextField";
+import MenuItem from "@mui/material/MenuItem";
+import Typography from "@mui/material/Typography";
+import CircularProgress from "@mui/material/CircularProgress";
+import MovieFilterIcon from "@mui/icons-material/MovieFilter";
+
+const FAVORITE_THRESHOLDS = [3, 3.5, 4, 4.5, 5];
+
+const SOURCE_NAMES = { letterboxd: "Letterboxd", imdb: "IMDb" };
+
+/**
+ * Reads a TMDB movie ID from what the user typed: the number itself or a themoviedb.org link.
+ *
+ * @param {string} value - e.g. "550" or "https://www.themoviedb.org/movie/550-fight-club"
+ * @returns {number|null} The ID, or null if there isn't one
+ */
+const parseMovieId = (value) => {
+  const match = value.match(/\/movie\/(\d+)/) || value.trim().match(/^(\d+)$/);
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Renders the import button and its preview dialog.
+ *
+ * @returns {JSX.Element} The button, a status message and the dialog
+ */
+const CsvImport = () => {
+  const { token } = useContext(AuthContext);
+  const { loadUserLists } = useContext(MoviesContext);
+  const fileInputRef = useRef(null);
+
+  const [message, setMessage] = useState(null);
+
+  // The chosen files, the options and the latest dry run
+  const [files, setFiles] = useState(null);
+  const [favoriteMinRating, setFavoriteMinRating] = useState(4.5);
+  const [matchInputs, setMatchInputs] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState("");
+  const [working, setWorking] = useState(false);
+
+  // Only boxes holding a valid ID are sent
+  const matches = Object.fromEntries(
+    Object.entries(matchInputs)
+      .map(([key, value]) => [key, parseMovieId(value)])
+      .filter(([, movieId]) => movieId !== null)
+  );
+
+  const runPreview = async (nextFiles, options) => {
+    setWorking(true);
+    setPreviewError("");
+    try {
+      setPreview(await importCsv(token, nextFiles, { ...options, dryRun: true }));
+    } catch (err) {
+      setPreview(null);
+      setPreviewError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFilesChosen = async (event) => {
+    const chosen = [...event.target.files];
+    // I clear the input so choosing the same files again still fires onChange
+    event.target.value = "";
+    if (chosen.length === 0) return;
+
+    setMessage(null);
+    const read = await Promise.all(chosen.map(async (file) => ({ name: file.name, content: await file.text() })));
+    setFiles(read);
+    setMatchInputs({});
+    setPreview(null);
+    await runPreview(read, { favoriteMinRating });
+  };
+
+  const handleThresholdChange = (event) => {
+    setFavoriteMinRating(event.target.value);
+    runPreview(files, { favoriteMinRating: event.target.value, matches });
+  };
+
+  const closeDialog = () => {
+    setFiles(null);
+    setPreview(null);
+    setPreviewError("");
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    try {
+      const result = await importCsv(token, files, { favoriteMinRating, matches });
+      await loadUserLists(token);
+      closeDialog();
+      setMessage({ severity: "success", text: `Import complete. ${describeChanges(result.changes).join(". ")}.` });
+    } catch (err) {
+      setPreviewError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // A movie can be unmatched in several files; one box covers them all
+  const unmatched = preview
+    ? [...new Map(preview.unmatched.map((row) => [row.key, row])).values()]
+    : [];
+
+  return (
+    <>
+      <Button variant="outlined" startIcon={<MovieFilterIcon />} onClick={() => fileInputRef.current?.click()}>
+        Import from Letterboxd / IMDb
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="text/csv,.csv"
+        multiple
+        hidden
+        onChange={handleFilesChosen}
+      />
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 1 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Dialog open={Boolean(files)} onClose={working ? undefined : closeDialog} fullWidth maxWidth="sm">
+        <DialogTitle>Import from Letterboxd / IMDb</DialogTitle>
+        <DialogContent>
+          <TextField
+            select
+            fullWidth
+            margin="dense"
+            label="Add to favorites when rated"
+            value={favoriteMinRating}
+            onChange={handleThresholdChange}
+            disabled={working}
+          >
+            {FAVORITE_THRESHOLDS.map((stars) => (
+              <MenuItem key={stars} value={stars}>
+                {stars === 5 ? "5 stars" : `${stars} stars or more`}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          {working && !preview && (
+            <Box sx={{ display: "flex", justifyContent: "center", my: 2 }}>
+              <CircularProgress size={28} />
+            </Box>
+          )}
+
+          {preview && (
+            <Box sx={{ mt: 1 }}>
+              <DialogContentText>
+                Read{" "}
+                {preview.files
+                  .map((file) => `${file.name} (${SOURCE_NAMES[file.source]} ${file.kind}, ${file.rows} rows)`)
+                  .join(", ")}
+                . This import will change:
+              </DialogContentText>
+              {describeChanges(preview.changes).map((line) => (
+                <Typography key={line} variant="body2">
+                  {line}
+                </Typography>
+              ))}
+
+              {preview.skipped.length > 0 && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  Skipped {preview.skipped.length} rows:{" "}
+                  {preview.skipped
+                    .slice(0, 5)
+                    .map((row) => `${row.title || `${row.file} line ${row.line}`} (${row.reason})`)
+                    .join("; ")}
+                  {preview.skipped.length > 5 && "; ..."}
+                </Typography>
+              )}
+
+              {unmatched.length > 0 && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2">
+                    Not found on TMDB ({unmatched.length}). Paste a TMDB movie ID or link to include them:
+                  </Typography>
+                  {unmatched.map((row) => (
+                    <TextField
+                      key={row.key}
+                      fullWidth
+                      size="small"
+                      margin="dense"
+                      label={row.year ? `${row.title} (${row.year})` : row.title || row.imdbId}
+                      value={matchInputs[row.key] || ""}
+                      onChange={(e) => setMatchInputs({ ...matchInputs, [row.key]: e.target.value })}
+                      error={Boolean(matchInputs[row.key]) && parseMovieId(matchInputs[row.key]) === null}
+                      disabled={working}
+                    />
+                  ))}
+                  <Button
+                    size="small"
+                    sx={{ mt: 1 }}
+                    onClick={() => runPreview(files, { favoriteMinRating, matches })}
+                    disabled={working || Object.keys(matches).length === 0}
+                  >
+                    Check again
+                  </Button>
+                </Box>
+              )}
+            </Box>
+          )}
+
+          {previewError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {previewError}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog} disabled={working}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={handleImport} disabled={working || !preview}>
+            Import
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default CsvImport;
@@ -0,0 +1,291 @@
+/**
+ * Custom List Section Component
+ *
+ * Renders one of the user's custom lists on My List: a header with the list's name,
+ * visibility and management actions, followed by its movies in list order.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Parent Fetches the Movies
+ *    - MyListPage fetches movie details for every list in one useQueries call and passes
+ *      them in as moviesById, so a movie that appears in several lists is fetched once
+ *    - This component only arranges what it's given
+ *
+ * 2. Ordered Items
+ *    - Items are shown in the list's own order (not sorted by popularity or date)
+ *    - Each card gets "move earlier" / "move later" buttons; I send the new position
+ *      to the backend, which owns the order
+ *
+ * 3. Per-Item Notes
+ *    - A note is shown under its movie card, and edited in a small dialog
+ *    - An empty note clears it
+ *
+ * 4. List Management
+ *    - Rename, public/private toggle and delete live in the section header
+ *    - Deleting asks for confirmation because it can't be undone
+ *
+ * @component
+ * @example
+ * <CustomListSection list={list} moviesById={moviesById} />
+ */
+
+import React, { useContext, useState } from "react";
+import Grid from "@mui/material/Grid";
+import Box from "@mui/material/Box";
+import Typography from "@mui/material/Typography";
+import Chip from "@mui/material/Chip";
+import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogContentText from "@mui/material/DialogContentText";
+import DialogActions from "@mui/material/DialogActions";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PublicIcon from "@mui/icons-material/Public";
+import LockIcon from "@mui/icons-material/Lock";
+import ArrowBackIcon from "@mui/icons-material/ArrowBack";
+import ArrowForwardIcon from "@mui/icons-material/ArrowForward";
+import NoteAltIcon from "@mui/icons-material/NoteAlt";
+import PlaylistRemoveIcon from "@mui/icons-material/PlaylistRemove";
+import MovieCard from "../movieCard";
+import { MoviesContext } from "../../contexts/moviesContext";
+
+/**
+ * Renders a custom list with its header actions and movie grid.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.list - The list ({ _id, name, description, visibility, items })
+ * @param {Object} props.moviesById - Movie details keyed by TMDB movie ID
+ * @returns {JSX.Element} The list section
+ */
+const CustomListSection = ({ list, moviesById }) => {
+  const { updateList, deleteList, removeFromList, updateListItem } =
+    useContext(MoviesContext);
+
+  // Which dialog is open: "rename", "delete", or { note: movieId } for a note edit
+  const [dialog, setDialog] = useState(null);
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+
+  const isPublic = list.visibility === "public";
+
+  const openRename = () => {
+    setText(list.name);
+    setError("");
+    setDialog("rename");
+  };
+
+  const openNote = (item) => {
+    setText(item.note || "");
+    setError("");
+    setDialog({ note: item.movieId });
+  };
+
+  const closeDialog = () => setDialog(null);
+
+  const handleRename = async () => {
+    if (!text.trim()) {
+      setError("Name is required");
+      return;
+    }
+    const saved = await updateList(list._id, { name: text.trim() });
+    if (saved) {
+      closeDialog();
+    } else {
+      setError("Couldn't rename the list - is the name already taken?");
+    }
+  };
+
+  const handleSaveNote = async () => {
+    await updateListItem(list._id, dialog.note, { note: text.trim() });
+    closeDialog();
+  };
+
+  const handleDelete = async () => {
+    closeDialog();
+    await deleteList(list._id);
+  };
+
+  return (
+    <Grid size={12} sx={{ p: { xs: 2, md: 2.5 } }}>
+      {/* Header - name, visibility and list actions */}
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2, flexWrap: "wrap" }}>
+        <Typography variant="h6" component="h2" fontWeight={600} sx={{ color: "white" }}>
+          🗂️ {list.name} ({list.items.length})
+        </Typography>
+        <Chip
+          size="small"
+          icon={isPublic ? <PublicIcon /> : <LockIcon />}
+          label={isPublic ? "Public" : "Private"}
+          sx={{ color: "white", "& .MuiChip-icon": { color: "white" } }}
+          variant="outlined"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Tooltip title={isPublic ? "Make private" : "Make public"}>
+          <IconButton
+            aria-label={isPublic ? "make list private" : "make list public"}
+            onClick={() =>
+              updateList(list._id, { visibility: isPublic ? "private" : "public" })
+            }
+            sx={{ color: "white" }}
+          >
+            {isPublic ? <LockIcon /> : <PublicIcon />}
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Rename list">
+          <IconButton aria-label="rename list" onClick={openRename} sx={{ color: "white" }}>
+            <EditIcon />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Delete list">
+          <IconButton
+            aria-label="delete list"
+            onClick={() => setDialog("delete")}
+            sx={{ color: "white", "&:hover": { color: "error.main" } }}
+          >
+            <DeleteIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {list.description && (
+        <Typography variant="body2" sx={{ mb: 2, color: "rgba(255, 255, 255, 0.7)" }}>
+          {list.description}
+        </Typography>
+      )}
+
+      {list.items.length === 0 ? (
+        <Typography variant="body2" sx={{ color: "rgba(255, 255, 255, 0.5)" }}>
+          This list is empty. Use the "Add to list..." button on any movie to fill it.
+        </Typography>
+      ) : (
+        <Grid container spacing={2}>
+          {list.items.map((item, index) => {
+            const movie = moviesById[item.movieId];
+            // I skip movies whose details failed to load rather than breaking the whole list
+            if (!movie) return null;
+
+            return (
+              <Grid key={item.movieId} size={{ xs: 12, sm: 6, md: 4, lg: 3 }}>
+                <MovieCard
+                  movie={movie}
+                  action={(movie) => (
+                    <>
+                      <Tooltip title="Move earlier">
+                        <span>
+                          <IconButton
+                            aria-label="move earlier in list"
+                            disabled={index === 0}
+                            onClick={() =>
+                              updateListItem(list._id, movie.id, { position: index - 1 })
+                            }
+                          >
+                            <ArrowBackIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Move later">
+                        <span>
+                          <IconButton
+                            aria-label="move later in list"
+                            disabled={index === list.items.length - 1}
+                            onClick={() =>
+                              updateListItem(list._id, movie.id, { position: index + 1 })
+                            }
+                          >
+                            <ArrowForwardIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Edit note">
+                        <IconButton aria-label="edit note" onClick={() => openNote(item)}>
+                          <NoteAltIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Remove from list">
+                        <IconButton
+                          aria-label="remove from list"
+                          onClick={() => removeFromList(list._id, movie)}
+                          sx={{ "&:hover": { color: "error.main" } }}
+                        >
+                          <PlaylistRemoveIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </>
+                  )}
+                />
+                {item.note && (
+                  <Typography
+                    variant="body2"
+                    sx={{ mt: 1, color: "rgba(255, 255, 255, 0.8)", fontStyle: "italic" }}
+                  >
+                    📝 {item.note}
+                  </Typography>
+                )}
+              </Grid>
+            );
+          })}
+        </Grid>
+      )}
+
+      {/* Rename and note dialogs share one text field */}
+      <Dialog
+        open={dialog === "rename" || Boolean(dialog?.note)}
+        onClose={closeDialog}
+        fullWidth
+        maxWidth="xs"
+      >
+        <DialogTitle>{dialog === "rename" ? "Rename list" : "Edit note"}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline={dialog !== "rename"}
+            minRows={dialog !== "rename" ? 3 : undefined}
+            margin="dense"
+            label={dialog === "rename" ? "List name" : "Note"}
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setError("");
+            }}
+            error={Boolean(error)}
+            helperText={error || " "}
+            inputProps={{ maxLength: dialog === "rename" ? 60 : 500 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={dialog === "rename" ? handleRename : handleSaveNote}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={dialog === "delete"} onClose={closeDialog}>
+        <DialogTitle>Delete list?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            "{list.name}" and its {list.items.length} movie
+            {list.items.length !== 1 ? "s" : ""} will be permanently deleted.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Grid>
+  );
+};
+
+export default CustomListSection;
@@ -0,0 +1,224 @@
+/**
+ * Data Backup Component
+ *
+ * The "Download my data" and "Upload backup" buttons on My List. Downloading saves the
+ * user's favorites, must-watch list and reviews as a JSON file (GET /api/users/export);
+ * uploading reads such a file back into the account (POST /api/users/import).
+ *
+ * Key Design Decisions:
+ *
+ * 1. Preview First
+ *    - Choosing a file only runs a dry run; I show what would be added, updated and
+ *      removed, and nothing is saved until the user confirms
+ *    - Switching between merge and replace runs the dry run again, so the preview
+ *      always matches what "Import" will do
+ *
+ * 2. Reload After Import
+ *    - An import can touch every list at once, so instead of patching MoviesContext
+ *      state I reload it all from the backend with loadUserLists
+ *
+ * @component
+ * @example
+ * <DataBackup />
+ */
+
+import React, { useContext, useRef, useState } from "react";
+import { AuthContext } from "../../contexts/authContext";
+import { MoviesContext } from "../../contexts/moviesContext";
+import { exportData, importData } from "../../api/backend-client";
+import { describeChanges } from "../../utils/imports";
+import { saveFile, fileDate } from "../../utils/files";
+import Box from "@mui/material/Box";
+import Button from "@mui/material/Button";
+import Alert from "@mui/material/Alert";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogContentText from "@mui/material/DialogContentText";
+import DialogActions from "@mui/material/DialogActions";
+import RadioGroup from "@mui/material/RadioGroup";
+import Radio from "@mui/material/Radio";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import Typography from "@mui/material/Typography";
+import CircularProgress from "@mui/material/CircularProgress";
+import DownloadIcon from "@mui/icons-material/Download";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+
+/**
+ * Renders the backup buttons and the import preview dialog.
+ *
+ * @returns {JSX.Element} The buttons, a status message and the dialog
+ */
+const DataBackup = () => {
+  const { token, user } = useContext(AuthContext);
+  const { loadUserLists } = useContext(MoviesContext);
+  const fileInputRef = useRef(null);
+
+  const [downloading, setDownloading] = useState(false);
+  // { severity, text } shown under the buttons
+  const [message, setMessage] = useState(null);
+
+  // The file being imported: its parsed bundle, the chosen mode and the dry run's result
+  const [bundle, setBundle] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState("");
+  const [working, setWorking] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setMessage(null);
+    try {
+      const data = await exportData(token);
+      saveFile(
+        new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+        `moodvy-${user?.username}-${fileDate()}.json`
+      );
+    } catch (err) {
+      setMessage({ severity: "error", text: err.message });
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const runPreview = async (nextBundle, nextMode) => {
+    setWorking(true);
+    setPreviewError("");
+    try {
+      setPreview(await importData(token, nextBundle, { mode: nextMode, dryRun: true }));
+    } catch (err) {
+      setPreview(null);
+      setPreviewError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleFileChosen = async (event) => {
+    const file = event.target.files[0];
+    // I clear the input so choosing the same file again still fires onChange
+    event.target.value = "";
+    if (!file) return;
+
+    setMessage(null);
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch {
+      setMessage({ severity: "error", text: `${file.name} is not a JSON file.` });
+      return;
+    }
+
+    setBundle(parsed);
+    setMode("merge");
+    setPreview(null);
+    await runPreview(parsed, "merge");
+  };
+
+  const handleModeChange = (event) => {
+    setMode(event.target.value);
+    runPreview(bundle, event.target.value);
+  };
+
+  const closeDialog = () => {
+    setBundle(null);
+    setPreview(null);
+    setPreviewError("");
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    try {
+      const changes = await importData(token, bundle, { mode });
+      await loadUserLists(token);
+      closeDialog();
+      setMessage({ severity: "success", text: `Import complete. ${describeChanges(changes).join(". ")}.` });
+    } catch (err) {
+      setPreviewError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <>
+      <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+        <Button variant="outlined" startIcon={<DownloadIcon />} onClick={handleDownload} disabled={downloading}>
+          Download my data
+        </Button>
+        <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={() => fileInputRef.current?.click()}>
+          Upload backup
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleFileChosen}
+        />
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} onClose={() => setMessage(null)} sx={{ mt: 1 }}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Dialog open={Boolean(bundle)} onClose={working ? undefined : closeDialog} fullWidth maxWidth="xs">
+        <DialogTitle>Import backup?</DialogTitle>
+        <DialogContent>
+          <RadioGroup value={mode} onChange={handleModeChange}>
+            <FormControlLabel
+              value="merge"
+              control={<Radio />}
+              label="Merge - add to what's in my account"
+              disabled={working}
+            />
+            <FormControlLabel
+              value="replace"
+              control={<Radio />}
+              label="Replace - make my account match the file"
+              disabled={working}
+            />
+          </RadioGroup>
+
+          {working && !preview && (
+            <Box sx={{ display: "flex", justifyContent: "center", my: 2 }}>
+              <CircularProgress size={28} />
+            </Box>
+          )}
+          {preview && (
+            <Box sx={{ mt: 1 }}>
+              <DialogContentText>This import will change:</DialogContentText>
+              {describeChanges(preview).map((line) => (
+                <Typography key={line} variant="body2">
+                  {line}
+                </Typography>
+              ))}
+            </Box>
+          )}
+          {previewError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {previewError}
+            </Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog} disabled={working}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            color={mode === "replace" ? "error" : "primary"}
+            onClick={handleImport}
+            disabled={working || !preview}
+          >
+            Import
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default DataBackup;
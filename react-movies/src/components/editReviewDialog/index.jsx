@@ -0,0 +1,196 @@
+/**
+ * Edit Review Dialog Component
+ *
+ * A modal dialog for editing one of the user's existing reviews from My List.
+ * It lets the user change the rating and the review text, and shows the review's
+ * earlier versions so they can see what they wrote before.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Dialog Instead of a Page
+ *    - Editing happens in place on My List, so the user doesn't lose their scroll position
+ *    - The dialog is controlled by the parent (open/onClose), which keeps track of
+ *      which review is being edited
+ *
+ * 2. Same Rules as the Review Form
+ *    - Ratings use the same 1-5 scale with star labels
+ *    - Review text is checked with the backend's own rule (shared from
+ *      movies-api/validation), so it can't pass here and fail on save
+ *
+ * 3. Revision History
+ *    - The backend keeps every previous version in review.revisions (oldest first)
+ *    - I list them newest first under a collapsible "History" toggle, so they stay out
+ *      of the way until the user asks for them
+ *
+ * @component
+ * @example
+ * <EditReviewDialog
+ *   review={reviewBeingEdited}
+ *   open={Boolean(reviewBeingEdited)}
+ *   onClose={() => setReviewBeingEdited(null)}
+ *   onSave={(changes) => updateReview(reviewBeingEdited._id, changes)}
+ * />
+ */
+
+import React, { useState } from "react";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogActions from "@mui/material/DialogActions";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import MenuItem from "@mui/material/MenuItem";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+import Collapse from "@mui/material/Collapse";
+import Divider from "@mui/material/Divider";
+import { checkField } from "@validation/validator";
+import { CREATE_REVIEW, REVIEW_MAX_LENGTH } from "@validation/schemas";
+
+/**
+ * Rating options, matching the review form's scale.
+ *
+ * @constant
+ * @type {Array<{value: number, label: string}>}
+ */
+const RATINGS = [
+  { value: 5, label: "Excellent ⭐⭐⭐⭐⭐" },
+  { value: 4, label: "Good ⭐⭐⭐⭐" },
+  { value: 3, label: "Average ⭐⭐⭐" },
+  { value: 2, label: "Poor ⭐⭐" },
+  { value: 1, label: "Terrible ⭐" },
+];
+
+// The same content rule the backend applies to a new review
+const CONTENT_RULE = CREATE_REVIEW.body.content;
+
+/**
+ * The editable fields, kept in a separate component so their state starts
+ * fresh from the review each time the dialog opens.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.review - The review being edited
+ * @param {Function} props.onClose - Closes the dialog without saving
+ * @param {Function} props.onSave - Called with { rating, content }
+ * @returns {JSX.Element} Dialog title, content and actions
+ */
+const EditReviewFields = ({ review, onClose, onSave }) => {
+  const [rating, setRating] = useState(review.rating);
+  const [content, setContent] = useState(review.content);
+  const [showHistory, setShowHistory] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const contentError = checkField(content, CONTENT_RULE).error || "";
+
+  // I list the newest revision first - the one the user most likely wants to see
+  const revisions = [...(review.revisions || [])].reverse();
+
+  const handleSave = async () => {
+    if (contentError) return;
+    setSaving(true);
+    await onSave({ rating, content: content.trim() });
+    setSaving(false);
+  };
+
+  return (
+    <>
+      <DialogTitle>✏️ Edit review of {review.movieTitle}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={3} sx={{ pt: 1 }}>
+          <TextField
+            select
+            fullWidth
+            label="Rating"
+            value={rating}
+            onChange={(e) => setRating(e.target.value)}
+          >
+            {RATINGS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          <TextField
+            fullWidth
+            multiline
+            minRows={6}
+            label="Review text"
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            error={Boolean(contentError)}
+            helperText={contentError || " "}
+            inputProps={{ maxLength: REVIEW_MAX_LENGTH }}
+          />
+
+          {revisions.length > 0 && (
+            <>
+              <Button
+                size="small"
+                onClick={() => setShowHistory((prev) => !prev)}
+                sx={{ alignSelf: "flex-start" }}
+              >
+                {showHistory ? "Hide" : "Show"} history ({revisions.length})
+              </Button>
+              <Collapse in={showHistory}>
+                <Stack spacing={1.5} divider={<Divider flexItem />}>
+                  {revisions.map((revision, index) => (
+                    <div key={revision._id || index}>
+                      <Typography variant="caption" color="text.secondary">
+                        📅 {new Date(revision.createdAt).toLocaleString()} •{" "}
+                        {"⭐".repeat(revision.rating)}
+                      </Typography>
+                      <Typography variant="body2" sx={{ whiteSpace: "pre-wrap" }}>
+                        {revision.content}
+                      </Typography>
+                    </div>
+                  ))}
+                </Stack>
+              </Collapse>
+            </>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || Boolean(contentError)}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </>
+  );
+};
+
+/**
+ * Renders the edit dialog for a review.
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.review - The review being edited, or null when closed
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @param {Function} props.onSave - Called with { rating, content } when the user saves
+ * @returns {JSX.Element} The edit dialog
+ */
+const EditReviewDialog = ({ review, open, onClose, onSave }) => {
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      {/* I key the fields by review so they reset when another review is opened */}
+      {review && (
+        <EditReviewFields
+          key={review._id}
+          review={review}
+          onClose={onClose}
+          onSave={onSave}
+        />
+      )}
+    </Dialog>
+  );
+};
+
+export default EditReviewDialog;
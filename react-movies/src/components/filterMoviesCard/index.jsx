@@ -19,6 +19,7 @@ import { QUERY_KEYS } from "../../constants/queryKeys";
 import { useNavigate } from "react-router";
 import { getSearchRoute } from "../../constants/routes";
 import SortMoviesDropdown from "../sortMoviesDropdown";
+import { DISCOVER_LANGUAGES, DISCOVER_RANGES } from "../../constants/discover";
 
 /**
  * FilterMoviesCard Component
@@ -52,6 +53,12 @@ import SortMoviesDropdown from "../sortMoviesDropdown";
  * This distinction is important because search is a broader query across all movies/actors,
  * while filters refine what's already displayed on the current page.
  *
+ * Server-Side Mode:
+ * When the serverSide prop is set (Discover page), I render the discover filters instead:
+ * multiple genres, a year range, rating and runtime ranges, minimum votes and original
+ * language. The parent turns each change into a new backend query, so these filters
+ * search all of TMDB rather than just the movies on screen.
+ *
  * Responsive Design:
  * I use Material-UI's responsive breakpoints to stack filter controls vertically on mobile
  * devices and display them horizontally on larger screens, ensuring usability across all
@@ -71,6 +78,10 @@ import SortMoviesDropdown from "../sortMoviesDropdown";
  * @param {Function} props.onUserInput - Callback function when any filter changes.
  *                                       Called with (type, value) where type is 'name',
  *                                       'genre', 'rating', 'year', or 'sort'
+ * @param {boolean} [props.serverSide] - Render the server-side discover filters instead
+ * @param {Object} [props.filters] - Discover filter state (see constants/discover.js),
+ *                                   required when serverSide is set. onUserInput is then
+ *                                   called with the filter key as type, e.g. ('yearTo', '1999')
  *
  * @returns {React.ReactElement} A Paper component containing search bar and filter controls
  *
@@ -89,6 +100,158 @@ import SortMoviesDropdown from "../sortMoviesDropdown";
  * />
  */
 
+/**
+ * Renders the server-side discover filter controls.
+ *
+ * I keep these in their own component because the Discover page offers more filters than
+ * the client-side pages, and each one maps directly onto a backend query parameter.
+ *
+ * @function DiscoverFilters
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.genres - Genres from TMDB (without the "All" option)
+ * @param {Object} props.filters - Current discover filter state
+ * @param {Function} props.onChange - Called with (filterKey, value)
+ * @returns {React.ReactElement} Two rows of discover filter controls
+ */
+function DiscoverFilters({ genres, filters, onChange }) {
+  const currentYear = new Date().getFullYear();
+
+  // I look up genre names so the multi-select can show them instead of IDs
+  const genreName = (id) => genres.find((genre) => genre.id === id)?.name || id;
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      <Box
+        sx={{
+          display: "flex",
+          flexDirection: { xs: "column", md: "row" },
+          gap: 2,
+          alignItems: { xs: "stretch", md: "center" },
+        }}
+      >
+        {/* Genres - I allow several genres; movies must match all of them */}
+        <FormControl sx={{ flex: 2, minWidth: 160 }} size="small">
+          <InputLabel id="discover-genres-label">Genres</InputLabel>
+          <Select
+            labelId="discover-genres-label"
+            id="discover-genres-select"
+            multiple
+            value={filters.genres}
+            onChange={(e) => onChange("genres", e.target.value)}
+            label="Genres"
+            renderValue={(selected) => selected.map(genreName).join(", ")}
+            inputProps={{ "aria-label": "Filter movies by genres" }}
+          >
+            {genres.map((genre) => (
+              <MenuItem key={genre.id} value={genre.id}>
+                {genre.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {/* Year Range - I use two inputs so users can pick a single year or a decade */}
+        <TextField
+          sx={{ flex: 1, minWidth: 110 }}
+          label="Year From"
+          type="number"
+          size="small"
+          value={filters.yearFrom}
+          onChange={(e) => onChange("yearFrom", e.target.value)}
+          inputProps={{ min: 1900, max: currentYear + 5, "aria-label": "Released from year" }}
+        />
+        <TextField
+          sx={{ flex: 1, minWidth: 110 }}
+          label="Year To"
+          type="number"
+          size="small"
+          value={filters.yearTo}
+          onChange={(e) => onChange("yearTo", e.target.value)}
+          inputProps={{ min: 1900, max: currentYear + 5, "aria-label": "Released up to year" }}
+        />
+
+        {/* Language - original language of the movie */}
+        <FormControl sx={{ flex: 1, minWidth: 120 }} size="small">
+          <InputLabel id="discover-language-label">Language</InputLabel>
+          <Select
+            labelId="discover-language-label"
+            id="discover-language-select"
+            value={filters.language}
+            onChange={(e) => onChange("language", e.target.value)}
+            label="Language"
+            inputProps={{ "aria-label": "Filter movies by original language" }}
+          >
+            {DISCOVER_LANGUAGES.map((language) => (
+              <MenuItem key={language.code} value={language.code}>
+                {language.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+
+        {/* Sort Dropdown - the parent maps the option to a TMDB sort order */}
+        <SortMoviesDropdown
+          sortOption={filters.sort}
+          onSortChange={(value) => onChange("sort", value)}
+        />
+      </Box>
+
+      <Box
+        sx={{
+          display: "flex",
+          flexDirection: { xs: "column", md: "row" },
+          gap: 2,
+          alignItems: { xs: "stretch", md: "center" },
+        }}
+      >
+        {/* Rating Range */}
+        <Box sx={{ flex: 1, minWidth: 220, px: 2 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: "block", mb: 0.5 }}>
+            Rating: {filters.rating[0]} - {filters.rating[1]}
+          </Typography>
+          <Slider
+            value={filters.rating}
+            onChange={(e, newValue) => onChange("rating", newValue)}
+            valueLabelDisplay="auto"
+            min={DISCOVER_RANGES.RATING[0]}
+            max={DISCOVER_RANGES.RATING[1]}
+            step={0.5}
+            aria-label="Rating range filter"
+          />
+        </Box>
+
+        {/* Runtime Range - the top of the slider means "no upper limit" */}
+        <Box sx={{ flex: 1, minWidth: 220, px: 2 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: "block", mb: 0.5 }}>
+            Runtime: {filters.runtime[0]} -{" "}
+            {filters.runtime[1] >= DISCOVER_RANGES.RUNTIME[1] ? "any" : filters.runtime[1]} min
+          </Typography>
+          <Slider
+            value={filters.runtime}
+            onChange={(e, newValue) => onChange("runtime", newValue)}
+            valueLabelDisplay="auto"
+            min={DISCOVER_RANGES.RUNTIME[0]}
+            max={DISCOVER_RANGES.RUNTIME[1]}
+            step={10}
+            aria-label="Runtime range filter"
+          />
+        </Box>
+
+        {/* Minimum Votes - hides obscure movies with a handful of perfect ratings */}
+        <TextField
+          sx={{ flex: 1, minWidth: 120 }}
+          label="Min Votes"
+          type="number"
+          size="small"
+          value={filters.minVotes}
+          onChange={(e) => onChange("minVotes", e.target.value)}
+          inputProps={{ min: 0, "aria-label": "Minimum number of votes" }}
+        />
+      </Box>
+    </Box>
+  );
+}
+
 /**
  * Renders a comprehensive movie filtering and search interface.
  *
@@ -255,111 +418,122 @@ export default function FilterMoviesCard(props) {
         </Button>
       </Box>
 
-      {/* Filter Controls Row - I group all filters together for easy access */}
-      <Box
-        sx={{
-          display: "flex",
-          flexDirection: { xs: "column", md: "row" }, // I stack on mobile, horizontal on desktop
-          gap: 2,
-          alignItems: { xs: "stretch", md: "center" },
-        }}
-      >
-        {/* Title Filter - I let users filter by movie title as they type */}
-        <TextField
-          sx={{ flex: 1 }}
-          id="filter-movies"
-          label="Filter by title"
-          type="search"
-          size="small"
-          value={props.titleFilter}
-          onChange={handleTextChange}
-          inputProps={{
-            "aria-label": "Filter movies by title",
-          }}
+      {/* Discover Filters - server-side filters for the Discover page */}
+      {props.serverSide && (
+        <DiscoverFilters
+          genres={genres.filter((genre) => genre.name !== "All")}
+          filters={props.filters}
+          onChange={props.onUserInput}
         />
+      )}
 
-        {/* Genre Filter - I provide a dropdown of all available genres */}
-        <FormControl sx={{ flex: 1, minWidth: 120 }} size="small">
-          <InputLabel id="genre-label">Genre</InputLabel>
-          <Select
-            labelId="genre-label"
-            id="genre-select"
-            value={props.genreFilter}
-            onChange={handleGenreChange}
-            label="Genre"
+      {/* Filter Controls Row - I group all filters together for easy access */}
+      {!props.serverSide && (
+        <Box
+          sx={{
+            display: "flex",
+            flexDirection: { xs: "column", md: "row" }, // I stack on mobile, horizontal on desktop
+            gap: 2,
+            alignItems: { xs: "stretch", md: "center" },
+          }}
+        >
+          {/* Title Filter - I let users filter by movie title as they type */}
+          <TextField
+            sx={{ flex: 1 }}
+            id="filter-movies"
+            label="Filter by title"
+            type="search"
+            size="small"
+            value={props.titleFilter}
+            onChange={handleTextChange}
             inputProps={{
-              "aria-label": "Filter movies by genre",
+              "aria-label": "Filter movies by title",
             }}
-          >
-            {genres.map((genre) => (
-              <MenuItem key={genre.id} value={genre.id}>
-                {genre.name}
-              </MenuItem>
-            ))}
-          </Select>
-        </FormControl>
+          />
 
-        {/* Rating Filter - I use a slider for intuitive range selection */}
-        <Box sx={{ flex: 1, minWidth: 220, px: 2 }}>
-          <Typography
-            variant="caption"
-            color="text.secondary"
-            gutterBottom
-            sx={{ display: "block", mb: 0.5 }}
-          >
-            Rating:{" "}
-            {props.ratingFilter
-              ? `${props.ratingFilter[0]} - ${props.ratingFilter[1]}`
-              : "0 - 10"}
-          </Typography>
-          <Slider
-            value={props.ratingFilter || [0, 10]}
-            onChange={(e, newValue) => handleChange(e, "rating", newValue)}
-            valueLabelDisplay="auto"
-            min={0}
-            max={10}
-            step={0.5}
-            marks={[
-              { value: 0, label: "0" },
-              { value: 5, label: "5" },
-              { value: 10, label: "10" },
-            ]}
-            aria-label="Rating range filter"
-            sx={{
-              mt: 1,
-              "& .MuiSlider-thumb": {
-                width: 20,
-                height: 20,
-              },
-              "& .MuiSlider-mark": {
-                height: 8,
-              },
+          {/* Genre Filter - I provide a dropdown of all available genres */}
+          <FormControl sx={{ flex: 1, minWidth: 120 }} size="small">
+            <InputLabel id="genre-label">Genre</InputLabel>
+            <Select
+              labelId="genre-label"
+              id="genre-select"
+              value={props.genreFilter}
+              onChange={handleGenreChange}
+              label="Genre"
+              inputProps={{
+                "aria-label": "Filter movies by genre",
+              }}
+            >
+              {genres.map((genre) => (
+                <MenuItem key={genre.id} value={genre.id}>
+                  {genre.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          {/* Rating Filter - I use a slider for intuitive range selection */}
+          <Box sx={{ flex: 1, minWidth: 220, px: 2 }}>
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              gutterBottom
+              sx={{ display: "block", mb: 0.5 }}
+            >
+              Rating:{" "}
+              {props.ratingFilter
+                ? `${props.ratingFilter[0]} - ${props.ratingFilter[1]}`
+                : "0 - 10"}
+            </Typography>
+            <Slider
+              value={props.ratingFilter || [0, 10]}
+              onChange={(e, newValue) => handleChange(e, "rating", newValue)}
+              valueLabelDisplay="auto"
+              min={0}
+              max={10}
+              step={0.5}
+              marks={[
+                { value: 0, label: "0" },
+                { value: 5, label: "5" },
+                { value: 10, label: "10" },
+              ]}
+              aria-label="Rating range filter"
+              sx={{
+                mt: 1,
+                "& .MuiSlider-thumb": {
+                  width: 20,
+                  height: 20,
+                },
+                "& .MuiSlider-mark": {
+                  height: 8,
+                },
+              }}
+            />
+          </Box>
+
+          {/* Year Filter - I allow filtering from a specific year to present */}
+          <TextField
+            sx={{ flex: 1, minWidth: 120 }}
+            label="Year From"
+            type="number"
+            size="small"
+            value={props.yearFilter || ""}
+            onChange={(e) => handleChange(e, "year", e.target.value)}
+            placeholder={new Date().getFullYear().toString()}
+            inputProps={{
+              min: 1900,
+              max: new Date().getFullYear(),
+              "aria-label": "Filter movies from this year to present",
             }}
           />
-        </Box>
-
-        {/* Year Filter - I allow filtering from a specific year to present */}
-        <TextField
-          sx={{ flex: 1, minWidth: 120 }}
-          label="Year From"
-          type="number"
-          size="small"
-          value={props.yearFilter || ""}
-          onChange={(e) => handleChange(e, "year", e.target.value)}
-          placeholder={new Date().getFullYear().toString()}
-          inputProps={{
-            min: 1900,
-            max: new Date().getFullYear(),
-            "aria-label": "Filter movies from this year to present",
-          }}
-        />
 
-        {/* Sort Dropdown - I delegate sorting UI to a specialized component */}
-        <SortMoviesDropdown
-          sortOption={props.sortOption}
-          onSortChange={handleSortChange}
-        />
-      </Box>
+          {/* Sort Dropdown - I delegate sorting UI to a specialized component */}
+          <SortMoviesDropdown
+            sortOption={props.sortOption}
+            onSortChange={handleSortChange}
+          />
+        </Box>
+      )}
     </Paper>
   );
 }
@@ -0,0 +1,101 @@
+/**
+ * List Export Menu Component
+ *
+ * The "Export lists" button on My List. Its menu downloads the user's lists from
+ * GET /api/users/lists/export, each movie filled in with title, year, IMDb ID, runtime
+ * and genres:
+ * - CSV or JSON of every list, custom lists included
+ * - A Letterboxd CSV of favorites, reviews and custom lists (ratings, reviews and list
+ *   names as tags), for Letterboxd's "Import films"
+ * - A Letterboxd CSV of the must-watch list, for importing into the Letterboxd watchlist
+ *
+ * I name the file myself: the backend's Content-Disposition header isn't readable
+ * from a cross-origin fetch.
+ *
+ * @component
+ * @example
+ * <ListExportMenu />
+ */
+
+import React, { useContext, useState } from "react";
+import { AuthContext } from "../../contexts/authContext";
+import { exportLists } from "../../api/backend-client";
+import { saveFile, fileDate } from "../../utils/files";
+import Button from "@mui/material/Button";
+import Menu from "@mui/material/Menu";
+import MenuItem from "@mui/material/MenuItem";
+import ListItemText from "@mui/material/ListItemText";
+import Alert from "@mui/material/Alert";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+
+const EXPORTS = [
+  { format: "csv", list: "all", label: "CSV", hint: "Every list, one row per movie" },
+  { format: "json", list: "all", label: "JSON", hint: "Every list with full movie details" },
+  { format: "letterboxd", list: "all", label: "Letterboxd: films", hint: "Ratings, reviews and lists as tags" },
+  { format: "letterboxd", list: "mustWatch", label: "Letterboxd: watchlist", hint: "Your must-watch list" },
+];
+
+/**
+ * Builds the download's file name, e.g. "moodvy-mustWatch-letterboxd-2025-03-14.csv".
+ *
+ * @param {{ format: string, list: string }} option - The chosen export
+ * @returns {string} The file name
+ */
+const exportFilename = ({ format, list }) => {
+  const flavour = format === "letterboxd" ? "-letterboxd" : "";
+  const extension = format === "json" ? "json" : "csv";
+  return `moodvy-${list}${flavour}-${fileDate()}.${extension}`;
+};
+
+/**
+ * Renders the export button and its menu.
+ *
+ * @returns {JSX.Element} The button, its menu and an error message if an export failed
+ */
+const ListExportMenu = () => {
+  const { token } = useContext(AuthContext);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleExport = async (option) => {
+    setAnchorEl(null);
+    setExporting(true);
+    setError("");
+    try {
+      saveFile(await exportLists(token, option), exportFilename(option));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        startIcon={<FileDownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        disabled={exporting}
+      >
+        {exporting ? "Exporting..." : "Export lists"}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {EXPORTS.map((option) => (
+          <MenuItem key={`${option.format}-${option.list}`} onClick={() => handleExport(option)}>
+            <ListItemText primary={option.label} secondary={option.hint} />
+          </MenuItem>
+        ))}
+      </Menu>
+
+      {error && (
+        <Alert severity="error" onClose={() => setError("")} sx={{ mt: 1 }}>
+          {error}
+        </Alert>
+      )}
+    </>
+  );
+};
+
+export default ListExportMenu;
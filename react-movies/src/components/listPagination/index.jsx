@@ -0,0 +1,57 @@
+/**
+ * List Pagination Component
+ *
+ * Page controls shown under paged movie and people lists. The backend returns
+ * { results, page, totalPages, totalResults } for every list route, and this
+ * component turns page and totalPages into Material-UI Pagination buttons.
+ *
+ * Features:
+ * - Hidden when there is only one page
+ * - Scrolls back to the top of the page after a page change
+ * - Styled to stay readable on the dark winter background
+ *
+ * @component
+ * @example
+ * <ListPagination page={page} totalPages={totalPages} onPageChange={setPage} />
+ */
+
+import React from "react";
+import Box from "@mui/material/Box";
+import Pagination from "@mui/material/Pagination";
+
+/**
+ * Renders page controls for a paged list.
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.page - Current page (1-based)
+ * @param {number} props.totalPages - Total number of pages available
+ * @param {Function} props.onPageChange - Called with the new page number
+ * @returns {JSX.Element|null} Pagination controls, or null for single-page lists
+ */
+const ListPagination = ({ page, totalPages, onPageChange }) => {
+  if (!totalPages || totalPages <= 1) return null;
+
+  // I scroll to the top so the user starts reading the new page from the first card
+  const handleChange = (event, value) => {
+    onPageChange(value);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  return (
+    <Box sx={{ display: "flex", justifyContent: "center", width: "100%", py: 3 }}>
+      <Pagination
+        count={totalPages}
+        page={page}
+        onChange={handleChange}
+        color="primary"
+        shape="rounded"
+        siblingCount={1}
+        sx={{
+          "& .MuiPaginationItem-root": { color: "rgba(255, 255, 255, 0.85)" },
+        }}
+      />
+    </Box>
+  );
+};
+
+export default ListPagination;
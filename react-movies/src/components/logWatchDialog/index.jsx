@@ -0,0 +1,158 @@
+/**
+ * Log Watch Dialog Component
+ *
+ * A small dialog that records a viewing in the watch diary: the day it was watched,
+ * an optional rating and whether it was a rewatch. Used by the "Log watch" card icon
+ * and for editing entries on the diary page.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Sensible Defaults
+ *    - The date starts at today (in the user's time zone, not UTC)
+ *    - Rewatch starts ticked when the movie is already in the diary
+ *    - The rating is optional, so "No rating" is the first choice
+ *
+ * 2. Errors Stay in the Dialog
+ *    - Like the new list dialog, I keep the dialog open and show the error if saving
+ *      fails, so the user can fix the date without starting again
+ *
+ * @component
+ * @example
+ * <LogWatchDialog
+ *   open={open}
+ *   title={`Log "${movie.title}"`}
+ *   initialValues={{ rewatch: watched.includes(movie.id) }}
+ *   onClose={() => setOpen(false)}
+ *   onSave={(details) => logWatch(movie, details)}
+ * />
+ */
+
+import React, { useState } from "react";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogActions from "@mui/material/DialogActions";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import MenuItem from "@mui/material/MenuItem";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import Checkbox from "@mui/material/Checkbox";
+import { toDayString } from "../../utils/date";
+
+/**
+ * Rating options, matching the review form's scale. An empty value means no rating.
+ *
+ * @constant
+ * @type {Array<{value: number|string, label: string}>}
+ */
+const RATINGS = [
+  { value: "", label: "No rating" },
+  { value: 5, label: "Excellent ⭐⭐⭐⭐⭐" },
+  { value: 4, label: "Good ⭐⭐⭐⭐" },
+  { value: 3, label: "Average ⭐⭐⭐" },
+  { value: 2, label: "Poor ⭐⭐" },
+  { value: 1, label: "Terrible ⭐" },
+];
+
+/**
+ * The dialog's form, kept separate so its state starts fresh every time the dialog opens.
+ */
+const LogWatchForm = ({ title, initialValues, onClose, onSave }) => {
+  const today = toDayString(new Date());
+  const [watchedOn, setWatchedOn] = useState(initialValues.watchedOn || today);
+  const [rating, setRating] = useState(initialValues.rating ?? "");
+  const [rewatch, setRewatch] = useState(Boolean(initialValues.rewatch));
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!watchedOn) {
+      setError("Pick the day you watched it");
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave({ watchedOn, rating: rating === "" ? null : rating, rewatch });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <TextField
+          fullWidth
+          margin="dense"
+          type="date"
+          label="Watched on"
+          value={watchedOn}
+          onChange={(e) => {
+            setWatchedOn(e.target.value);
+            setError("");
+          }}
+          error={Boolean(error)}
+          helperText={error || " "}
+          slotProps={{ inputLabel: { shrink: true }, htmlInput: { max: today } }}
+        />
+        <TextField
+          select
+          fullWidth
+          margin="dense"
+          label="Rating"
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+        >
+          {RATINGS.map((option) => (
+            <MenuItem key={option.label} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={<Checkbox checked={rewatch} onChange={(e) => setRewatch(e.target.checked)} />}
+          label="I've seen it before"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </>
+  );
+};
+
+/**
+ * Renders the log watch dialog.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {string} props.title - Dialog title
+ * @param {Object} [props.initialValues] - Starting { watchedOn, rating, rewatch }
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @param {Function} props.onSave - Called with { watchedOn, rating, rewatch }; may throw to show an error
+ * @returns {JSX.Element} The dialog
+ */
+const LogWatchDialog = ({ open, title, initialValues = {}, onClose, onSave }) => {
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      {open && (
+        <LogWatchForm
+          title={title}
+          initialValues={initialValues}
+          onClose={onClose}
+          onSave={onSave}
+        />
+      )}
+    </Dialog>
+  );
+};
+
+export default LogWatchDialog;
@@ -14,6 +14,7 @@ import Typography from "@mui/material/Typography";
 import Drawer from "@mui/material/Drawer";
 import Divider from "@mui/material/Divider";
 import MovieReviews from "../movieReviews";
+import CommunityRating from "../communityRating";
 import { useMovieCredits } from "../../hooks/useMovieCredits";
 import { useMovieRecommendations } from "../../hooks/useMovieRecommendations";
 import { useMovieSimilar } from "../../hooks/useMovieSimilar";
@@ -41,8 +42,9 @@ import { sortMoviesByPopularity } from "../../utils/movie";
  * 2. Cast - Key actors and their roles (highly relevant for decision-making)
  * 3. Genres & Countries - Classification and origin information
  * 4. Details - Technical specifications (runtime, revenue, ratings, release date)
- * 5. Recommendations & Similar - Discovery features for continued browsing
- * 6. Reviews - Community feedback (accessible via FAB)
+ * 5. Community Rating - How this app's users rate the movie (average and histogram)
+ * 6. Recommendations & Similar - Discovery features for continued browsing
+ * 7. Reviews - TMDB and community reviews together (accessible via FAB)
  *
  * Data Loading Pattern:
  * I use custom hooks (useMovieCredits, useMovieRecommendations, useMovieSimilar) to fetch
@@ -292,6 +294,14 @@ const MovieDetails = ({ movie }) => {
         </Paper>
       </Box>
 
+      {/* Community Rating - I show our own users' ratings right after TMDB's for comparison */}
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" fontWeight={600} gutterBottom>
+          👥 Community Rating
+        </Typography>
+        <CommunityRating movie={movie} />
+      </Box>
+
       <Divider sx={{ my: 3 }} />
 
       {/* Recommendations Section - I show TMDB's algorithmic recommendations */}
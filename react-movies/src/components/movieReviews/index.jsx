@@ -42,8 +42,19 @@
  *    - This allows the review detail page to have all the context it needs
  *    - I use the getReviewRoute helper to ensure consistent URL structure
  *
+ * 8. TMDB and Community Reviews Together
+ *    - The backend merges TMDB reviews with reviews written by our own users
+ *    - I tag each row with a "TMDB" or "Community" chip so users know where it came from
+ *    - Ratings from both sources arrive on a 10-point scale, so one column fits both
+ *
+ * 9. Sorting and Paging
+ *    - A dropdown sorts by date or rating; the backend sorts the merged list
+ *    - Sort and page are part of the query key, and I keep the previous page on
+ *      screen while the next one loads so the table doesn't flash
+ *    - Changing the sort order goes back to page 1
+ *
  * Data Flow:
- * - Uses React Query to fetch reviews from TMDB API
+ * - Uses React Query to fetch merged reviews from the backend
  * - Handles three states: pending (loading), error, and success
  * - Displays review count in the header for quick reference
  *
@@ -53,7 +64,8 @@
  * <MovieReviews movie={movieObject} />
  */
 
-import { useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
 import Table from "@mui/material/Table";
 import TableBody from "@mui/material/TableBody";
 import TableCell from "@mui/material/TableCell";
@@ -66,12 +78,20 @@ import Skeleton from "@mui/material/Skeleton";
 import Typography from "@mui/material/Typography";
 import Button from "@mui/material/Button";
 import Chip from "@mui/material/Chip";
+import TextField from "@mui/material/TextField";
+import MenuItem from "@mui/material/MenuItem";
 import RateReviewIcon from "@mui/icons-material/RateReview";
 import { Link } from "react-router";
 import { getMovieReviews } from "../../api/tmdb-api";
 import { excerpt } from "../../utils/string";
 import { QUERY_KEYS } from "../../constants/queryKeys";
 import { getReviewRoute } from "../../constants/routes";
+import {
+  DEFAULT_REVIEW_SORT,
+  REVIEW_SORT_OPTIONS,
+  REVIEW_SOURCE_LABELS,
+} from "../../constants/reviews";
+import ListPagination from "../listPagination";
 
 /**
  * Renders a comprehensive table of movie reviews with loading and empty states.
@@ -87,14 +107,24 @@ import { getReviewRoute } from "../../constants/routes";
  * @returns {JSX.Element} A reviews table with header, or loading/error/empty state
  */
 export default function MovieReviews({ movie }) {
-  // I use React Query to fetch the movie reviews from TMDB API
-  // The query key includes the movie ID so reviews are cached separately per movie
+  // I keep the sort order and page locally - they only matter inside this table
+  const [sortBy, setSortBy] = useState(DEFAULT_REVIEW_SORT);
+  const [page, setPage] = useState(1);
+
+  // I use React Query to fetch the merged TMDB and community reviews
+  // The query key includes the movie ID, sort order and page so each is cached separately
   // React Query automatically handles loading, error, and success states
   const { data, error, isPending, isError } = useQuery({
-    queryKey: QUERY_KEYS.REVIEWS(movie.id),
+    queryKey: QUERY_KEYS.REVIEWS(movie.id, { sortBy, page }),
     queryFn: getMovieReviews,
+    placeholderData: keepPreviousData,
   });
 
+  const handleSortChange = (event) => {
+    setSortBy(event.target.value);
+    setPage(1);
+  };
+
   // While loading, I show a skeleton UI that mirrors the final table structure
   // This gives users a preview of what's coming and maintains layout stability
   if (isPending) {
@@ -164,6 +194,7 @@ export default function MovieReviews({ movie }) {
 
   // I extract the reviews array from the data object for easier reference
   const reviews = data.results;
+  const totalReviews = data.totalResults ?? reviews.length;
 
   return (
     <Box sx={{ p: 3 }}>
@@ -171,16 +202,33 @@ export default function MovieReviews({ movie }) {
       <Box sx={{ mb: 3, display: "flex", alignItems: "center", gap: 2 }}>
         {/* I use the RateReview icon to visually represent reviews */}
         <RateReviewIcon color="primary" sx={{ fontSize: 32 }} />
-        <Box>
+        <Box sx={{ flex: 1 }}>
           <Typography variant="h5" fontWeight={600}>
             Reviews
           </Typography>
           {/* I display the review count with proper pluralization for grammatical correctness */}
           <Typography variant="body2" color="text.secondary">
-            {reviews.length} review{reviews.length !== 1 ? "s" : ""} for{" "}
+            {totalReviews} review{totalReviews !== 1 ? "s" : ""} for{" "}
             {movie.title}
           </Typography>
         </Box>
+        {/* Sort order - the backend sorts the merged list, so this covers every page */}
+        {totalReviews > 1 && (
+          <TextField
+            select
+            size="small"
+            label="Sort by"
+            value={sortBy}
+            onChange={handleSortChange}
+            sx={{ minWidth: 160 }}
+          >
+            {REVIEW_SORT_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
       </Box>
 
       {/* I check if there are no reviews and show a friendly empty state message */}
@@ -202,6 +250,7 @@ export default function MovieReviews({ movie }) {
               <TableRow>
                 {/* I make header cells bold to distinguish them from data cells */}
                 <TableCell sx={{ fontWeight: 600 }}>Author</TableCell>
+                <TableCell sx={{ fontWeight: 600 }}>Rating</TableCell>
                 <TableCell sx={{ fontWeight: 600 }}>Excerpt</TableCell>
                 <TableCell align="right" sx={{ fontWeight: 600 }}>
                   Action
@@ -229,6 +278,19 @@ export default function MovieReviews({ movie }) {
                       variant="outlined"
                       color="primary"
                     />
+                    {/* I tag the source underneath so community reviews are easy to spot */}
+                    <Chip
+                      label={REVIEW_SOURCE_LABELS[r.source] || r.source}
+                      size="small"
+                      color={r.source === "local" ? "secondary" : "default"}
+                      sx={{ display: "flex", width: "fit-content", mt: 0.5 }}
+                    />
+                  </TableCell>
+                  {/* Rating cell - both sources use a 10-point scale */}
+                  <TableCell>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {r.rating !== null && r.rating !== undefined ? `★ ${r.rating}/10` : "—"}
+                    </Typography>
                   </TableCell>
                   {/* Excerpt cell with truncated review content */}
                   <TableCell>
@@ -263,6 +325,12 @@ export default function MovieReviews({ movie }) {
           </Table>
         </TableContainer>
       )}
+
+      <ListPagination
+        page={page}
+        totalPages={data.totalPages}
+        onPageChange={setPage}
+      />
     </Box>
   );
 }
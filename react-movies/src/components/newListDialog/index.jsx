@@ -0,0 +1,108 @@
+/**
+ * New List Dialog Component
+ *
+ * A small dialog that asks for a list name and visibility. Used by the "Add to list..."
+ * card menu and by the "New list" button on My List.
+ *
+ * I keep the dialog open and show the error if creating fails (e.g. the user already has
+ * a list with that name), so the user can fix the name without starting again.
+ *
+ * @component
+ * @example
+ * <NewListDialog
+ *   open={open}
+ *   onClose={() => setOpen(false)}
+ *   onCreate={(listData) => createList(listData)}
+ * />
+ */
+
+import React, { useState } from "react";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogActions from "@mui/material/DialogActions";
+import Button from "@mui/material/Button";
+import TextField from "@mui/material/TextField";
+import FormControlLabel from "@mui/material/FormControlLabel";
+import Switch from "@mui/material/Switch";
+
+/**
+ * The dialog's form, kept separate so its state starts fresh every time the dialog opens.
+ */
+const NewListForm = ({ onClose, onCreate, helperText }) => {
+  const [name, setName] = useState("");
+  const [isPublic, setIsPublic] = useState(false);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleCreate = async () => {
+    if (!name.trim()) {
+      setError("Name is required");
+      return;
+    }
+    setSaving(true);
+    try {
+      await onCreate({ name: name.trim(), visibility: isPublic ? "public" : "private" });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <DialogTitle>New list</DialogTitle>
+      <DialogContent>
+        <TextField
+          autoFocus
+          fullWidth
+          margin="dense"
+          label="List name"
+          value={name}
+          onChange={(e) => {
+            setName(e.target.value);
+            setError("");
+          }}
+          error={Boolean(error)}
+          helperText={error || helperText || " "}
+          inputProps={{ maxLength: 60 }}
+        />
+        <FormControlLabel
+          control={
+            <Switch checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+          }
+          label="Public - other people can view it"
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button variant="contained" onClick={handleCreate} disabled={saving}>
+          Create
+        </Button>
+      </DialogActions>
+    </>
+  );
+};
+
+/**
+ * Renders the new list dialog.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onClose - Called when the dialog should close
+ * @param {Function} props.onCreate - Called with { name, visibility }; may throw to show an error
+ * @param {string} [props.helperText] - Hint shown under the name field
+ * @returns {JSX.Element} The dialog
+ */
+const NewListDialog = ({ open, onClose, onCreate, helperText }) => {
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      {open && <NewListForm onClose={onClose} onCreate={onCreate} helperText={helperText} />}
+    </Dialog>
+  );
+};
+
+export default NewListDialog;
@@ -0,0 +1,185 @@
+/**
+ * Notification Menu Component
+ *
+ * The bell in the site header. Its badge counts unread notifications, and its menu lists
+ * the latest ones - for now, release news about must-watch movies, which the backend's
+ * release watcher creates when a movie opens in cinemas or gets a digital release date.
+ *
+ * Key Design Decisions:
+ *
+ * 1. Polling
+ *    - Notifications are created in the background, so I refetch every few minutes
+ *      (and whenever the window regains focus, React Query's default)
+ *
+ * 2. Reading
+ *    - Clicking a notification marks it read and opens the movie's details page
+ *    - "Mark all as read" clears the badge without leaving the page
+ *    - I put the backend's answers straight into the query cache, so the badge updates
+ *      without another request
+ *
+ * @component
+ * @example
+ * {isAuthenticated && <NotificationMenu />}
+ */
+
+import React, { useContext, useState } from "react";
+import { useNavigate } from "react-router";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { AuthContext } from "../../contexts/authContext";
+import { getNotifications, markNotificationRead, markAllNotificationsRead } from "../../api/backend-client";
+import { QUERY_KEYS } from "../../constants/queryKeys";
+import { getMovieRoute } from "../../constants/routes";
+import { getMoviePosterUrl } from "../../utils/movie";
+import { formatDay, toDayString } from "../../utils/date";
+import IconButton from "@mui/material/IconButton";
+import Badge from "@mui/material/Badge";
+import Menu from "@mui/material/Menu";
+import MenuItem from "@mui/material/MenuItem";
+import ListItemAvatar from "@mui/material/ListItemAvatar";
+import ListItemText from "@mui/material/ListItemText";
+import Avatar from "@mui/material/Avatar";
+import Box from "@mui/material/Box";
+import Typography from "@mui/material/Typography";
+import Button from "@mui/material/Button";
+import Divider from "@mui/material/Divider";
+import NotificationsIcon from "@mui/icons-material/Notifications";
+import MovieIcon from "@mui/icons-material/Movie";
+
+const REFETCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// The menu shows the first page's newest few
+const MENU_SIZE = 8;
+
+/**
+ * Describes a notification in a sentence.
+ *
+ * @param {Object} notification - From GET /api/users/notifications
+ * @returns {string} e.g. "Now in cinemas" or "On digital from Fri 14 Mar"
+ */
+const describeNotification = ({ type, releaseDate }) => {
+  if (type === "cinema_release") return "Now in cinemas";
+  return releaseDate > toDayString(new Date())
+    ? `On digital from ${formatDay(releaseDate)}`
+    : `Out on digital since ${formatDay(releaseDate)}`;
+};
+
+/**
+ * Renders the bell and its menu.
+ *
+ * @returns {JSX.Element} The bell button and the notifications menu
+ */
+const NotificationMenu = () => {
+  const { token, user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  // Keyed by user, so logging in as someone else never shows the last user's notifications
+  const queryKey = [...QUERY_KEYS.NOTIFICATIONS, user?.username];
+  const notificationsQuery = useQuery({
+    queryKey,
+    queryFn: () => getNotifications(token),
+    refetchInterval: REFETCH_INTERVAL_MS,
+  });
+  const notifications = notificationsQuery.data?.notifications || [];
+  const unreadCount = notificationsQuery.data?.unreadCount || 0;
+
+  const handleOpen = (notification) => {
+    setAnchorEl(null);
+    navigate(getMovieRoute(notification.movieId));
+    if (notification.readAt) return;
+
+    // Opening the movie doesn't wait for this; a failure only leaves it unread
+    markNotificationRead(token, notification._id)
+      .then(({ notification: updated, unreadCount: count }) => {
+        queryClient.setQueryData(queryKey, (data) => data && {
+          ...data,
+          unreadCount: count,
+          notifications: data.notifications.map((item) => (item._id === updated._id ? updated : item)),
+        });
+      })
+      .catch(() => {});
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead(token);
+    } finally {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.NOTIFICATIONS });
+    }
+  };
+
+  return (
+    <>
+      <IconButton
+        color="inherit"
+        aria-label={unreadCount ? `Notifications, ${unreadCount} unread` : "Notifications"}
+        aria-controls="notification-menu"
+        aria-haspopup="true"
+        aria-expanded={anchorEl ? "true" : "false"}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ minWidth: 48, minHeight: 48 }}
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <NotificationsIcon />
+        </Badge>
+      </IconButton>
+
+      <Menu
+        id="notification-menu"
+        anchorEl={anchorEl}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+        transformOrigin={{ vertical: "top", horizontal: "right" }}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        slotProps={{ paper: { sx: { width: 360, maxWidth: "100%" } } }}
+      >
+        <Box sx={{ px: 2, py: 1, display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+          <Typography variant="subtitle1" fontWeight={600}>
+            Notifications
+          </Typography>
+          <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+            Mark all as read
+          </Button>
+        </Box>
+        <Divider />
+
+        {notificationsQuery.isError && (
+          <MenuItem disabled>
+            <ListItemText primary="Couldn't load notifications." />
+          </MenuItem>
+        )}
+        {notificationsQuery.isSuccess && notifications.length === 0 && (
+          <MenuItem disabled>
+            <ListItemText
+              primary="No notifications yet"
+              secondary="You'll hear here when a movie on your must-watch list comes out."
+              slotProps={{ secondary: { sx: { whiteSpace: "normal" } } }}
+            />
+          </MenuItem>
+        )}
+
+        {notifications.slice(0, MENU_SIZE).map((notification) => (
+          <MenuItem
+            key={notification._id}
+            onClick={() => handleOpen(notification)}
+            sx={{ whiteSpace: "normal", bgcolor: notification.readAt ? undefined : "action.hover" }}
+          >
+            <ListItemAvatar>
+              <Avatar variant="rounded" src={getMoviePosterUrl(notification.posterPath, "w92") || undefined}>
+                <MovieIcon />
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={notification.movieTitle}
+              secondary={describeNotification(notification)}
+              slotProps={{ primary: { fontWeight: notification.readAt ? 400 : 600 } }}
+            />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+};
+
+export default NotificationMenu;
@@ -14,7 +14,9 @@
  *
  * 2. Validation Rules
  *    - Author name is required (can't submit anonymous reviews)
- *    - Review text must be at least 10 characters (ensures meaningful content)
+ *    - Review text is checked with the backend's own rule for POST /api/users/reviews,
+ *      imported from movies-api/validation, so the form and the API never disagree
+ *      (at least 10 characters, ignoring surrounding whitespace)
  *    - Both fields show inline error messages for immediate feedback
  *    - I use MUI's error prop and helperText for consistent error display
  *
@@ -52,6 +54,7 @@
  *    - MoviesContext syncs the review to the backend database
  *    - Review persists across sessions and page refreshes
  *    - Author is automatically set to the logged-in user's username
+ *    - If the user already reviewed the movie, I tell them the submission updates that review
  *
  * Data Flow:
  * - User fills form → Validation → Context stores review → Backend sync → Success message → Navigate to My List
@@ -77,6 +80,8 @@ import Snackbar from "@mui/material/Snackbar";
 import MuiAlert from "@mui/material/Alert";
 import { useNavigate } from "react-router";
 import { ROUTES } from "../../constants/routes";
+import { checkField } from "@validation/validator";
+import { CREATE_REVIEW, REVIEW_MIN_LENGTH, REVIEW_MAX_LENGTH } from "@validation/schemas";
 
 /**
  * Rating options for the review form.
@@ -225,6 +230,14 @@ const ReviewForm = ({ movie }) => {
           {/* I personalize the subtitle with the movie title */}
           Share your thoughts about {movie.title}
         </Typography>
+        {/* The backend keeps one review per movie, so a second review replaces the first.
+            I say so up front rather than surprising the user on My List. */}
+        {context.getReviewForMovie(movie.id) && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            You've already reviewed this movie - submitting will update your review.
+            The previous version is kept in its history.
+          </Typography>
+        )}
       </Box>
 
       {/* Success notification shown after submission */}
@@ -330,13 +343,8 @@ const ReviewForm = ({ movie }) => {
                 name="review"
                 control={control}
                 rules={{
-                  // I require review content - can't submit empty reviews
-                  required: "Review cannot be empty.",
-                  // I enforce minimum 10 characters to ensure meaningful content
-                  minLength: {
-                    value: 10,
-                    message: "Review must be at least 10 characters",
-                  },
+                  // I run the backend's content rule, so an accepted review is never rejected on submit
+                  validate: (value) => checkField(value, CREATE_REVIEW.body.content).error || true,
                 }}
                 defaultValue=""
                 render={({ field: { onChange, value } }) => (
@@ -357,9 +365,10 @@ const ReviewForm = ({ movie }) => {
                     // I show error message if validation fails, otherwise show helpful guidance
                     helperText={
                       errors.review?.message ||
-                      "Share your detailed thoughts (minimum 10 characters)"
+                      `Share your detailed thoughts (minimum ${REVIEW_MIN_LENGTH} characters)`
                     }
                     inputProps={{
+                      maxLength: REVIEW_MAX_LENGTH,
                       "aria-label": "Write your detailed movie review",
                       "aria-required": "true",
                     }}
@@ -37,7 +37,8 @@
  *
  * 6. Authentication UI
  *    - When not logged in: Show Login and Sign Up buttons
- *    - When logged in: Show username with dropdown containing Logout option
+ *    - When logged in: Show username with dropdown containing Account, Security and Logout options
+ *    - When logged in, a bell (NotificationMenu) shows unread release notifications
  *    - Auth state is read from AuthContext
  *    - Logout is immediate (no confirmation dialog)
  *
@@ -75,6 +76,7 @@ import { useTheme } from "@mui/material/styles";
 import useMediaQuery from "@mui/material/useMediaQuery";
 import { ROUTES } from "../../constants/routes";
 import { AuthContext } from "../../contexts/authContext";
+import NotificationMenu from "../notificationMenu";
 
 /**
  * Offset component to add spacing below the fixed AppBar.
@@ -136,6 +138,7 @@ const SiteHeader = () => {
   const menuOptions = [
     { label: "Home", path: ROUTES.HOME },
     { label: "My List", path: ROUTES.MOVIES.MY_LIST },
+    { label: "Diary", path: ROUTES.MOVIES.DIARY },
     { label: "Upcoming", path: ROUTES.MOVIES.UPCOMING },
     { label: "Popular", path: ROUTES.MOVIES.POPULAR },
     { label: "Top Rated", path: ROUTES.MOVIES.TOP_RATED },
@@ -239,6 +242,9 @@ const SiteHeader = () => {
           {/* Conditional rendering: mobile menu or desktop buttons */}
           {isMobile ? (
             <>
+              {/* Notifications stay one tap away on mobile too */}
+              {isAuthenticated && <NotificationMenu />}
+
               {/* Mobile hamburger menu button */}
               <IconButton
                 aria-label="Open navigation menu"
@@ -293,6 +299,12 @@ const SiteHeader = () => {
                     <MenuItem disabled sx={{ opacity: 0.7 }}>
                       👤 {user?.username}
                     </MenuItem>
+                    <MenuItem onClick={() => handleMenuSelect(ROUTES.ACCOUNT.SETTINGS)}>
+                      Account
+                    </MenuItem>
+                    <MenuItem onClick={() => handleMenuSelect(ROUTES.ACCOUNT.SECURITY)}>
+                      Security
+                    </MenuItem>
                     <MenuItem onClick={handleLogout}>
                       Logout
                     </MenuItem>
@@ -330,6 +342,8 @@ const SiteHeader = () => {
               <Box sx={{ ml: 2, display: "flex", alignItems: "center", gap: 1 }}>
                 {isAuthenticated ? (
                   <>
+                    <NotificationMenu />
+
                     {/* Username button with dropdown */}
                     <Button
                       color="inherit"
@@ -364,6 +378,22 @@ const SiteHeader = () => {
                       open={userMenuOpen}
                       onClose={handleUserMenuClose}
                     >
+                      <MenuItem
+                        onClick={() => {
+                          handleUserMenuClose();
+                          navigate(ROUTES.ACCOUNT.SETTINGS);
+                        }}
+                      >
+                        Account
+                      </MenuItem>
+                      <MenuItem
+                        onClick={() => {
+                          handleUserMenuClose();
+                          navigate(ROUTES.ACCOUNT.SECURITY);
+                        }}
+                      >
+                        Security
+                      </MenuItem>
                       <MenuItem onClick={handleLogout}>
                         Logout
                       </MenuItem>
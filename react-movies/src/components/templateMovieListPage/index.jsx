@@ -64,10 +64,23 @@
  *     - This allows different pages to provide different actions (favorites, must-watch, etc.)
  *     - Makes the template flexible for various use cases
  *
+ * 11. Pagination
+ *     - The backend serves lists one page (20 movies) at a time
+ *     - Pages pass page, totalPages and onPageChange (from useMovieList)
+ *     - Client-side filters and sorting apply to the page currently loaded
+ *
+ * 12. Server-Side Filtering (Discover)
+ *     - When a page passes filters and onFiltersChange, the page owns the filter state
+ *     - I skip the client-side filter chain and sorting - the movies arrive already
+ *       filtered and sorted by the backend
+ *     - FilterCard switches to the discover controls (genres, year range, runtime, etc.)
+ *     - Pages whose TMDB endpoint can't be filtered keep the client-side behaviour
+ *
  * Layout Structure:
  * - PageHeader: Shows the page title with navigation
  * - FilterCard: All filter controls in one component
  * - MovieList: Grid of filtered and sorted movie cards
+ * - ListPagination: Page controls (hidden for single-page lists)
  *
  * @component
  * @example
@@ -91,6 +104,7 @@ import React, { useState } from "react";
 import PageHeader from "../pageHeader";
 import FilterCard from "../filterMoviesCard";
 import MovieList from "../movieList";
+import ListPagination from "../listPagination";
 import Grid from "@mui/material/Grid";
 import { SORT_OPTIONS } from "../sortMoviesDropdown";
 import {
@@ -111,9 +125,27 @@ import {
  * @param {string} props.title - Page title shown in the header
  * @param {Function} props.action - Render prop function for movie card actions
  * @param {Object} props.action.movie - Movie object passed to the action component
+ * @param {number} [props.page] - Current page of the list
+ * @param {number} [props.totalPages] - Number of pages available
+ * @param {Function} [props.onPageChange] - Called with the new page number
+ * @param {Object} [props.filters] - Server-side discover filters (see constants/discover.js)
+ * @param {Function} [props.onFiltersChange] - Called with the updated filters object.
+ *                                              Passing it turns on server-side filtering.
  * @returns {JSX.Element} A complete page layout with header, filters, and movie grid
  */
-function MovieListPageTemplate({ movies, title, action }) {
+function MovieListPageTemplate({
+  movies,
+  title,
+  action,
+  page,
+  totalPages,
+  onPageChange,
+  filters,
+  onFiltersChange,
+}) {
+  // I filter on the server whenever the page manages the filters itself
+  const serverFiltering = Boolean(onFiltersChange);
+
   // I maintain separate state for each filter type to allow independent control
   const [nameFilter, setNameFilter] = useState("");
   const [genreFilter, setGenreFilter] = useState("0"); // "0" means all genres
@@ -124,8 +156,9 @@ function MovieListPageTemplate({ movies, title, action }) {
   // I convert genreFilter to a number for comparison with genre_ids
   const genreId = Number(genreFilter);
 
-  // I apply filters in a chain, progressively narrowing down the movie list
-  let displayedMovies = movies
+  // I apply filters in a chain, progressively narrowing down the movie list.
+  // With server-side filtering the backend already did this, so I show the movies as they are.
+  let displayedMovies = serverFiltering ? movies : movies
     // Name/title filter: case-insensitive search
     .filter((m) => {
       // I search for the filter text anywhere in the movie title
@@ -165,7 +198,9 @@ function MovieListPageTemplate({ movies, title, action }) {
 
   // I apply sorting after all filters to only sort the visible movies
   // This is more efficient than sorting the full list first
-  if (sortOption === SORT_OPTIONS.POPULARITY) {
+  if (serverFiltering) {
+    // The backend sorted the results already
+  } else if (sortOption === SORT_OPTIONS.POPULARITY) {
     displayedMovies = sortMoviesByPopularity(displayedMovies);
   } else if (sortOption === SORT_OPTIONS.RATING) {
     displayedMovies = sortMoviesByRating(displayedMovies);
@@ -184,6 +219,12 @@ function MovieListPageTemplate({ movies, title, action }) {
    * @param {string|number|Array} value - The new value for the filter
    */
   const handleChange = (type, value) => {
+    // Server-side filter keys match the filter object, so I pass the change straight up
+    if (serverFiltering) {
+      onFiltersChange({ ...filters, [type]: value });
+      return;
+    }
+
     if (type === "name") setNameFilter(value);
     else if (type === "genre") setGenreFilter(value);
     else if (type === "rating") setRatingFilter(value);
@@ -203,6 +244,9 @@ function MovieListPageTemplate({ movies, title, action }) {
         <FilterCard
           // I pass the handleChange callback so FilterCard can update any filter
           onUserInput={handleChange}
+          // I switch FilterCard to the discover controls when filtering on the server
+          serverSide={serverFiltering}
+          filters={filters}
           // I pass all current filter values so FilterCard can display them
           titleFilter={nameFilter}
           genreFilter={genreFilter}
@@ -217,6 +261,11 @@ function MovieListPageTemplate({ movies, title, action }) {
         {/* I pass the action prop through to MovieList so each card can render custom actions */}
         <MovieList action={action} movies={displayedMovies}></MovieList>
       </Grid>
+
+      {/* Page controls - only shown when the list has more than one page */}
+      <Grid size={12}>
+        <ListPagination page={page} totalPages={totalPages} onPageChange={onPageChange} />
+      </Grid>
     </Grid>
   );
 }
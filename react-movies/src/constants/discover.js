@@ -0,0 +1,92 @@
+/**
+ * Discover Filter Constants
+ *
+ * This module defines the filter state used by the Discover (home) page. Unlike the other
+ * list pages, Discover filters on the server: every change becomes a new request to
+ * GET /api/movies/discover, which passes the filters through to TMDB. This means a
+ * "Horror from 1990" filter searches all of TMDB instead of the 20 movies already loaded.
+ *
+ * Key Design Decisions:
+ *
+ * 1. One Filter Object
+ *    - I keep every discover filter in a single object
+ *    - The object is part of the React Query key, so each filter set is cached separately
+ *    - Resetting filters is as simple as going back to DEFAULT_DISCOVER_FILTERS
+ *
+ * 2. Reusing the Sort Dropdown
+ *    - SortMoviesDropdown keeps its friendly SORT_OPTIONS values
+ *    - DISCOVER_SORT_BY translates them into the backend's sortBy values
+ *
+ * @module constants/discover
+ */
+
+import { SORT_OPTIONS } from "../components/sortMoviesDropdown";
+
+/**
+ * Full ranges for the slider filters. A slider at its full range sends no filter at all.
+ *
+ * @constant
+ * @type {Object}
+ */
+export const DISCOVER_RANGES = {
+  RATING: [0, 10],
+  RUNTIME: [0, 240],
+};
+
+/**
+ * Initial (unfiltered) state for the Discover page.
+ *
+ * @constant
+ * @type {Object}
+ * @property {Array<number>} genres - Selected genre IDs (movies must match all of them)
+ * @property {string} yearFrom - First release year, empty for no limit
+ * @property {string} yearTo - Last release year, empty for no limit
+ * @property {Array<number>} rating - Vote average range [min, max]
+ * @property {Array<number>} runtime - Runtime range in minutes [min, max]
+ * @property {string} minVotes - Minimum vote count, empty for no limit
+ * @property {string} language - Original language (ISO 639-1), empty for any
+ * @property {string} sort - One of SORT_OPTIONS
+ */
+export const DEFAULT_DISCOVER_FILTERS = {
+  genres: [],
+  yearFrom: "",
+  yearTo: "",
+  rating: DISCOVER_RANGES.RATING,
+  runtime: DISCOVER_RANGES.RUNTIME,
+  minVotes: "",
+  language: "",
+  sort: SORT_OPTIONS.NONE,
+};
+
+/**
+ * Maps SortMoviesDropdown options to the backend's sortBy values.
+ * "None" keeps TMDB's default order (most popular first).
+ *
+ * @constant
+ * @type {Object}
+ */
+export const DISCOVER_SORT_BY = {
+  [SORT_OPTIONS.NONE]: "popularity.desc",
+  [SORT_OPTIONS.POPULARITY]: "popularity.desc",
+  [SORT_OPTIONS.RATING]: "vote_average.desc",
+  [SORT_OPTIONS.RELEASE_DATE]: "primary_release_date.desc",
+};
+
+/**
+ * Original languages offered in the language filter.
+ *
+ * @constant
+ * @type {Array<{code: string, name: string}>}
+ */
+export const DISCOVER_LANGUAGES = [
+  { code: "", name: "Any" },
+  { code: "en", name: "English" },
+  { code: "fr", name: "French" },
+  { code: "es", name: "Spanish" },
+  { code: "de", name: "German" },
+  { code: "it", name: "Italian" },
+  { code: "ja", name: "Japanese" },
+  { code: "ko", name: "Korean" },
+  { code: "zh", name: "Chinese" },
+  { code: "hi", name: "Hindi" },
+];
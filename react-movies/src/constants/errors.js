@@ -0,0 +1,26 @@
+/**
+ * API error codes.
+ *
+ * Every error response from the backend carries one of these codes in
+ * `error.code` (see movies-api/errors). I compare against these constants
+ * instead of error messages, which are written for people and may change.
+ *
+ * @constant
+ * @type {Object<string, string>}
+ * @example
+ * if (error.code === API_ERROR_CODES.NOT_FOUND) showNotFound();
+ */
+export const API_ERROR_CODES = {
+  BAD_REQUEST: "BAD_REQUEST", // 400 - invalid input
+  VALIDATION_FAILED: "VALIDATION_FAILED", // 400 - invalid fields, listed in details.fields
+  UNAUTHORIZED: "UNAUTHORIZED", // 401 - missing, invalid or expired token: log in again
+  FORBIDDEN: "FORBIDDEN", // 403 - logged in, but not allowed
+  NOT_FOUND: "NOT_FOUND", // 404 - the movie, list, review... doesn't exist
+  CONFLICT: "CONFLICT", // 409 - e.g. a list name or username that is already taken
+  LOCKED: "LOCKED", // 423 - e.g. an account locked after too many wrong passwords (see retryAfter)
+  TOO_MANY_REQUESTS: "TOO_MANY_REQUESTS", // 429 - slow down (see retryAfter)
+  INTERNAL_ERROR: "INTERNAL_ERROR", // 500 - a bug on the backend
+  BAD_GATEWAY: "BAD_GATEWAY", // 502 - TMDB answered with an error
+  SERVICE_UNAVAILABLE: "SERVICE_UNAVAILABLE", // 503 - TMDB is down; try again later
+  NETWORK_ERROR: "NETWORK_ERROR", // the backend couldn't be reached or sent something unreadable
+};
@@ -24,7 +24,7 @@
  *    - React Query can match and invalidate related queries efficiently
  *
  * 4. Static vs. Dynamic Keys
- *    - Static keys (DISCOVER, UPCOMING): No parameters, cached globally
+ *    - Static keys (UPCOMING, POPULAR): No parameters, cached globally
  *    - Dynamic keys: Factory functions that create keys with parameters
  *    - Static keys are constants, dynamic keys are callable functions
  *
@@ -42,7 +42,7 @@
  *
  * Usage Patterns:
  * - Import QUERY_KEYS constant
- * - Use static keys directly: QUERY_KEYS.DISCOVER
+ * - Use static keys directly: QUERY_KEYS.UPCOMING
  * - Call factory functions with params: QUERY_KEYS.MOVIE(123)
  * - Use with useQuery: { queryKey: QUERY_KEYS.UPCOMING(...) }
  * - Invalidate related queries: queryClient.invalidateQueries({ queryKey: QUERY_KEYS.REVIEWS(movieId) })
@@ -98,14 +98,15 @@
  */
 export const QUERY_KEYS = {
   /**
-   * Cache key for discover/homepage movies.
+   * Cache key factory for discover/homepage movies.
    *
-   * I use this for the initial set of movies shown on the homepage.
-   * This is a static key since all users see the same discover feed.
+   * I use this for the movies shown on the homepage. Discover is filtered on the
+   * server, so I include the filter object in the key - each filter set is cached separately.
    *
-   * @type {Array<string>}
+   * @param {Object} filters - Discover filter state (see constants/discover.js)
+   * @returns {Array} Query key array: ["discover", { filters: {...} }]
    */
-  DISCOVER: ["discover"],
+  DISCOVER: (filters) => ["discover", { filters }],
 
   /**
    * Cache key for upcoming movies.
@@ -195,16 +196,20 @@ export const QUERY_KEYS = {
   IMAGES: (id) => ["images", { id }],
 
   /**
-   * Cache key factory for a movie's reviews.
+   * Cache key factory for a movie's reviews (TMDB and community reviews merged).
    *
    * I use a factory function because each movie has different reviews.
    * I wrap the ID in an object to maintain consistent key structure.
-   * This enables invalidating reviews when new ones are added.
+   * Each sort order and page is cached under its own key. Calling the factory
+   * without options gives the key shared by all of them, which I use to
+   * invalidate every cached page when the user writes, edits or deletes a review.
    *
    * @param {string|number} id - Movie ID from TMDB
-   * @returns {Array} Query key array: ["reviews", { id: 123 }]
+   * @param {Object} [options] - { sortBy, page }
+   * @returns {Array} Query key array: ["reviews", { id: 123 }, { sortBy: "date.desc", page: 1 }]
    */
-  REVIEWS: (id) => ["reviews", { id }],
+  REVIEWS: (id, options) =>
+    options ? ["reviews", { id }, options] : ["reviews", { id }],
 
   /**
    * Cache key factory for a movie's credits (cast and crew).
@@ -274,12 +279,13 @@ export const QUERY_KEYS = {
    * This keeps search results for different queries cached separately.
    *
    * @param {string} query - Search query string (e.g., "Inception")
-   * @returns {Array} Query key array: ["searchMovies", { query: "Inception" }]
+   * @param {number} [page=1] - Page of results
+   * @returns {Array} Query key array: ["searchMovies", { query: "Inception", page: 1 }]
    * @example
    * // For search "Inception"
-   * QUERY_KEYS.SEARCH_MOVIES("Inception") // Returns ["searchMovies", { query: "Inception" }]
+   * QUERY_KEYS.SEARCH_MOVIES("Inception") // Returns ["searchMovies", { query: "Inception", page: 1 }]
    */
-  SEARCH_MOVIES: (query) => ["searchMovies", { query }],
+  SEARCH_MOVIES: (query, page = 1) => ["searchMovies", { query, page }],
 
   /**
    * Cache key factory for people/actor search results.
@@ -289,7 +295,46 @@ export const QUERY_KEYS = {
    * This keeps search results for different queries cached separately.
    *
    * @param {string} query - Search query string (e.g., "Tom Cruise")
-   * @returns {Array} Query key array: ["searchPeople", { query: "Tom Cruise" }]
+   * @param {number} [page=1] - Page of results
+   * @returns {Array} Query key array: ["searchPeople", { query: "Tom Cruise", page: 1 }]
+   */
+  SEARCH_PEOPLE: (query, page = 1) => ["searchPeople", { query, page }],
+
+  /**
+   * Cache key factory for the user's watch diary.
+   *
+   * Each month is cached under its own key. Calling the factory without a period
+   * gives the key shared by every diary query (including DIARY_ACTIVITY), which I
+   * invalidate whenever the user logs, edits or deletes a watch.
+   *
+   * @param {Object} [period] - { year, month }
+   * @returns {Array} Query key array: ["diary", { year: 2025, month: 3 }]
+   */
+  DIARY: (period) => (period ? ["diary", period] : ["diary"]),
+
+  /**
+   * Cache key factory for the viewing activity heatmap of one year.
+   *
+   * @param {number} year - The year shown
+   * @returns {Array} Query key array: ["diary", "activity", { year: 2025 }]
+   */
+  DIARY_ACTIVITY: (year) => ["diary", "activity", { year }],
+
+  /**
+   * Cache key for the user's active sessions (Security page).
+   * I invalidate it after signing a session out.
+   */
+  SESSIONS: ["sessions"],
+
+  /**
+   * Cache key for whether the calendar feed is on (Account Settings page).
+   * I update it with the backend's answer after creating or removing the link.
+   */
+  CALENDAR_FEED: ["calendarFeed"],
+
+  /**
+   * Cache key for the latest notifications and the unread count (bell menu).
+   * I refetch it every few minutes and after marking notifications read.
    */
-  SEARCH_PEOPLE: (query) => ["searchPeople", { query }],
+  NOTIFICATIONS: ["notifications"],
 };
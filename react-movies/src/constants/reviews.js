@@ -0,0 +1,43 @@
+/**
+ * Review Constants
+ *
+ * Sort orders for the merged movie reviews list (GET /api/movies/:id/reviews).
+ * The values are the backend's sortBy values; the labels are shown in the sort dropdown.
+ *
+ * @module constants/reviews
+ */
+
+/**
+ * Default review order - newest first.
+ *
+ * I share it between MovieReviews and CommunityRating so both use the same
+ * React Query key for page 1 and the reviews are only fetched once.
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_REVIEW_SORT = "date.desc";
+
+/**
+ * Sort options offered above the reviews table.
+ *
+ * @constant
+ * @type {Array<{value: string, label: string}>}
+ */
+export const REVIEW_SORT_OPTIONS = [
+  { value: "date.desc", label: "Newest first" },
+  { value: "date.asc", label: "Oldest first" },
+  { value: "rating.desc", label: "Highest rated" },
+  { value: "rating.asc", label: "Lowest rated" },
+];
+
+/**
+ * Labels for the review sources the backend tags each review with.
+ *
+ * @constant
+ * @type {Object}
+ */
+export const REVIEW_SOURCE_LABELS = {
+  tmdb: "TMDB",
+  local: "Community",
+};
@@ -67,6 +67,7 @@
  * Route structure:
  * - HOME: Landing/home page
  * - AUTH: Authentication pages (login, signup)
+ * - ACCOUNT: The logged-in user's account settings
  * - MOVIES: All movie-related pages (lists, details)
  * - REVIEWS: User reviews and review details
  * - ACTORS: Actor/person detail pages
@@ -78,6 +79,9 @@
  * @property {Object} AUTH - Authentication routes
  * @property {string} AUTH.LOGIN - Login page
  * @property {string} AUTH.SIGNUP - Signup/registration page
+ * @property {Object} ACCOUNT - Account settings routes
+ * @property {string} ACCOUNT.SETTINGS - Change username or password, delete the account
+ * @property {string} ACCOUNT.SECURITY - Active sessions and other security settings
  * @property {Object} MOVIES - Movie-related routes
  * @property {string} MOVIES.MY_LIST - User's favorite/saved movies
  * @property {string} MOVIES.UPCOMING - Upcoming movies page
@@ -103,9 +107,16 @@ export const ROUTES = {
     SIGNUP: "/signup",
   },
 
+  // Account settings pages
+  ACCOUNT: {
+    SETTINGS: "/account", // Username, password, delete account
+    SECURITY: "/account/security", // Where the user is signed in
+  },
+
   // Movie-related pages
   MOVIES: {
     MY_LIST: "/movies/my-list", // User's favorites/saved movies
+    DIARY: "/movies/diary", // User's watch diary
     UPCOMING: "/movies/upcoming", // Movies coming soon
     POPULAR: "/movies/popular", // Popular movies
     TOP_RATED: "/movies/top_rated", // Top rated movies
@@ -12,9 +12,14 @@
  *    - Consistent with the MoviesContext pattern used elsewhere in the app
  *
  * 2. Token-Based Authentication
- *    - I use JWT tokens received from the backend for authentication
- *    - Token is stored in localStorage for persistence across browser sessions
- *    - Token contains encoded username, which I decode to get user info
+ *    - Logging in gives me two tokens: a short-lived access token (a JWT, sent with
+ *      every request) and a refresh token that gets a new pair when it expires
+ *    - Both are stored in localStorage for persistence across browser sessions
+ *    - The access token contains the username, which I decode to get user info
+ *    - backend-client refreshes expired access tokens by itself, through the session
+ *      handlers I register; I only store the new pair it hands back
+ *    - Logging out also ends the session on the backend, so the tokens stop working
+ *      everywhere - not just in this browser
  *
  * 3. Session Persistence
  *    - On app load, I check localStorage for an existing token
@@ -25,6 +30,12 @@
  *    - I store error messages in state for components to display
  *    - Errors are cleared when starting a new auth operation
  *    - Backend error messages are passed through for user-friendly feedback
+ *    - When the session can't be refreshed (logged out elsewhere, revoked, expired),
+ *      backend-client calls the handler I register, and I end the session and keep
+ *      the backend's message so the login page can say why
+ *    - When the backend says how long to wait before logging in again (too many
+ *      wrong passwords, a locked account), I keep that as loginRetryAt so the login
+ *      page can count down instead of letting the user hit the limit again
  *
  * 5. Loading State
  *    - I track loading state during async operations (login/signup)
@@ -34,13 +45,17 @@
  * Global State Structure:
  * {
  *   user: { username: string } | null,  // Current user or null if not logged in
- *   token: string | null,                // JWT token or null
+ *   token: string | null,                // Access token (JWT) or null
  *   isAuthenticated: boolean,            // Quick check for auth status
  *   loading: boolean,                    // True during API calls
  *   error: string | null,                // Error message or null
+ *   loginRetryAt: number | null,         // When logging in is allowed again (ms timestamp) or null
  *   signupUser: (username, password) => Promise<boolean>,
  *   loginUser: (username, password) => Promise<boolean>,
- *   logout: () => void,
+ *   logout: () => Promise<void>,
+ *   changePassword: (currentPassword, newPassword) => Promise<void>,
+ *   changeUsername: (username, currentPassword) => Promise<void>,
+ *   deleteAccount: (currentPassword) => Promise<void>,
  * }
  *
  * Usage Pattern:
@@ -65,7 +80,23 @@
  */
 
 import React, { useState, useEffect } from "react";
-import { signup, login } from "../api/backend-client";
+import {
+  signup,
+  login,
+  logout as endSession,
+  setSessionHandlers,
+  changePassword as changeAccountPassword,
+  changeUsername as changeAccountUsername,
+  deleteAccount as deleteUserAccount,
+} from "../api/backend-client";
+
+/**
+ * localStorage keys for the two tokens.
+ *
+ * @constant
+ */
+const TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
 
 /**
  * React Context for authentication state.
@@ -108,12 +139,30 @@ const decodeToken = (token) => {
   }
 };
 
+/**
+ * Saves a token pair from login or refresh.
+ *
+ * @param {{token: string, refreshToken: string}} tokens - The access and refresh tokens
+ */
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+/**
+ * Removes both tokens from localStorage.
+ */
+const clearStoredTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
 /**
  * Authentication Context Provider component.
  *
  * I manage all authentication state here:
  * - user: The current logged-in user's info
- * - token: The JWT token for API authentication
+ * - token: The access token (JWT) for API authentication
  * - loading: Whether an auth operation is in progress
  * - error: Any error message from failed auth attempts
  *
@@ -127,7 +176,7 @@ const AuthContextProvider = ({ children }) => {
   // I store the current user object (contains username)
   const [user, setUser] = useState(null);
 
-  // I store the JWT token for authenticated API requests
+  // I store the access token (JWT) for authenticated API requests
   const [token, setToken] = useState(null);
 
   // I track loading state during async operations (login/signup)
@@ -140,6 +189,9 @@ const AuthContextProvider = ({ children }) => {
   // I store error messages for display in UI
   const [error, setError] = useState(null);
 
+  // I store when a blocked login may be retried (from the backend's Retry-After)
+  const [loginRetryAt, setLoginRetryAt] = useState(null);
+
   // I derive isAuthenticated from token existence for convenience
   const isAuthenticated = token !== null;
 
@@ -151,23 +203,77 @@ const AuthContextProvider = ({ children }) => {
    * This allows users to stay logged in across browser refreshes.
    */
   useEffect(() => {
-    const savedToken = localStorage.getItem('token');
+    const savedToken = localStorage.getItem(TOKEN_KEY);
     if (savedToken) {
       // Decode the token to get user info
       const decoded = decodeToken(savedToken);
       if (decoded && decoded.username) {
-        // Restore the session
+        // Restore the session - an expired access token is refreshed on first use
         setToken(savedToken);
         setUser({ username: decoded.username });
       } else {
         // Invalid token - clear it
-        localStorage.removeItem('token');
+        clearStoredTokens();
       }
     }
     // Mark session restoration as complete (whether we found a token or not)
     setIsRestoringSession(false);
   }, []); // Empty dependency array = run once on mount
 
+  /**
+   * Effect: Let backend-client read and replace the tokens.
+   *
+   * Access tokens expire after a few minutes. backend-client swaps them for new
+   * ones on its own, reading the refresh token from localStorage (so a refresh
+   * done by another tab is picked up) and handing the new pair back here.
+   *
+   * When the session can't be recovered (logged out elsewhere, revoked, expired),
+   * it calls onAuthFailure instead. Clearing the token sends protected pages to
+   * the login page, where the message is shown.
+   */
+  useEffect(() => {
+    setSessionHandlers({
+      getTokens: () => ({
+        token: localStorage.getItem(TOKEN_KEY),
+        refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY),
+      }),
+      onTokensRefreshed: (tokens) => {
+        storeTokens(tokens);
+        setToken(tokens.token);
+      },
+      onAuthFailure: (apiError) => {
+        clearStoredTokens();
+        setToken(null);
+        setUser(null);
+        setError(apiError.message);
+      },
+    });
+    return () => setSessionHandlers(null);
+  }, []);
+
+  /**
+   * Effect: Follow token changes made by other tabs.
+   *
+   * Tabs share localStorage, so when one tab refreshes the tokens or logs out,
+   * I pick that up here instead of sending a refresh token that was already used.
+   */
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== TOKEN_KEY) return;
+      if (event.newValue) {
+        setToken(event.newValue);
+        // The username can change too (renamed in the other tab)
+        const decoded = decodeToken(event.newValue);
+        if (decoded?.username) setUser({ username: decoded.username });
+      } else {
+        setToken(null);
+        setUser(null);
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
   /**
    * Registers a new user account.
    *
@@ -204,8 +310,8 @@ const AuthContextProvider = ({ children }) => {
    * Authenticates a user and establishes a session.
    *
    * I call the login API, and on success:
-   * 1. Store the token in localStorage (persistence)
-   * 2. Decode the token to get username
+   * 1. Store both tokens in localStorage (persistence)
+   * 2. Decode the access token to get username
    * 3. Update state with user and token
    *
    * @async
@@ -219,24 +325,26 @@ const AuthContextProvider = ({ children }) => {
     setLoading(true);
 
     try {
-      // Call the login API - returns the token
-      const receivedToken = await login(username, password);
+      // Call the login API - returns the access and refresh tokens
+      const tokens = await login(username, password);
 
-      // Store token in localStorage for persistence
-      localStorage.setItem('token', receivedToken);
+      // Store tokens in localStorage for persistence
+      storeTokens(tokens);
 
-      // Decode token to get username
-      const decoded = decodeToken(receivedToken);
+      // Decode the access token to get username
+      const decoded = decodeToken(tokens.token);
 
       // Update state
-      setToken(receivedToken);
+      setToken(tokens.token);
       setUser({ username: decoded.username });
+      setLoginRetryAt(null);
       setLoading(false);
       
       return true;
     } catch (err) {
-      // Failed - store the error message for display
+      // Failed - store the error message for display, and any wait the backend asked for
       setError(err.message);
+      setLoginRetryAt(err.retryAfter ? Date.now() + err.retryAfter * 1000 : null);
       setLoading(false);
       return false;
     }
@@ -245,17 +353,78 @@ const AuthContextProvider = ({ children }) => {
   /**
    * Logs out the current user.
    *
-   * I clear all auth state and remove the token from localStorage.
-   * This effectively ends the session - user will need to log in again.
+   * I end the session on the backend, so its tokens stop working everywhere, then
+   * clear all auth state and remove the tokens from localStorage. The local logout
+   * happens even if the backend can't be reached - the user asked to be logged out.
    */
-  const logout = () => {
+  const logout = async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
     // Clear localStorage
-    localStorage.removeItem('token');
+    clearStoredTokens();
 
     // Clear state
     setToken(null);
     setUser(null);
     setError(null);
+
+    if (refreshToken) {
+      try {
+        await endSession(refreshToken);
+      } catch (err) {
+        console.error("Failed to end the session on the backend:", err);
+      }
+    }
+  };
+
+  /**
+   * Changes the password.
+   *
+   * The backend signs out every session and hands this browser a new token pair,
+   * which I store like a login's. Unlike loginUser I let errors reach the caller:
+   * the account page shows them next to the form that failed.
+   *
+   * @async
+   * @param {string} currentPassword - The password now
+   * @param {string} newPassword - The new password
+   * @throws {ApiError} If the backend refuses the change
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const tokens = await changeAccountPassword(token, currentPassword, newPassword);
+    storeTokens(tokens);
+    setToken(tokens.token);
+  };
+
+  /**
+   * Changes the username, storing the new token pair (the username is inside the
+   * access token) and updating the user shown in the header.
+   *
+   * @async
+   * @param {string} username - The new username
+   * @param {string} currentPassword - The password, to confirm
+   * @throws {ApiError} If the backend refuses the change
+   */
+  const changeUsername = async (username, currentPassword) => {
+    const { username: newUsername, ...tokens } = await changeAccountUsername(token, username, currentPassword);
+    storeTokens(tokens);
+    setToken(tokens.token);
+    setUser({ username: newUsername });
+  };
+
+  /**
+   * Deletes the account, then clears the local session like logout does.
+   * The backend has already removed the sessions, so there is nothing to end there.
+   *
+   * @async
+   * @param {string} currentPassword - The password, to confirm
+   * @throws {ApiError} If the backend refuses
+   */
+  const deleteAccount = async (currentPassword) => {
+    await deleteUserAccount(token, currentPassword);
+    clearStoredTokens();
+    setToken(null);
+    setUser(null);
+    setError(null);
   };
 
   return (
@@ -268,11 +437,17 @@ const AuthContextProvider = ({ children }) => {
         isRestoringSession, // True while checking localStorage for saved session
         loading,
         error,
+        loginRetryAt,
 
         // Auth functions
         signupUser,
         loginUser,
         logout,
+
+        // Account functions
+        changePassword,
+        changeUsername,
+        deleteAccount,
       }}
     >
       {children}
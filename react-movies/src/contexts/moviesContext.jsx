@@ -29,11 +29,37 @@
  * 4. Collection Storage
  *    - Favorites and must-watch are stored as arrays of movie IDs
  *    - Arrays make it easy to map over and display collections
+ *    - Custom lists are stored as the backend's list objects, each with ordered
+ *      items ({ movieId, note, addedAt })
+ *    - Custom lists only exist on the backend, so their handlers need a logged-in user.
+ *      Creating a list waits for the backend (the list needs its _id); item changes
+ *      are optimistic and roll back on failure
  *
  * 5. Reviews Storage
  *    - Reviews are stored as an array of review objects (synced with backend)
- *    - Each review: { movieId, movieTitle, author, rating, content, createdAt }
- *    - Array allows multiple reviews per movie (duplicates allowed)
+ *    - Each review: { _id, movieId, movieTitle, author, rating, content, createdAt, updatedAt, revisions }
+ *    - The backend usually keeps one review per movie: posting again edits the existing
+ *      review, so I replace reviews by _id instead of blindly appending
+ *    - Edits and deletes are optimistic too, and roll back if the backend refuses them
+ *    - After a review is saved or deleted I invalidate that movie's cached review list,
+ *      so the movie page shows the change (and the updated community rating) right away
+ *
+ * 6. Watch Diary
+ *    - Diary entries are fetched per month by the diary page with React Query, so I only
+ *      keep `watched` here: the IDs of movies logged at least once, for the card icons
+ *    - Logging a watch waits for the backend like createList does, and re-throws errors
+ *      for the dialog to show. The backend takes the movie off must-watch, so I store
+ *      the must-watch IDs it sends back
+ *    - Every diary change invalidates the cached diary queries
+ *
+ * 7. Live Sync Across Tabs and Devices
+ *    - While the user is logged in I keep their change stream open (useChangeStream), so
+ *      a movie favorited on their phone shows up in an open laptop tab straight away
+ *    - Each change carries the new state (the whole favorites array, the saved review or
+ *      list), so I store it as is. That makes applying a change twice harmless, including
+ *      the echo of a change this tab already made optimistically
+ *    - After a reconnect the backend replays what I missed; if that's too much it sends a
+ *      resync and I reload everything, as on login
  *
  * Global State Structure:
  * {
@@ -47,20 +73,41 @@
  *   addToMustWatch: (movie) => void,
  *   removeFromMustWatch: (movie) => void,
  *
+ *   // Custom Lists
+ *   lists: [{ _id, name, description, visibility, items: [{ movieId, note, addedAt }] }, ...],
+ *   createList: ({ name, description, visibility }, firstMovie?) => Promise<Object>,
+ *   updateList: (listId, changes) => Promise<Object|null>,
+ *   deleteList: (listId) => Promise<boolean>,
+ *   addToList: (listId, movie, note) => Promise<Object|null>,
+ *   removeFromList: (listId, movie) => Promise<Object|null>,
+ *   updateListItem: (listId, movieId, changes) => Promise<Object|null>,
+ *
  *   // List Management (for auth integration)
  *   loadUserLists: (token) => Promise<void>,
  *   clearLists: () => void,
  *
  *   // Reviews
  *   addReview: (movie, review) => Promise<Object|null>,
- *   myReviews: [{ movieId, movieTitle, author, rating, content, createdAt }, ...]
+ *   updateReview: (reviewId, changes) => Promise<Object|null>,
+ *   deleteReview: (reviewId) => Promise<boolean>,
+ *   getReviewForMovie: (movieId) => Object|undefined,
+ *   myReviews: [{ _id, movieId, movieTitle, author, rating, content, createdAt, updatedAt, revisions }, ...]
+ *
+ *   // Watch Diary
+ *   watched: [movieId1, movieId2, ...],
+ *   logWatch: (movie, { watchedOn, rating, rewatch }) => Promise<Object>,
+ *   updateDiaryEntry: (entryId, changes) => Promise<Object|null>,
+ *   deleteDiaryEntry: (entry) => Promise<boolean>,
  * }
  *
  * @module contexts/moviesContext
  */
 
 import React, { useState, useContext, useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
 import { AuthContext } from "./authContext";
+import { QUERY_KEYS } from "../constants/queryKeys";
+import { useChangeStream } from "../hooks/useChangeStream";
 import {
   getFavorites,
   addFavorite,
@@ -70,6 +117,19 @@ import {
   removeFromMustWatch as apiRemoveFromMustWatch,
   getReviews,
   addReview as apiAddReview,
+  getLists,
+  createList as apiCreateList,
+  updateList as apiUpdateList,
+  deleteList as apiDeleteList,
+  addListItem,
+  updateListItem as apiUpdateListItem,
+  removeListItem,
+  updateReview as apiUpdateReview,
+  deleteReview as apiDeleteReview,
+  getWatched,
+  logWatch as apiLogWatch,
+  updateDiaryEntry as apiUpdateDiaryEntry,
+  deleteDiaryEntry as apiDeleteDiaryEntry,
 } from "../api/backend-client";
 
 /**
@@ -103,6 +163,9 @@ const MoviesContextProvider = ({ children }) => {
   // I get auth state to determine if the app should sync with backend
   const { token, isAuthenticated } = useContext(AuthContext);
 
+  // I use the query client to refresh a movie's public review list after the user changes it
+  const queryClient = useQueryClient();
+
   // I maintain favorites as an array of movie IDs
   const [favorites, setFavorites] = useState([]);
 
@@ -110,9 +173,15 @@ const MoviesContextProvider = ({ children }) => {
   const [mustWatch, setMustWatch] = useState([]);
 
   // I maintain reviews as an array of review objects
-  // Each review: { movieId, movieTitle, author, rating, content, createdAt }
+  // Each review: { _id, movieId, movieTitle, author, rating, content, createdAt, updatedAt, revisions }
   const [myReviews, setMyReviews] = useState([]);
 
+  // I maintain custom lists as an array of list objects from the backend
+  const [lists, setLists] = useState([]);
+
+  // I maintain watched movies as an array of movie IDs (movies with at least one diary entry)
+  const [watched, setWatched] = useState([]);
+
   // ============================================
   // FAVORITES HANDLERS
   // ============================================
@@ -219,6 +288,251 @@ const MoviesContextProvider = ({ children }) => {
     }
   };
 
+  // ============================================
+  // CUSTOM LIST HANDLERS
+  // ============================================
+
+  /**
+   * Replaces one list in local state, e.g. with the backend's updated copy.
+   *
+   * @param {Object} list - The list to store (matched by _id)
+   */
+  const replaceList = (list) => {
+    setLists((prev) => prev.map((l) => (l._id === list._id ? list : l)));
+  };
+
+  /**
+   * Runs an optimistic change on one list and syncs it to the backend.
+   *
+   * I apply `change` to the local copy immediately, then store the backend's
+   * version when the request succeeds, or put the old copy back if it fails.
+   *
+   * @param {string} listId - The list's _id
+   * @param {Function} change - Returns the optimistically updated list
+   * @param {Function} request - Performs the backend call and resolves to the updated list
+   * @returns {Promise<Object|null>} The backend's updated list, or null if failed
+   */
+  const syncListChange = async (listId, change, request) => {
+    const previous = lists.find((l) => l._id === listId);
+    if (!previous || !isAuthenticated || !token) return null;
+
+    replaceList(change(previous));
+
+    try {
+      const savedList = await request();
+      replaceList(savedList);
+      return savedList;
+    } catch (error) {
+      console.error("Failed to sync list change to backend:", error);
+      replaceList(previous);
+      return null;
+    }
+  };
+
+  /**
+   * Creates a new custom list.
+   *
+   * Unlike the other handlers this one isn't optimistic - the list needs the _id
+   * the backend gives it before movies can be added. Errors (e.g. a duplicate name)
+   * are re-thrown so the form that called this can show them.
+   *
+   * A list is often started from a movie card, so I can add that first movie in
+   * the same call, before the new list reaches local state.
+   *
+   * @param {Object} listData - { name, description, visibility }
+   * @param {Object} [firstMovie] - Optional movie to add to the new list
+   * @returns {Promise<Object>} The created list
+   */
+  const createList = async (listData, firstMovie) => {
+    if (!isAuthenticated || !token) {
+      throw new Error("Log in to create lists");
+    }
+    let list = await apiCreateList(token, listData);
+    if (firstMovie) {
+      list = await addListItem(token, list._id, firstMovie.id);
+    }
+    setLists((prev) => [...prev, list]);
+    return list;
+  };
+
+  /**
+   * Renames a list or changes its description or visibility.
+   *
+   * @param {string} listId - The list's _id
+   * @param {Object} changes - Any of { name, description, visibility }
+   * @returns {Promise<Object|null>} The updated list, or null if failed
+   */
+  const updateList = (listId, changes) =>
+    syncListChange(
+      listId,
+      (list) => ({ ...list, ...changes }),
+      () => apiUpdateList(token, listId, changes)
+    );
+
+  /**
+   * Deletes a custom list.
+   *
+   * @param {string} listId - The list's _id
+   * @returns {Promise<boolean>} true if the list was deleted
+   */
+  const deleteList = async (listId) => {
+    if (!isAuthenticated || !token) return false;
+    const previous = lists;
+
+    // Optimistic update - remove from local state immediately
+    setLists((prev) => prev.filter((l) => l._id !== listId));
+
+    try {
+      await apiDeleteList(token, listId);
+      return true;
+    } catch (error) {
+      console.error("Failed to delete list on backend:", error);
+      setLists(previous);
+      return false;
+    }
+  };
+
+  /**
+   * Adds a movie to the end of a custom list.
+   *
+   * @param {string} listId - The list's _id
+   * @param {Object} movie - Movie object with id property
+   * @param {string} [note] - Optional note for this movie
+   * @returns {Promise<Object|null>} The updated list, or null if failed
+   */
+  const addToList = (listId, movie, note = "") =>
+    syncListChange(
+      listId,
+      (list) =>
+        list.items.some((item) => item.movieId === movie.id)
+          ? list
+          : {
+              ...list,
+              items: [
+                ...list.items,
+                { movieId: movie.id, note, addedAt: new Date().toISOString() },
+              ],
+            },
+      () => addListItem(token, listId, movie.id, note)
+    );
+
+  /**
+   * Removes a movie from a custom list.
+   *
+   * @param {string} listId - The list's _id
+   * @param {Object} movie - Movie object with id property
+   * @returns {Promise<Object|null>} The updated list, or null if failed
+   */
+  const removeFromList = (listId, movie) =>
+    syncListChange(
+      listId,
+      (list) => ({
+        ...list,
+        items: list.items.filter((item) => item.movieId !== movie.id),
+      }),
+      () => removeListItem(token, listId, movie.id)
+    );
+
+  /**
+   * Changes a list item's note and/or moves it to a new position.
+   *
+   * @param {string} listId - The list's _id
+   * @param {number} movieId - TMDB movie ID of the item
+   * @param {Object} changes - Any of { note, position } (position is 0-based)
+   * @returns {Promise<Object|null>} The updated list, or null if failed
+   */
+  const updateListItem = (listId, movieId, changes) =>
+    syncListChange(
+      listId,
+      (list) => {
+        const items = list.items.map((item) =>
+          item.movieId === movieId && changes.note !== undefined
+            ? { ...item, note: changes.note }
+            : item
+        );
+        const index = items.findIndex((item) => item.movieId === movieId);
+        if (changes.position !== undefined && index !== -1) {
+          const [item] = items.splice(index, 1);
+          items.splice(changes.position, 0, item);
+        }
+        return { ...list, items };
+      },
+      () => apiUpdateListItem(token, listId, movieId, changes)
+    );
+
+  // ============================================
+  // WATCH DIARY HANDLERS
+  // ============================================
+
+  /**
+   * Logs a watch in the diary.
+   *
+   * Not optimistic: the backend decides the rewatch flag when it isn't given, and
+   * takes the movie off must-watch. Errors are re-thrown so the dialog can show them.
+   *
+   * @param {Object} movie - Movie object with id and title
+   * @param {Object} details - { watchedOn: "YYYY-MM-DD", rating?: 1-5, rewatch?: boolean }
+   * @returns {Promise<Object>} The new diary entry
+   */
+  const logWatch = async (movie, details) => {
+    if (!isAuthenticated || !token) {
+      throw new Error("Log in to keep a diary");
+    }
+    const { entry, mustWatch: savedMustWatch } = await apiLogWatch(token, {
+      movieId: movie.id,
+      movieTitle: movie.title,
+      ...details,
+    });
+
+    setMustWatch(savedMustWatch);
+    setWatched((prev) => (prev.includes(movie.id) ? prev : [...prev, movie.id]));
+    queryClient.invalidateQueries({ queryKey: QUERY_KEYS.DIARY() });
+    return entry;
+  };
+
+  /**
+   * Changes a diary entry's date, rating or rewatch flag.
+   *
+   * @param {string} entryId - The entry's _id
+   * @param {Object} changes - Any of { watchedOn, rating, rewatch }
+   * @returns {Promise<Object|null>} The updated entry, or null if failed
+   */
+  const updateDiaryEntry = async (entryId, changes) => {
+    if (!isAuthenticated || !token) return null;
+
+    try {
+      const entry = await apiUpdateDiaryEntry(token, entryId, changes);
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.DIARY() });
+      return entry;
+    } catch (error) {
+      console.error("Failed to update diary entry on backend:", error);
+      return null;
+    }
+  };
+
+  /**
+   * Deletes a diary entry.
+   *
+   * The movie might still have other entries, so I reload the watched IDs
+   * instead of guessing.
+   *
+   * @param {Object} entry - The entry to delete
+   * @returns {Promise<boolean>} true if the entry was deleted
+   */
+  const deleteDiaryEntry = async (entry) => {
+    if (!isAuthenticated || !token) return false;
+
+    try {
+      await apiDeleteDiaryEntry(token, entry._id);
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.DIARY() });
+      setWatched(await getWatched(token));
+      return true;
+    } catch (error) {
+      console.error("Failed to delete diary entry on backend:", error);
+      return false;
+    }
+  };
+
   // ============================================
   // LIST MANAGEMENT (for auth integration)
   // ============================================
@@ -235,16 +549,21 @@ const MoviesContextProvider = ({ children }) => {
   const loadUserLists = async (userToken) => {
     try {
       // Fetch all lists in parallel for better performance
-      const [favoritesData, mustWatchData, reviewsData] = await Promise.all([
-        getFavorites(userToken),
-        getMustWatch(userToken),
-        getReviews(userToken),
-      ]);
+      const [favoritesData, mustWatchData, reviewsData, listsData, watchedData] =
+        await Promise.all([
+          getFavorites(userToken),
+          getMustWatch(userToken),
+          getReviews(userToken),
+          getLists(userToken),
+          getWatched(userToken),
+        ]);
 
       // Update local state with backend data
       setFavorites(favoritesData || []);
       setMustWatch(mustWatchData || []);
       setMyReviews(reviewsData || []);
+      setLists(listsData || []);
+      setWatched(watchedData || []);
     } catch (error) {
       console.error("Failed to load user lists from backend:", error);
       // Keep existing local state if load fails
@@ -261,6 +580,8 @@ const MoviesContextProvider = ({ children }) => {
     setFavorites([]);
     setMustWatch([]);
     setMyReviews([]);
+    setLists([]);
+    setWatched([]);
   };
 
   // ============================================
@@ -303,9 +624,22 @@ const MoviesContextProvider = ({ children }) => {
   }, [isAuthenticated, token]); // Re-run when auth state changes
 
   // ============================================
-  // REVIEWS HANDLER
+  // REVIEWS HANDLERS
   // ============================================
 
+  /**
+   * Marks every cached page of a movie's public reviews as stale.
+   *
+   * The movie page lists community reviews next to TMDB's, so after the user
+   * writes, edits or deletes a review I refetch that list rather than wait
+   * for the cache to expire.
+   *
+   * @param {number} movieId - TMDB movie ID
+   */
+  const refreshMovieReviews = (movieId) => {
+    queryClient.invalidateQueries({ queryKey: QUERY_KEYS.REVIEWS(movieId) });
+  };
+
   /**
    * Adds a review for a movie.
    *
@@ -338,11 +672,15 @@ const MoviesContextProvider = ({ children }) => {
     if (isAuthenticated && token) {
       try {
         const savedReview = await apiAddReview(token, reviewData);
+        refreshMovieReviews(movie.id);
         // Replace optimistic review with actual saved review
         setMyReviews((prev) => {
-          // Remove the optimistic one and add the real one
+          // Remove the optimistic one, and the old copy if the backend edited an
+          // existing review instead of creating a new one, then add the real one
           const withoutOptimistic = prev.filter(
-            (r) => !(r.movieId === movie.id && r.author === "You")
+            (r) =>
+              !(r.movieId === movie.id && r.author === "You") &&
+              r._id !== savedReview._id
           );
           return [...withoutOptimistic, savedReview];
         });
@@ -357,6 +695,153 @@ const MoviesContextProvider = ({ children }) => {
     return optimisticReview;
   };
 
+  /**
+   * Edits one of the user's reviews.
+   *
+   * I update the review locally first and roll back to the previous copy if the
+   * backend rejects the change. The backend's copy replaces mine on success, since
+   * it carries the new revision history and updatedAt date.
+   *
+   * @param {string} reviewId - The review's _id
+   * @param {Object} changes - Fields to change ({ rating, content })
+   * @returns {Promise<Object|null>} The updated review object, or null if failed
+   */
+  const updateReview = async (reviewId, changes) => {
+    const previous = myReviews.find((r) => r._id === reviewId);
+    if (!previous) return null;
+
+    // Optimistic update - show the edit immediately
+    setMyReviews((prev) =>
+      prev.map((r) => (r._id === reviewId ? { ...r, ...changes } : r))
+    );
+
+    if (!isAuthenticated || !token) {
+      return { ...previous, ...changes };
+    }
+
+    try {
+      const savedReview = await apiUpdateReview(token, reviewId, changes);
+      refreshMovieReviews(previous.movieId);
+      setMyReviews((prev) =>
+        prev.map((r) => (r._id === reviewId ? savedReview : r))
+      );
+      return savedReview;
+    } catch (error) {
+      console.error("Failed to update review on backend:", error);
+      // Roll back to the version the backend still has
+      setMyReviews((prev) =>
+        prev.map((r) => (r._id === reviewId ? previous : r))
+      );
+      return null;
+    }
+  };
+
+  /**
+   * Deletes one of the user's reviews.
+   *
+   * I remove the review locally first and put it back if the backend delete fails.
+   *
+   * @param {string} reviewId - The review's _id
+   * @returns {Promise<boolean>} true if the review was deleted
+   */
+  const deleteReview = async (reviewId) => {
+    const previous = myReviews;
+    const review = myReviews.find((r) => r._id === reviewId);
+
+    // Optimistic update - remove from local state immediately
+    setMyReviews((prev) => prev.filter((r) => r._id !== reviewId));
+
+    if (!isAuthenticated || !token) {
+      return true;
+    }
+
+    try {
+      await apiDeleteReview(token, reviewId);
+      if (review) refreshMovieReviews(review.movieId);
+      return true;
+    } catch (error) {
+      console.error("Failed to delete review on backend:", error);
+      setMyReviews(previous);
+      return false;
+    }
+  };
+
+  /**
+   * Finds the user's latest review of a movie, so the review form can
+   * offer to edit it instead of writing a new one.
+   *
+   * @param {number} movieId - TMDB movie ID
+   * @returns {Object|undefined} The review, or undefined if the user hasn't reviewed the movie
+   */
+  const getReviewForMovie = (movieId) =>
+    myReviews.filter((r) => r.movieId === movieId).pop();
+
+  // ============================================
+  // LIVE SYNC
+  // Changes made on the user's other tabs and devices
+  // ============================================
+
+  /**
+   * Stores an item from a change event in a collection, replacing the copy with the
+   * same _id or adding it at the end.
+   *
+   * @param {Array<Object>} items - The collection
+   * @param {Object} item - The item from the event
+   * @returns {Array<Object>} The new collection
+   */
+  const upsertById = (items, item) =>
+    items.some((i) => i._id === item._id)
+      ? items.map((i) => (i._id === item._id ? item : i))
+      : [...items, item];
+
+  /**
+   * Applies one change from the user's change stream to local state.
+   *
+   * @param {Object} change - { type, data } (see streamChanges in backend-client)
+   */
+  const applyChange = ({ type, data }) => {
+    switch (type) {
+      case "favorites":
+        setFavorites(data.favorites);
+        break;
+      case "mustWatch":
+        setMustWatch(data.mustWatch);
+        break;
+      case "review.saved":
+        // The saved review also replaces this tab's optimistic copy, which has no _id yet
+        setMyReviews((prev) =>
+          upsertById(
+            prev.filter((r) => r._id || r.movieId !== data.review.movieId),
+            data.review
+          )
+        );
+        refreshMovieReviews(data.review.movieId);
+        break;
+      case "review.deleted":
+        setMyReviews((prev) => prev.filter((r) => r._id !== data.reviewId));
+        refreshMovieReviews(data.movieId);
+        break;
+      case "list.saved":
+        setLists((prev) => upsertById(prev, data.list));
+        break;
+      case "list.deleted":
+        setLists((prev) => prev.filter((l) => l._id !== data.listId));
+        break;
+      case "diary":
+        setWatched(data.watched);
+        queryClient.invalidateQueries({ queryKey: QUERY_KEYS.DIARY() });
+        break;
+      case "resync":
+        loadUserLists(token);
+        break;
+      default:
+        // A kind of change this version of the app doesn't know about
+        break;
+    }
+  };
+
+  useChangeStream({ enabled: isAuthenticated, token, onChange: applyChange });
+
   return (
     <MoviesContext.Provider
       value={{
@@ -370,13 +855,31 @@ const MoviesContextProvider = ({ children }) => {
         addToMustWatch,
         removeFromMustWatch,
 
+        // Custom lists and handlers
+        lists,
+        createList,
+        updateList,
+        deleteList,
+        addToList,
+        removeFromList,
+        updateListItem,
+
         // List management (for auth integration)
         loadUserLists,
         clearLists,
 
-        // Reviews collection and handler
+        // Reviews collection and handlers
         addReview,
+        updateReview,
+        deleteReview,
+        getReviewForMovie,
         myReviews,
+
+        // Watch diary
+        watched,
+        logWatch,
+        updateDiaryEntry,
+        deleteDiaryEntry,
       }}
     >
       {children}
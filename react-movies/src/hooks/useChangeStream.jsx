@@ -0,0 +1,82 @@
+import { useEffect, useRef } from "react";
+import { streamChanges, isAuthError } from "../api/backend-client";
+
+// I wait this long before reconnecting, doubling after each failed try up to the maximum
+const RECONNECT_MIN_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+
+/**
+ * Waits, unless the signal is aborted first.
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+/**
+ * Custom hook that keeps the user's live change stream open while they're logged in.
+ *
+ * I reconnect whenever the stream drops, waiting longer after each failure, and send
+ * the id of the last event I got so the backend replays whatever was missed meanwhile.
+ * The stream isn't restarted when the access token is refreshed: the next reconnect
+ * just uses the new one. A refused session ends it for good, since AuthContext logs
+ * the user out then anyway.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether to keep the stream open (the user is logged in)
+ * @param {string|null} options.token - The current access token
+ * @param {Function} options.onChange - Called with { id, type, data } for every change event
+ *                                      (see streamChanges in backend-client)
+ *
+ * @example
+ * useChangeStream({ enabled: isAuthenticated, token, onChange: applyChange });
+ */
+export const useChangeStream = ({ enabled, token, onChange }) => {
+  // Read on each (re)connect and event, so neither a new token nor a new handler restarts the stream
+  const tokenRef = useRef(token);
+  const onChangeRef = useRef(onChange);
+
+  useEffect(() => {
+    tokenRef.current = token;
+    onChangeRef.current = onChange;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const run = async () => {
+      let lastEventId;
+      let delay = RECONNECT_MIN_MS;
+
+      while (!signal.aborted) {
+        try {
+          await streamChanges(tokenRef.current, {
+            lastEventId,
+            signal,
+            onEvent: (event) => {
+              if (event.id !== undefined) lastEventId = event.id;
+              // Connected and caught up, so the next drop starts the waits over
+              if (event.type === "ready") delay = RECONNECT_MIN_MS;
+              else onChangeRef.current(event);
+            },
+          });
+        } catch (error) {
+          if (signal.aborted || isAuthError(error)) return;
+        }
+
+        await sleep(delay, signal);
+        delay = Math.min(delay * 2, RECONNECT_MAX_MS);
+      }
+    };
+
+    run();
+    return () => controller.abort();
+  }, [enabled]);
+};
@@ -0,0 +1,46 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Custom hook that counts down the seconds until a point in time.
+ *
+ * I use it where the backend tells the user to wait (a Retry-After on a 429 or 423) and
+ * the page should show the time left and re-enable itself when it runs out. The value is
+ * read from the clock on every render rather than decremented, so a tab that was in the
+ * background shows the right time when it comes back.
+ *
+ * @param {number|null} until - Timestamp in milliseconds (e.g. Date.now() + 30000), or null
+ *
+ * @returns {number} Whole seconds left, 0 once the time has passed (or when until is null)
+ *
+ * @example
+ * const secondsLeft = useCountdown(retryAt);
+ * <Button disabled={secondsLeft > 0}>Try again</Button>
+ */
+export const useCountdown = (until) => {
+  // Changed once a second while there is time left, only to re-render
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!until) return undefined;
+
+    const timer = setInterval(() => {
+      setTick((tick) => tick + 1);
+      if (Date.now() >= until) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [until]);
+
+  return until ? Math.max(0, Math.ceil((until - Date.now()) / 1000)) : 0;
+};
+
+/**
+ * Formats seconds as m:ss (or just "Ns" under a minute) for countdown messages.
+ *
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "45s" or "14:05"
+ */
+export const formatCountdown = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+};
@@ -4,6 +4,7 @@ import Typography from "@mui/material/Typography";
 import Skeleton from "@mui/material/Skeleton";
 import Paper from "@mui/material/Paper";
 import { QUERY_KEYS } from "../constants/queryKeys";
+import { isNotFoundError } from "../api/backend-client";
 
 /**
  * Custom hook for fetching and managing a single movie by its ID.
@@ -79,9 +80,15 @@ export const useMovieById = (id, queryFn) => {
     if (isError) {
       return (
         <Box sx={{ p: 4, textAlign: "center" }}>
+          {/* I tell "this movie doesn't exist" apart from other failures */}
           <Typography variant="h5" color="error">
-            {error.message}
+            {isNotFoundError(error) ? "Movie not found" : error.message}
           </Typography>
+          {error.requestId && !isNotFoundError(error) && (
+            <Typography variant="caption" color="text.secondary">
+              Request ID: {error.requestId}
+            </Typography>
+          )}
         </Box>
       );
     }
@@ -1,4 +1,5 @@
-import { useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
@@ -16,11 +17,15 @@ import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
  *                           identifier for this particular query to enable proper cache management.
  *                           Example: ['movies', 'popular'] or ['movies', 'search', 'query']
  * @param {Function} queryFn - A callback function that performs the API call to fetch the movies.
- *                             It should return an object with a `results` property containing
- *                             the array of movie objects.
+ *                             It receives the page number and should return the backend's list
+ *                             envelope: { results, page, totalPages, totalResults }.
  *
  * @returns {Object} An object containing:
  *   - {Array} movies - Array of movie objects fetched from the API (empty array if still loading or if API returns no results)
+ *   - {number} page - The page currently shown
+ *   - {number} totalPages - How many pages the backend can serve
+ *   - {number} totalResults - Total number of movies across all pages
+ *   - {Function} setPage - Switches to another page
  *   - {boolean} isLoading - True while the movies data is being fetched
  *   - {Error|null} error - Error object if the fetch failed, or null if successful
  *   - {React.Component} MovieListState - A pre-built UI component that displays either a skeleton
@@ -45,9 +50,21 @@ import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
  * );
  */
 export const useMovieList = (queryKey, queryFn) => {
+  // I keep the current page here so every list page gets paging for free.
+  // The page is stored with the query key it belongs to: when the key changes
+  // (e.g. new discover filters) the list starts again from page 1.
+  const keyId = JSON.stringify(queryKey);
+  const [pageState, setPageState] = useState({ keyId, page: 1 });
+  const page = pageState.keyId === keyId ? pageState.page : 1;
+  const setPage = (newPage) => setPageState({ keyId, page: newPage });
+
+  // I add the page to the query key so React Query caches each page separately.
+  // keepPreviousData keeps the current page on screen while the next one loads,
+  // so paging doesn't flash the skeleton.
   const { data, error, isPending, isError } = useQuery({
-    queryKey: queryKey,
-    queryFn: queryFn,
+    queryKey: [...queryKey, { page }],
+    queryFn: () => queryFn(page),
+    placeholderData: keepPreviousData,
   });
 
   /**
@@ -86,6 +103,10 @@ export const useMovieList = (queryKey, queryFn) => {
 
   return {
     movies: data?.results || [],
+    page,
+    totalPages: data?.totalPages || 1,
+    totalResults: data?.totalResults || 0,
+    setPage,
     isLoading: isPending,
     error: isError ? error : null,
     MovieListState,
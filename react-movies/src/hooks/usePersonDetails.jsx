@@ -80,6 +80,7 @@ import Typography from "@mui/material/Typography";
 import Skeleton from "@mui/material/Skeleton";
 import Paper from "@mui/material/Paper";
 import { QUERY_KEYS } from "../constants/queryKeys";
+import { isNotFoundError } from "../api/backend-client";
 
 /**
  * Custom hook for fetching actor/person details by ID.
@@ -188,9 +189,15 @@ export const usePersonDetails = (personId, queryFn) => {
     if (isError) {
       return (
         <Box sx={{ p: 4, textAlign: "center" }}>
+          {/* I tell "this person doesn't exist" apart from other failures */}
           <Typography variant="h5" color="error">
-            {error.message}
+            {isNotFoundError(error) ? "Person not found" : error.message}
           </Typography>
+          {error.requestId && !isNotFoundError(error) && (
+            <Typography variant="caption" color="text.secondary">
+              Request ID: {error.requestId}
+            </Typography>
+          )}
         </Box>
       );
     }
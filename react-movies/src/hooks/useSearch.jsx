@@ -54,6 +54,11 @@
  *    - Makes cache invalidation predictable
  *    - Follows React Query best practices
  *
+ * 9. Independent Pagination
+ *    - Movies and people are paged separately (each has its own page number)
+ *    - The page is part of the query key, so every page is cached on its own
+ *    - Both pages go back to 1 whenever the search query changes
+ *
  * Data Flow:
  * 1. Receive search query string
  * 2. Execute two parallel API queries (movies and people)
@@ -74,7 +79,8 @@
  * );
  */
 
-import { useQuery } from "@tanstack/react-query";
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
@@ -96,6 +102,8 @@ import { searchMovies, searchPeople } from "../api/tmdb-api";
  * @returns {Object} Search results and state object
  * @returns {Array<Object>} return.movies - Array of movie results (empty if no query or loading)
  * @returns {Array<Object>} return.people - Array of people results (empty if no query or loading)
+ * @returns {Object} return.moviesPagination - { page, totalPages, totalResults, setPage } for movies
+ * @returns {Object} return.peoplePagination - { page, totalPages, totalResults, setPage } for people
  * @returns {boolean} return.isLoading - True if either query is pending
  * @returns {Error|null} return.error - Error object if either query failed, null otherwise
  * @returns {React.Component} return.SearchState - Component for rendering loading/error UI
@@ -113,6 +121,16 @@ import { searchMovies, searchPeople } from "../api/tmdb-api";
  * );
  */
 export const useSearch = (query) => {
+  /**
+   * Page state for both result lists.
+   *
+   * I store the query together with the pages. When the query changes the stored
+   * pages belong to an old search, so I fall back to page 1 for both lists
+   * without needing an extra effect to reset them.
+   */
+  const [pageState, setPageState] = useState({ query, movies: 1, people: 1 });
+  const pages =
+    pageState.query === query ? pageState : { query, movies: 1, people: 1 };
   /**
    * Movie search query.
    *
@@ -126,8 +144,10 @@ export const useSearch = (query) => {
     isPending: isPendingMovies,
     isError: isMoviesError,
   } = useQuery({
-    queryKey: QUERY_KEYS.SEARCH_MOVIES(query),
+    queryKey: QUERY_KEYS.SEARCH_MOVIES(query, pages.movies),
     queryFn: searchMovies,
+    // I keep the previous page visible while the next page loads
+    placeholderData: keepPreviousData,
     // I only enable the query if a non-empty search term exists
     // This prevents unnecessary API calls and network requests
     enabled: !!query,
@@ -146,8 +166,9 @@ export const useSearch = (query) => {
     isPending: isPendingPeople,
     isError: isPeopleError,
   } = useQuery({
-    queryKey: QUERY_KEYS.SEARCH_PEOPLE(query),
+    queryKey: QUERY_KEYS.SEARCH_PEOPLE(query, pages.people),
     queryFn: searchPeople,
+    placeholderData: keepPreviousData,
     // I only enable the query if a non-empty search term exists
     enabled: !!query,
   });
@@ -189,6 +210,20 @@ export const useSearch = (query) => {
     movies: moviesData?.results || [],
     people: peopleData?.results || [],
 
+    // I expose paging info for each list so the page can render its own controls
+    moviesPagination: {
+      page: pages.movies,
+      totalPages: moviesData?.totalPages || 1,
+      totalResults: moviesData?.totalResults || 0,
+      setPage: (page) => setPageState({ ...pages, movies: page }),
+    },
+    peoplePagination: {
+      page: pages.people,
+      totalPages: peopleData?.totalPages || 1,
+      totalResults: peopleData?.totalResults || 0,
+      setPage: (page) => setPageState({ ...pages, people: page }),
+    },
+
     // I combine loading states with OR logic
     // If either query is pending, return true so UI shows loading state
     isLoading: isPendingMovies || isPendingPeople,
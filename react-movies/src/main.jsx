@@ -7,6 +7,7 @@ import Box from "@mui/material/Box";
 import HomePage from "./pages/homePage";
 import MoviePage from "./pages/movieDetailsPage";
 import MyListPage from "./pages/myListPage";
+import DiaryPage from "./pages/diaryPage";
 import MovieReviewPage from "./pages/movieReviewPage";
 import PopularMoviesPage from "./pages/popularMoviesPage";
 import TopRatedMoviesPage from "./pages/topRatedMoviesPage";
@@ -22,6 +23,8 @@ import AddMovieReviewPage from "./pages/addMovieReviewPage";
 import UpcomingMoviesPage from "./pages/upcomingMoviesPage";
 import LoginPage from "./pages/loginPage";
 import SignupPage from "./pages/signupPage";
+import SecurityPage from "./pages/securityPage";
+import AccountPage from "./pages/accountPage";
 import ProtectedRoute from "./components/protectedRoute";
 import FestiveBanner from "./components/festiveBanner";
 import Snowfall from "./components/snowfall";
@@ -45,6 +48,8 @@ import theme from "./theme";
  * - staleTime (360000ms = 6 hours): Cached data is considered fresh for 6 hours
  * - refetchInterval (360000ms = 6 hours): Automatically refresh data every 6 hours
  * - refetchOnWindowFocus: false: Don't refetch when user returns to the window (prevents unnecessary API calls)
+ * - retry: Failed queries are retried up to 3 times, except 4xx errors (not found, log in
+ *   again, bad input) - asking again won't change the answer
  *
  * These settings balance between keeping data fresh and minimizing API calls to reduce load.
  */
@@ -54,6 +59,8 @@ const queryClient = new QueryClient({
       staleTime: 360000,
       refetchInterval: 360000,
       refetchOnWindowFocus: false,
+      retry: (failureCount, error) =>
+        failureCount < 3 && !(error.status >= 400 && error.status < 500),
     },
   },
 });
@@ -79,7 +86,10 @@ const queryClient = new QueryClient({
  *
  * Protected Routes:
  * - /movies/my-list (MyListPage) - requires authentication
+ * - /movies/diary (DiaryPage) - requires authentication
  * - /reviews/form (AddMovieReviewPage) - requires authentication
+ * - /account (AccountPage) - requires authentication
+ * - /account/security (SecurityPage) - requires authentication
  *
  * @returns {React.ReactElement} The complete application component with all providers and routes
  */
@@ -119,6 +129,14 @@ const App = () => {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path={ROUTES.MOVIES.DIARY}
+                  element={
+                    <ProtectedRoute>
+                      <DiaryPage />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route
                   path={ROUTES.REVIEWS.FORM}
                   element={
@@ -127,6 +145,22 @@ const App = () => {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path={ROUTES.ACCOUNT.SETTINGS}
+                  element={
+                    <ProtectedRoute>
+                      <AccountPage />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path={ROUTES.ACCOUNT.SECURITY}
+                  element={
+                    <ProtectedRoute>
+                      <SecurityPage />
+                    </ProtectedRoute>
+                  }
+                />
 
                 {/* Public Routes - No Authentication Required */}
                 <Route
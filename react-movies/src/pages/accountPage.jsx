@@ -0,0 +1,135 @@
+import React, { useContext } from "react";
+import { useNavigate, Link } from "react-router";
+import { AuthContext } from "../contexts/authContext";
+import { ROUTES } from "../constants/routes";
+import { CHANGE_PASSWORD, CHANGE_USERNAME, DELETE_ACCOUNT } from "@validation/schemas";
+import PageHeader from "../components/pageHeader";
+import AccountForm from "../components/accountForm";
+import CalendarFeed from "../components/calendarFeed";
+import Grid from "@mui/material/Grid";
+import Stack from "@mui/material/Stack";
+import Typography from "@mui/material/Typography";
+
+/**
+ * Page component for the user's account settings.
+ *
+ * I show three forms, each sent to /api/users/account through AuthContext:
+ * - Change username - the new name must follow the signup rules and be free
+ * - Change password - with the new password typed twice
+ * - Delete account - removes the account with its reviews, lists and diary
+ *
+ * All three ask for the current password. Changing the username or password signs out
+ * every other device; AuthContext stores the new tokens the backend returns for this one,
+ * so the user stays logged in here. After deleting the account I send the user home.
+ *
+ * Between them, CalendarFeed manages the secret link to the user's release calendar, which
+ * needs no password.
+ *
+ * The Security page (active sessions) is linked at the top.
+ *
+ * @component
+ * @returns {React.ReactElement} The account settings page
+ *
+ * @example
+ * // Used in routing configuration
+ * import AccountPage from './pages/accountPage';
+ */
+const AccountPage = () => {
+  const { user, changeUsername, changePassword, deleteAccount } = useContext(AuthContext);
+  const navigate = useNavigate();
+
+  const handleDelete = async ({ currentPassword }) => {
+    await deleteAccount(currentPassword);
+    navigate(ROUTES.HOME);
+  };
+
+  return (
+    <Grid container>
+      <Grid size={12}>
+        <PageHeader title="Account Settings" />
+      </Grid>
+
+      <Grid size={{ xs: 12, md: 8, lg: 6 }} sx={{ p: { xs: 2, md: 2.5 } }}>
+        <Typography variant="body2" sx={{ mb: 2, color: "rgba(255, 255, 255, 0.7)" }}>
+          Signed in as <strong>{user?.username}</strong>. See where you're signed in on the{" "}
+          <Link to={ROUTES.ACCOUNT.SECURITY} style={{ color: "#90caf9" }}>
+            Security
+          </Link>{" "}
+          page.
+        </Typography>
+
+        <Stack spacing={3}>
+          <AccountForm
+            title="Change username"
+            description="You'll be signed out on your other devices."
+            fields={[
+              { name: "username", label: "New username", autoComplete: "username", rule: CHANGE_USERNAME.body.username },
+              {
+                name: "currentPassword",
+                label: "Current password",
+                type: "password",
+                autoComplete: "current-password",
+                rule: CHANGE_USERNAME.body.currentPassword,
+              },
+            ]}
+            submitLabel="Change username"
+            successMessage="Username changed."
+            onSubmit={({ username, currentPassword }) => changeUsername(username, currentPassword)}
+          />
+
+          <AccountForm
+            title="Change password"
+            description="You'll be signed out on your other devices."
+            fields={[
+              {
+                name: "currentPassword",
+                label: "Current password",
+                type: "password",
+                autoComplete: "current-password",
+                rule: CHANGE_PASSWORD.body.currentPassword,
+              },
+              {
+                name: "newPassword",
+                label: "New password",
+                type: "password",
+                autoComplete: "new-password",
+                rule: CHANGE_PASSWORD.body.newPassword,
+              },
+              {
+                name: "confirmPassword",
+                label: "Repeat new password",
+                type: "password",
+                autoComplete: "new-password",
+                validate: (value, values) => value !== values.newPassword && "Passwords don't match",
+              },
+            ]}
+            submitLabel="Change password"
+            successMessage="Password changed."
+            onSubmit={({ currentPassword, newPassword }) => changePassword(currentPassword, newPassword)}
+          />
+
+          <CalendarFeed />
+
+          <AccountForm
+            title="Delete account"
+            description="This deletes your account with all of your reviews, lists and diary entries. It can't be undone."
+            fields={[
+              {
+                name: "currentPassword",
+                label: "Current password",
+                type: "password",
+                autoComplete: "current-password",
+                rule: DELETE_ACCOUNT.body.currentPassword,
+              },
+            ]}
+            submitLabel="Delete my account"
+            danger
+            onSubmit={handleDelete}
+          />
+        </Stack>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default AccountPage;
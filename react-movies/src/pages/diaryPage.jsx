@@ -0,0 +1,233 @@
+import React, { useContext, useState } from "react";
+import { Link } from "react-router";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { AuthContext } from "../contexts/authContext";
+import { MoviesContext } from "../contexts/moviesContext";
+import { getDiary, getDiaryActivity } from "../api/backend-client";
+import { QUERY_KEYS } from "../constants/queryKeys";
+import { getMovieRoute } from "../constants/routes";
+import { diaryDay, formatDay } from "../utils/date";
+import PageHeader from "../components/pageHeader";
+import CalendarHeatmap from "../components/calendarHeatmap";
+import LogWatchDialog from "../components/logWatchDialog";
+import Grid from "@mui/material/Grid";
+import Box from "@mui/material/Box";
+import Paper from "@mui/material/Paper";
+import Typography from "@mui/material/Typography";
+import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import Chip from "@mui/material/Chip";
+import Skeleton from "@mui/material/Skeleton";
+import ToggleButton from "@mui/material/ToggleButton";
+import ToggleButtonGroup from "@mui/material/ToggleButtonGroup";
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import ReplayIcon from "@mui/icons-material/Replay";
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+/**
+ * Page component for the user's watch diary.
+ *
+ * I show a year of viewing activity as a calendar heatmap, and below it the diary entries
+ * for one month of that year. Both come from the backend through React Query:
+ * - GET /api/users/diary/activity gives the per-day counts for the heatmap
+ * - GET /api/users/diary?year=&month= gives the month's entries
+ *
+ * The year is changed with arrows next to the title, the month with a row of toggle buttons,
+ * and clicking a square on the heatmap jumps to that day's month. Each entry can be edited
+ * (date, rating, rewatch) in the same dialog used to log it, or deleted.
+ *
+ * The diary context handlers invalidate QUERY_KEYS.DIARY() after every change, which
+ * refreshes both queries here.
+ *
+ * @component
+ * @returns {React.ReactElement} The diary page
+ *
+ * @example
+ * // Used in routing configuration
+ * import DiaryPage from './pages/diaryPage';
+ */
+const DiaryPage = () => {
+  const { token } = useContext(AuthContext);
+  const { updateDiaryEntry, deleteDiaryEntry } = useContext(MoviesContext);
+
+  // I start on the current month
+  const now = new Date();
+  const [year, setYear] = useState(now.getFullYear());
+  const [month, setMonth] = useState(now.getMonth() + 1);
+
+  // The entry open in the edit dialog (null when closed)
+  const [entryToEdit, setEntryToEdit] = useState(null);
+
+  const activityQuery = useQuery({
+    queryKey: QUERY_KEYS.DIARY_ACTIVITY(year),
+    queryFn: () => getDiaryActivity(token, year),
+    placeholderData: keepPreviousData,
+  });
+
+  const entriesQuery = useQuery({
+    queryKey: QUERY_KEYS.DIARY({ year, month }),
+    queryFn: () => getDiary(token, { year, month }),
+    placeholderData: keepPreviousData,
+  });
+
+  const changeYear = (delta) => setYear((prev) => prev + delta);
+
+  const handleDayClick = (day) => setMonth(Number(day.slice(5, 7)));
+
+  const handleSaveEdit = async (changes) => {
+    const saved = await updateDiaryEntry(entryToEdit._id, changes);
+    // I throw so the dialog stays open and shows the problem
+    if (!saved) throw new Error("Couldn't update this entry");
+  };
+
+  const entries = entriesQuery.data || [];
+
+  return (
+    <Grid container>
+      <Grid size={12}>
+        <PageHeader title="Watch Diary" />
+      </Grid>
+
+      {/* Year picker and heatmap */}
+      <Grid size={12} sx={{ p: { xs: 2, md: 2.5 } }}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 2 }}>
+          <IconButton aria-label="previous year" onClick={() => changeYear(-1)} sx={{ color: "white" }}>
+            <ChevronLeftIcon />
+          </IconButton>
+          <Typography variant="h6" component="h2" fontWeight={600} sx={{ color: "white" }}>
+            📅 {year}
+          </Typography>
+          <IconButton
+            aria-label="next year"
+            onClick={() => changeYear(1)}
+            disabled={year >= now.getFullYear()}
+            sx={{ color: "white" }}
+          >
+            <ChevronRightIcon />
+          </IconButton>
+          <Typography variant="body2" sx={{ ml: 1, color: "rgba(255, 255, 255, 0.7)" }}>
+            {activityQuery.data ? `${activityQuery.data.total} movies watched` : ""}
+          </Typography>
+        </Box>
+
+        {activityQuery.isPending ? (
+          <Skeleton variant="rounded" height={130} />
+        ) : activityQuery.isError ? (
+          <Typography color="error">{activityQuery.error.message}</Typography>
+        ) : (
+          <CalendarHeatmap year={year} days={activityQuery.data.days} onDayClick={handleDayClick} />
+        )}
+      </Grid>
+
+      {/* Month picker and entries */}
+      <Grid size={12} sx={{ p: { xs: 2, md: 2.5 } }}>
+        <ToggleButtonGroup
+          exclusive
+          size="small"
+          value={month}
+          onChange={(e, value) => value && setMonth(value)}
+          sx={{ mb: 2, flexWrap: "wrap", "& .MuiToggleButton-root": { color: "rgba(255, 255, 255, 0.7)" } }}
+        >
+          {MONTH_NAMES.map((name, index) => (
+            <ToggleButton key={name} value={index + 1}>
+              {name.slice(0, 3)}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+
+        <Typography variant="h6" component="h2" fontWeight={600} sx={{ mb: 2, color: "white" }}>
+          🎞️ {MONTH_NAMES[month - 1]} {year} ({entries.length})
+        </Typography>
+
+        {entriesQuery.isPending ? (
+          <Skeleton variant="rounded" height={80} />
+        ) : entriesQuery.isError ? (
+          <Typography color="error">{entriesQuery.error.message}</Typography>
+        ) : entries.length === 0 ? (
+          <Typography variant="body2" sx={{ color: "rgba(255, 255, 255, 0.5)" }}>
+            Nothing logged this month. Use the eye button on any movie to log a watch.
+          </Typography>
+        ) : (
+          <Grid container spacing={2}>
+            {entries.map((entry) => (
+              <Grid key={entry._id} size={{ xs: 12, md: 6 }}>
+                <Paper sx={{ p: 2, display: "flex", alignItems: "center", gap: 2 }}>
+                  <Box sx={{ minWidth: 90 }}>
+                    <Typography variant="body2" fontWeight={600}>
+                      {formatDay(diaryDay(entry.watchedOn))}
+                    </Typography>
+                  </Box>
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Typography
+                      component={Link}
+                      to={getMovieRoute(entry.movieId)}
+                      variant="subtitle1"
+                      fontWeight={600}
+                      sx={{ color: "primary.main", textDecoration: "none" }}
+                    >
+                      {entry.movieTitle}
+                    </Typography>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                      {entry.rating && (
+                        <Typography variant="body2" color="text.secondary">
+                          {"⭐".repeat(entry.rating)}
+                        </Typography>
+                      )}
+                      {entry.rewatch && (
+                        <Chip size="small" icon={<ReplayIcon />} label="Rewatch" variant="outlined" />
+                      )}
+                    </Box>
+                  </Box>
+                  <Tooltip title="Edit entry">
+                    <IconButton
+                      size="small"
+                      aria-label={`edit diary entry for ${entry.movieTitle}`}
+                      onClick={() => setEntryToEdit(entry)}
+                    >
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete entry">
+                    <IconButton
+                      size="small"
+                      aria-label={`delete diary entry for ${entry.movieTitle}`}
+                      onClick={() => deleteDiaryEntry(entry)}
+                      sx={{ "&:hover": { color: "error.main" } }}
+                    >
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Paper>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </Grid>
+
+      <LogWatchDialog
+        open={Boolean(entryToEdit)}
+        title={`Edit "${entryToEdit?.movieTitle}"`}
+        initialValues={
+          entryToEdit
+            ? {
+                watchedOn: diaryDay(entryToEdit.watchedOn),
+                rating: entryToEdit.rating,
+                rewatch: entryToEdit.rewatch,
+              }
+            : {}
+        }
+        onClose={() => setEntryToEdit(null)}
+        onSave={handleSaveEdit}
+      />
+    </Grid>
+  );
+};
+
+export default DiaryPage;
@@ -5,6 +5,8 @@ import { useQueries } from "@tanstack/react-query";
 import { getMovie } from "../api/tmdb-api";
 import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
 import RemoveFromFavorites from "../components/cardIcons/removeFromFavorites";
+import AddToListIcon from "../components/cardIcons/addToList";
+import LogWatchIcon from "../components/cardIcons/logWatch";
 import WriteReview from "../components/cardIcons/writeReview";
 import { QUERY_KEYS } from "../constants/queryKeys";
 import { mapMovieGenres } from "../utils/movie";
@@ -68,6 +70,8 @@ const FavoriteMoviesPage = () => {
         <>
           <RemoveFromFavorites movie={movie} />
           <WriteReview movie={movie} />
+          <AddToListIcon movie={movie} />
+          <LogWatchIcon movie={movie} />
         </>
       )}
     />
@@ -1,9 +1,12 @@
-import React from "react";
+import React, { useState } from "react";
 import { getMovies } from "../api/tmdb-api";
 import PageTemplate from "../components/templateMovieListPage";
 import { useMovieList } from "../hooks/useMovieList";
 import AddToFavoritesIcon from "../components/cardIcons/addToFavorites";
+import AddToListIcon from "../components/cardIcons/addToList";
+import LogWatchIcon from "../components/cardIcons/logWatch";
 import { QUERY_KEYS } from "../constants/queryKeys";
+import { DEFAULT_DISCOVER_FILTERS } from "../constants/discover";
 
 /**
  * Home page component that displays a curated list of movies for discovery.
@@ -18,6 +21,10 @@ import { QUERY_KEYS } from "../constants/queryKeys";
  * the fetch fails. Once data loads successfully, the movies are displayed in the PageTemplate
  * component with sorting and filtering capabilities.
  *
+ * Unlike the other list pages, I filter Discover on the server. I own the filter state here
+ * and make it part of the query key, so every filter change asks the backend for a fresh,
+ * already-filtered list that covers all of TMDB rather than just the page on screen.
+ *
  * @component
  * @returns {React.ReactElement} A page component displaying a curated list of movies for discovery,
  *                               with the ability to add them to the user's favorites list
@@ -27,11 +34,14 @@ import { QUERY_KEYS } from "../constants/queryKeys";
  * import HomePage from './pages/homePage';
  */
 const HomePage = () => {
+  const [filters, setFilters] = useState(DEFAULT_DISCOVER_FILTERS);
+
   // I fetch a general list of movies using the useMovieList hook with the DISCOVER
-  // query key, which handles caching and state management through React Query
-  const { movies, MovieListState } = useMovieList(
-    QUERY_KEYS.DISCOVER,
-    getMovies
+  // query key, which handles caching and state management through React Query.
+  // The filters are part of the key, so changing them starts again from page 1.
+  const { movies, page, totalPages, setPage, MovieListState } = useMovieList(
+    QUERY_KEYS.DISCOVER(filters),
+    (pageNumber) => getMovies(filters, pageNumber)
   );
 
   // I check if there's a loading or error state to display. The MovieListState component
@@ -48,7 +58,18 @@ const HomePage = () => {
     <PageTemplate
       title="Discover Movies"
       movies={movies}
-      action={(movie) => <AddToFavoritesIcon movie={movie} />}
+      page={page}
+      totalPages={totalPages}
+      onPageChange={setPage}
+      filters={filters}
+      onFiltersChange={setFilters}
+      action={(movie) => (
+        <>
+          <AddToFavoritesIcon movie={movie} />
+          <AddToListIcon movie={movie} />
+          <LogWatchIcon movie={movie} />
+        </>
+      )}
     />
   );
 };
@@ -20,6 +20,9 @@
  *    - I display errors from AuthContext in an Alert component
  *    - Errors appear below the form fields for clear visibility
  *    - Errors are cleared when user starts a new login attempt
+ *    - After repeated wrong passwords the backend makes the user wait (or locks the
+ *      account for a while). I show a countdown instead of the bare error and keep
+ *      the Sign In button disabled until it runs out
  *
  * 4. Loading State
  *    - I show a CircularProgress spinner inside the button during login
@@ -46,6 +49,7 @@ import React, { useState, useContext } from "react";
 import { useNavigate, Link } from "react-router";
 import { AuthContext } from "../contexts/authContext";
 import { ROUTES } from "../constants/routes";
+import { useCountdown, formatCountdown } from "../hooks/useCountdown";
 import Box from "@mui/material/Box";
 import Paper from "@mui/material/Paper";
 import Typography from "@mui/material/Typography";
@@ -67,7 +71,11 @@ import CircularProgress from "@mui/material/CircularProgress";
  */
 const LoginPage = () => {
   // I access the auth context for login function, loading state, and errors
-  const { loginUser, loading, error } = useContext(AuthContext);
+  const { loginUser, loading, error, loginRetryAt } = useContext(AuthContext);
+
+  // I count down the wait the backend asked for after too many failed attempts
+  const secondsLeft = useCountdown(loginRetryAt);
+  const mustWait = secondsLeft > 0;
 
   // I use navigate to redirect after successful login
   const navigate = useNavigate();
@@ -174,8 +182,14 @@ const LoginPage = () => {
 
             {/* Error Message */}
             {error && (
-              <Alert severity="error" sx={{ mt: 1 }}>
+              <Alert severity={mustWait ? "warning" : "error"} sx={{ mt: 1 }} role="alert">
                 {error}
+                {mustWait && (
+                  <>
+                    <br />
+                    You can try again in <strong>{formatCountdown(secondsLeft)}</strong>.
+                  </>
+                )}
               </Alert>
             )}
 
@@ -186,12 +200,14 @@ const LoginPage = () => {
               color="primary"
               size="large"
               fullWidth
-              disabled={loading || !username || !password}
+              disabled={loading || mustWait || !username || !password}
               sx={{ mt: 2, py: 1.5 }}
             >
               {loading ? (
                 // I show a spinner inside the button while loading
                 <CircularProgress size={24} color="inherit" />
+              ) : mustWait ? (
+                `Try again in ${formatCountdown(secondsLeft)}`
               ) : (
                 "Sign In"
               )}
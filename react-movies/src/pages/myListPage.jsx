@@ -1,4 +1,4 @@
-import React, { useContext } from "react";
+import React, { useContext, useState } from "react";
 import { MoviesContext } from "../contexts/moviesContext";
 import { useQueries } from "@tanstack/react-query";
 import { getMovie } from "../api/tmdb-api";
@@ -7,11 +7,29 @@ import MovieCard from "../components/movieCard";
 import MovieListSkeleton from "../components/skeletons/MovieListSkeleton";
 import RemoveFromFavorites from "../components/cardIcons/removeFromFavorites";
 import RemoveFromMustWatch from "../components/cardIcons/removeFromMustWatch";
+import LogWatchIcon from "../components/cardIcons/logWatch";
 import WriteReview from "../components/cardIcons/writeReview";
+import EditReviewDialog from "../components/editReviewDialog";
+import CustomListSection from "../components/customListSection";
+import NewListDialog from "../components/newListDialog";
+import DataBackup from "../components/dataBackup";
+import CsvImport from "../components/csvImport";
+import ListExportMenu from "../components/listExportMenu";
 import Grid from "@mui/material/Grid";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import Paper from "@mui/material/Paper";
+import IconButton from "@mui/material/IconButton";
+import Tooltip from "@mui/material/Tooltip";
+import Dialog from "@mui/material/Dialog";
+import DialogTitle from "@mui/material/DialogTitle";
+import DialogContent from "@mui/material/DialogContent";
+import DialogContentText from "@mui/material/DialogContentText";
+import DialogActions from "@mui/material/DialogActions";
+import Button from "@mui/material/Button";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import PlaylistAddIcon from "@mui/icons-material/PlaylistAdd";
 import { QUERY_KEYS } from "../constants/queryKeys";
 import { mapMovieGenres } from "../utils/movie";
 
@@ -26,7 +44,16 @@ import { mapMovieGenres } from "../utils/movie";
  * The page displays three sections:
  * 1. "Favorite Movies" - with options to remove from favorites or write a review
  * 2. "Must Watch" - with options to remove from the must-watch list
- * 3. "My Reviews" - showing user's written reviews with movie title, rating, and content
+ * 3. One section per custom list (see CustomListSection), in list order with notes,
+ *    plus a "New list" button
+ * 4. "My Reviews" - showing user's written reviews with movie title, rating, and content,
+ *    plus edit and delete actions. Editing opens EditReviewDialog; deleting asks for
+ *    confirmation first because it also throws away the review's history.
+ *
+ * Above the sections, DataBackup downloads the favorites, must-watch list and reviews as a
+ * JSON file and uploads such a file back, and CsvImport brings in Letterboxd and IMDb
+ * exports. Both preview the changes before anything is saved. ListExportMenu downloads the
+ * lists as CSV, JSON or Letterboxd-ready CSV files.
  *
  * @component
  * @returns {React.ReactElement} A page component displaying the user's favorites, must-watch,
@@ -39,7 +66,23 @@ import { mapMovieGenres } from "../utils/movie";
 const MyListPage = () => {
   // I retrieve the user's favorite, must-watch, and reviews from the MoviesContext,
   // which stores the user's personal collections
-  const { favorites, mustWatch, myReviews } = useContext(MoviesContext);
+  const {
+    favorites,
+    mustWatch,
+    myReviews,
+    updateReview,
+    deleteReview,
+    lists,
+    createList,
+  } = useContext(MoviesContext);
+
+  // I track which review is open in the edit dialog and which one is waiting
+  // for delete confirmation (null when no dialog is open)
+  const [reviewToEdit, setReviewToEdit] = useState(null);
+  const [reviewToDelete, setReviewToDelete] = useState(null);
+
+  // I control the "New list" dialog here
+  const [newListOpen, setNewListOpen] = useState(false);
 
   // I fetch the full movie details for each favorite movie ID using parallel queries.
   // React Query caches each movie individually, so if a movie is in both lists,
@@ -59,11 +102,24 @@ const MyListPage = () => {
     })),
   });
 
+  // I fetch every movie that appears in any custom list in one go. A movie in several
+  // lists (or also in favorites) shares the same cached query.
+  const listMovieIds = [
+    ...new Set(lists.flatMap((list) => list.items.map((item) => item.movieId))),
+  ];
+  const listMovieQueries = useQueries({
+    queries: listMovieIds.map((movieId) => ({
+      queryKey: QUERY_KEYS.MOVIE(movieId),
+      queryFn: getMovie,
+    })),
+  });
+
   // I check if any of the parallel queries is still loading. If so, I display skeleton
   // loaders to provide visual feedback that content is loading
   const isPending =
     favoriteMovieQueries.find((m) => m.isPending === true) ||
-    mustWatchMovieQueries.find((m) => m.isPending === true);
+    mustWatchMovieQueries.find((m) => m.isPending === true) ||
+    listMovieQueries.find((m) => m.isPending === true);
 
   if (isPending) {
     return <MovieListSkeleton />;
@@ -78,7 +134,28 @@ const MyListPage = () => {
     mapMovieGenres(q.data)
   );
 
-  const hasAnyContent = favoriteMovies.length > 0 || mustWatchMovies.length > 0 || myReviews.length > 0;
+  // I key list movies by ID so each CustomListSection can look them up in its own order
+  const listMoviesById = {};
+  listMovieQueries.forEach((q) => {
+    if (q.data) listMoviesById[q.data.id] = mapMovieGenres(q.data);
+  });
+
+  const hasAnyContent =
+    favoriteMovies.length > 0 ||
+    mustWatchMovies.length > 0 ||
+    myReviews.length > 0 ||
+    lists.length > 0;
+
+  const handleSaveReview = async (changes) => {
+    await updateReview(reviewToEdit._id, changes);
+    setReviewToEdit(null);
+  };
+
+  const handleConfirmDelete = async () => {
+    const reviewId = reviewToDelete._id;
+    setReviewToDelete(null);
+    await deleteReview(reviewId);
+  };
 
   return (
     <Grid container>
@@ -86,6 +163,30 @@ const MyListPage = () => {
         <PageHeader title="My List" />
       </Grid>
 
+      <Grid
+        size={12}
+        sx={{ px: { xs: 2, md: 2.5 }, display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 1, flexWrap: "wrap" }}
+      >
+        <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", alignItems: "flex-start" }}>
+          <Box>
+            <DataBackup />
+          </Box>
+          <Box>
+            <CsvImport />
+          </Box>
+          <Box>
+            <ListExportMenu />
+          </Box>
+        </Box>
+        <Button
+          variant="contained"
+          startIcon={<PlaylistAddIcon />}
+          onClick={() => setNewListOpen(true)}
+        >
+          New list
+        </Button>
+      </Grid>
+
       {!hasAnyContent && (
         <Grid size={12}>
           <Box sx={{ p: 4, textAlign: "center" }}>
@@ -95,7 +196,7 @@ const MyListPage = () => {
               Your list is empty
             </Typography>
             <Typography variant="body2" sx={{ mt: 1, color: "rgba(255, 255, 255, 0.5)" }}>
-              Start adding movies to your favorites, must-watch list, or write reviews
+              Start adding movies to your favorites, must-watch list or your own lists, or write reviews
             </Typography>
           </Box>
         </Grid>
@@ -141,8 +242,8 @@ const MyListPage = () => {
           >
             📺 Must Watch ({mustWatchMovies.length})
           </Typography>
-          {/* I render must-watch movies in a responsive grid with a "Remove from Must Watch"
-              action button to allow users to manage their watchlist */}
+          {/* I render must-watch movies in a responsive grid with "Log watch" and "Remove from
+              Must Watch" action buttons. Logging a watch takes the movie off this list */}
           <Grid container spacing={2}>
             {mustWatchMovies.map((movie) => (
               <Grid key={movie.id} size={{ xs: 12, sm: 6, md: 4, lg: 3 }}>
@@ -150,6 +251,7 @@ const MyListPage = () => {
                   movie={movie}
                   action={(movie) => (
                     <>
+                      <LogWatchIcon movie={movie} />
                       <RemoveFromMustWatch movie={movie} />
                     </>
                   )}
@@ -160,6 +262,11 @@ const MyListPage = () => {
         </Grid>
       )}
 
+      {/* Custom Lists - one section per list, in the order they were created */}
+      {lists.map((list) => (
+        <CustomListSection key={list._id} list={list} moviesById={listMoviesById} />
+      ))}
+
       {/* Reviews Section - Display user's written reviews */}
       {myReviews.length > 0 && (
         <Grid size={12} sx={{ p: { xs: 2, md: 2.5 } }}>
@@ -175,7 +282,7 @@ const MyListPage = () => {
               movie title, rating, content preview, and date */}
           <Grid container spacing={2}>
             {myReviews.map((review, index) => (
-              <Grid key={`${review.movieId}-${index}`} size={{ xs: 12, sm: 6, md: 4 }}>
+              <Grid key={review._id || `${review.movieId}-${index}`} size={{ xs: 12, sm: 6, md: 4 }}>
                 <Paper
                   elevation={2}
                   sx={{
@@ -185,14 +292,40 @@ const MyListPage = () => {
                     backdropFilter: "blur(10px)",
                   }}
                 >
-                  {/* Movie Title */}
-                  <Typography
-                    variant="subtitle1"
-                    fontWeight={600}
-                    sx={{ color: "primary.main", mb: 1 }}
-                  >
-                    🎬 {review.movieTitle}
-                  </Typography>
+                  {/* Movie Title with Edit/Delete actions.
+                      Reviews still waiting for the backend have no _id yet, so I hide the actions */}
+                  <Box sx={{ display: "flex", alignItems: "flex-start", mb: 1 }}>
+                    <Typography
+                      variant="subtitle1"
+                      fontWeight={600}
+                      sx={{ color: "primary.main", flexGrow: 1 }}
+                    >
+                      🎬 {review.movieTitle}
+                    </Typography>
+                    {review._id && (
+                      <>
+                        <Tooltip title="Edit review">
+                          <IconButton
+                            size="small"
+                            aria-label={`edit review of ${review.movieTitle}`}
+                            onClick={() => setReviewToEdit(review)}
+                          >
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete review">
+                          <IconButton
+                            size="small"
+                            aria-label={`delete review of ${review.movieTitle}`}
+                            onClick={() => setReviewToDelete(review)}
+                            sx={{ "&:hover": { color: "error.main" } }}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
+                  </Box>
 
                   {/* Rating Display */}
                   <Typography variant="body2" sx={{ mb: 1, color: "text.secondary" }}>
@@ -218,6 +351,8 @@ const MyListPage = () => {
                   {/* Date and Author */}
                   <Typography variant="caption" color="text.secondary">
                     📅 {new Date(review.createdAt).toLocaleDateString()} • By {review.author}
+                    {review.updatedAt &&
+                      ` • Edited ${new Date(review.updatedAt).toLocaleDateString()}`}
                   </Typography>
                 </Paper>
               </Grid>
@@ -225,6 +360,37 @@ const MyListPage = () => {
           </Grid>
         </Grid>
       )}
+
+      {/* I render the review dialogs once for the whole page; the state above decides
+          which review they belong to */}
+      <NewListDialog
+        open={newListOpen}
+        onClose={() => setNewListOpen(false)}
+        onCreate={(listData) => createList(listData)}
+      />
+
+      <EditReviewDialog
+        review={reviewToEdit}
+        open={Boolean(reviewToEdit)}
+        onClose={() => setReviewToEdit(null)}
+        onSave={handleSaveReview}
+      />
+
+      <Dialog open={Boolean(reviewToDelete)} onClose={() => setReviewToDelete(null)}>
+        <DialogTitle>Delete review?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Your review of {reviewToDelete?.movieTitle} and its edit history will be
+            permanently deleted.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReviewToDelete(null)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleConfirmDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Grid>
   );
 };
@@ -8,6 +8,9 @@ import Grid from "@mui/material/Grid";
 import Box from "@mui/material/Box";
 import Typography from "@mui/material/Typography";
 import AddToFavoritesIcon from "../components/cardIcons/addToFavorites";
+import AddToListIcon from "../components/cardIcons/addToList";
+import LogWatchIcon from "../components/cardIcons/logWatch";
+import ListPagination from "../components/listPagination";
 
 /**
  * Page component that displays search results for both movies and people.
@@ -20,7 +23,7 @@ import AddToFavoritesIcon from "../components/cardIcons/addToFavorites";
  * - If results are found, I display movies and people in separate sections with appropriate grid layouts
  *
  * Each movie result includes an "Add to Favorites" action button, while people results display
- * cast cards that link to actor details pages.
+ * cast cards that link to actor details pages. Both sections are paged independently.
  *
  * @component
  * @returns {React.ReactElement} A page component displaying search results for movies and people,
@@ -39,7 +42,8 @@ const SearchResultsPage = () => {
 
   // I fetch search results for both movies and people using the useSearch hook, which
   // handles the API calls and manages loading/error states through React Query.
-  const { movies, people, SearchState } = useSearch(query);
+  const { movies, people, moviesPagination, peoplePagination, SearchState } =
+    useSearch(query);
 
   // I check if there's a loading or error state to display. The SearchState component
   // renders skeleton loaders while fetching or an error message if the fetch fails.
@@ -106,18 +110,29 @@ const SearchResultsPage = () => {
             fontWeight={600}
             sx={{ mb: 2, color: "white" }}
           >
-            🎬 Movies ({movies.length})
+            🎬 Movies ({moviesPagination.totalResults})
           </Typography>
           <Grid container spacing={2}>
             {movies.map((movie) => (
               <Grid key={movie.id} size={{ xs: 12, sm: 6, md: 4, lg: 3 }}>
                 <MovieCard
                   movie={movie}
-                  action={(movie) => <AddToFavoritesIcon movie={movie} />}
+                  action={(movie) => (
+                    <>
+                      <AddToFavoritesIcon movie={movie} />
+                      <AddToListIcon movie={movie} />
+                      <LogWatchIcon movie={movie} />
+                    </>
+                  )}
                 />
               </Grid>
             ))}
           </Grid>
+          <ListPagination
+            page={moviesPagination.page}
+            totalPages={moviesPagination.totalPages}
+            onPageChange={moviesPagination.setPage}
+          />
         </Grid>
       )}
 
@@ -129,7 +144,7 @@ const SearchResultsPage = () => {
             fontWeight={600}
             sx={{ mb: 2, color: "white" }}
           >
-            🎭 People ({people.length})
+            🎭 People ({peoplePagination.totalResults})
           </Typography>
           <Grid container spacing={2}>
             {people.map((person) => (
@@ -138,6 +153,11 @@ const SearchResultsPage = () => {
               </Grid>
             ))}
           </Grid>
+          <ListPagination
+            page={peoplePagination.page}
+            totalPages={peoplePagination.totalPages}
+            onPageChange={peoplePagination.setPage}
+          />
         </Grid>
       )}
     </Grid>
@@ -0,0 +1,178 @@
+import React, { useContext, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { AuthContext } from "../contexts/authContext";
+import { getSessions, revokeSession, revokeOtherSessions } from "../api/backend-client";
+import { QUERY_KEYS } from "../constants/queryKeys";
+import PageHeader from "../components/pageHeader";
+import Grid from "@mui/material/Grid";
+import Box from "@mui/material/Box";
+import Paper from "@mui/material/Paper";
+import Typography from "@mui/material/Typography";
+import Button from "@mui/material/Button";
+import Chip from "@mui/material/Chip";
+import Alert from "@mui/material/Alert";
+import Skeleton from "@mui/material/Skeleton";
+import Tooltip from "@mui/material/Tooltip";
+import DevicesIcon from "@mui/icons-material/Devices";
+import LogoutIcon from "@mui/icons-material/Logout";
+
+/**
+ * Formats how long ago a timestamp was, e.g. "5 minutes ago" or "yesterday".
+ *
+ * The backend only updates a session's last-seen time about once a minute, so anything
+ * newer than that is just "Active now".
+ *
+ * @param {string} timestamp - ISO timestamp from the backend
+ * @returns {string} The relative time
+ */
+const formatTimeAgo = (timestamp) => {
+  const seconds = Math.round((new Date(timestamp) - Date.now()) / 1000);
+  if (seconds > -60) return "Active now";
+
+  const units = [
+    ["day", 86400],
+    ["hour", 3600],
+    ["minute", 60],
+  ];
+  const [unit, size] = units.find(([, unitSeconds]) => -seconds >= unitSeconds);
+  const format = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+  return `Last active ${format.format(Math.round(seconds / size), unit)}`;
+};
+
+/**
+ * Page component for the user's account security settings.
+ *
+ * I list every session the user is signed in with - one per login, so one per browser or
+ * device - from GET /api/users/sessions, showing the device (browser and system, worked out
+ * by the backend from the User-Agent), IP address, when it signed in and when it was last
+ * used. The session this browser is using is marked "This device" and comes first.
+ *
+ * Any other session can be signed out on its own, or all of them at once. Signing out is
+ * immediate on the backend: that device's next request fails and it's sent to the login
+ * page. To end the current session the user logs out as usual, so I don't offer it here.
+ *
+ * @component
+ * @returns {React.ReactElement} The security page
+ *
+ * @example
+ * // Used in routing configuration
+ * import SecurityPage from './pages/securityPage';
+ */
+const SecurityPage = () => {
+  const { token } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+
+  // The session being signed out ("others" for all of them), to disable its button
+  const [pending, setPending] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const sessionsQuery = useQuery({
+    queryKey: QUERY_KEYS.SESSIONS,
+    queryFn: () => getSessions(token),
+    // The list changes whenever the user signs in elsewhere, so I don't keep it long
+    staleTime: 0,
+  });
+
+  const sessions = sessionsQuery.data || [];
+  // I show the current session first, then the rest by last use (the backend's order)
+  const sorted = [...sessions].sort((a, b) => b.current - a.current);
+  const otherCount = sessions.filter((session) => !session.current).length;
+
+  /**
+   * Signs out one session, or all other sessions, then reloads the list.
+   *
+   * @param {string} target - A session _id, or "others"
+   */
+  const handleRevoke = async (target) => {
+    setActionError(null);
+    setPending(target);
+    try {
+      if (target === "others") {
+        await revokeOtherSessions(token);
+      } else {
+        await revokeSession(token, target);
+      }
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setPending(null);
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.SESSIONS });
+    }
+  };
+
+  return (
+    <Grid container>
+      <Grid size={12}>
+        <PageHeader title="Security" />
+      </Grid>
+
+      <Grid size={12} sx={{ p: { xs: 2, md: 2.5 } }}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2, flexWrap: "wrap" }}>
+          <Typography variant="h6" component="h2" fontWeight={600} sx={{ color: "white", flexGrow: 1 }}>
+            🔐 Where you're signed in
+          </Typography>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<LogoutIcon />}
+            disabled={otherCount === 0 || pending !== null}
+            onClick={() => handleRevoke("others")}
+          >
+            Sign out all other sessions
+          </Button>
+        </Box>
+
+        {actionError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setActionError(null)}>
+            {actionError}
+          </Alert>
+        )}
+
+        {sessionsQuery.isPending ? (
+          <Skeleton variant="rounded" height={80} />
+        ) : sessionsQuery.isError ? (
+          <Typography color="error">{sessionsQuery.error.message}</Typography>
+        ) : (
+          <Grid container spacing={2}>
+            {sorted.map((session) => (
+              <Grid key={session._id} size={12}>
+                <Paper sx={{ p: 2, display: "flex", alignItems: "center", gap: 2 }}>
+                  <DevicesIcon color={session.current ? "primary" : "action"} />
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                      <Tooltip title={session.userAgent || "No user agent sent"}>
+                        <Typography variant="subtitle1" fontWeight={600}>
+                          {session.device}
+                        </Typography>
+                      </Tooltip>
+                      {session.current && <Chip size="small" color="primary" label="This device" />}
+                    </Box>
+                    <Typography variant="body2" color="text.secondary">
+                      {session.ip || "Unknown IP"} • Signed in {new Date(session.createdAt).toLocaleString()}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {session.current ? "Active now" : formatTimeAgo(session.lastSeenAt)}
+                    </Typography>
+                  </Box>
+                  {!session.current && (
+                    <Button
+                      size="small"
+                      color="error"
+                      disabled={pending !== null}
+                      onClick={() => handleRevoke(session._id)}
+                      aria-label={`sign out ${session.device}`}
+                    >
+                      Sign out
+                    </Button>
+                  )}
+                </Paper>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+      </Grid>
+    </Grid>
+  );
+};
+
+export default SecurityPage;
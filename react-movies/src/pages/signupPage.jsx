@@ -28,7 +28,15 @@
  *    - This is more consistent and avoids potential issues
  *    - User sees a success message and can then log in
  *
- * 5. Error Handling
+ * 5. Field Validation
+ *    - I check the username and password with the backend's own rules (USERNAME and
+ *      PASSWORD, shared from movies-api/validation), so the form can't accept a value
+ *      the API will reject - e.g. a "strong" password containing a character the
+ *      backend doesn't allow
+ *    - A field's error shows once the user leaves it or tries to submit, not while
+ *      they're still typing the first characters
+ *
+ * 6. Error Handling
  *    - I display backend errors (like "username already taken")
  *    - Errors appear below the form fields
  *    - Errors are cleared when user starts a new signup attempt
@@ -52,6 +60,8 @@ import Stack from "@mui/material/Stack";
 import Alert from "@mui/material/Alert";
 import CircularProgress from "@mui/material/CircularProgress";
 import LinearProgress from "@mui/material/LinearProgress";
+import { checkField } from "@validation/validator";
+import { USERNAME, PASSWORD } from "@validation/schemas";
 
 /**
  * Calculates password strength based on various criteria.
@@ -141,24 +151,37 @@ const SignupPage = () => {
   const [username, setUsername] = useState("");
   const [password, setPassword] = useState("");
 
+  // I only show a field's error after the user has left it (or tried to submit)
+  const [touched, setTouched] = useState({ username: false, password: false });
+
   // I track signup success to show a success message
   const [signupSuccess, setSignupSuccess] = useState(false);
 
   // I calculate password strength whenever password changes
   const passwordStrength = calculatePasswordStrength(password);
 
+  // I run the same field rules the backend runs on registration
+  const usernameError = checkField(username, USERNAME).error;
+  const passwordError = checkField(password, PASSWORD).error;
+  const showUsernameError = touched.username && Boolean(usernameError);
+  const showPasswordError = touched.password && Boolean(passwordError);
+
   /**
    * Handles form submission.
    *
-   * I prevent the default form behavior, call the signupUser function from context,
-   * and redirect to login on success. The context handles setting error state if
-   * signup fails.
+   * I prevent the default form behavior, check both fields, call the signupUser
+   * function from context, and redirect to login on success. The context handles
+   * setting error state if signup fails.
    *
    * @param {Event} e - Form submit event
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    // I reveal any field errors instead of sending a request that would be rejected
+    setTouched({ username: true, password: true });
+    if (usernameError || passwordError) return;
+
     // I call the context's signup function which handles API call and state updates
     const success = await signupUser(username, password);
 
@@ -228,10 +251,16 @@ const SignupPage = () => {
               variant="outlined"
               value={username}
               onChange={(e) => setUsername(e.target.value)}
+              onBlur={() => setTouched((prev) => ({ ...prev, username: true }))}
               autoComplete="username"
               autoFocus
               disabled={loading || signupSuccess}
-              helperText="3-20 characters, letters, numbers, and underscores only"
+              error={showUsernameError}
+              helperText={
+                showUsernameError
+                  ? usernameError
+                  : "3-20 characters, letters, numbers, and underscores only"
+              }
               inputProps={{
                 "aria-label": "Enter your desired username",
               }}
@@ -248,8 +277,11 @@ const SignupPage = () => {
                 variant="outlined"
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
+                onBlur={() => setTouched((prev) => ({ ...prev, password: true }))}
                 autoComplete="new-password"
                 disabled={loading || signupSuccess}
+                error={showPasswordError}
+                helperText={showPasswordError ? passwordError : undefined}
                 inputProps={{
                   "aria-label": "Enter your password",
                 }}
@@ -302,7 +334,7 @@ const SignupPage = () => {
               color="primary"
               size="large"
               fullWidth
-              disabled={loading || signupSuccess || !username || !password || passwordStrength.value < 100}
+              disabled={loading || signupSuccess || !username || !password}
               sx={{ mt: 2, py: 1.5 }}
             >
               {loading ? (
@@ -3,6 +3,8 @@ import { getTopRatedMovies } from "../api/tmdb-api";
 import PageTemplate from "../components/templateMovieListPage";
 import { useMovieList } from "../hooks/useMovieList";
 import AddToFavoritesIcon from "../components/cardIcons/addToFavorites";
+import AddToListIcon from "../components/cardIcons/addToList";
+import LogWatchIcon from "../components/cardIcons/logWatch";
 import { QUERY_KEYS } from "../constants/queryKeys";
 
 /**
@@ -28,7 +30,7 @@ import { QUERY_KEYS } from "../constants/queryKeys";
 const TopRatedMoviesPage = () => {
   // I fetch the list of top rated movies using the useMovieList hook, which handles
   // caching and state management through React Query
-  const { movies, MovieListState } = useMovieList(
+  const { movies, page, totalPages, setPage, MovieListState } = useMovieList(
     QUERY_KEYS.TOP_RATED,
     getTopRatedMovies
   );
@@ -47,7 +49,16 @@ const TopRatedMoviesPage = () => {
     <PageTemplate
       title="Top Rated Movies"
       movies={movies}
-      action={(movie) => <AddToFavoritesIcon movie={movie} />}
+      page={page}
+      totalPages={totalPages}
+      onPageChange={setPage}
+      action={(movie) => (
+        <>
+          <AddToFavoritesIcon movie={movie} />
+          <AddToListIcon movie={movie} />
+          <LogWatchIcon movie={movie} />
+        </>
+      )}
     />
   );
 };
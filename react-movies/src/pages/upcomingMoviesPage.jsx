@@ -3,6 +3,7 @@ import { getUpcomingMovies } from "../api/tmdb-api";
 import PageTemplate from "../components/templateMovieListPage";
 import { useMovieList } from "../hooks/useMovieList";
 import AddToMustWatchIcon from "../components/cardIcons/addToMustWatch";
+import AddToListIcon from "../components/cardIcons/addToList";
 import { QUERY_KEYS } from "../constants/queryKeys";
 
 /**
@@ -28,7 +29,7 @@ import { QUERY_KEYS } from "../constants/queryKeys";
 const UpcomingMoviesPage = () => {
   // I fetch the list of upcoming movies using the useMovieList hook, which handles
   // caching and state management through React Query
-  const { movies, MovieListState } = useMovieList(
+  const { movies, page, totalPages, setPage, MovieListState } = useMovieList(
     QUERY_KEYS.UPCOMING,
     getUpcomingMovies
   );
@@ -46,7 +47,15 @@ const UpcomingMoviesPage = () => {
     <PageTemplate
       title="Upcoming Movies"
       movies={movies}
-      action={(movie) => <AddToMustWatchIcon movie={movie} />}
+      page={page}
+      totalPages={totalPages}
+      onPageChange={setPage}
+      action={(movie) => (
+        <>
+          <AddToMustWatchIcon movie={movie} />
+          <AddToListIcon movie={movie} />
+        </>
+      )}
     />
   );
 };
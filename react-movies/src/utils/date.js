@@ -0,0 +1,64 @@
+/**
+ * Date utility functions for the watch diary.
+ *
+ * The backend stores diary days as plain YYYY-MM-DD dates (midnight UTC). I keep these
+ * helpers in one place so the dialog, the diary list and the heatmap all turn dates into
+ * day strings the same way and never shift a viewing to the day before.
+ */
+
+/**
+ * Formats a date as a YYYY-MM-DD day string in the user's own time zone.
+ *
+ * I don't use toISOString() here because it converts to UTC first, which turns
+ * "today" into "yesterday" for users ahead of UTC late in the evening.
+ *
+ * @param {Date} date - The date to format
+ *
+ * @returns {string} The day, e.g. "2025-03-14"
+ *
+ * @example
+ * toDayString(new Date(2025, 2, 14)); // "2025-03-14"
+ */
+export function toDayString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Reads the day out of a diary entry's watchedOn timestamp.
+ *
+ * watchedOn comes back as midnight UTC, so the first ten characters are the day
+ * the user picked, whatever their time zone.
+ *
+ * @param {string} watchedOn - ISO timestamp from the backend, e.g. "2025-03-14T00:00:00.000Z"
+ *
+ * @returns {string} The day, e.g. "2025-03-14"
+ *
+ * @example
+ * diaryDay("2025-03-14T00:00:00.000Z"); // "2025-03-14"
+ */
+export function diaryDay(watchedOn) {
+  return watchedOn.slice(0, 10);
+}
+
+/**
+ * Formats a YYYY-MM-DD day for display, e.g. "Fri 14 Mar".
+ *
+ * I build the Date from its parts so it stays on the same calendar day in every time zone.
+ *
+ * @param {string} day - The day string
+ *
+ * @returns {string} The formatted day
+ *
+ * @example
+ * formatDay("2025-03-14"); // "Fri 14 Mar"
+ */
+export function formatDay(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+  });
+}
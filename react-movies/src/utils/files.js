@@ -0,0 +1,31 @@
+/**
+ * File helpers for the download buttons (data backup, list exports).
+ */
+
+/**
+ * Saves data as a file through the browser's download prompt.
+ *
+ * I point a temporary link at an object URL and click it; the URL is released straight away,
+ * since the browser has already started the download by then.
+ *
+ * @param {Blob} blob - The file content
+ * @param {string} filename - Suggested file name
+ *
+ * @example
+ * saveFile(new Blob([csv], { type: "text/csv" }), "favorites.csv");
+ */
+export const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Today's date as YYYY-MM-DD, for file names.
+ *
+ * @returns {string} e.g. "2025-03-14"
+ */
+export const fileDate = () => new Date().toISOString().slice(0, 10);
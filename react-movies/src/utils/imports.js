@@ -0,0 +1,35 @@
+/**
+ * Helpers for the import dialogs (backup files, Letterboxd and IMDb exports).
+ *
+ * Both imports answer with the same change report from the backend; I turn it into
+ * the short lines the dialogs show before and after importing.
+ */
+
+/**
+ * Turns the backend's change report into one line per kind of data.
+ *
+ * @param {Object} changes - { favorites: { added, removed }, mustWatch: {...}, reviews: { added, updated, removed, unchanged } }
+ * @returns {string[]} e.g. ["Favorites: 3 added, 1 removed", "Reviews: no changes"]
+ */
+export const describeChanges = (changes) => {
+  const describe = (label, parts) => {
+    const nonZero = parts.filter(([count]) => count > 0).map(([count, word]) => `${count} ${word}`);
+    return `${label}: ${nonZero.length > 0 ? nonZero.join(", ") : "no changes"}`;
+  };
+
+  return [
+    describe("Favorites", [
+      [changes.favorites.added.length, "added"],
+      [changes.favorites.removed.length, "removed"],
+    ]),
+    describe("Must watch", [
+      [changes.mustWatch.added.length, "added"],
+      [changes.mustWatch.removed.length, "removed"],
+    ]),
+    describe("Reviews", [
+      [changes.reviews.added, "added"],
+      [changes.reviews.updated, "updated"],
+      [changes.reviews.removed, "removed"],
+    ]),
+  ];
+};
@@ -1,7 +1,22 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The backend's validation rules, shared so forms accept exactly what the API accepts
+const sharedValidation = fileURLToPath(new URL('../movies-api/validation', import.meta.url))
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      '@validation': sharedValidation,
+    },
+  },
+  server: {
+    fs: {
+      // The dev server only serves files inside the project unless told otherwise
+      allow: ['.', sharedValidation],
+    },
+  },
 })